@@ -0,0 +1,62 @@
+require('dotenv').config();
+
+// Copy the JSON data files into the SQLite database used by the storage layer.
+// Usage: node scripts/import-json-to-sqlite.js [--dry-run] [--overwrite]
+// Records already present in SQLite are kept unless --overwrite is given. The JSON files are
+// left in place; remove them once the server runs with ROSTER_STORAGE_BACKEND=sqlite.
+
+const fs = require('fs');
+const storage = require('../src/services/storage');
+
+function importCollection(source, sqlitePath, { dryRun, overwrite, env }) {
+  const jsonPath = storage.getLegacyJsonPath(source, env);
+  if (!fs.existsSync(jsonPath)) {
+    return { ...source, jsonPath, found: false, imported: 0, skipped: 0 };
+  }
+
+  const records = storage._createJsonCollection(source.collection, jsonPath).entries();
+  const target = dryRun ? null : storage._createSqliteCollection(source.collection, sqlitePath);
+  let imported = 0;
+  let skipped = 0;
+
+  for (const [key, value] of records) {
+    if (target && !overwrite && target.has(key)) {
+      skipped++;
+      continue;
+    }
+    if (target) target.set(key, value);
+    imported++;
+  }
+
+  return { ...source, jsonPath, found: true, imported, skipped };
+}
+
+function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const overwrite = process.argv.includes('--overwrite');
+  const env = process.env;
+  const { sqlitePath } = storage.getStorageConfig({ ...env, ROSTER_STORAGE_BACKEND: 'sqlite' });
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Importing JSON data into ${sqlitePath}`);
+  for (const source of storage.LEGACY_JSON_SOURCES) {
+    const result = importCollection(source, sqlitePath, { dryRun, overwrite, env });
+    if (!result.found) {
+      console.log(`  ${result.collection}: no file at ${result.jsonPath}`);
+      continue;
+    }
+    const skipped = result.skipped ? `, ${result.skipped} already present` : '';
+    console.log(`  ${result.collection}: ${result.imported} record(s) from ${result.jsonPath}${skipped}`);
+  }
+
+  storage.closeAll();
+  if (!dryRun) {
+    console.log('Done. Set ROSTER_STORAGE_BACKEND=sqlite (the default) and restart the server.');
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('[import] failed:', err && err.message ? err.message : err);
+  process.exit(1);
+}
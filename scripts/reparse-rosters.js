@@ -0,0 +1,50 @@
+require('dotenv').config();
+
+// Re-parse every stored roster revision with the current parser and print the differences.
+// Usage: node scripts/reparse-rosters.js [--dry-run]
+// Restart the server afterwards: it keeps serving its in-memory copy of the rosters until then
+// (its next roster ingest reloads that pilot from storage first).
+
+const rosterStore = require('../src/services/roster-store');
+const { formatDiffAsText } = require('../src/services/roster-diff');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  if (rosterStore.listRosterIds().length === 0) {
+    console.log('No stored rosters found (set ROSTER_PERSIST_ENABLED=true or ROSTER_PERSIST_PATH).');
+    return;
+  }
+
+  const report = rosterStore.reparseAllRosters({ dryRun });
+  await rosterStore._flushPersistence();
+
+  for (const pilot of report.pilots) {
+    const name = pilot.name ? ` ${pilot.name}` : '';
+    if (pilot.skipped) {
+      console.log(`${pilot.rosterId}${name}: skipped (no stored roster text)`);
+      continue;
+    }
+    if (pilot.status === 'error') {
+      console.log(`${pilot.rosterId}${name}: error, stored rosters kept (${pilot.error})`);
+      continue;
+    }
+
+    console.log(`${pilot.rosterId}${name}: ${pilot.changed ? 'changed' : 'unchanged'} (${pilot.revisions} revision(s), ${pilot.legacyRosters} legacy roster(s) kept)`);
+    for (const period of pilot.periods) {
+      if (period.status === 'unchanged') continue;
+      console.log(`  ${period.periodKey}: ${period.status}`);
+      if (period.diff) {
+        console.log(formatDiffAsText(period.diff).split('\n').map(l => `    ${l}`).join('\n'));
+      }
+    }
+  }
+
+  const failed = report.failedPilots ? `, ${report.failedPilots} failed` : '';
+  console.log(`${report.dryRun ? '[dry run] ' : ''}${report.changedPilots} of ${report.pilots.length} pilot(s) changed${failed}`);
+  if (report.failedPilots) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('[reparse] failed:', err && err.message ? err.message : err);
+  process.exit(1);
+});
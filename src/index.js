@@ -14,6 +14,7 @@ const expressLayouts = require('express-ejs-layouts');
 require('dotenv').config();
 
 const rosterRoutes = require('./routes/roster-routes');
+const caldavRoutes = require('./routes/caldav-routes');
 const authRoutes = require('./routes/auth-routes');
 const adminRoutes = require('./routes/admin-routes');
 const accountRoutes = require('./routes/account-routes');
@@ -21,7 +22,12 @@ const dashboardRoutes = require('./routes/dashboard-routes');
 const { startInboxRosterPolling } = require('./services/inbox-roster-poller');
 const { createLogger, serializeError } = require('./services/logger');
 const { maybeSendStartupEmail } = require('./services/startup-email-notifier');
-const { FileSessionStore, getSessionSecret } = require('./services/session-store');
+const { startDeferredNotifications } = require('./services/roster-change-notifier');
+const rosterStore = require('./services/roster-store');
+const { startScheduler } = require('./services/scheduler');
+const { WEEKLY_DIGEST_JOB } = require('./services/weekly-digest');
+const { resumePendingDeliveries } = require('./services/webhook-service');
+const { StorageSessionStore, getSessionSecret } = require('./services/session-store');
 const { viewHelpers } = require('./middleware/view-helpers');
 const { optionalAuth } = require('./middleware/require-auth');
 const authService = require('./services/auth-service');
@@ -62,7 +68,7 @@ app.use(helmet({
 const sessionSecret = getSessionSecret();
 app.use(cookieParser());
 app.use(session({
-  store: new FileSessionStore(),
+  store: new StorageSessionStore(),
   secret: sessionSecret,
   resave: false,
   saveUninitialized: false,
@@ -112,6 +118,10 @@ if (httpLoggingEnabled) {
 // API Routes (no CSRF protection)
 app.use('/api/roster', rosterRoutes);
 
+// CalDAV (HTTP Basic auth, no CSRF protection)
+app.all('/.well-known/caldav', (req, res) => res.redirect(301, '/caldav/'));
+app.use('/caldav', caldavRoutes);
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy', service: 'roster-calendar' });
@@ -215,6 +225,32 @@ if (require.main === module) {
     inboxPoller = { stop: () => {} };
   }
 
+  // Roster emails held back during pilots' quiet hours
+  startDeferredNotifications(
+    { getEventHistory: rosterId => rosterStore.getEventHistory(rosterId) },
+    process.env,
+    logger.child({ component: 'notify' })
+  );
+
+  // Webhook retries a restart left pending
+  resumePendingDeliveries({}, process.env)
+    .then(counts => {
+      if (counts.retried || counts.scheduled || counts.failed) {
+        logger.info('[startup] pending webhook deliveries resumed', counts);
+      }
+    })
+    .catch(err => {
+      logger.warn('[startup] resuming webhook deliveries failed', { error: serializeError(err) });
+    });
+
+  // Per-pilot scheduled jobs in their base timezone (weekly digest)
+  try {
+    const scheduler = startScheduler([WEEKLY_DIGEST_JOB], process.env, logger.child({ component: 'scheduler' }));
+    logger.info('[startup] scheduler', { enabled: scheduler.config.enabled, jobs: [WEEKLY_DIGEST_JOB.name] });
+  } catch (err) {
+    logger.error('[startup] scheduler disabled due to error', { error: serializeError(err) });
+  }
+
   // Health monitoring: email on each successful startup.
   // Non-fatal by design (don't take down the service if SMTP is down).
   Promise.resolve()
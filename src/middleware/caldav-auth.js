@@ -5,10 +5,28 @@
 
 const auth = require('basic-auth');
 const { verifyCredentials } = require('../services/auth-service');
+const appPasswords = require('../services/app-passwords');
+
+/**
+ * Verify calendar credentials: one of the pilot's app passwords or the account password
+ * Passwords shaped like an app password are looked up by their selector first, so a poll costs one
+ * bcrypt compare (two for a wrong password of that shape) instead of one per app password.
+ * @returns {Promise<{ valid: boolean, appPasswordId: string|null }>}
+ */
+async function verifyCalendarCredentials(staffNo, password) {
+  if (appPasswords.looksLikeAppPassword(password)) {
+    const appPasswordId = await appPasswords.verifyAppPassword(staffNo, password, process.env);
+    if (appPasswordId) {
+      return { valid: true, appPasswordId };
+    }
+  }
+  const valid = await verifyCredentials(staffNo, password, process.env);
+  return { valid, appPasswordId: null };
+}
 
 /**
  * Middleware to authenticate CalDAV requests using HTTP Basic Auth
- * Username should be the staff number, password is verified against stored hash
+ * Username should be the staff number; the password is the account password or an app password
  */
 async function authenticateCalDAV(req, res, next) {
   // Extract credentials from Authorization header
@@ -27,9 +45,9 @@ async function authenticateCalDAV(req, res, next) {
   const password = credentials.pass;
   
   // Verify credentials
-  const isValid = await verifyCredentials(staffNo, password, process.env);
-  
-  if (!isValid) {
+  const { valid, appPasswordId } = await verifyCalendarCredentials(staffNo, password);
+
+  if (!valid) {
     // Invalid credentials - send 401
     res.setHeader('WWW-Authenticate', 'Basic realm="Roster Calendar"');
     return res.status(401).json({ 
@@ -40,6 +58,43 @@ async function authenticateCalDAV(req, res, next) {
   
   // Authentication successful - attach staff number to request
   req.authenticatedStaffNo = staffNo;
+  req.authenticatedAppPasswordId = appPasswordId;
+  next();
+}
+
+/**
+ * Middleware to authenticate with the account itself: a logged-in session or HTTP Basic Auth with
+ * the account password. App passwords are calendar-only, so they are rejected here.
+ */
+async function authenticateAccount(req, res, next) {
+  if (req.session && req.session.staffNo) {
+    req.authenticatedStaffNo = req.session.staffNo;
+    req.authenticatedAppPasswordId = null;
+    return next();
+  }
+
+  const credentials = auth(req);
+
+  if (!credentials || !credentials.name || !credentials.pass) {
+    res.setHeader('WWW-Authenticate', 'Basic realm="Roster Calendar"');
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Please provide your staff number as username and your account password'
+    });
+  }
+
+  const valid = await verifyCredentials(credentials.name, credentials.pass, process.env);
+
+  if (!valid) {
+    res.setHeader('WWW-Authenticate', 'Basic realm="Roster Calendar"');
+    return res.status(401).json({
+      error: 'Authentication failed',
+      message: 'Invalid staff number or password (app passwords only work for calendar subscriptions)'
+    });
+  }
+
+  req.authenticatedStaffNo = credentials.name;
+  req.authenticatedAppPasswordId = null;
   next();
 }
 
@@ -51,9 +106,10 @@ async function optionalCalDAVAuth(req, res, next) {
   const credentials = auth(req);
   
   if (credentials && credentials.name && credentials.pass) {
-    const isValid = await verifyCredentials(credentials.name, credentials.pass, process.env);
-    if (isValid) {
+    const { valid, appPasswordId } = await verifyCalendarCredentials(credentials.name, credentials.pass);
+    if (valid) {
       req.authenticatedStaffNo = credentials.name;
+      req.authenticatedAppPasswordId = appPasswordId;
     }
   }
   
@@ -62,5 +118,6 @@ async function optionalCalDAVAuth(req, res, next) {
 
 module.exports = {
   authenticateCalDAV,
+  authenticateAccount,
   optionalCalDAVAuth
 };
@@ -0,0 +1,57 @@
+/**
+ * Parser for Qantas long-haul (LH) roster text files
+ * The LH "Flight Crew Roster" shares the SH table and Pattern Details layout,
+ * with a few long-haul specific differences handled here.
+ */
+
+const QantasRosterParser = require('./qantas-roster-parser');
+
+// Operating role suffixes carried in the Duty(Role) column of LH rosters, e.g. "LA01A2(SO)".
+const LH_ROLE_SUFFIX = /^(.+?)\((CPT|FO|F\/O|SO|S\/O|2IC)\)$/;
+
+class QantasLongHaulRosterParser extends QantasRosterParser {
+  static get formatId() {
+    return 'qantas-lh';
+  }
+
+  static detect(rosterText) {
+    const text = String(rosterText || '');
+    if (/\bLH\s+Flight\s+Crew\s+Roster\b/i.test(text)) return 20;
+    return 0;
+  }
+
+  /**
+   * LH trips carry the operating role on the duty code (e.g. "LA01A2(SO)").
+   * Strip it into entry.role so the duty code matches the Pattern Details DATED code.
+   */
+  parseRosterLine(line) {
+    const entry = super.parseRosterLine(line);
+    if (!entry || entry.dutyType !== 'FLIGHT' || !entry.dutyCode) return entry;
+
+    const roleMatch = entry.dutyCode.match(LH_ROLE_SUFFIX);
+    if (roleMatch) {
+      entry.dutyCode = roleMatch[1];
+      entry.role = roleMatch[2].replace('/', '');
+    }
+
+    return entry;
+  }
+
+  /**
+   * LH sectors regularly arrive on a later local day; the arrival time then
+   * carries a day offset (e.g. "LHR  0545+1"). Keep it on the leg as arriveDayOffset.
+   */
+  matchPatternFlightLine(line) {
+    const leg = super.matchPatternFlightLine(line);
+    if (!leg) return null;
+
+    const offsetMatch = line.match(/^\s*\d{1,2}[A-Za-z]{3}\s+(?:[PA]\s+)?\d{1,4}\s+[A-Z]{3}\s+\d{4}\s+[A-Z]{3}\s+\d{4}\+(\d)\b/);
+    if (offsetMatch) {
+      leg.arriveDayOffset = parseInt(offsetMatch[1], 10);
+    }
+
+    return leg;
+  }
+}
+
+module.exports = QantasLongHaulRosterParser;
@@ -3,7 +3,37 @@
  * Handles the Qantas Airways Limited roster format
  */
 
+const { lookupDutyCode } = require('../services/duty-code-catalogue');
+
 class QantasRosterParser {
+  /**
+   * @param {Object} env - Environment used to locate the duty-code catalogue (ROSTER_DUTY_CODES_PATH)
+   */
+  constructor(env = process.env) {
+    this.env = env;
+  }
+
+  /**
+   * Format id recorded on parsed rosters (roster.format)
+   * @returns {string}
+   */
+  static get formatId() {
+    return 'qantas-sh';
+  }
+
+  /**
+   * Score how likely it is that this parser understands the given roster text.
+   * Used by the parser registry to pick a parser; 0 means "not this format".
+   * @param {string} rosterText - The raw roster text content
+   * @returns {number}
+   */
+  static detect(rosterText) {
+    const text = String(rosterText || '');
+    if (/\bSH\s+Flight\s+Crew\s+Roster\b/i.test(text)) return 10;
+    if (text.includes('Date') && text.includes('Duty(Role)')) return 5;
+    return 0;
+  }
+
   compareYMD(a, b) {
     if (!a && !b) return 0;
     if (!a) return 1;
@@ -97,7 +127,8 @@ class QantasRosterParser {
       flights: [],
       simulatorSessions: [],
       dutyPatterns: [],
-      summary: {}
+      summary: {},
+      diagnostics: []
     };
 
     // Parse header information
@@ -169,6 +200,16 @@ class QantasRosterParser {
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
 
+      // Roster issue time on the banner line (e.g. "QANTAS AIRWAYS LIMITED    13Jan26 1559")
+      if (line.includes('QANTAS AIRWAYS LIMITED') && !roster.summary.issuedAt) {
+        const match = line.match(/\b(\d{1,2}[A-Za-z]{3}\d{2})\s+(\d{4})\s*$/);
+        const issued = match ? this.parseRosterDateToken(match[1]) : null;
+        if (issued) {
+          roster.summary.issueTimestamp = `${match[1]} ${match[2]}`;
+          roster.summary.issuedAt = { ...issued, time: match[2] };
+        }
+      }
+
       // Capture bid period number when present (e.g. "Bid Period 3725")
       if (line.includes('Bid Period')) {
         const match = line.match(/\bBid\s+Period\s+(\d{3,6})\b/i);
@@ -204,6 +245,19 @@ class QantasRosterParser {
         if (match) roster.employee.line = match[1].trim();
       }
 
+      // Labels are matched with any spacing, as the padding varies between roster exports
+      const seniority = line.match(/\bSnrty\s*No\s*:\s*(\d+)/);
+      if (seniority) roster.employee.seniorityNo = seniority[1];
+
+      const mailbox = line.match(/\bMailbox\s*:\s*(\w+)/);
+      if (mailbox) roster.employee.mailbox = mailbox[1];
+
+      const workRule = line.match(/\bWorkRule\s*:\s*(\w+)/);
+      if (workRule) roster.employee.workRule = workRule[1];
+
+      const psn = line.match(/\bPSN\s*:\s*(\w+)/);
+      if (psn) roster.employee.psn = psn[1];
+
       // Stop parsing header when we reach the roster data header
       if (line.includes('Date') && line.includes('Duty(Role)')) {
         break;
@@ -211,6 +265,27 @@ class QantasRosterParser {
     }
   }
 
+  /**
+   * Record a parse diagnostic on the roster
+   * @param {Object} roster - Roster object to populate
+   * @param {Object} diagnostic
+   * @param {number} diagnostic.lineIndex - 0-based index into the roster lines
+   * @param {string} diagnostic.text - Raw line text
+   * @param {string} diagnostic.section - 'roster' or 'pattern-details'
+   * @param {string} diagnostic.severity - 'info', 'warning' or 'error'
+   * @param {string} diagnostic.reason - Human readable reason
+   */
+  addDiagnostic(roster, { lineIndex, text, section, severity = 'warning', reason }) {
+    if (!Array.isArray(roster.diagnostics)) roster.diagnostics = [];
+    roster.diagnostics.push({
+      line: Number.isFinite(lineIndex) ? lineIndex + 1 : null,
+      text: text === undefined || text === null ? '' : String(text).replace(/\s+$/, ''),
+      section,
+      severity,
+      reason
+    });
+  }
+
   parseSummary(lines, roster) {
     // Example: Available Date/Time this (next) BP       : 29Dec25 0000 (26Jan26 0000)
     for (const line of lines) {
@@ -245,7 +320,20 @@ class QantasRosterParser {
       }
     }
 
-    if (!anchor) return;
+    const sectionStart = lines.findIndex(l => /^\s*Pattern Details\b/.test(l) || /\bPattern Details\s+Page:/.test(l));
+
+    if (!anchor) {
+      if (sectionStart >= 0) {
+        this.addDiagnostic(roster, {
+          lineIndex: sectionStart,
+          text: lines[sectionStart],
+          section: 'pattern-details',
+          severity: 'error',
+          reason: 'Pattern Details present but no period start or DATED token to anchor leg dates'
+        });
+      }
+      return;
+    }
 
     let currentYear = anchor.year;
     let currentMonth = anchor.month;
@@ -256,8 +344,12 @@ class QantasRosterParser {
     // under a single duty code (e.g. 8130, 8198). We emit one dutyPattern per duty period.
     let currentDutyLegs = [];
     let pendingDutyPatterns = [];
+    let inReason = false;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const inSection = sectionStart >= 0 && i > sectionStart;
 
-    for (const line of lines) {
       // Capture report/release line inside a pattern block
       // Examples:
       // "                 Rpt  0700 Rls  2028        ADL   17:02   7:05 10:58   7:05"
@@ -279,6 +371,8 @@ class QantasRosterParser {
           const ports = line.match(/\b[A-Z]{3}\b/g) || [];
           const releasePort = ports.length > 0 ? ports[ports.length - 1] : lastLeg.arrivePort;
 
+          const totals = this.parseRptRlsTotals(line);
+
           pendingDutyPatterns.push({
             dutyCode: null,
             // Use the first leg's date for this duty period; the block-level DATED token
@@ -288,12 +382,16 @@ class QantasRosterParser {
             reportPort,
             releaseTime,
             releasePort,
+            dutyMinutes: totals.dutyMinutes,
+            creditMinutes: totals.creditMinutes,
+            flightMinutes: totals.flightMinutes,
             legs: currentDutyLegs
           });
         }
 
         // Reset for next duty period within the same pattern block.
         currentDutyLegs = [];
+        continue;
       }
 
       // Capture duty code + dated token to finalize a pattern block
@@ -301,9 +399,19 @@ class QantasRosterParser {
       const dutyDatedMatch = line.match(/\b([A-Z0-9]{2,})\s+DATED\s+(\d{1,2}[A-Za-z]{3}\d{2})\b/);
       if (dutyDatedMatch) {
         const dutyCode = dutyDatedMatch[1];
+        inReason = false;
 
         // If we have any un-finalized legs without a Rpt/Rls line (unexpected), drop them.
         // Most rosters provide one Rpt/Rls line per duty period.
+        if (currentDutyLegs.length > 0) {
+          this.addDiagnostic(roster, {
+            lineIndex: i,
+            text: line,
+            section: 'pattern-details',
+            severity: 'warning',
+            reason: `${currentDutyLegs.length} flight leg(s) of ${dutyCode} had no Rpt/Rls line; no duty period was created for them`
+          });
+        }
         currentDutyLegs = [];
 
         // Apply the duty code to all pending duty periods and emit them.
@@ -324,7 +432,16 @@ class QantasRosterParser {
       const simMatch = line.match(/^\s*(\d{1,2}[A-Za-z]{3})\s+&\s+(SIM[A-Z0-9]+)\s+([A-Z]{3})\s+(\d{4})\s+([A-Z]{3})\s+(\d{4})\b/);
       if (simMatch) {
         const dayMonth = this.parseDayMonthToken(simMatch[1]);
-        if (!dayMonth) continue;
+        if (!dayMonth) {
+          this.addDiagnostic(roster, {
+            lineIndex: i,
+            text: line,
+            section: 'pattern-details',
+            severity: 'warning',
+            reason: `Unrecognized date "${simMatch[1]}" on simulator line`
+          });
+          continue;
+        }
 
         if (dayMonth.month !== currentMonth) {
           if (dayMonth.month < previousMonth) {
@@ -350,13 +467,37 @@ class QantasRosterParser {
         continue;
       }
 
-      const match = line.match(/^\s*(\d{1,2}[A-Za-z]{3})\s+([PA]\s+)?(\d{1,4})\s+([A-Z]{3})\s+(\d{4})\s+([A-Z]{3})\s+(\d{4})\b/);
-      if (!match) continue;
-
-      const flightNumber = this.normalizeFlightNumber(match[3]);
+      const leg = this.matchPatternFlightLine(line);
+      if (!leg) {
+        if (inSection) {
+          if (/^\s*Reason:/.test(line)) {
+            inReason = true;
+          } else if (!line.trim()) {
+            inReason = false;
+          } else if (!inReason && !this.isPatternDetailsBoilerplate(line)) {
+            this.addDiagnostic(roster, {
+              lineIndex: i,
+              text: line,
+              section: 'pattern-details',
+              severity: 'warning',
+              reason: 'Unrecognized Pattern Details line'
+            });
+          }
+        }
+        continue;
+      }
 
-      const dayMonth = this.parseDayMonthToken(match[1]);
-      if (!dayMonth) continue;
+      const dayMonth = this.parseDayMonthToken(leg.dayMonthToken);
+      if (!dayMonth) {
+        this.addDiagnostic(roster, {
+          lineIndex: i,
+          text: line,
+          section: 'pattern-details',
+          severity: 'warning',
+          reason: `Unrecognized date "${leg.dayMonthToken}" on flight line`
+        });
+        continue;
+      }
 
       // Detect month/year rollover using the Pattern Details date tokens.
       // Month is explicit; year is inferred by rollover from the roster period start.
@@ -377,32 +518,108 @@ class QantasRosterParser {
         previousDay = dayMonth.day;
       }
 
+      const { dayMonthToken, ...legFields } = leg;
+
       roster.flights.push({
         year: currentYear,
         month: currentMonth,
         day: dayMonth.day,
-        flightNumber,
-        passive: Boolean(match[2]),
-        departPort: match[4],
-        departTime: match[5],
-        arrivePort: match[6],
-        arriveTime: match[7]
+        ...legFields
       });
 
       currentDutyLegs.push({
         year: currentYear,
         month: currentMonth,
         day: dayMonth.day,
-        flightNumber,
-        passive: Boolean(match[2]),
-        departPort: match[4],
-        departTime: match[5],
-        arrivePort: match[6],
-        arriveTime: match[7]
+        ...legFields
+      });
+    }
+
+    if (pendingDutyPatterns.length > 0 || currentDutyLegs.length > 0) {
+      this.addDiagnostic(roster, {
+        lineIndex: lines.length - 1,
+        text: '',
+        section: 'pattern-details',
+        severity: 'warning',
+        reason: 'Pattern Details ended without a DATED line; trailing duty periods were dropped'
       });
     }
   }
 
+  /**
+   * Lines that appear in Pattern Details but carry no duty data
+   * (page banners, column headers, pattern totals).
+   * @param {string} line
+   * @returns {boolean}
+   */
+  isPatternDetailsBoilerplate(line) {
+    return /^\s*\(L - time\)/.test(line) ||
+      /^\s*Date\s+Flight\b/.test(line) ||
+      /\bTAFB\b/.test(line) ||
+      /\bPattern Details\b/.test(line) ||
+      /AIRCREW RESOURCE MANAGEMENT SYSTEM/.test(line) ||
+      /^\s*ARMS\b/.test(line) ||
+      line.includes('*** End of Report ***');
+  }
+
+  /**
+   * Match a single Pattern Details flight line.
+   * Subclasses for other roster layouts override this to pick up extra columns.
+   * @param {string} line - A single line from the Pattern Details section
+   * @returns {Object|null} Leg fields plus the raw dayMonthToken, or null if not a flight line
+   */
+  matchPatternFlightLine(line) {
+    const match = line.match(/^\s*(\d{1,2}[A-Za-z]{3})\s+([PA]\s+)?(\d{1,4})\s+([A-Z]{3})\s+(\d{4})\s+([A-Z]{3})\s+(\d{4})\b/);
+    if (!match) return null;
+
+    // Eq and Blk columns follow the arrival time (which may carry a "+1" day offset).
+    const equipmentMatch = line.substring(match[0].length).match(/^(?:\+\d)?\s+([A-Z0-9]{3})\s+(\d{1,3}:\d{2})\b/);
+
+    return {
+      dayMonthToken: match[1],
+      flightNumber: this.normalizeFlightNumber(match[3]),
+      passive: Boolean(match[2]),
+      departPort: match[4],
+      departTime: match[5],
+      arrivePort: match[6],
+      arriveTime: match[7],
+      aircraftType: equipmentMatch ? equipmentMatch[1] : null,
+      blockMinutes: equipmentMatch ? this.parseDurationMinutes(equipmentMatch[2]) : null
+    };
+  }
+
+  /**
+   * Read the Blk/Duty/Cred totals at the end of a Rpt/Rls line.
+   * "Rpt 1650 Rls 0012  BNE  12:38  4:12  5:22  4:20" -> Grnd, Blk, Duty, Cred
+   * "Rpt 1250 Rls 1703              0:00  6:13  2:45" -> Blk, Duty, Cred
+   * @param {string} line - A Rpt/Rls line
+   * @returns {{ flightMinutes: number|null, dutyMinutes: number|null, creditMinutes: number|null }}
+   */
+  parseRptRlsTotals(line) {
+    const durations = line.match(/\b\d{1,3}:\d{2}\b/g) || [];
+    if (durations.length < 3) {
+      return { flightMinutes: null, dutyMinutes: null, creditMinutes: null };
+    }
+
+    const [blk, duty, cred] = durations.slice(-3);
+    return {
+      flightMinutes: this.parseDurationMinutes(blk),
+      dutyMinutes: this.parseDurationMinutes(duty),
+      creditMinutes: this.parseDurationMinutes(cred)
+    };
+  }
+
+  /**
+   * Convert an "H:MM" duration (hours may exceed 24) to minutes
+   * @param {string} value
+   * @returns {number|null}
+   */
+  parseDurationMinutes(value) {
+    const match = String(value || '').trim().match(/^(\d{1,3}):([0-5]\d)$/);
+    if (!match) return null;
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  }
+
   /**
    * Parse roster entries from the main roster table
    * @param {Array} lines - Array of text lines
@@ -422,37 +639,69 @@ class QantasRosterParser {
       }
       
       // Stop if we reach the summary section
-      if (line.includes('Total Duty Hours') || line.includes('*** End of Report ***')) {
+      if (line.includes('Total Duty Hours') || line.includes('*** End of Report ***') || /^\s*Pattern Details\b/.test(line)) {
         break;
       }
       
       if (!inDataSection) continue;
       
       // Skip separator lines
-      if (line.match(/^-+$/)) continue;
+      if (line.match(/^-+\s*$/)) continue;
       
       // Skip empty lines
       if (!line.trim()) continue;
+
+      // Skip "Key : value" summary lines and page banners between the table and Pattern Details
+      if (this.isRosterTableBoilerplate(line)) continue;
       
       // Parse roster line
       const entry = this.parseRosterLine(line);
-      if (entry) {
-        // The roster table can contain continuation lines for multi-day trips/patterns
-        // where the Duty(Role) column is blank. In those cases, carry forward the
-        // last seen flight duty code so downstream consumers (e.g. Pattern Details
-        // enrichment) can match the correct duty/credit hours.
-        if (entry.dutyType === 'FLIGHT' || entry.dutyType === 'SIMULATOR') {
-          if (entry.dutyCode) {
-            lastFlightDutyCode = entry.dutyCode;
-          } else if (lastFlightDutyCode) {
-            entry.dutyCode = lastFlightDutyCode;
-          }
-        } else {
-          lastFlightDutyCode = null;
-        }
+      if (!entry) {
+        this.addDiagnostic(roster, {
+          lineIndex: i,
+          text: line,
+          section: 'roster',
+          severity: 'warning',
+          reason: 'Unrecognized roster line'
+        });
+        continue;
+      }
+
+      if (!entry.dutyType) {
+        this.addDiagnostic(roster, {
+          lineIndex: i,
+          text: line,
+          section: 'roster',
+          severity: 'warning',
+          reason: `No duty found for ${entry.date}`
+        });
+      } else if (entry.dutyType === 'FLIGHT' && entry.dutyCode && !entry.service && !entry.signOn) {
+        // Unknown duty codes fall through to FLIGHT; without a service or times they are most
+        // likely a duty code the parser does not know about yet.
+        this.addDiagnostic(roster, {
+          lineIndex: i,
+          text: line,
+          section: 'roster',
+          severity: 'warning',
+          reason: `Duty code ${entry.dutyCode} not recognised; treated as a flight duty`
+        });
+      }
 
-        roster.entries.push(entry);
+      // The roster table can contain continuation lines for multi-day trips/patterns
+      // where the Duty(Role) column is blank. In those cases, carry forward the
+      // last seen flight duty code so downstream consumers (e.g. Pattern Details
+      // enrichment) can match the correct duty/credit hours.
+      if (entry.dutyType === 'FLIGHT' || entry.dutyType === 'SIMULATOR') {
+        if (entry.dutyCode) {
+          lastFlightDutyCode = entry.dutyCode;
+        } else if (lastFlightDutyCode) {
+          entry.dutyCode = lastFlightDutyCode;
+        }
+      } else {
+        lastFlightDutyCode = null;
       }
+
+      roster.entries.push(entry);
     }
     
     // Assign month/year to entries and handle month rollovers
@@ -460,6 +709,19 @@ class QantasRosterParser {
     this.assignMonthYearToEntries(roster);
   }
 
+  /**
+   * Lines inside the roster table section that carry no roster entry
+   * @param {string} line
+   * @returns {boolean}
+   */
+  isRosterTableBoilerplate(line) {
+    return /^\s*[A-Za-z][^:]*\s:\s/.test(line) ||
+      /QANTAS AIRWAYS LIMITED/.test(line) ||
+      /AIRCREW RESOURCE MANAGEMENT SYSTEM/.test(line) ||
+      /Flight\s+Crew\s+Roster/i.test(line) ||
+      /\bPage:/.test(line);
+  }
+
   /**
    * Parse a single roster line
    * @param {string} line - A single line from the roster
@@ -554,108 +816,33 @@ class QantasRosterParser {
 
     entry.dutyCode = dutyMatch[1];
     
-    // Check for specific duty types
-    if (entry.dutyCode === 'D/O') {
-      entry.dutyType = 'DAY_OFF';
-      entry.description = 'Day Off';
-      // Extract code at the end if present
-      const codeMatch = restOfLine.match(/\s+([A-Z0-9]+)\s*$/);
-      if (codeMatch) {
-        entry.code = codeMatch[1];
-      }
-    } else if (entry.dutyCode === 'PLN') {
-      entry.dutyType = 'PERSONAL_LEAVE';
-      entry.description = 'Personal Leave';
-      const codeMatch = restOfLine.match(/\s+([A-Z0-9]+)\s*$/);
-      if (codeMatch) {
-        entry.code = codeMatch[1];
-      }
-    } else if (entry.dutyCode === 'LZR') {
-      entry.dutyType = 'PERSONAL_LEAVE_RESERVE';
-      entry.description = 'Personal Leave (Reserve)';
-      const codeMatch = restOfLine.match(/\s+([A-Z0-9]+)\s*$/);
-      if (codeMatch) {
-        entry.code = codeMatch[1];
-      }
-    } else if (entry.dutyCode.match(/^SIM\w+\(T\)$/)) {
-      // Simulator duty with (T) suffix - e.g., SIM06CA(T)
-      entry.dutyType = 'SIMULATOR';
-      entry.description = `Simulator ${entry.dutyCode}`;
-      // Parse times if present
-      const timeMatch = restOfLine.match(/(\d{4})\s+(\d{4})/);
-      if (timeMatch) {
-        entry.signOn = timeMatch[1];
-        entry.signOff = timeMatch[2];
-      }
-      // Parse duty and credit hours
-      const hoursMatch = restOfLine.match(/(\d{1,2}:\d{2})\s+(\d{1,2}:\d{2})/);
-      if (hoursMatch) {
-        entry.dutyHours = hoursMatch[1];
-        entry.creditHours = hoursMatch[2];
-      }
-      const codeMatch = restOfLine.match(/\s+([A-Z]{2}\d{2})\s*$/);
-      if (codeMatch) {
-        entry.code = codeMatch[1];
-      }
-    } else if (entry.dutyCode.match(/^EP\d+$/)) {
-      entry.dutyType = 'EMERGENCY_PROCEDURES';
-      entry.description = `Emergency Procedures ${entry.dutyCode}`;
-      // Parse times if present
-      const timeMatch = restOfLine.match(/(\d{4})\s+(\d{4})/);
-      if (timeMatch) {
-        entry.signOn = timeMatch[1];
-        entry.signOff = timeMatch[2];
-      }
-      // Parse duty and credit hours
-      const hoursMatch = restOfLine.match(/(\d{1,2}:\d{2})\s+(\d{1,2}:\d{2})/);
-      if (hoursMatch) {
-        entry.dutyHours = hoursMatch[1];
-        entry.creditHours = hoursMatch[2];
-      }
-      const codeMatch = restOfLine.match(/\s+([A-Z0-9]+)\s*$/);
-      if (codeMatch) {
-        entry.code = codeMatch[1];
-      }
-    } else if (entry.dutyCode.match(/^R\d+$/)) {
-      entry.dutyType = 'RESERVE';
-      entry.description = `Reserve Duty ${entry.dutyCode}`;
+    // Non-flight duty codes come from the duty-code catalogue (built-in defaults plus
+    // data/duty-codes.json); anything it does not know is treated as a flight duty.
+    const definition = lookupDutyCode(entry.dutyCode, this.env);
+    if (definition) {
+      entry.dutyType = definition.dutyType;
+      entry.description = definition.description;
+      if (definition.category) entry.category = definition.category;
+
       // Parse times if present
       const timeMatch = restOfLine.match(/(\d{4})\s+(\d{4})/);
       if (timeMatch) {
         entry.signOn = timeMatch[1];
         entry.signOff = timeMatch[2];
       }
-      // Parse duty hours - reserve duties show duty hours but not credit hours in roster
+
+      // Parse duty and credit hours; some duties (e.g. reserve) show duty hours only and
+      // carry a default credit from the catalogue.
       const hoursMatch = restOfLine.match(/(\d{1,2}:\d{2})(\s+(\d{1,2}:\d{2}))?/);
       if (hoursMatch) {
         entry.dutyHours = hoursMatch[1];
-        // Reserve duties always attract 4:00 credit hours even if not shown in roster
-        entry.creditHours = hoursMatch[3] || '4:00';
-      } else {
-        // If no hours parsed at all, still apply the 4:00 credit default
-        entry.creditHours = '4:00';
+        if (hoursMatch[3]) entry.creditHours = hoursMatch[3];
       }
-      const codeMatch = restOfLine.match(/\s+([A-Z0-9]+)\s*$/);
-      if (codeMatch) {
-        entry.code = codeMatch[1];
+      if (!entry.creditHours && definition.defaultCredit) {
+        entry.creditHours = definition.defaultCredit;
       }
-    } else if (entry.dutyCode === 'AV') {
-      entry.dutyType = 'AVAILABLE_DAY';
-      entry.description = 'Available Day';
-      const codeMatch = restOfLine.match(/\s+([A-Z0-9]+)\s*$/);
-      if (codeMatch) {
-        entry.code = codeMatch[1];
-      }
-    } else if (entry.dutyCode === 'AL' || entry.dutyCode === 'LA') {
-      entry.dutyType = 'ANNUAL_LEAVE';
-      entry.description = 'Annual Leave';
-      const codeMatch = restOfLine.match(/\s+([A-Z0-9]+)\s*$/);
-      if (codeMatch) {
-        entry.code = codeMatch[1];
-      }
-    } else if (entry.dutyCode === 'BL') {
-      entry.dutyType = 'BLANK_DAY';
-      entry.description = 'Blank Day';
+
+      // Extract code at the end if present
       const codeMatch = restOfLine.match(/\s+([A-Z0-9]+)\s*$/);
       if (codeMatch) {
         entry.code = codeMatch[1];
@@ -0,0 +1,47 @@
+/**
+ * Parser for Qantas rosters exported from WebCIS
+ * WebCIS produces the SH roster table and Pattern Details without the ARMS
+ * report page banners, and copy/paste exports often carry CRLF line endings,
+ * tabs and non-breaking spaces that break the column-based regexes.
+ */
+
+const QantasRosterParser = require('./qantas-roster-parser');
+
+class QantasWebCisRosterParser extends QantasRosterParser {
+  static get formatId() {
+    return 'qantas-webcis';
+  }
+
+  static detect(rosterText) {
+    const text = String(rosterText || '');
+    if (!/\bFlight\s+Crew\s+Roster\b/i.test(text)) return 0;
+    if (!text.includes('Pattern Details')) return 0;
+
+    // ARMS print-outs carry a page banner on every Pattern Details page.
+    if (text.includes('AIRCREW RESOURCE MANAGEMENT SYSTEM') || /\brosterPatns\b/.test(text)) return 0;
+
+    // SH rosters pasted without their banners still have the ARMS column header on each pattern;
+    // WebCIS lists the legs straight under "Pattern Details".
+    if (/\(L\s*-\s*time\)/.test(text) || /\bDate\s+Flight\s+Depart\s+Arrive\b/.test(text)) return 0;
+
+    return 15;
+  }
+
+  /**
+   * Normalize WebCIS whitespace before handing off to the SH parser.
+   * @param {string} rosterText - The raw roster text content
+   * @returns {string}
+   */
+  normalizeText(rosterText) {
+    return String(rosterText || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\u00a0/g, ' ')
+      .replace(/\t/g, '        ');
+  }
+
+  parse(rosterText) {
+    return super.parse(this.normalizeText(rosterText));
+  }
+}
+
+module.exports = QantasWebCisRosterParser;
@@ -0,0 +1,93 @@
+/**
+ * Registry of roster text parsers
+ * Detects the roster layout (SH, LH, WebCIS, ...) and hands the text to the
+ * matching parser. Every parser emits the same roster shape
+ * (employee, entries, flights, dutyPatterns, simulatorSessions, summary).
+ */
+
+const QantasRosterParser = require('./qantas-roster-parser');
+const QantasLongHaulRosterParser = require('./qantas-lh-roster-parser');
+const QantasWebCisRosterParser = require('./qantas-webcis-roster-parser');
+
+// Registration order breaks detection ties; the first entry is the fallback parser.
+const parsers = [];
+
+function registerRosterParser(ParserClass) {
+  if (!ParserClass || typeof ParserClass.detect !== 'function' || !ParserClass.formatId) {
+    throw new Error('Roster parser must define static formatId and detect()');
+  }
+
+  const existingIdx = parsers.findIndex(p => p.formatId === ParserClass.formatId);
+  if (existingIdx >= 0) {
+    parsers[existingIdx] = ParserClass;
+  } else {
+    parsers.push(ParserClass);
+  }
+  return ParserClass;
+}
+
+registerRosterParser(QantasRosterParser);
+registerRosterParser(QantasLongHaulRosterParser);
+registerRosterParser(QantasWebCisRosterParser);
+
+/**
+ * Detect which registered parser best matches the roster text.
+ * @param {string} rosterText - The raw roster text content
+ * @returns {Function|null} Parser class, or null when no parser recognizes the text
+ */
+function detectRosterParser(rosterText) {
+  let best = null;
+  let bestScore = 0;
+
+  for (const ParserClass of parsers) {
+    const score = Number(ParserClass.detect(rosterText)) || 0;
+    if (score > bestScore) {
+      best = ParserClass;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Detect the roster format id for the given text.
+ * @param {string} rosterText - The raw roster text content
+ * @returns {string|null}
+ */
+function detectRosterFormat(rosterText) {
+  const ParserClass = detectRosterParser(rosterText);
+  return ParserClass ? ParserClass.formatId : null;
+}
+
+function getRosterParser(formatId) {
+  return parsers.find(p => p.formatId === formatId) || null;
+}
+
+/**
+ * Parse roster text with the detected parser and record its format id on the roster.
+ * Text that no parser recognizes falls back to the SH parser, which has always been
+ * the service's default.
+ * @param {string} rosterText - The raw roster text content
+ * @returns {Object} Parsed roster data (roster.format set to the parser's format id)
+ */
+function parseRosterText(rosterText) {
+  const ParserClass = detectRosterParser(rosterText) || parsers[0];
+  const parser = new ParserClass();
+  const roster = parser.parse(rosterText);
+  roster.format = ParserClass.formatId;
+  return roster;
+}
+
+function listRosterFormats() {
+  return parsers.map(p => p.formatId);
+}
+
+module.exports = {
+  registerRosterParser,
+  detectRosterParser,
+  detectRosterFormat,
+  getRosterParser,
+  parseRosterText,
+  listRosterFormats
+};
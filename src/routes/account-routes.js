@@ -9,6 +9,12 @@ const router = express.Router();
 
 const authService = require('../services/auth-service');
 const pilotDirectory = require('../services/pilot-directory');
+const appPasswords = require('../services/app-passwords');
+const notificationPreferences = require('../services/notification-preferences');
+const rosterStore = require('../services/roster-store');
+const { countDeferredNotifications } = require('../services/roster-change-notifier');
+const scheduler = require('../services/scheduler');
+const weeklyDigest = require('../services/weekly-digest');
 const { createLogger } = require('../services/logger');
 const { requireAuth } = require('../middleware/require-auth');
 
@@ -113,4 +119,106 @@ router.post('/password', [
   }
 });
 
+/**
+ * GET /account/app-passwords - List calendar app passwords
+ * A newly created password is shown once, then removed from the session.
+ */
+router.get('/app-passwords', (req, res) => {
+  const newAppPassword = req.session.newAppPassword || null;
+  delete req.session.newAppPassword;
+
+  res.render('account/app-passwords', {
+    title: 'App Passwords',
+    appPasswords: appPasswords.listAppPasswords(req.session.staffNo),
+    newAppPassword
+  });
+});
+
+/**
+ * POST /account/app-passwords - Create an app password for one device
+ */
+router.post('/app-passwords', [
+  body('name').trim().notEmpty().withMessage('Device name is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    req.flash('error', errors.array()[0].msg);
+    return res.redirect('/account/app-passwords');
+  }
+
+  const staffNo = req.session.staffNo;
+
+  try {
+    const created = await appPasswords.createAppPassword(staffNo, req.body.name);
+    req.session.newAppPassword = { name: created.name, password: created.password };
+
+    logger.info('[account-app-passwords] App password created', { staffNo, id: created.id });
+    res.redirect('/account/app-passwords');
+  } catch (err) {
+    logger.error('[account-app-passwords] Error', { error: err.message, staffNo });
+    req.flash('error', err.code && err.code.startsWith('APP_PASSWORD_') ? err.message : 'Failed to create app password');
+    res.redirect('/account/app-passwords');
+  }
+});
+
+/**
+ * POST /account/app-passwords/:id/revoke - Revoke one app password
+ */
+router.post('/app-passwords/:id/revoke', (req, res) => {
+  const staffNo = req.session.staffNo;
+
+  try {
+    const revoked = appPasswords.revokeAppPassword(staffNo, req.params.id);
+    logger.info('[account-app-passwords] App password revoked', { staffNo, id: revoked.id });
+    req.flash('success', `App password "${revoked.name}" revoked`);
+  } catch (err) {
+    logger.error('[account-app-passwords] Error', { error: err.message, staffNo });
+    req.flash('error', err.code === 'APP_PASSWORD_NOT_FOUND' ? err.message : 'Failed to revoke app password');
+  }
+  res.redirect('/account/app-passwords');
+});
+
+/**
+ * GET /account/notifications - Notification preferences
+ */
+router.get('/notifications', (req, res) => {
+  const staffNo = req.session.staffNo;
+  const preferences = notificationPreferences.getNotificationPreferences(staffNo);
+  const bucket = rosterStore.getRosterBucket(staffNo);
+  const base = bucket && bucket.employee && bucket.employee.base ? bucket.employee.base : '';
+
+  res.render('account/notifications', {
+    title: 'Notifications',
+    preferences,
+    channels: notificationPreferences.NOTIFICATION_CHANNELS,
+    changeClasses: notificationPreferences.listChangeClasses(preferences),
+    base,
+    timezone: notificationPreferences.getBaseTimezone(base),
+    deferredCount: countDeferredNotifications(staffNo),
+    digestTime: weeklyDigest.DIGEST_TIME,
+    minDigestDays: notificationPreferences.MIN_DIGEST_DAYS,
+    maxDigestDays: notificationPreferences.MAX_DIGEST_DAYS,
+    lastDigest: scheduler.getLastRun(weeklyDigest.WEEKLY_DIGEST_JOB.name, staffNo)
+  });
+});
+
+/**
+ * POST /account/notifications - Save notification preferences
+ * Body: channels, changeClasses (checkbox groups), skipDuplicates, skipUnchanged, attachRoster,
+ * quietStart, quietEnd (HH:MM, both empty for none), weeklyDigest, digestDays
+ */
+router.post('/notifications', (req, res) => {
+  const staffNo = req.session.staffNo;
+
+  try {
+    const saved = notificationPreferences.setNotificationPreferences(staffNo, req.body || {});
+    logger.info('[account-notifications] Preferences saved', { staffNo, channels: saved.channels, quietHours: saved.quietHours });
+    req.flash('success', 'Notification settings saved');
+  } catch (err) {
+    logger.error('[account-notifications] Error', { error: err.message, staffNo });
+    req.flash('error', err.code && err.code.startsWith('NOTIFICATION_PREFERENCES_') ? err.message : 'Failed to save notification settings');
+  }
+  res.redirect('/account/notifications');
+});
+
 module.exports = router;
@@ -1,6 +1,6 @@
 /**
  * Admin routes
- * Handles admin approval workflow
+ * Handles admin approval workflow, stored rosters and global webhooks
  */
 
 const express = require('express');
@@ -9,9 +9,12 @@ const router = express.Router();
 const authService = require('../services/auth-service');
 const pendingApprovals = require('../services/pending-approvals');
 const pilotDirectory = require('../services/pilot-directory');
+const rosterStore = require('../services/roster-store');
+const { formatDiffAsText } = require('../services/roster-diff');
 const { sendEmail } = require('../services/outbound-email-service');
 const { createLogger } = require('../services/logger');
 const { requireAdmin } = require('../middleware/require-admin');
+const { createWebhookRoutes } = require('./webhook-routes');
 
 const logger = createLogger({ component: 'admin-routes' });
 
@@ -86,41 +89,10 @@ router.post('/approvals/:staffNo/approve', requireAdmin, async (req, res) => {
       return res.redirect('/admin/approvals');
     }
 
-    // Now set the credentials using the returned passwordHash
-    // We need to do this manually since we already have the hash
+    // Now set the credentials using the returned (already hashed) password
     const { email, firstName, lastName, passwordHash } = result;
 
-    // Get internal access to set credentials with existing hash
-    // We'll need to modify auth-service to support this, or do it here
-    // For now, let's manually set it
-    const authServiceModule = require('../services/auth-service');
-    const fs = require('fs');
-    const path = require('path');
-    
-    // Read credentials file
-    const credPath = process.env.ROSTER_CREDENTIALS_PATH || path.join(process.cwd(), 'data', 'credentials.json');
-    let credentials = {};
-    if (fs.existsSync(credPath)) {
-      credentials = JSON.parse(fs.readFileSync(credPath, 'utf8'));
-    }
-    
-    // Add new credentials
-    const now = new Date().toISOString();
-    credentials[staffNo] = {
-      passwordHash,
-      createdAt: now,
-      updatedAt: now,
-      isAdmin: false
-    };
-    
-    // Save credentials
-    const dir = path.dirname(credPath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    const tmpPath = `${credPath}.tmp`;
-    fs.writeFileSync(tmpPath, JSON.stringify(credentials, null, 2), 'utf8');
-    fs.renameSync(tmpPath, credPath);
+    authService.setPasswordHashForStaffNo(staffNo, passwordHash);
 
     // Set email in pilot directory
     pilotDirectory.setEmailForStaffNo(staffNo, email);
@@ -184,4 +156,76 @@ router.post('/approvals/:staffNo/reject', requireAdmin, (req, res) => {
   }
 });
 
+function listStoredRosters() {
+  return rosterStore.listRosterIds().map(rosterId => {
+    const bucket = rosterStore.getRosterBucket(rosterId) || {};
+    return {
+      rosterId,
+      name: bucket.employee && bucket.employee.name ? bucket.employee.name : null,
+      rostersCount: Array.isArray(bucket.rosters) ? bucket.rosters.length : 0,
+      revisionsCount: Array.isArray(bucket.revisions) ? bucket.revisions.length : 0
+    };
+  });
+}
+
+/**
+ * GET /admin/rosters - Stored rosters and re-parse action (admin only)
+ */
+router.get('/rosters', requireAdmin, (req, res) => {
+  res.render('admin/rosters', {
+    title: 'Stored Rosters',
+    storedRosters: listStoredRosters(),
+    report: null,
+    formatDiffAsText
+  });
+});
+
+/**
+ * POST /admin/rosters/reparse - Re-parse all stored roster text with the current parser (admin only)
+ * Body/query dryRun=true reports the differences without replacing stored rosters.
+ */
+router.post('/rosters/reparse', requireAdmin, (req, res) => {
+  const dryRunValue = (req.body && req.body.dryRun) || req.query.dryRun;
+  const dryRun = ['1', 'true', 'on', 'yes'].includes(String(dryRunValue || '').trim().toLowerCase());
+
+  try {
+    const report = rosterStore.reparseAllRosters({ dryRun });
+    logger.info('[admin-reparse] Rosters re-parsed', {
+      staffNo: req.session.staffNo,
+      dryRun,
+      pilots: report.pilots.length,
+      changedPilots: report.changedPilots,
+      failedPilots: report.failedPilots
+    });
+
+    if (!req.accepts('html')) {
+      return res.json({ success: true, ...report });
+    }
+
+    res.render('admin/rosters', {
+      title: 'Stored Rosters',
+      storedRosters: listStoredRosters(),
+      report,
+      formatDiffAsText
+    });
+  } catch (err) {
+    logger.error('[admin-reparse] Error', { error: err.message });
+    if (!req.accepts('html')) {
+      return res.status(500).json({ error: 'Failed to re-parse rosters' });
+    }
+    req.flash('error', 'Failed to re-parse rosters');
+    res.redirect('/admin/rosters');
+  }
+});
+
+/**
+ * /admin/webhooks - Global webhooks, delivered every pilot's events and ingest failures (admin only)
+ */
+router.use('/webhooks', requireAdmin, createWebhookRoutes({
+  basePath: '/admin/webhooks',
+  getOwner: () => null,
+  title: 'Global Webhooks',
+  backUrl: '/admin/approvals'
+}));
+
 module.exports = router;
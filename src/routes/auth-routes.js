@@ -10,6 +10,7 @@ const router = express.Router();
 const authService = require('../services/auth-service');
 const pendingApprovals = require('../services/pending-approvals');
 const passwordReset = require('../services/password-reset');
+const appPasswords = require('../services/app-passwords');
 const pilotDirectory = require('../services/pilot-directory');
 const { sendEmail } = require('../services/outbound-email-service');
 const { createLogger } = require('../services/logger');
@@ -157,6 +158,12 @@ router.post('/login', [
     // Verify credentials
     const valid = await authService.verifyCredentials(staffNo, password);
     if (!valid) {
+      // App passwords only unlock calendar subscriptions, never the web login.
+      if (await appPasswords.isAppPassword(staffNo, password)) {
+        logger.warn('[login] App password used for web login', { staffNo });
+        req.flash('error', 'App passwords only work for calendar subscriptions. Log in with your account password.');
+        return res.redirect('/login');
+      }
       req.flash('error', 'Invalid staff number or password');
       return res.redirect('/login');
     }
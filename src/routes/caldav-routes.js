@@ -0,0 +1,314 @@
+/**
+ * CalDAV routes (read-only)
+ * Mounted at /caldav. Layout:
+ *   /caldav/                                  - service root (current-user-principal)
+ *   /caldav/principals/:staffNo/              - the pilot's principal
+ *   /caldav/calendars/:staffNo/               - calendar home
+ *   /caldav/calendars/:staffNo/:collection/   - private, semipublic or public calendar
+ *   /caldav/calendars/:staffNo/:collection/<uid>.ics - one event
+ * Requires HTTP Basic Authentication (account or app password); pilots only see their own calendars.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateCalDAV } = require('../middleware/caldav-auth');
+const pilotDirectory = require('../services/pilot-directory');
+const caldav = require('../services/caldav-service');
+const { createLogger } = require('../services/logger');
+
+const logger = createLogger({ component: 'caldav-routes' });
+
+const { DAV_NS, CALDAV_NS, CALSERVER_NS, COLLECTIONS, propKey, xmlEscape } = caldav;
+const ALLOWED_METHODS = 'OPTIONS, GET, HEAD, PROPFIND, REPORT';
+
+// XML bodies of any content type (some clients send PROPFIND without one)
+router.use(express.text({ type: () => true, limit: '256kb' }));
+
+router.use((req, res, next) => {
+  res.setHeader('DAV', '1, 3, calendar-access');
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Allow', ALLOWED_METHODS);
+    return res.status(200).end();
+  }
+  next();
+});
+
+router.use(authenticateCalDAV);
+
+router.param('staffNo', (req, res, next, staffNo) => {
+  if (staffNo !== req.authenticatedStaffNo) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  next();
+});
+
+router.param('collection', (req, res, next, collection) => {
+  if (!Object.prototype.hasOwnProperty.call(COLLECTIONS, collection)) {
+    return res.status(404).json({ error: 'Calendar not found' });
+  }
+  next();
+});
+
+function paths(req, staffNo) {
+  const base = req.baseUrl;
+  return {
+    root: `${base}/`,
+    principal: `${base}/principals/${encodeURIComponent(staffNo)}/`,
+    home: `${base}/calendars/${encodeURIComponent(staffNo)}/`,
+    collection: name => `${base}/calendars/${encodeURIComponent(staffNo)}/${name}/`
+  };
+}
+
+function href(url) {
+  return `<d:href>${xmlEscape(url)}</d:href>`;
+}
+
+function props(entries) {
+  const available = {};
+  for (const [ns, name, value] of entries) available[propKey(ns, name)] = value;
+  return available;
+}
+
+function principalProps(req, staffNo) {
+  const urls = paths(req, staffNo);
+  return [
+    [DAV_NS, 'current-user-principal', href(urls.principal)],
+    [DAV_NS, 'owner', href(urls.principal)]
+  ];
+}
+
+function collectionProps(req, staffNo, name, collection) {
+  const { displayName, description } = COLLECTIONS[name];
+  return props([
+    ...principalProps(req, staffNo),
+    [DAV_NS, 'resourcetype', '<d:collection/><cal:calendar/>'],
+    [DAV_NS, 'displayname', xmlEscape(displayName)],
+    [CALDAV_NS, 'calendar-description', xmlEscape(description)],
+    [CALDAV_NS, 'supported-calendar-component-set', '<cal:comp name="VEVENT"/>'],
+    [DAV_NS, 'supported-report-set', ['cal:calendar-query', 'cal:calendar-multiget', 'd:sync-collection']
+      .map(report => `<d:supported-report><d:report><${report}/></d:report></d:supported-report>`).join('')],
+    [DAV_NS, 'current-user-privilege-set', '<d:privilege><d:read/></d:privilege>'],
+    [DAV_NS, 'sync-token', xmlEscape(collection.syncToken)],
+    [CALSERVER_NS, 'getctag', xmlEscape(collection.syncToken)]
+  ]);
+}
+
+function resourceProps(resource) {
+  return props([
+    [DAV_NS, 'resourcetype', ''],
+    [DAV_NS, 'getetag', xmlEscape(resource.etag)],
+    [DAV_NS, 'getcontenttype', 'text/calendar; charset=utf-8; component=VEVENT'],
+    [DAV_NS, 'getcontentlength', String(Buffer.byteLength(resource.body))],
+    [CALDAV_NS, 'calendar-data', xmlEscape(resource.body)]
+  ]);
+}
+
+function resourceResponse(req, resource, request) {
+  const { staffNo, collection } = req.params;
+  return {
+    href: `${paths(req, staffNo).collection(collection)}${resource.name}`,
+    ...caldav.selectProps(resourceProps(resource), request)
+  };
+}
+
+function sendMultistatus(res, responses, options) {
+  res.status(207);
+  res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+  res.send(caldav.renderMultistatus(responses, options));
+}
+
+// Depth 0 or 1; "infinity" is answered as 1
+function wantsChildren(req) {
+  return String(req.get('Depth') || '0').trim() !== '0';
+}
+
+function handleError(res, error, message) {
+  logger.error(message, { error: error.message });
+  res.status(500).json({ error: message });
+}
+
+/**
+ * PROPFIND /caldav/ - where to find the current user's principal
+ */
+router.propfind('/', (req, res) => {
+  const request = caldav.parseDavRequest(req.body);
+  const available = props([
+    ...principalProps(req, req.authenticatedStaffNo),
+    [DAV_NS, 'resourcetype', '<d:collection/>'],
+    [DAV_NS, 'displayname', 'Roster Calendar']
+  ]);
+  sendMultistatus(res, [{ href: paths(req, req.authenticatedStaffNo).root, ...caldav.selectProps(available, request) }]);
+});
+
+/**
+ * PROPFIND /caldav/principals/:staffNo/ - principal with its calendar home
+ */
+router.propfind('/principals/:staffNo/', (req, res) => {
+  const { staffNo } = req.params;
+  const request = caldav.parseDavRequest(req.body);
+  const urls = paths(req, staffNo);
+  const names = pilotDirectory.getNamesForStaffNo(staffNo, process.env);
+  const displayName = names && names.firstName && names.lastName ? `${names.firstName} ${names.lastName}` : staffNo;
+
+  const available = props([
+    ...principalProps(req, staffNo),
+    [DAV_NS, 'resourcetype', '<d:principal/>'],
+    [DAV_NS, 'displayname', xmlEscape(displayName)],
+    [DAV_NS, 'principal-URL', href(urls.principal)],
+    [CALDAV_NS, 'calendar-home-set', href(urls.home)]
+  ]);
+  sendMultistatus(res, [{ href: urls.principal, ...caldav.selectProps(available, request) }]);
+});
+
+/**
+ * PROPFIND /caldav/calendars/:staffNo/ - calendar home; Depth 1 lists the calendars
+ */
+router.propfind('/calendars/:staffNo/', async (req, res) => {
+  try {
+    const { staffNo } = req.params;
+    const request = caldav.parseDavRequest(req.body);
+    const urls = paths(req, staffNo);
+
+    const home = props([
+      ...principalProps(req, staffNo),
+      [DAV_NS, 'resourcetype', '<d:collection/>'],
+      [DAV_NS, 'displayname', 'Calendars']
+    ]);
+    const responses = [{ href: urls.home, ...caldav.selectProps(home, request) }];
+
+    if (wantsChildren(req)) {
+      for (const name of Object.keys(COLLECTIONS)) {
+        const collection = await caldav.getCollection(staffNo, name, process.env);
+        responses.push({ href: urls.collection(name), ...caldav.selectProps(collectionProps(req, staffNo, name, collection), request) });
+      }
+    }
+    sendMultistatus(res, responses);
+  } catch (error) {
+    handleError(res, error, 'Failed to list calendars');
+  }
+});
+
+/**
+ * PROPFIND /caldav/calendars/:staffNo/:collection/ - calendar properties; Depth 1 lists its events
+ */
+router.propfind('/calendars/:staffNo/:collection/', async (req, res) => {
+  try {
+    const { staffNo, collection: name } = req.params;
+    const request = caldav.parseDavRequest(req.body);
+    const collection = await caldav.getCollection(staffNo, name, process.env);
+
+    const responses = [{
+      href: paths(req, staffNo).collection(name),
+      ...caldav.selectProps(collectionProps(req, staffNo, name, collection), request)
+    }];
+    if (wantsChildren(req)) {
+      for (const resource of collection.resources) responses.push(resourceResponse(req, resource, request));
+    }
+    sendMultistatus(res, responses);
+  } catch (error) {
+    handleError(res, error, 'Failed to read calendar');
+  }
+});
+
+/**
+ * PROPFIND /caldav/calendars/:staffNo/:collection/:resource - one event
+ */
+router.propfind('/calendars/:staffNo/:collection/:resource', async (req, res) => {
+  try {
+    const { staffNo, collection: name, resource: resourceName } = req.params;
+    const collection = await caldav.getCollection(staffNo, name, process.env);
+    const resource = collection.resources.find(r => decodeURIComponent(r.name) === resourceName);
+    if (!resource) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    sendMultistatus(res, [resourceResponse(req, resource, caldav.parseDavRequest(req.body))]);
+  } catch (error) {
+    handleError(res, error, 'Failed to read event');
+  }
+});
+
+/**
+ * REPORT /caldav/calendars/:staffNo/:collection/
+ * calendar-query (VEVENT time-range), calendar-multiget (hrefs) and sync-collection (sync token)
+ */
+router.report('/calendars/:staffNo/:collection/', async (req, res) => {
+  try {
+    const { staffNo, collection: name } = req.params;
+    const request = caldav.parseDavRequest(req.body);
+    const collection = await caldav.getCollection(staffNo, name, process.env);
+    const collectionUrl = paths(req, staffNo).collection(name);
+
+    if (request.type === 'calendar-query') {
+      const { start = null, end = null } = request.timeRange || {};
+      const matching = collection.resources.filter(r => (start === null || r.end > start) && (end === null || r.start < end));
+      return sendMultistatus(res, matching.map(r => resourceResponse(req, r, request)));
+    }
+
+    if (request.type === 'calendar-multiget') {
+      const byName = new Map(collection.resources.map(r => [decodeURIComponent(r.name), r]));
+      const responses = request.hrefs.map((url) => {
+        // hrefs may be absolute URLs or paths
+        const pathname = new URL(url, 'http://localhost').pathname;
+        const resource = pathname.startsWith(collectionUrl)
+          ? byName.get(decodeURIComponent(pathname.slice(collectionUrl.length)))
+          : null;
+        return resource ? resourceResponse(req, resource, request) : { href: url, status: 404 };
+      });
+      return sendMultistatus(res, responses);
+    }
+
+    if (request.type === 'sync-collection') {
+      let changes;
+      try {
+        changes = caldav.getSyncChanges(collection, request.syncToken, { env: process.env });
+      } catch (err) {
+        if (err.code !== 'CALDAV_INVALID_SYNC_TOKEN') throw err;
+        res.status(403);
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        return res.send(caldav.davError('valid-sync-token'));
+      }
+      const responses = [
+        ...changes.changed.map(r => resourceResponse(req, r, request)),
+        ...changes.removed.map(uid => ({ href: `${collectionUrl}${encodeURIComponent(uid)}.ics`, status: 404 }))
+      ];
+      return sendMultistatus(res, responses, { syncToken: collection.syncToken });
+    }
+
+    res.status(403);
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.send(caldav.davError('supported-report'));
+  } catch (error) {
+    handleError(res, error, 'Failed to run report');
+  }
+});
+
+/**
+ * GET /caldav/calendars/:staffNo/:collection/:resource - one event as iCalendar
+ */
+router.get('/calendars/:staffNo/:collection/:resource', async (req, res) => {
+  try {
+    const { staffNo, collection: name, resource: resourceName } = req.params;
+    const collection = await caldav.getCollection(staffNo, name, process.env);
+    const resource = collection.resources.find(r => decodeURIComponent(r.name) === resourceName);
+    if (!resource) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    res.setHeader('ETag', resource.etag);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(resource.body);
+  } catch (error) {
+    handleError(res, error, 'Failed to read event');
+  }
+});
+
+// The calendars are generated from rosters: nothing can be written
+router.all(/.*/, (req, res) => {
+  res.setHeader('Allow', ALLOWED_METHODS);
+  res.status(405).json({ error: 'CalDAV calendars are read-only' });
+});
+
+module.exports = router;
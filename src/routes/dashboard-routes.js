@@ -1,22 +1,220 @@
 /**
  * Dashboard route
- * Shows authenticated user's main dashboard
+ * Shows authenticated user's main dashboard and manages calendar share links, alarm rules, event templates
+ * and webhooks
  */
 
 const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../middleware/require-auth');
+const shareTokens = require('../services/share-tokens');
+const alarmRules = require('../services/alarm-rules');
+const eventTemplates = require('../services/event-templates');
+const rosterStore = require('../services/roster-store');
+const { analyseRest } = require('../services/rest-analyser');
+const { createWebhookRoutes } = require('./webhook-routes');
+const ICSCalendarService = require('../services/ics-calendar-service');
+const { DateTime } = require('luxon');
+const { createLogger } = require('../services/logger');
+
+const logger = createLogger({ component: 'dashboard-routes' });
+
+/**
+ * Upcoming rest below the minimum in the pilot's rosters, with local times at the rest port
+ */
+function getRestWarnings(staffNo, now = Date.now()) {
+  const bucket = rosterStore.getRosterBucket(staffNo);
+  if (!bucket) return [];
+
+  const icsService = new ICSCalendarService();
+  return analyseRest(bucket.rosters)
+    .filter(rest => rest.short && rest.end >= now)
+    .map(rest => {
+      const timezone = icsService.timezoneService.getTimezone(rest.port);
+      const local = ms => DateTime.fromMillis(ms, { zone: timezone || 'utc' }).toFormat('ccc d LLL HH:mm');
+      return {
+        port: rest.port,
+        duration: icsService.formatMinutesAsHMM(rest.minutes),
+        minimum: icsService.formatMinutesAsHMM(rest.minimumMinutes),
+        release: local(rest.start),
+        report: local(rest.end),
+        before: rest.before.map(e => e.title).join(', ')
+      };
+    });
+}
 
 /**
  * GET /dashboard - Show user dashboard
  */
 router.get('/dashboard', requireAuth, (req, res) => {
   const baseUrl = `${req.protocol}://${req.get('host')}`;
-  
-  res.render('dashboard', { 
+
+  res.render('dashboard', {
     title: 'Dashboard',
-    baseUrl
+    baseUrl,
+    shareLinks: shareTokens.listShareTokens(req.session.staffNo),
+    shareScopes: shareTokens.SHARE_SCOPES,
+    staffNoRoutesEnabled: shareTokens.getShareTokenConfig(process.env).staffNoRoutesEnabled,
+    hasRoster: rosterStore.hasRoster(req.session.staffNo),
+    restWarnings: getRestWarnings(req.session.staffNo)
   });
 });
 
+/**
+ * Flash a share-link error; unexpected errors are logged and reported generically
+ */
+function flashShareError(req, err, action) {
+  if (err.code && err.code.startsWith('SHARE_TOKEN_')) {
+    req.flash('error', err.message);
+    return;
+  }
+  logger.error(`[share-links] ${action} failed`, { error: err.message, staffNo: req.session.staffNo });
+  req.flash('error', `Failed to ${action} share link`);
+}
+
+/**
+ * POST /dashboard/share-links - Create a share link
+ * Body: scope (public|semipublic), label, expiresAt (optional date)
+ */
+router.post('/dashboard/share-links', requireAuth, (req, res) => {
+  const { scope, label, expiresAt } = req.body || {};
+
+  try {
+    const link = shareTokens.createShareToken(req.session.staffNo, { scope, label, expiresAt });
+    logger.info('[share-links] Created', { staffNo: req.session.staffNo, scope: link.scope });
+    req.flash('success', `Share link "${link.label}" created`);
+  } catch (err) {
+    flashShareError(req, err, 'create');
+  }
+  res.redirect('/dashboard');
+});
+
+/**
+ * POST /dashboard/share-links/:token/rotate - Replace a link's token; the old URL stops working
+ */
+router.post('/dashboard/share-links/:token/rotate', requireAuth, (req, res) => {
+  try {
+    const link = shareTokens.rotateShareToken(req.session.staffNo, req.params.token);
+    logger.info('[share-links] Rotated', { staffNo: req.session.staffNo, scope: link.scope });
+    req.flash('success', `Share link "${link.label}" rotated; update it wherever it was shared`);
+  } catch (err) {
+    flashShareError(req, err, 'rotate');
+  }
+  res.redirect('/dashboard');
+});
+
+/**
+ * POST /dashboard/share-links/:token/revoke - Revoke a share link
+ */
+router.post('/dashboard/share-links/:token/revoke', requireAuth, (req, res) => {
+  try {
+    shareTokens.revokeShareToken(req.session.staffNo, req.params.token);
+    logger.info('[share-links] Revoked', { staffNo: req.session.staffNo });
+    req.flash('success', 'Share link revoked');
+  } catch (err) {
+    flashShareError(req, err, 'revoke');
+  }
+  res.redirect('/dashboard');
+});
+
+/**
+ * GET /dashboard/alarms - Manage calendar reminders per duty type
+ */
+router.get('/dashboard/alarms', requireAuth, (req, res) => {
+  res.render('alarms', {
+    title: 'Calendar Reminders',
+    alarmRules: alarmRules.listAlarmRules(req.session.staffNo),
+    dutyTypes: alarmRules.getAlarmDutyTypes(),
+    maxRulesPerDutyType: alarmRules.MAX_RULES_PER_DUTY_TYPE
+  });
+});
+
+/**
+ * POST /dashboard/alarms - Add a reminder
+ * Body: dutyType, kind (before|evening), minutesBefore (kind=before), eveningTime (kind=evening, HH:MM)
+ */
+router.post('/dashboard/alarms', requireAuth, (req, res) => {
+  const { dutyType, kind, minutesBefore, eveningTime } = req.body || {};
+  const trigger = kind === 'evening' ? { eveningBefore: eveningTime } : { minutesBefore };
+
+  try {
+    const rule = alarmRules.addAlarmRule(req.session.staffNo, { dutyType, ...trigger });
+    logger.info('[alarms] Added', { staffNo: req.session.staffNo, dutyType: rule.dutyType });
+    req.flash('success', `Reminder added: ${rule.dutyType} - ${rule.summary}`);
+  } catch (err) {
+    if (err.code && err.code.startsWith('ALARM_RULE_')) {
+      req.flash('error', err.message);
+    } else {
+      logger.error('[alarms] Add failed', { error: err.message, staffNo: req.session.staffNo });
+      req.flash('error', 'Failed to add reminder');
+    }
+  }
+  res.redirect('/dashboard/alarms');
+});
+
+/**
+ * POST /dashboard/alarms/:id/delete - Remove a reminder
+ */
+router.post('/dashboard/alarms/:id/delete', requireAuth, (req, res) => {
+  try {
+    const rule = alarmRules.removeAlarmRule(req.session.staffNo, req.params.id);
+    logger.info('[alarms] Removed', { staffNo: req.session.staffNo, dutyType: rule.dutyType });
+    req.flash('success', 'Reminder removed');
+  } catch (err) {
+    if (err.code === 'ALARM_RULE_NOT_FOUND') {
+      req.flash('error', err.message);
+    } else {
+      logger.error('[alarms] Remove failed', { error: err.message, staffNo: req.session.staffNo });
+      req.flash('error', 'Failed to remove reminder');
+    }
+  }
+  res.redirect('/dashboard/alarms');
+});
+
+/**
+ * GET /dashboard/templates - Edit event title and description templates per event type
+ */
+router.get('/dashboard/templates', requireAuth, (req, res) => {
+  res.render('templates', {
+    title: 'Event Templates',
+    templates: eventTemplates.getEventTemplates(req.session.staffNo),
+    templateTypes: eventTemplates.TEMPLATE_TYPES,
+    templateFields: eventTemplates.TEMPLATE_FIELDS,
+    publicFields: eventTemplates.PUBLIC_FIELDS
+  });
+});
+
+/**
+ * POST /dashboard/templates - Save the templates of one event type (both empty: built-in text)
+ * Body: type, title, description
+ */
+router.post('/dashboard/templates', requireAuth, (req, res) => {
+  const { type, title, description } = req.body || {};
+
+  try {
+    const saved = eventTemplates.setEventTemplate(req.session.staffNo, type, { title, description });
+    logger.info('[templates] Saved', { staffNo: req.session.staffNo, type });
+    const label = eventTemplates.TEMPLATE_TYPES[type];
+    req.flash('success', Object.keys(saved).length > 0 ? `${label} template saved` : `${label} use the built-in text again`);
+  } catch (err) {
+    if (err.code && err.code.startsWith('EVENT_TEMPLATE_')) {
+      req.flash('error', err.message);
+    } else {
+      logger.error('[templates] Save failed', { error: err.message, staffNo: req.session.staffNo });
+      req.flash('error', 'Failed to save template');
+    }
+  }
+  res.redirect('/dashboard/templates');
+});
+
+/**
+ * /dashboard/webhooks - The pilot's own webhooks (see webhook-routes)
+ */
+router.use('/dashboard/webhooks', requireAuth, createWebhookRoutes({
+  basePath: '/dashboard/webhooks',
+  getOwner: req => req.session.staffNo,
+  title: 'Webhooks',
+  backUrl: '/dashboard'
+}));
+
 module.exports = router;
@@ -6,10 +6,19 @@ const express = require('express');
 const multer = require('multer');
 const ICSCalendarService = require('../services/ics-calendar-service');
 const rosterStore = require('../services/roster-store');
+const { parseRosterText } = require('../parsers/roster-parser-registry');
+const { summarizeDiagnostics } = require('../services/roster-diagnostics');
+const { formatDiffAsText } = require('../services/roster-diff');
 const { pollInboxOnce } = require('../services/inbox-roster-poller');
 const pilotDirectory = require('../services/pilot-directory');
-const { authenticateCalDAV } = require('../middleware/caldav-auth');
+const { authenticateCalDAV, authenticateAccount } = require('../middleware/caldav-auth');
 const authService = require('../services/auth-service');
+const shareTokens = require('../services/share-tokens');
+const alarmRules = require('../services/alarm-rules');
+const eventTemplates = require('../services/event-templates');
+const { parseFeedFilters } = require('../services/feed-filters');
+const feedCache = require('../services/feed-cache');
+const calendarJson = require('../services/calendar-json');
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
@@ -202,7 +211,7 @@ router.post('/upload', upload.single('roster'), async (req, res) => {
     }
 
     const rosterText = req.file.buffer.toString('utf-8');
-    const { rosterId, roster } = rosterStore.ingestRosterText(rosterText);
+    const { rosterId, roster } = rosterStore.ingestRosterText(rosterText, { source: 'upload' });
 
     res.json({
       success: true,
@@ -227,7 +236,7 @@ router.post('/text', express.text({ type: 'text/plain', limit: '1mb' }), async (
       return res.status(400).json({ error: 'No roster text provided' });
     }
 
-    const { rosterId, roster } = rosterStore.ingestRosterText(req.body);
+    const { rosterId, roster } = rosterStore.ingestRosterText(req.body, { source: 'upload' });
 
     res.json({
       success: true,
@@ -242,6 +251,202 @@ router.post('/text', express.text({ type: 'text/plain', limit: '1mb' }), async (
   }
 });
 
+/**
+ * Validate a roster without storing it
+ * POST /api/roster/validate
+ * Accepts a text/plain body or a multipart "roster" file; returns the parse diagnostics.
+ * Requires the account password (HTTP Basic Authentication) or a session, checked before the upload is read
+ */
+router.post('/validate', authenticateAccount, upload.single('roster'), express.text({ type: 'text/plain', limit: '1mb' }), async (req, res) => {
+  try {
+    const rosterText = req.file ? req.file.buffer.toString('utf-8') : (typeof req.body === 'string' ? req.body : '');
+    if (!rosterText.trim()) {
+      return res.status(400).json({ error: 'No roster text provided' });
+    }
+
+    const roster = parseRosterText(rosterText);
+
+    res.json({
+      success: true,
+      format: roster.format,
+      employee: roster.employee,
+      bidPeriod: roster.summary && roster.summary.bidPeriod ? roster.summary.bidPeriod : null,
+      entriesCount: roster.entries.length,
+      flightsCount: roster.flights.length,
+      dutyPatternsCount: roster.dutyPatterns.length,
+      diagnosticsSummary: summarizeDiagnostics(roster),
+      diagnostics: roster.diagnostics
+    });
+  } catch (error) {
+    console.error('Error validating roster:', error);
+    res.status(500).json({ error: 'Failed to validate roster' });
+  }
+});
+
+function sendRevisionError(res, error, fallbackMessage) {
+  if (error && error.code === 'REVISION_NOT_FOUND') {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * List stored revisions of the authenticated user's rosters
+ * GET /api/roster/revisions?bidPeriod=3695
+ * Requires the account password (HTTP Basic Authentication) or a session; app passwords are rejected
+ */
+router.get('/revisions', authenticateAccount, (req, res) => {
+  try {
+    const revisions = rosterStore.listRevisions(req.authenticatedStaffNo, { bidPeriod: req.query.bidPeriod });
+    res.json({ rosterId: req.authenticatedStaffNo, revisions });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to list revisions');
+  }
+});
+
+/**
+ * Fetch one revision (re-parsed with the current parser)
+ * GET /api/roster/revisions/:revisionId
+ * GET /api/roster/revisions/:revisionId?format=text returns the raw roster text
+ */
+router.get('/revisions/:revisionId', authenticateAccount, (req, res) => {
+  try {
+    const { text, roster, ...revision } = rosterStore.getRevision(req.authenticatedStaffNo, req.params.revisionId);
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(text);
+    }
+    res.json({ revision, roster });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to fetch revision');
+  }
+});
+
+/**
+ * Diff two revisions
+ * GET /api/roster/revisions/:revisionId/diff/:otherRevisionId
+ * Changes are reported from :revisionId to :otherRevisionId.
+ */
+router.get('/revisions/:revisionId/diff/:otherRevisionId', authenticateAccount, (req, res) => {
+  try {
+    const result = rosterStore.diffRevisions(req.authenticatedStaffNo, req.params.revisionId, req.params.otherRevisionId);
+    res.json({ ...result, text: formatDiffAsText(result.diff) });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to diff revisions');
+  }
+});
+
+/**
+ * Serve an older revision of a bid period in the calendar feed
+ * POST /api/roster/revisions/:revisionId/rollback
+ */
+router.post('/revisions/:revisionId/rollback', authenticateAccount, (req, res) => {
+  try {
+    const { revision } = rosterStore.rollbackToRevision(req.authenticatedStaffNo, req.params.revisionId);
+    res.json({ success: true, revision });
+  } catch (error) {
+    sendRevisionError(res, error, 'Failed to roll back revision');
+  }
+});
+
+/**
+ * Feed options from the subscription URL query:
+ * ?tz= utc (default) or local (times in each port's timezone with TZID/VTIMEZONE),
+ * ?ports= code (default) or city (city names instead of port codes in titles and descriptions), plus
+ * the feed filters ?events=, ?dutyTypes=, ?past=, ?next= (see services/feed-filters).
+ * Sends a 400 and returns null when a parameter is invalid.
+ */
+function getFeedOptions(req, res) {
+  const timezoneMode = String(req.query.tz || 'utc').trim().toLowerCase();
+  if (!ICSCalendarService.TIMEZONE_MODES.includes(timezoneMode)) {
+    res.status(400).json({ error: `tz must be one of: ${ICSCalendarService.TIMEZONE_MODES.join(', ')}` });
+    return null;
+  }
+
+  const portNames = String(req.query.ports || 'code').trim().toLowerCase();
+  if (!ICSCalendarService.PORT_NAME_MODES.includes(portNames)) {
+    res.status(400).json({ error: `ports must be one of: ${ICSCalendarService.PORT_NAME_MODES.join(', ')}` });
+    return null;
+  }
+
+  try {
+    return { timezoneMode, portNames, ...parseFeedFilters(req.query) };
+  } catch (err) {
+    if (err.code !== 'FEED_FILTER_INVALID') throw err;
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Content types of the feed formats: ICS, the simple JSON event list and RFC 7265 jCal
+ */
+const FEED_CONTENT_TYPES = {
+  ics: 'text/calendar; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  jcal: 'application/calendar+json; charset=utf-8'
+};
+
+/**
+ * ?format= of the calendar.json endpoints: json (default) or jcal.
+ * Sends a 400 and returns null when it is invalid.
+ */
+function getJsonFormat(req, res) {
+  const format = String(req.query.format || 'json').trim().toLowerCase();
+  if (!calendarJson.JSON_FORMATS.includes(format)) {
+    res.status(400).json({ error: `format must be one of: ${calendarJson.JSON_FORMATS.join(', ')}` });
+    return null;
+  }
+  return format;
+}
+
+/**
+ * Cache feed type of a scope in a format; ICS feeds keep the bare scope
+ */
+function getFeedType(scope, format) {
+  return format === 'ics' ? scope : `${scope}.${format}`;
+}
+
+/**
+ * Send the authenticated pilot's private calendar (full details, pay and reminders)
+ * @param {string} format - 'ics', 'json' or 'jcal'
+ */
+async function sendPrivateCalendar(req, res, format) {
+  const feedOptions = getFeedOptions(req, res);
+  if (!feedOptions) return;
+
+  // Use authenticated staff number to determine which roster to serve
+  const rosterId = req.authenticatedStaffNo;
+  const rosterBucket = rosterStore.getRosterBucket(rosterId);
+
+  if (!rosterBucket) {
+    return res.status(404).json({ error: 'Roster not found' });
+  }
+
+  const icsService = new ICSCalendarService();
+
+  // Look up pay rate for this pilot to include duty values
+  const options = { ...feedOptions };
+  if (rosterBucket.employee && rosterBucket.employee.staffNo) {
+    const payRate = pilotDirectory.getPayRateForStaffNo(rosterBucket.employee.staffNo, process.env);
+    if (payRate !== null) {
+      options.payRate = payRate;
+    }
+  }
+  // Reminders configured on the dashboard alarms page
+  options.alarmRules = alarmRules.getAlarmRules(rosterId);
+  // Title and description templates configured on the dashboard templates page
+  options.eventTemplates = eventTemplates.getEventTemplates(rosterId);
+
+  const feed = await feedCache.getFeed(rosterId, getFeedType('private', format), options, () => {
+    const events = icsService.convertRostersToEvents(
+      rosterBucket.rosters, { ...options, eventHistory: rosterStore.getEventHistory(rosterId) });
+    return format === 'ics' ? icsService.renderICS(events, options) : calendarJson.renderCalendarJson(events, format, options);
+  });
+
+  sendCalendarFeed(req, res, feed, `roster-${rosterId}.${format === 'ics' ? 'ics' : 'json'}`, format);
+}
+
 /**
  * Get ICS calendar for authenticated user's roster
  * GET /api/roster/calendar.ics
@@ -249,44 +454,151 @@ router.post('/text', express.text({ type: 'text/plain', limit: '1mb' }), async (
  */
 router.get('/calendar.ics', authenticateCalDAV, async (req, res) => {
   try {
-    // Use authenticated staff number to determine which roster to serve
-    const rosterId = req.authenticatedStaffNo;
-    const rosterBucket = rosterStore.getRosterBucket(rosterId);
+    await sendPrivateCalendar(req, res, 'ics');
+  } catch (error) {
+    console.error('Error generating ICS:', error);
+    res.status(500).json({ error: 'Failed to generate calendar' });
+  }
+});
+
+/**
+ * Get the authenticated user's calendar as JSON: the same events as calendar.ics
+ * GET /api/roster/calendar.json?format=json|jcal
+ * Takes the same query parameters as calendar.ics
+ */
+router.get('/calendar.json', authenticateCalDAV, async (req, res) => {
+  try {
+    const format = getJsonFormat(req, res);
+    if (!format) return;
+    await sendPrivateCalendar(req, res, format);
+  } catch (error) {
+    console.error('Error generating JSON calendar:', error);
+    res.status(500).json({ error: 'Failed to generate calendar' });
+  }
+});
+
+/**
+ * Send a cached calendar feed with ETag/Last-Modified, or 304 when the client's copy
+ * (If-None-Match / If-Modified-Since) is still current
+ */
+function sendCalendarFeed(req, res, feed, filename, format = 'ics') {
+  res.setHeader('ETag', feed.etag);
+  res.setHeader('Last-Modified', feed.lastModified.toUTCString());
+  res.setHeader('Cache-Control', 'no-cache');
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.setHeader('Content-Type', FEED_CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(feed.body);
+}
+
+/**
+ * Generate a shared (no login) calendar for a roster bucket
+ * public: busy/free only (always UTC); semipublic: full duty details without pay
+ * @param {string} [format] - 'ics' (default), 'json' or 'jcal'
+ */
+async function sendSharedCalendar(req, res, rosterId, scope, filename, options = {}, format = 'ics') {
+  const rosterBucket = rosterStore.getRosterBucket(rosterId);
+  const feedOptions = { ...options, eventTemplates: eventTemplates.getEventTemplates(rosterId) };
+  const icsService = new ICSCalendarService();
+  const feed = await feedCache.getFeed(rosterId, getFeedType(scope, format), feedOptions, () => {
+    if (format === 'ics') {
+      return scope === 'semipublic'
+        ? icsService.generateSemiPublicICSForRosters(rosterBucket.rosters, {
+          ...feedOptions,
+          eventHistory: rosterStore.getEventHistory(rosterId)
+        })
+        : icsService.generatePublicICSForRosters(rosterBucket.rosters, feedOptions);
+    }
+
+    const events = scope === 'semipublic'
+      ? icsService.convertRostersToEvents(rosterBucket.rosters, {
+        ...feedOptions,
+        includePay: false,
+        eventHistory: rosterStore.getEventHistory(rosterId)
+      })
+      : icsService.convertRostersToPublicEvents(rosterBucket.rosters, feedOptions);
+    return calendarJson.renderCalendarJson(events, format, scope === 'semipublic' ? feedOptions : {});
+  });
+
+  sendCalendarFeed(req, res, feed, filename, format);
+}
+
+/**
+ * Get a shared calendar by share token
+ * GET /api/roster/share/:token/calendar.ics
+ * No authentication required - the random token (created on the dashboard) selects the roster and
+ * the scope (public or semipublic). Revoked, rotated or expired tokens return 404.
+ */
+router.get('/share/:token/calendar.ics', async (req, res) => {
+  try {
+    const feedOptions = getFeedOptions(req, res);
+    if (!feedOptions) return;
+
+    const share = shareTokens.resolveShareToken(req.params.token);
+    const rosterBucket = share ? rosterStore.getRosterBucket(share.staffNo) : null;
 
     if (!rosterBucket) {
-      return res.status(404).json({ error: 'Roster not found' });
+      return res.status(404).json({ error: 'Calendar not found' });
     }
 
-    const icsService = new ICSCalendarService();
-    
-    // Look up pay rate for this pilot to include duty values
-    const options = {};
-    if (rosterBucket.employee && rosterBucket.employee.staffNo) {
-      const payRate = pilotDirectory.getPayRateForStaffNo(rosterBucket.employee.staffNo, process.env);
-      if (payRate !== null) {
-        options.payRate = payRate;
-      }
+    await sendSharedCalendar(req, res, share.staffNo, share.scope, `roster-${share.scope}.ics`, feedOptions);
+  } catch (error) {
+    console.error('Error generating shared ICS:', error);
+    res.status(500).json({ error: 'Failed to generate shared calendar' });
+  }
+});
+
+/**
+ * Get a shared calendar as JSON by share token
+ * GET /api/roster/share/:token/calendar.json?format=json|jcal
+ * Same events and access rules as the share link's calendar.ics
+ */
+router.get('/share/:token/calendar.json', async (req, res) => {
+  try {
+    const feedOptions = getFeedOptions(req, res);
+    if (!feedOptions) return;
+    const format = getJsonFormat(req, res);
+    if (!format) return;
+
+    const share = shareTokens.resolveShareToken(req.params.token);
+    const rosterBucket = share ? rosterStore.getRosterBucket(share.staffNo) : null;
+
+    if (!rosterBucket) {
+      return res.status(404).json({ error: 'Calendar not found' });
     }
-    
-    const icsData = await icsService.generateICSForRosters(rosterBucket.rosters, options);
 
-    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="roster-${rosterId}.ics"`);
-    res.send(icsData);
+    await sendSharedCalendar(req, res, share.staffNo, share.scope, `roster-${share.scope}.json`, feedOptions, format);
   } catch (error) {
-    console.error('Error generating ICS:', error);
-    res.status(500).json({ error: 'Failed to generate calendar' });
+    console.error('Error generating shared JSON calendar:', error);
+    res.status(500).json({ error: 'Failed to generate shared calendar' });
   }
 });
 
+/**
+ * Legacy staff-number calendar links; anyone who knows a staff number can fetch them.
+ * Disable with ROSTER_STAFFNO_CALENDAR_ROUTES_ENABLED=false once pilots have moved to share tokens.
+ */
+function requireStaffNoRoutes(req, res, next) {
+  if (!shareTokens.getShareTokenConfig(process.env).staffNoRoutesEnabled) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+}
+
 /**
  * Get semi-public ICS calendar for a staff member's roster
  * GET /api/roster/:staffNo/semipublic/calendar.ics
  * No authentication required - shows full duty details but omits all pay information
  * Useful for sharing schedule with family/friends without exposing salary data
  */
-router.get('/:staffNo/semipublic/calendar.ics', async (req, res) => {
+router.get('/:staffNo/semipublic/calendar.ics', requireStaffNoRoutes, async (req, res) => {
   try {
+    const feedOptions = getFeedOptions(req, res);
+    if (!feedOptions) return;
+
     const { staffNo } = req.params;
     const rosterBucket = rosterStore.getRosterBucket(staffNo);
 
@@ -294,12 +606,7 @@ router.get('/:staffNo/semipublic/calendar.ics', async (req, res) => {
       return res.status(404).json({ error: 'Roster not found' });
     }
 
-    const icsService = new ICSCalendarService();
-    const icsData = await icsService.generateSemiPublicICSForRosters(rosterBucket.rosters);
-
-    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="roster-${staffNo}-semipublic.ics"`);
-    res.send(icsData);
+    await sendSharedCalendar(req, res, staffNo, 'semipublic', `roster-${staffNo}-semipublic.ics`, feedOptions);
   } catch (error) {
     console.error('Error generating semi-public ICS:', error);
     res.status(500).json({ error: 'Failed to generate semi-public calendar' });
@@ -311,14 +618,12 @@ router.get('/:staffNo/semipublic/calendar.ics', async (req, res) => {
  * GET /api/roster/:staffNo/public/calendar.ics
  * No authentication required - shows only busy/free status without sensitive details
  * Useful for family/friends who only need to know availability
- * 
- * TODO: SECURITY IMPROVEMENT - Replace staff number in URL with a tokenized link
- * Current implementation exposes staff numbers in the URL which is not ideal for privacy.
- * Future enhancement should use a pattern like /api/roster/public/:token/calendar.ics
- * where token is a randomly generated string mapped to the staff number.
  */
-router.get('/:staffNo/public/calendar.ics', async (req, res) => {
+router.get('/:staffNo/public/calendar.ics', requireStaffNoRoutes, async (req, res) => {
   try {
+    const feedOptions = getFeedOptions(req, res);
+    if (!feedOptions) return;
+
     const { staffNo } = req.params;
     const rosterBucket = rosterStore.getRosterBucket(staffNo);
 
@@ -326,19 +631,13 @@ router.get('/:staffNo/public/calendar.ics', async (req, res) => {
       return res.status(404).json({ error: 'Roster not found' });
     }
 
-    const icsService = new ICSCalendarService();
-    const icsData = await icsService.generatePublicICSForRosters(rosterBucket.rosters);
-
-    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="roster-${staffNo}-public.ics"`);
-    res.send(icsData);
+    await sendSharedCalendar(req, res, staffNo, 'public', `roster-${staffNo}-public.ics`, feedOptions);
   } catch (error) {
     console.error('Error generating public ICS:', error);
     res.status(500).json({ error: 'Failed to generate public calendar' });
   }
 });
 
-
 /**
  * Get roster information
  * GET /api/roster/:rosterId
@@ -0,0 +1,122 @@
+/**
+ * Webhook management routes
+ * Shared by the pilot dashboard (/dashboard/webhooks, the pilot's own webhooks) and the admin panel
+ * (/admin/webhooks, global webhooks): list with delivery log, add, remove and "Send test".
+ */
+
+const express = require('express');
+const webhooks = require('../services/webhook-service');
+const { createLogger } = require('../services/logger');
+
+const logger = createLogger({ component: 'webhook-routes' });
+
+/**
+ * Create the webhook routes for one kind of owner
+ * @param {Object} options
+ * @param {string} options.basePath - Mount path, e.g. '/dashboard/webhooks'
+ * @param {function(Object): (string|null)} options.getOwner - Owner from the request (staffNo, or null for global)
+ * @param {string} options.title - Page title
+ * @param {string} options.backUrl - "Back" link
+ * @returns {express.Router}
+ */
+function createWebhookRoutes({ basePath, getOwner, title, backUrl }) {
+  const router = express.Router();
+
+  /**
+   * GET / - Webhooks with their recent deliveries; a newly added webhook's secret is shown once
+   */
+  router.get('/', (req, res) => {
+    const owner = getOwner(req);
+    const newWebhook = req.session.newWebhook || null;
+    delete req.session.newWebhook;
+
+    res.render('webhooks', {
+      title,
+      basePath,
+      backUrl,
+      isGlobal: owner === null,
+      webhooks: webhooks.listWebhooks(owner).map(webhook => ({
+        ...webhook,
+        deliveries: webhooks.listDeliveries(owner, webhook.id).slice(0, 10)
+      })),
+      webhookEvents: webhooks.WEBHOOK_EVENTS,
+      maxWebhooks: webhooks.MAX_WEBHOOKS_PER_OWNER,
+      newWebhook
+    });
+  });
+
+  /**
+   * POST / - Add a webhook
+   * Body: url, events (one or more of WEBHOOK_EVENTS)
+   */
+  router.post('/', (req, res) => {
+    const owner = getOwner(req);
+    const { url, events } = req.body || {};
+
+    try {
+      const webhook = webhooks.createWebhook(owner, { url, events });
+      req.session.newWebhook = { url: webhook.url, secret: webhook.secret };
+      logger.info('[webhooks] Added', { owner, id: webhook.id, events: webhook.events });
+    } catch (err) {
+      if (err.code && err.code.startsWith('WEBHOOK_')) {
+        req.flash('error', err.message);
+      } else {
+        logger.error('[webhooks] Add failed', { error: err.message, owner });
+        req.flash('error', 'Failed to add webhook');
+      }
+    }
+    res.redirect(basePath);
+  });
+
+  /**
+   * POST /:id/delete - Remove a webhook and its delivery log
+   */
+  router.post('/:id/delete', (req, res) => {
+    const owner = getOwner(req);
+
+    try {
+      webhooks.deleteWebhook(owner, req.params.id);
+      logger.info('[webhooks] Removed', { owner, id: req.params.id });
+      req.flash('success', 'Webhook removed');
+    } catch (err) {
+      if (err.code === 'WEBHOOK_NOT_FOUND') {
+        req.flash('error', err.message);
+      } else {
+        logger.error('[webhooks] Remove failed', { error: err.message, owner });
+        req.flash('error', 'Failed to remove webhook');
+      }
+    }
+    res.redirect(basePath);
+  });
+
+  /**
+   * POST /:id/test - Send a webhook.test event now and report the first attempt
+   */
+  router.post('/:id/test', async (req, res) => {
+    const owner = getOwner(req);
+
+    try {
+      const delivery = await webhooks.sendTestEvent(owner, req.params.id);
+      if (delivery.status === 'delivered') {
+        req.flash('success', `Test delivered (HTTP ${delivery.responseStatus})`);
+      } else {
+        const retry = delivery.status === 'pending' ? '; will retry' : '';
+        req.flash('error', `Test delivery failed: ${delivery.error}${retry}`);
+      }
+    } catch (err) {
+      if (err.code === 'WEBHOOK_NOT_FOUND') {
+        req.flash('error', err.message);
+      } else {
+        logger.error('[webhooks] Test failed', { error: err.message, owner });
+        req.flash('error', 'Failed to send test');
+      }
+    }
+    res.redirect(basePath);
+  });
+
+  return router;
+}
+
+module.exports = {
+  createWebhookRoutes
+};
@@ -0,0 +1,187 @@
+/**
+ * Calendar alarm rules
+ * Per-pilot reminder rules keyed by duty type (e.g. 90 minutes before a flight duty report, the
+ * evening before a reserve). The private calendar feed turns them into VALARMs.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const storage = require('./storage');
+const { getDutyCodeDefinitions } = require('./duty-code-catalogue');
+
+const MAX_RULES_PER_DUTY_TYPE = 3;
+const MAX_MINUTES_BEFORE = 7 * 24 * 60;
+const DUTY_TYPE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Get alarm rule storage path
+ */
+function getStoragePath(env = process.env) {
+  return env.ROSTER_ALARM_RULES_PATH || path.join(process.cwd(), 'data', 'alarm-rules.json');
+}
+
+/**
+ * Alarm rule collection
+ * staffNo -> { [dutyType]: [{ id, minutesBefore } | { id, eveningBefore: 'HH:MM' }] }
+ */
+function getStore(env = process.env) {
+  return storage.openCollection('alarm-rules', { jsonPath: getStoragePath(env), env });
+}
+
+function alarmRuleError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Duty types offered on the alarms page: flight duties plus every type in the duty-code catalogue
+ * @param {Object} env - Environment (ROSTER_DUTY_CODES_PATH)
+ * @returns {Array<string>}
+ */
+function getAlarmDutyTypes(env = process.env) {
+  const types = ['FLIGHT'];
+  for (const definition of getDutyCodeDefinitions(env)) {
+    if (!types.includes(definition.dutyType)) types.push(definition.dutyType);
+  }
+  return types;
+}
+
+/**
+ * Get a pilot's alarm rules, keyed by duty type
+ * @param {string} staffNo - Staff number
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { FLIGHT: [{ id, minutesBefore: 90 }], RESERVE: [{ id, eveningBefore: '18:00' }] }
+ */
+function getAlarmRules(staffNo, env = process.env) {
+  return (staffNo && getStore(env).get(staffNo)) || {};
+}
+
+/**
+ * Human-readable rule summary, e.g. "1 h 30 min before" or "Evening before at 18:00"
+ */
+function describeAlarmRule(rule) {
+  if (rule.eveningBefore) return `Evening before at ${rule.eveningBefore}`;
+
+  const hours = Math.floor(rule.minutesBefore / 60);
+  const minutes = rule.minutesBefore % 60;
+  const parts = [];
+  if (hours) parts.push(`${hours} h`);
+  if (minutes) parts.push(`${minutes} min`);
+  return `${parts.join(' ')} before`;
+}
+
+/**
+ * List a pilot's alarm rules for display
+ * @param {string} staffNo - Staff number
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} - [{ id, dutyType, minutesBefore?, eveningBefore?, summary }]
+ */
+function listAlarmRules(staffNo, env = process.env) {
+  const rules = [];
+  for (const [dutyType, typeRules] of Object.entries(getAlarmRules(staffNo, env))) {
+    for (const rule of typeRules) {
+      rules.push({ ...rule, dutyType, summary: describeAlarmRule(rule) });
+    }
+  }
+  return rules.sort((a, b) => a.dutyType.localeCompare(b.dutyType));
+}
+
+function normalizeRule({ minutesBefore, eveningBefore }) {
+  const hasMinutes = minutesBefore !== undefined && minutesBefore !== null && minutesBefore !== '';
+  const hasEvening = eveningBefore !== undefined && eveningBefore !== null && eveningBefore !== '';
+  if (hasMinutes === hasEvening) {
+    throw alarmRuleError('Choose either minutes before or the evening before', 'ALARM_RULE_INVALID_TRIGGER');
+  }
+
+  if (hasEvening) {
+    const time = String(eveningBefore).trim();
+    if (!TIME_PATTERN.test(time)) {
+      throw alarmRuleError('Evening reminder time must be HH:MM', 'ALARM_RULE_INVALID_TRIGGER');
+    }
+    return { eveningBefore: time };
+  }
+
+  const minutes = Number(minutesBefore);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MINUTES_BEFORE) {
+    throw alarmRuleError(`Minutes before must be a whole number from 1 to ${MAX_MINUTES_BEFORE}`, 'ALARM_RULE_INVALID_TRIGGER');
+  }
+  return { minutesBefore: minutes };
+}
+
+/**
+ * Add an alarm rule for one duty type
+ * @param {string} staffNo - Staff number
+ * @param {Object} rule - { dutyType, minutesBefore } or { dutyType, eveningBefore: 'HH:MM' }
+ * @param {Object} env - Environment variables
+ * @returns {Object} - The stored rule ({ id, dutyType, ..., summary })
+ */
+function addAlarmRule(staffNo, { dutyType, minutesBefore, eveningBefore } = {}, env = process.env) {
+  if (!staffNo || typeof staffNo !== 'string') {
+    throw alarmRuleError('Staff number is required', 'ALARM_RULE_INVALID_STAFFNO');
+  }
+
+  const type = String(dutyType || '').trim().toUpperCase();
+  if (!DUTY_TYPE_PATTERN.test(type)) {
+    throw alarmRuleError('Unknown duty type', 'ALARM_RULE_INVALID_DUTY_TYPE');
+  }
+
+  const trigger = normalizeRule({ minutesBefore, eveningBefore });
+  const rules = { ...getAlarmRules(staffNo, env) };
+  const typeRules = rules[type] || [];
+
+  if (typeRules.length >= MAX_RULES_PER_DUTY_TYPE) {
+    throw alarmRuleError(`At most ${MAX_RULES_PER_DUTY_TYPE} reminders per duty type`, 'ALARM_RULE_LIMIT');
+  }
+  const duplicate = typeRules.some(r => (trigger.eveningBefore
+    ? r.eveningBefore === trigger.eveningBefore
+    : r.minutesBefore === trigger.minutesBefore));
+  if (duplicate) {
+    throw alarmRuleError('That reminder already exists for this duty type', 'ALARM_RULE_DUPLICATE');
+  }
+
+  const rule = { id: crypto.randomBytes(6).toString('hex'), ...trigger };
+  rules[type] = [...typeRules, rule];
+  getStore(env).set(staffNo, rules);
+
+  return { ...rule, dutyType: type, summary: describeAlarmRule(rule) };
+}
+
+/**
+ * Remove one alarm rule
+ * @param {string} staffNo - Owner
+ * @param {string} id - Rule id
+ * @param {Object} env - Environment variables
+ * @returns {Object} - The removed rule ({ id, dutyType, ..., summary })
+ */
+function removeAlarmRule(staffNo, id, env = process.env) {
+  const rules = { ...getAlarmRules(staffNo, env) };
+
+  for (const [dutyType, typeRules] of Object.entries(rules)) {
+    const rule = typeRules.find(r => r.id === id);
+    if (!rule) continue;
+
+    const remaining = typeRules.filter(r => r.id !== id);
+    if (remaining.length > 0) rules[dutyType] = remaining;
+    else delete rules[dutyType];
+
+    const store = getStore(env);
+    if (Object.keys(rules).length > 0) store.set(staffNo, rules);
+    else store.delete(staffNo);
+
+    return { ...rule, dutyType, summary: describeAlarmRule(rule) };
+  }
+
+  throw alarmRuleError('Reminder not found', 'ALARM_RULE_NOT_FOUND');
+}
+
+module.exports = {
+  getAlarmDutyTypes,
+  getAlarmRules,
+  listAlarmRules,
+  addAlarmRule,
+  removeAlarmRule,
+  describeAlarmRule,
+  MAX_RULES_PER_DUTY_TYPE
+};
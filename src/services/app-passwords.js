@@ -0,0 +1,225 @@
+/**
+ * Calendar-only app passwords
+ * Per-device passwords for calendar subscriptions (HTTP Basic on the calendar endpoints), so
+ * calendar apps never store the login password. They are not accepted by the web login.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const authService = require('./auth-service');
+const storage = require('./storage');
+
+const MAX_APP_PASSWORDS = 20;
+const MAX_NAME_LENGTH = 60;
+// Calendar apps poll often; only record a new last-used time after this much time has passed.
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+// No 0/o, 1/l/i to keep generated passwords easy to type on a phone.
+const PASSWORD_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+// "<selector>-<secret>": the first group is stored in the clear to find the record, so checking a
+// password costs one bcrypt compare however many app passwords the pilot has.
+const APP_PASSWORD_PATTERN = /^([a-z2-9]{4})-([a-z2-9]{4}-){3}[a-z2-9]{4}$/;
+// Passwords created before the selector was added (four groups, checked against each such record)
+const LEGACY_APP_PASSWORD_PATTERN = /^([a-z2-9]{4}-){3}[a-z2-9]{4}$/;
+
+/**
+ * Get app password storage path
+ */
+function getStoragePath(env = process.env) {
+  return env.ROSTER_APP_PASSWORDS_PATH || path.join(process.cwd(), 'data', 'app-passwords.json');
+}
+
+/**
+ * App password collection
+ * id -> { staffNo, name, selector, passwordHash, createdAt, lastUsedAt }
+ * (selector is missing on app passwords created before it was added)
+ */
+function getStore(env = process.env) {
+  return storage.openCollection('app-passwords', { jsonPath: getStoragePath(env), env });
+}
+
+function appPasswordError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function randomGroup() {
+  let group = '';
+  for (let i = 0; i < 4; i++) {
+    group += PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)];
+  }
+  return group;
+}
+
+/**
+ * Generate a random app password with the given selector, e.g. "r4nd-k7qm-x2ta-9fhw-pz3c"
+ */
+function generateAppPassword(selector) {
+  const groups = [selector];
+  for (let g = 0; g < 4; g++) {
+    groups.push(randomGroup());
+  }
+  return groups.join('-');
+}
+
+/**
+ * Whether a password has the shape of a generated app password (current or legacy)
+ * Calendar authentication checks these against app passwords before the account password.
+ */
+function looksLikeAppPassword(password) {
+  const value = String(password || '');
+  return APP_PASSWORD_PATTERN.test(value) || LEGACY_APP_PASSWORD_PATTERN.test(value);
+}
+
+function describeAppPassword(id, record) {
+  return {
+    id,
+    name: record.name,
+    createdAt: record.createdAt,
+    lastUsedAt: record.lastUsedAt || null
+  };
+}
+
+function entriesForStaffNo(staffNo, env) {
+  return getStore(env).entries().filter(([, record]) => record.staffNo === staffNo);
+}
+
+/**
+ * Create an app password
+ * The plain password is only returned here; only its bcrypt hash is stored.
+ * @param {string} staffNo - Staff number
+ * @param {string} name - Device name (e.g. "iPhone calendar")
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - { id, name, createdAt, lastUsedAt, password }
+ */
+async function createAppPassword(staffNo, name, env = process.env) {
+  if (!staffNo || typeof staffNo !== 'string') {
+    throw appPasswordError('Staff number is required', 'APP_PASSWORD_INVALID_STAFFNO');
+  }
+
+  const trimmedName = String(name || '').trim();
+  if (!trimmedName) {
+    throw appPasswordError('Device name is required', 'APP_PASSWORD_INVALID_NAME');
+  }
+  if (trimmedName.length > MAX_NAME_LENGTH) {
+    throw appPasswordError(`Device name must be at most ${MAX_NAME_LENGTH} characters`, 'APP_PASSWORD_INVALID_NAME');
+  }
+
+  const existing = entriesForStaffNo(staffNo, env);
+  if (existing.length >= MAX_APP_PASSWORDS) {
+    throw appPasswordError(`At most ${MAX_APP_PASSWORDS} app passwords are allowed; revoke one first`, 'APP_PASSWORD_LIMIT');
+  }
+  if (existing.some(([, record]) => record.name.toLowerCase() === trimmedName.toLowerCase())) {
+    throw appPasswordError('An app password with this name already exists', 'APP_PASSWORD_DUPLICATE_NAME');
+  }
+
+  const selectors = new Set(existing.map(([, record]) => record.selector));
+  let selector;
+  do {
+    selector = randomGroup();
+  } while (selectors.has(selector));
+
+  const password = generateAppPassword(selector);
+  const id = crypto.randomBytes(8).toString('hex');
+  const record = {
+    staffNo,
+    name: trimmedName,
+    selector,
+    passwordHash: await authService.hashPassword(password),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+
+  getStore(env).set(id, record);
+  return { ...describeAppPassword(id, record), password };
+}
+
+/**
+ * List a pilot's app passwords (without hashes), oldest first
+ * @param {string} staffNo - Staff number
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} - [{ id, name, createdAt, lastUsedAt }]
+ */
+function listAppPasswords(staffNo, env = process.env) {
+  return entriesForStaffNo(staffNo, env)
+    .map(([id, record]) => describeAppPassword(id, record))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+async function findAppPassword(staffNo, password, env) {
+  if (!staffNo || !password) return null;
+
+  const current = APP_PASSWORD_PATTERN.exec(password);
+  let candidates;
+  if (current) {
+    candidates = entriesForStaffNo(staffNo, env).filter(([, record]) => record.selector === current[1]);
+  } else if (LEGACY_APP_PASSWORD_PATTERN.test(password)) {
+    candidates = entriesForStaffNo(staffNo, env).filter(([, record]) => !record.selector);
+  } else {
+    return null;
+  }
+
+  for (const [id, record] of candidates) {
+    if (await authService.verifyPassword(password, record.passwordHash)) {
+      return [id, record];
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a password against a pilot's app passwords and record the last-used time
+ * @param {string} staffNo - Staff number
+ * @param {string} password - Plain text password from HTTP Basic
+ * @param {Object} env - Environment variables
+ * @returns {Promise<string|null>} - Matching app password id, or null
+ */
+async function verifyAppPassword(staffNo, password, env = process.env) {
+  const match = await findAppPassword(staffNo, password, env);
+  if (!match) return null;
+
+  const [id, record] = match;
+  const now = new Date();
+  const lastUsed = record.lastUsedAt ? new Date(record.lastUsedAt) : null;
+  if (!lastUsed || now - lastUsed >= LAST_USED_RESOLUTION_MS) {
+    getStore(env).set(id, { ...record, lastUsedAt: now.toISOString() });
+  }
+  return id;
+}
+
+/**
+ * Check whether a password is one of the pilot's app passwords, without recording a use
+ * (used by the web login to explain why it was rejected)
+ * @returns {Promise<boolean>}
+ */
+async function isAppPassword(staffNo, password, env = process.env) {
+  return !!(await findAppPassword(staffNo, password, env));
+}
+
+/**
+ * Revoke one app password
+ * @param {string} staffNo - Owner
+ * @param {string} id - App password id
+ * @param {Object} env - Environment variables
+ * @returns {Object} - The revoked app password ({ id, name, createdAt, lastUsedAt })
+ */
+function revokeAppPassword(staffNo, id, env = process.env) {
+  const store = getStore(env);
+  const record = id ? store.get(id) : null;
+  if (!record || record.staffNo !== staffNo) {
+    throw appPasswordError('App password not found', 'APP_PASSWORD_NOT_FOUND');
+  }
+
+  store.delete(id);
+  return describeAppPassword(id, record);
+}
+
+module.exports = {
+  createAppPassword,
+  listAppPasswords,
+  verifyAppPassword,
+  isAppPassword,
+  looksLikeAppPassword,
+  revokeAppPassword,
+  MAX_APP_PASSWORDS
+};
@@ -4,8 +4,8 @@
  */
 
 const bcrypt = require('bcryptjs');
-const fs = require('fs');
 const path = require('path');
+const storage = require('./storage');
 
 // Use 12 salt rounds for a good balance of security and performance
 const SALT_ROUNDS = 12;
@@ -80,67 +80,12 @@ function getCredentialStorageConfig(env = process.env) {
 }
 
 /**
- * In-memory credential storage
- * Map<staffNo, { passwordHash: string, createdAt: string, updatedAt: string }>
+ * Credential collection
+ * staffNo -> { passwordHash: string, createdAt: string, updatedAt: string, isAdmin: boolean }
  */
-const credentials = new Map();
-let credentialsInitialized = false;
-
-/**
- * Ensure the data directory exists
- */
-function ensureDirExists(filePath) {
-  const dir = path.dirname(filePath);
-  fs.mkdirSync(dir, { recursive: true });
-}
-
-/**
- * Initialize credential storage from disk
- */
-function initCredentialStorage(env = process.env) {
-  if (credentialsInitialized) return;
-  credentialsInitialized = true;
-
-  const { storePath } = getCredentialStorageConfig(env);
-  
-  try {
-    if (!fs.existsSync(storePath)) return;
-    const raw = fs.readFileSync(storePath, 'utf8');
-    if (!raw) return;
-    const parsed = JSON.parse(raw);
-    
-    if (parsed && typeof parsed === 'object') {
-      for (const [staffNo, credData] of Object.entries(parsed)) {
-        credentials.set(staffNo, credData);
-      }
-    }
-  } catch (err) {
-    console.warn(`[auth] Failed to load credentials from ${storePath}: ${err.message}`);
-    // Start with empty credentials on error
-    credentials.clear();
-  }
-}
-
-/**
- * Persist credentials to disk
- */
-function persistCredentials(env = process.env) {
+function getCredentialStore(env = process.env) {
   const { storePath } = getCredentialStorageConfig(env);
-  
-  try {
-    ensureDirExists(storePath);
-    const data = {};
-    for (const [staffNo, credData] of credentials.entries()) {
-      data[staffNo] = credData;
-    }
-    
-    const tmpPath = `${storePath}.tmp`;
-    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
-    fs.renameSync(tmpPath, storePath);
-  } catch (err) {
-    console.error(`[auth] Failed to persist credentials: ${err.message}`);
-    throw err;
-  }
+  return storage.openCollection('credentials', { jsonPath: storePath, env });
 }
 
 /**
@@ -161,23 +106,52 @@ async function setPasswordForStaffNo(staffNo, password, env = process.env) {
     throw new Error(validation.error);
   }
 
-  initCredentialStorage(env);
-  
   const passwordHash = await hashPassword(password);
+  const isNew = storePasswordHash(staffNo, passwordHash, env);
+
+  return {
+    staffNo,
+    created: isNew,
+    updated: !isNew
+  };
+}
+
+/**
+ * Store a password hash, preserving createdAt and isAdmin of an existing record
+ * @returns {boolean} - True if the staff number had no credentials before
+ */
+function storePasswordHash(staffNo, passwordHash, env = process.env) {
+  const store = getCredentialStore(env);
   const now = new Date().toISOString();
-  const isNew = !credentials.has(staffNo);
-  const existingData = credentials.get(staffNo);
-  
-  credentials.set(staffNo, {
+  const existingData = store.get(staffNo);
+  const isNew = !existingData;
+
+  store.set(staffNo, {
     passwordHash,
-    // Preserve original createdAt and isAdmin on updates
-    createdAt: isNew ? now : (existingData?.createdAt || now),
+    createdAt: isNew ? now : (existingData.createdAt || now),
     updatedAt: now,
-    isAdmin: isNew ? false : (existingData?.isAdmin || false)
+    isAdmin: isNew ? false : (existingData.isAdmin || false)
   });
-  
-  persistCredentials(env);
-  
+
+  return isNew;
+}
+
+/**
+ * Set credentials from an already hashed password (approved signups)
+ * @param {string} staffNo - Staff number
+ * @param {string} passwordHash - bcrypt hash
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Result object
+ */
+function setPasswordHashForStaffNo(staffNo, passwordHash, env = process.env) {
+  if (!staffNo || typeof staffNo !== 'string') {
+    throw new Error('Staff number must be a non-empty string');
+  }
+  if (!passwordHash || typeof passwordHash !== 'string') {
+    throw new Error('Password hash must be a non-empty string');
+  }
+
+  const isNew = storePasswordHash(staffNo, passwordHash, env);
   return {
     staffNo,
     created: isNew,
@@ -197,9 +171,7 @@ async function verifyCredentials(staffNo, password, env = process.env) {
     return false;
   }
 
-  initCredentialStorage(env);
-  
-  const credData = credentials.get(staffNo);
+  const credData = getCredentialStore(env).get(staffNo);
   if (!credData || !credData.passwordHash) {
     return false;
   }
@@ -214,8 +186,7 @@ async function verifyCredentials(staffNo, password, env = process.env) {
  * @returns {boolean} - True if credentials exist
  */
 function hasCredentials(staffNo, env = process.env) {
-  initCredentialStorage(env);
-  return credentials.has(staffNo);
+  return getCredentialStore(env).has(staffNo);
 }
 
 /**
@@ -225,15 +196,7 @@ function hasCredentials(staffNo, env = process.env) {
  * @returns {boolean} - True if credentials were deleted
  */
 function deleteCredentials(staffNo, env = process.env) {
-  initCredentialStorage(env);
-  
-  const existed = credentials.has(staffNo);
-  if (existed) {
-    credentials.delete(staffNo);
-    persistCredentials(env);
-  }
-  
-  return existed;
+  return getCredentialStore(env).delete(staffNo);
 }
 
 /**
@@ -242,8 +205,7 @@ function deleteCredentials(staffNo, env = process.env) {
  * @returns {Array<string>} - Array of staff numbers
  */
 function listCredentialStaffNumbers(env = process.env) {
-  initCredentialStorage(env);
-  return Array.from(credentials.keys());
+  return getCredentialStore(env).keys();
 }
 
 /**
@@ -255,8 +217,7 @@ function listCredentialStaffNumbers(env = process.env) {
 function isAdmin(staffNo, env = process.env) {
   if (!staffNo) return false;
   
-  initCredentialStorage(env);
-  const credData = credentials.get(staffNo);
+  const credData = getCredentialStore(env).get(staffNo);
   return credData?.isAdmin === true;
 }
 
@@ -266,9 +227,8 @@ function isAdmin(staffNo, env = process.env) {
  * @returns {Array<string>} - Array of admin staff numbers
  */
 function getAdminStaffNumbers(env = process.env) {
-  initCredentialStorage(env);
   const admins = [];
-  for (const [staffNo, credData] of credentials.entries()) {
+  for (const [staffNo, credData] of getCredentialStore(env).entries()) {
     if (credData.isAdmin === true) {
       admins.push(staffNo);
     }
@@ -288,20 +248,18 @@ function bootstrapAdmin(staffNo, env = process.env) {
     return false;
   }
 
-  initCredentialStorage(env);
-  
+  const store = getCredentialStore(env);
   const now = new Date().toISOString();
-  const existingData = credentials.get(staffNo);
+  const existingData = store.get(staffNo);
   
   if (existingData) {
     // Already has credentials, just add admin flag if not present
     if (existingData.isAdmin !== true) {
-      credentials.set(staffNo, {
+      store.set(staffNo, {
         ...existingData,
         isAdmin: true,
         updatedAt: now
       });
-      persistCredentials(env);
       return true;
     }
     return false; // Already admin
@@ -337,6 +295,7 @@ module.exports = {
   verifyPassword,
   validatePasswordComplexity,
   setPasswordForStaffNo,
+  setPasswordHashForStaffNo,
   verifyCredentials,
   hasCredentials,
   deleteCredentials,
@@ -0,0 +1,351 @@
+/**
+ * Read-only CalDAV support (RFC 4791, with RFC 6578 sync-collection)
+ * Builds a pilot's calendar collections (one per feed type) as per-event resources, parses the
+ * parts of PROPFIND/REPORT bodies the routes need and renders multistatus responses.
+ * Sync tokens combine the roster revision count with the latest change to the collection's own
+ * resources (see event-history updateCollectionHistory), so they move whenever the events it
+ * serves change.
+ */
+
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const ICSCalendarService = require('./ics-calendar-service');
+const rosterStore = require('./roster-store');
+const feedCache = require('./feed-cache');
+const pilotDirectory = require('./pilot-directory');
+const alarmRules = require('./alarm-rules');
+const eventTemplates = require('./event-templates');
+const { getEventHistoryConfig } = require('./event-history');
+
+const DAV_NS = 'DAV:';
+const CALDAV_NS = 'urn:ietf:params:xml:ns:caldav';
+const CALSERVER_NS = 'http://calendarserver.org/ns/';
+const PREFIXES = { [DAV_NS]: 'd', [CALDAV_NS]: 'cal', [CALSERVER_NS]: 'cs' };
+
+const SYNC_TOKEN_PREFIX = 'urn:roster-calendar:sync:';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar collections, one per feed type
+const COLLECTIONS = {
+  private: { displayName: 'Roster', description: 'Full roster details including pay' },
+  semipublic: { displayName: 'Roster (no pay)', description: 'Duty details without pay information' },
+  public: { displayName: 'Roster (busy/free)', description: 'Busy and free times only' }
+};
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function xmlUnescape(value) {
+  return String(value)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function propKey(ns, name) {
+  return `${ns}|${name}`;
+}
+
+function declaredNamespaces(attrs) {
+  const declared = {};
+  for (const match of String(attrs || '').matchAll(/xmlns(?::([\w.-]+))?\s*=\s*["']([^"']*)["']/g)) {
+    declared[match[1] || ''] = match[2];
+  }
+  return declared;
+}
+
+function elementText(xml, name) {
+  const pattern = new RegExp(`<(?:[\\w.-]+:)?${name}\\b[^>]*>([^<]*)</(?:[\\w.-]+:)?${name}>`, 'g');
+  return Array.from(xml.matchAll(pattern), m => xmlUnescape(m[1]).trim());
+}
+
+/**
+ * Parse a PROPFIND or REPORT body.
+ * Only what the routes use is extracted: the root element, the requested properties (the
+ * children of the top-level DAV:prop), hrefs, the sync token and a VEVENT time-range.
+ * An empty body is treated as allprop (RFC 4918 9.1).
+ * @param {string} body - XML request body
+ * @returns {{ type: string|null, props: Array<{ns: string, name: string}>, allprop: boolean,
+ *   hrefs: string[], syncToken: string|null, timeRange: {start: number|null, end: number|null}|null }}
+ */
+function parseDavRequest(body) {
+  const xml = String(body || '').replace(/<!--[\s\S]*?-->/g, '');
+  const stack = [];
+  const props = [];
+  let type = null;
+  let allprop = false;
+
+  for (const match of xml.matchAll(/<(\/?)([\w.-]+:)?([\w.-]+)((?:\s[^>]*?)?)(\/?)>/g)) {
+    const [, closing, prefix, name, attrs, selfClosing] = match;
+    if (closing) {
+      stack.pop();
+      continue;
+    }
+
+    const parent = stack[stack.length - 1];
+    const scope = { ...(parent ? parent.scope : {}), ...declaredNamespaces(attrs) };
+    const ns = scope[prefix ? prefix.slice(0, -1) : ''] || '';
+    if (!type) type = name;
+    if (stack.length === 1 && name === 'allprop') allprop = true;
+    if (stack.length === 2 && parent.name === 'prop') props.push({ ns, name });
+    if (!selfClosing) stack.push({ name, scope });
+  }
+
+  let timeRange = null;
+  const range = xml.match(/<(?:[\w.-]+:)?time-range\b([^>]*)>/);
+  if (range) {
+    const attr = (attrName) => {
+      const value = range[1].match(new RegExp(`${attrName}\\s*=\\s*["']([^"']*)["']`));
+      const parsed = value ? DateTime.fromISO(value[1], { zone: 'utc' }) : null;
+      return parsed && parsed.isValid ? parsed.toMillis() : null;
+    };
+    timeRange = { start: attr('start'), end: attr('end') };
+  }
+
+  const [syncToken] = elementText(xml, 'sync-token');
+  return {
+    type,
+    props,
+    allprop: allprop || !type,
+    hrefs: elementText(xml, 'href'),
+    syncToken: syncToken || null,
+    timeRange
+  };
+}
+
+function renderPropElement(ns, name, value) {
+  const prefix = PREFIXES[ns];
+  const open = prefix ? `${prefix}:${name}` : `x:${name} xmlns:x="${xmlEscape(ns)}"`;
+  const close = prefix ? `${prefix}:${name}` : `x:${name}`;
+  return value === undefined || value === '' ? `<${open}/>` : `<${open}>${value}</${close}>`;
+}
+
+/**
+ * Build the propstats for one resource
+ * @param {Object} available - propKey(ns, name) -> XML value of every property the resource has
+ * @param {Object} request - Parsed request (props / allprop)
+ * @returns {{ found: Array, missing: Array }}
+ */
+function selectProps(available, request) {
+  const found = [];
+  const missing = [];
+  if (request.allprop || request.props.length === 0) {
+    for (const [key, value] of Object.entries(available)) {
+      const [ns, name] = key.split('|');
+      // calendar-data is only returned when asked for (RFC 4791 9.6)
+      if (name !== 'calendar-data') found.push({ ns, name, value });
+    }
+    return { found, missing };
+  }
+
+  for (const { ns, name } of request.props) {
+    const key = propKey(ns, name);
+    if (Object.prototype.hasOwnProperty.call(available, key)) {
+      found.push({ ns, name, value: available[key] });
+    } else {
+      missing.push({ ns, name });
+    }
+  }
+  return { found, missing };
+}
+
+/**
+ * Render a DAV:multistatus document
+ * @param {Array<{href: string, found?: Array, missing?: Array, status?: number}>} responses -
+ *   property results per href, or a bare status (e.g. 404 for removed resources)
+ * @param {Object} [options]
+ * @param {string} [options.syncToken] - Added for sync-collection reports
+ * @returns {string} XML
+ */
+function renderMultistatus(responses, { syncToken } = {}) {
+  const statusLine = code => `<d:status>HTTP/1.1 ${code} ${code === 200 ? 'OK' : 'Not Found'}</d:status>`;
+  const parts = responses.map(({ href, found = [], missing = [], status }) => {
+    const body = [`<d:href>${xmlEscape(href)}</d:href>`];
+    if (status) {
+      body.push(statusLine(status));
+    } else {
+      if (found.length > 0) {
+        body.push(`<d:propstat><d:prop>${found.map(p => renderPropElement(p.ns, p.name, p.value)).join('')}</d:prop>${statusLine(200)}</d:propstat>`);
+      }
+      if (missing.length > 0) {
+        body.push(`<d:propstat><d:prop>${missing.map(p => renderPropElement(p.ns, p.name)).join('')}</d:prop>${statusLine(404)}</d:propstat>`);
+      }
+    }
+    return `<d:response>${body.join('')}</d:response>`;
+  });
+  if (syncToken) parts.push(`<d:sync-token>${xmlEscape(syncToken)}</d:sync-token>`);
+
+  return '<?xml version="1.0" encoding="utf-8"?>\n'
+    + `<d:multistatus xmlns:d="${DAV_NS}" xmlns:cal="${CALDAV_NS}" xmlns:cs="${CALSERVER_NS}">`
+    + `${parts.join('')}</d:multistatus>`;
+}
+
+/**
+ * A DAV:error body, e.g. davError('valid-sync-token')
+ */
+function davError(condition) {
+  return `<?xml version="1.0" encoding="utf-8"?>\n<d:error xmlns:d="${DAV_NS}"><d:${condition}/></d:error>`;
+}
+
+/**
+ * Options the collection's events depend on (same as the matching calendar.ics feed)
+ */
+function getCollectionOptions(staffNo, collection, env = process.env) {
+  const templates = eventTemplates.getEventTemplates(staffNo);
+  if (collection === 'public') return { eventTemplates: templates };
+  if (collection === 'semipublic') return { includePay: false, eventTemplates: templates };
+
+  const options = { alarmRules: alarmRules.getAlarmRules(staffNo), eventTemplates: templates };
+  const payRate = pilotDirectory.getPayRateForStaffNo(staffNo, env);
+  if (payRate !== null) options.payRate = payRate;
+  return options;
+}
+
+/**
+ * Start and end (ms) of an ics event, for calendar-query time-range filters
+ */
+function getEventRange(event) {
+  const toMillis = (value) => {
+    if (!Array.isArray(value)) return null;
+    const [year, month, day, hour = 0, minute = 0] = value;
+    return Date.UTC(year, month - 1, day, hour, minute);
+  };
+  const start = toMillis(event.start);
+  let end = toMillis(event.end);
+  if (end === null && start !== null) {
+    const { days = 0, hours = 0, minutes = 0 } = event.duration || {};
+    const length = (days * 24 * 60 + hours * 60 + minutes) * 60 * 1000;
+    // All-day events without an end last one day
+    end = start + (length || (event.start.length <= 3 ? DAY_MS : 0));
+  }
+  return { start, end };
+}
+
+function hashSettings(options) {
+  return crypto.createHash('sha1').update(JSON.stringify(options)).digest('hex').slice(0, 8);
+}
+
+async function buildCollection(staffNo, collection, options, env) {
+  const bucket = rosterStore.getRosterBucket(staffNo);
+  const history = bucket ? rosterStore.getEventHistory(staffNo) : {};
+  const icsService = new ICSCalendarService();
+  const rosters = bucket ? bucket.rosters : [];
+  const events = collection === 'public'
+    ? icsService.convertRostersToPublicEvents(rosters, options)
+    : icsService.convertRostersToEvents(rosters, { ...options, eventHistory: history });
+
+  const resources = [];
+  for (const event of events) {
+    if (event.status === 'CANCELLED') continue;
+    const body = await icsService.renderICS([event]);
+    const record = history[event.uid];
+    resources.push({
+      uid: event.uid,
+      name: `${encodeURIComponent(event.uid)}.ics`,
+      etag: `"${crypto.createHash('sha256').update(body.replace(/^DTSTAMP:.*\r?\n/gm, '')).digest('hex').slice(0, 32)}"`,
+      body,
+      modified: record ? Date.parse(record.lastModified) : null,
+      ...getEventRange(event)
+    });
+  }
+
+  // Changes and removals come from what this collection itself served before, so an event that
+  // changed only in other feeds (pay, duty codes) is not re-sent and removals are its own UIDs
+  const published = bucket ? rosterStore.recordCollectionResources(staffNo, collection, resources) : {};
+  const changes = {};
+  let changeMs = 0;
+  for (const [uid, record] of Object.entries(published)) {
+    changes[uid] = { modified: record.modified, removed: Boolean(record.removedAt) };
+    changeMs = Math.max(changeMs, record.modified);
+  }
+  for (const resource of resources) {
+    resource.modified = published[resource.uid] ? published[resource.uid].modified : null;
+  }
+
+  const revisions = bucket && Array.isArray(bucket.revisions) ? bucket.revisions.length : 0;
+  return {
+    resources,
+    changes,
+    syncToken: `${SYNC_TOKEN_PREFIX}${revisions}-${changeMs}-${hashSettings(options)}`
+  };
+}
+
+/**
+ * Get a pilot's calendar collection: its event resources and current sync token.
+ * Cached with the calendar feeds, so it is rebuilt after a roster change or when the cache entry expires.
+ * @param {string} staffNo - Staff number
+ * @param {string} collection - A COLLECTIONS key
+ * @param {Object} env - Environment variables
+ * @returns {Promise<{ resources: Array<{uid, name, etag, body, modified, start, end}>,
+ *   changes: Object, syncToken: string }>}
+ */
+async function getCollection(staffNo, collection, env = process.env) {
+  const options = getCollectionOptions(staffNo, collection, env);
+  const feed = await feedCache.getFeed(staffNo, `caldav-${collection}`, options,
+    async () => JSON.stringify(await buildCollection(staffNo, collection, options, env)), env);
+  return JSON.parse(feed.body);
+}
+
+function parseSyncToken(token) {
+  if (typeof token !== 'string' || !token.startsWith(SYNC_TOKEN_PREFIX)) return null;
+  const match = token.slice(SYNC_TOKEN_PREFIX.length).match(/^(\d+)-(\d+)-([0-9a-f]+)$/);
+  if (!match) return null;
+  return { revisions: Number(match[1]), changeMs: Number(match[2]), settings: match[3] };
+}
+
+/**
+ * Resources changed and UIDs removed since a sync token (RFC 6578).
+ * Removals are known only while the collection's publish history keeps them, so tokens from before
+ * that grace period are rejected and the client starts a full sync.
+ * @param {Object} collection - From getCollection
+ * @param {string|null} token - Client's sync token; empty for an initial sync
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment (ROSTER_CANCELLED_EVENT_GRACE_DAYS)
+ * @param {Date} [options.now] - Current time
+ * @returns {{ changed: Array, removed: string[] }}
+ */
+function getSyncChanges(collection, token, { env = process.env, now = new Date() } = {}) {
+  if (!token) return { changed: collection.resources, removed: [] };
+
+  const since = parseSyncToken(token);
+  const current = parseSyncToken(collection.syncToken);
+  const { graceDays } = getEventHistoryConfig(env);
+  const expired = since && since.changeMs < current.changeMs && since.changeMs + graceDays * DAY_MS <= now.getTime();
+  if (!since || since.revisions > current.revisions || since.changeMs > current.changeMs || expired) {
+    const err = new Error('Invalid or expired sync token');
+    err.code = 'CALDAV_INVALID_SYNC_TOKEN';
+    throw err;
+  }
+
+  // Pay rate or reminder changes alter every event without a roster change
+  const settingsChanged = since.settings !== current.settings;
+  const changed = collection.resources.filter(resource => settingsChanged
+    || (resource.modified === null ? current.changeMs : resource.modified) > since.changeMs);
+  const removed = Object.entries(collection.changes)
+    .filter(([, change]) => change.removed && change.modified > since.changeMs)
+    .map(([uid]) => uid);
+
+  return { changed, removed };
+}
+
+module.exports = {
+  DAV_NS,
+  CALDAV_NS,
+  CALSERVER_NS,
+  COLLECTIONS,
+  propKey,
+  xmlEscape,
+  parseDavRequest,
+  selectProps,
+  renderMultistatus,
+  davError,
+  getCollection,
+  getSyncChanges
+};
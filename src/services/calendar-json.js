@@ -0,0 +1,213 @@
+/**
+ * JSON calendar output
+ * Two formats over the same events as the ICS feeds:
+ * - 'json': a flat list of typed events (duty type and code, ports, UTC and local times, pay)
+ * - 'jcal': RFC 7265 jCal, converted from the rendered ICS so it matches the .ics feed exactly
+ */
+
+const { DateTime } = require('luxon');
+const ICSCalendarService = require('./ics-calendar-service');
+
+const JSON_FORMATS = ['json', 'jcal'];
+
+// RFC 7265 / RFC 5545 default value types of the properties our feeds use
+const PROPERTY_TYPES = {
+  dtstart: 'date-time',
+  dtend: 'date-time',
+  dtstamp: 'date-time',
+  'last-modified': 'date-time',
+  created: 'date-time',
+  'recurrence-id': 'date-time',
+  duration: 'duration',
+  trigger: 'duration',
+  sequence: 'integer',
+  repeat: 'integer',
+  priority: 'integer',
+  geo: 'float',
+  tzoffsetfrom: 'utc-offset',
+  tzoffsetto: 'utc-offset',
+  rrule: 'recur',
+  url: 'uri',
+  tzurl: 'uri',
+  organizer: 'cal-address',
+  attendee: 'cal-address'
+};
+
+const NUMERIC_RECUR_PARTS = ['count', 'interval', 'bysecond', 'byminute', 'byhour', 'bymonthday', 'byyearday', 'byweekno', 'bymonth', 'bysetpos'];
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/**
+ * Split a content line into name, parameters and value (quoted parameter values may contain ':' and ';')
+ */
+function parseContentLine(line) {
+  let index = 0;
+  const readUntil = (stops) => {
+    let out = '';
+    let quoted = false;
+    while (index < line.length) {
+      const ch = line[index];
+      if (ch === '"') quoted = !quoted;
+      else if (!quoted && stops.includes(ch)) break;
+      else out += ch;
+      index += 1;
+    }
+    return out;
+  };
+
+  const name = readUntil(';:').toLowerCase();
+  const params = {};
+  while (line[index] === ';') {
+    index += 1;
+    const key = readUntil('=;:').toLowerCase();
+    if (line[index] === '=') {
+      index += 1;
+      params[key] = readUntil(';:');
+    }
+  }
+  return { name, params, value: line.slice(index + 1) };
+}
+
+function formatDateValue(value, type) {
+  if (type === 'date') return value.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3');
+  return value.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/, '$1-$2-$3T$4:$5:$6$7');
+}
+
+function toJCalProperty({ name, params, value }) {
+  let type = PROPERTY_TYPES[name] || (name.startsWith('x-') ? 'unknown' : 'text');
+  const jcalParams = { ...params };
+  if (jcalParams.value) {
+    type = jcalParams.value.toLowerCase();
+    delete jcalParams.value;
+  }
+
+  if (type === 'date' || type === 'date-time') {
+    return [name, jcalParams, type, ...value.split(',').map(v => formatDateValue(v, type))];
+  }
+  if (type === 'integer') return [name, jcalParams, type, Number.parseInt(value, 10)];
+  if (type === 'float') return [name, jcalParams, type, value.split(';').map(Number)];
+  if (type === 'utc-offset') return [name, jcalParams, type, value.replace(/^([+-]\d{2})(\d{2})(\d{2})?$/, (m, h, mm, ss) => `${h}:${mm}${ss ? `:${ss}` : ''}`)];
+  if (type === 'recur') {
+    const recur = {};
+    for (const part of value.split(';')) {
+      const [key, partValue = ''] = part.split('=');
+      const lower = key.toLowerCase();
+      recur[lower] = NUMERIC_RECUR_PARTS.includes(lower) ? Number(partValue) : partValue;
+    }
+    return [name, jcalParams, type, recur];
+  }
+  if (type === 'text') return [name, jcalParams, type, unescapeText(value)];
+  return [name, jcalParams, type, value];
+}
+
+/**
+ * Convert an iCalendar string to RFC 7265 jCal
+ * @param {string} ics - VCALENDAR text
+ * @returns {Array} ["vcalendar", properties, components]
+ */
+function icsToJCal(ics) {
+  const lines = String(ics).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+  const root = ['', [], []];
+  const stack = [root];
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    const current = stack[stack.length - 1];
+    if (property.name === 'begin') {
+      const component = [property.value.toLowerCase(), [], []];
+      current[2].push(component);
+      stack.push(component);
+    } else if (property.name === 'end') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current[1].push(toJCalProperty(property));
+    }
+  }
+
+  return root[2][0] || ['vcalendar', [], []];
+}
+
+function toTime(value, isUtc, timezone) {
+  if (!Array.isArray(value)) return null;
+  if (value.length <= 3) {
+    return { date: DateTime.utc(value[0], value[1], value[2]).toISODate() };
+  }
+
+  const [year, month, day, hour, minute] = value;
+  const dt = DateTime.utc(year, month, day, hour, minute);
+  // Floating times (no known timezone) only have a local time
+  if (!isUtc) return { utc: null, local: dt.toFormat("yyyy-MM-dd'T'HH:mm:ss"), timezone: null };
+
+  return {
+    utc: dt.toISO({ suppressMilliseconds: true }),
+    local: timezone ? dt.setZone(timezone).toISO({ suppressMilliseconds: true }) : null,
+    timezone: timezone || null
+  };
+}
+
+/**
+ * One event in the simple JSON schema. All-day events have dates, with an exclusive end date as in ICS.
+ * @param {Object} event - ics event
+ * @param {ICSCalendarService} icsService
+ * @returns {Object}
+ */
+function toJsonEvent(event, icsService) {
+  const kind = icsService.getEventKind(event) || {};
+  const timezones = icsService.getEventTimezones(event) || {};
+  let end = event.end;
+  if (!end && Array.isArray(event.start) && event.duration) {
+    const start = DateTime.utc(...event.start);
+    const finish = start.plus(event.duration);
+    end = event.start.length <= 3
+      ? [finish.year, finish.month, finish.day]
+      : [finish.year, finish.month, finish.day, finish.hour, finish.minute];
+  }
+
+  return {
+    uid: event.uid,
+    status: event.status || 'CONFIRMED',
+    sequence: Number.isInteger(event.sequence) ? event.sequence : null,
+    title: event.title,
+    description: event.description || null,
+    family: kind.family || null,
+    dutyType: kind.dutyType || null,
+    dutyCode: kind.dutyCode || null,
+    flightNumber: kind.flightNumber || null,
+    ports: kind.ports || [],
+    location: event.location || null,
+    geo: event.geo || null,
+    allDay: Array.isArray(event.start) && event.start.length <= 3,
+    start: toTime(event.start, event.startInputType === 'utc', timezones.start),
+    end: toTime(end, (event.endInputType || event.startInputType) === 'utc', timezones.end),
+    pay: kind.pay || null,
+    lastModified: Number.isFinite(event.lastModified) ? new Date(event.lastModified).toISOString() : null
+  };
+}
+
+/**
+ * Render events (from convertRostersToEvents / convertRostersToPublicEvents) as JSON
+ * @param {Array<Object>} events - ics events
+ * @param {string} format - 'json' or 'jcal'
+ * @param {Object} options - Render options (timezoneMode for jCal, as for renderICS)
+ * @returns {Promise<string>} JSON text
+ */
+async function renderCalendarJson(events, format, options = {}) {
+  const icsService = new ICSCalendarService();
+  if (format === 'jcal') {
+    return JSON.stringify(icsToJCal(await icsService.renderICS(events, options)));
+  }
+
+  return JSON.stringify({
+    calendar: events[0] && events[0].calName ? events[0].calName : null,
+    events: events.map(event => toJsonEvent(event, icsService))
+  });
+}
+
+module.exports = {
+  JSON_FORMATS,
+  icsToJCal,
+  toJsonEvent,
+  renderCalendarJson
+};
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in duty codes. Each definition matches either an exact `code` or a `pattern` (regex source)
+// against the Duty(Role) column. `description` may use "{code}" for the matched duty code.
+// Codes that match nothing are treated as flight duties by the parser.
+const BUILT_IN_DUTY_CODES = [
+  { code: 'D/O', dutyType: 'DAY_OFF', description: 'Day Off', busy: false },
+  { code: 'PLN', dutyType: 'PERSONAL_LEAVE', description: 'Personal Leave', busy: true, category: 'Leave' },
+  { code: 'LZR', dutyType: 'PERSONAL_LEAVE_RESERVE', description: 'Personal Leave (Reserve)', busy: true, category: 'Leave' },
+  { pattern: '^SIM\\w+\\(T\\)$', dutyType: 'SIMULATOR', description: 'Simulator {code}', busy: true, category: 'Training' },
+  { pattern: '^EP\\d+$', dutyType: 'EMERGENCY_PROCEDURES', description: 'Emergency Procedures {code}', busy: true, category: 'Training' },
+  // Reserve duties always attract 4:00 credit hours even if not shown in roster
+  { pattern: '^R\\d+$', dutyType: 'RESERVE', description: 'Reserve Duty {code}', busy: true, defaultCredit: '4:00', category: 'Reserve' },
+  { code: 'AV', dutyType: 'AVAILABLE_DAY', description: 'Available Day', busy: false },
+  { code: 'AL', dutyType: 'ANNUAL_LEAVE', description: 'Annual Leave', busy: false, category: 'Leave' },
+  { code: 'LA', dutyType: 'ANNUAL_LEAVE', description: 'Annual Leave', busy: false, category: 'Leave' },
+  { code: 'BL', dutyType: 'BLANK_DAY', description: 'Blank Day', busy: false }
+];
+
+function getDutyCodeCatalogueConfig(env = process.env) {
+  const storePath = env.ROSTER_DUTY_CODES_PATH || path.join(process.cwd(), 'data', 'duty-codes.json');
+  return { storePath };
+}
+
+function normalizeDefinition(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const code = raw.code !== undefined && raw.code !== null ? String(raw.code).trim() : '';
+  const pattern = raw.pattern !== undefined && raw.pattern !== null ? String(raw.pattern) : '';
+  const dutyType = raw.dutyType ? String(raw.dutyType).trim().toUpperCase() : '';
+  if ((!code && !pattern) || !dutyType) return null;
+
+  let regex = null;
+  if (!code) {
+    try {
+      regex = new RegExp(pattern);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  return {
+    code: code || null,
+    pattern: code ? null : pattern,
+    regex,
+    dutyType,
+    description: raw.description ? String(raw.description) : '',
+    busy: typeof raw.busy === 'boolean' ? raw.busy : true,
+    defaultCredit: raw.defaultCredit ? String(raw.defaultCredit).trim() : null,
+    category: raw.category ? String(raw.category).trim() : null
+  };
+}
+
+// Built-in definitions, compiled once
+const BUILT_IN_DEFINITIONS = BUILT_IN_DUTY_CODES.map(normalizeDefinition);
+// Codes are looked up once per roster entry on every parse and feed render, so the catalogue file
+// is only stat'ed again after this long.
+const FILE_CHECK_INTERVAL_MS = 5000;
+
+// storePath -> { mtimeMs, checkedAt, definitions }
+const cache = new Map();
+
+function readCustomDefinitions(storePath) {
+  let definitions = [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(storePath, 'utf8') || '[]');
+    const list = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.codes) ? parsed.codes : []);
+    definitions = list.map(normalizeDefinition).filter(Boolean);
+  } catch (err) {
+    // A broken catalogue file should not stop roster parsing; fall back to the built-in codes.
+    console.warn(`[duty-codes] failed to read ${storePath}: ${err && err.message ? err.message : String(err)}`);
+  }
+  return definitions;
+}
+
+/**
+ * Duty-code definitions in match order: entries from the JSON catalogue file first,
+ * then the built-in defaults.
+ * @param {Object} env - Environment (ROSTER_DUTY_CODES_PATH)
+ * @returns {Array<Object>}
+ */
+function getDutyCodeDefinitions(env = process.env) {
+  const { storePath } = getDutyCodeCatalogueConfig(env);
+  const now = Date.now();
+  const cached = cache.get(storePath);
+  if (cached && now - cached.checkedAt < FILE_CHECK_INTERVAL_MS) {
+    return cached.definitions;
+  }
+
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(storePath).mtimeMs;
+  } catch (_) {
+    // No catalogue file: built-in codes only.
+  }
+
+  if (cached && cached.mtimeMs === mtimeMs) {
+    cached.checkedAt = now;
+    return cached.definitions;
+  }
+
+  const definitions = mtimeMs === null
+    ? BUILT_IN_DEFINITIONS
+    : [...readCustomDefinitions(storePath), ...BUILT_IN_DEFINITIONS];
+  cache.set(storePath, { mtimeMs, checkedAt: now, definitions });
+  return definitions;
+}
+
+/**
+ * Find the catalogue definition for a roster duty code.
+ * @param {string} dutyCode - Duty(Role) column value, e.g. "D/O", "R5", "GS1"
+ * @param {Object} env - Environment (ROSTER_DUTY_CODES_PATH)
+ * @returns {Object|null} Definition with `description` already filled in, or null
+ */
+function lookupDutyCode(dutyCode, env = process.env) {
+  const code = dutyCode === undefined || dutyCode === null ? '' : String(dutyCode).trim();
+  if (!code) return null;
+
+  const definition = getDutyCodeDefinitions(env).find(d => (d.code ? d.code === code : d.regex.test(code)));
+  if (!definition) return null;
+
+  return {
+    ...definition,
+    description: (definition.description || code).replace(/\{code\}/g, code)
+  };
+}
+
+/**
+ * Whether a duty shows as busy in free/busy calendars.
+ * The duty code's own definition wins; otherwise the first definition for the duty type.
+ * Duty types without a definition (e.g. FLIGHT) are busy.
+ * @param {string} dutyType
+ * @param {string} [dutyCode]
+ * @param {Object} env - Environment (ROSTER_DUTY_CODES_PATH)
+ * @returns {boolean}
+ */
+function isDutyTypeBusy(dutyType, dutyCode, env = process.env) {
+  const byCode = dutyCode ? lookupDutyCode(dutyCode, env) : null;
+  if (byCode && byCode.dutyType === dutyType) return byCode.busy;
+
+  const byType = getDutyCodeDefinitions(env).find(d => d.dutyType === dutyType);
+  return byType ? byType.busy : true;
+}
+
+module.exports = {
+  BUILT_IN_DUTY_CODES,
+  getDutyCodeDefinitions,
+  lookupDutyCode,
+  isDutyTypeBusy,
+  // For tests
+  _getDutyCodeCatalogueConfig: getDutyCodeCatalogueConfig
+};
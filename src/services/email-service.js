@@ -8,7 +8,7 @@
  * - Google Cloud Functions with Gmail API
  */
 
-const QantasRosterParser = require('../parsers/qantas-roster-parser');
+const { parseRosterText } = require('../parsers/roster-parser-registry');
 const ICSCalendarService = require('./ics-calendar-service');
 
 class EmailService {
@@ -47,9 +47,8 @@ class EmailService {
         throw new Error('No roster text found in email');
       }
 
-      // Parse the roster
-      const parser = new QantasRosterParser();
-      const roster = parser.parse(rosterText);
+      // Parse the roster (format detected by the parser registry)
+      const roster = parseRosterText(rosterText);
 
       // Generate ICS calendar
       const icsService = new ICSCalendarService();
@@ -0,0 +1,197 @@
+/**
+ * Calendar event history
+ * Tracks every event UID a pilot's feeds have published across roster revisions (rest events included): a content hash,
+ * the SEQUENCE number (bumped whenever the event changes) and when it last changed. Events that a
+ * revision removes are kept for a grace period so feeds can publish them as STATUS:CANCELLED.
+ * The history is stored on the pilot's roster bucket (see rosterStore.getEventHistory).
+ */
+
+const crypto = require('crypto');
+const ICSCalendarService = require('./ics-calendar-service');
+const { analyseRest } = require('./rest-analyser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event fields kept for publishing a cancelled event after it has left the roster
+const SNAPSHOT_FIELDS = [
+  'title', 'description', 'location', 'geo', 'start', 'end', 'duration',
+  'startInputType', 'startOutputType', 'endInputType', 'endOutputType'
+];
+
+function getEventHistoryConfig(env = process.env) {
+  const graceDays = Number.parseInt(env.ROSTER_CANCELLED_EVENT_GRACE_DAYS, 10);
+  return { graceDays: Number.isFinite(graceDays) && graceDays >= 0 ? graceDays : 14 };
+}
+
+function snapshotEvent(event, icsService) {
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (event[field] !== undefined) snapshot[field] = event[field];
+  }
+  const timezones = icsService.getEventTimezones(event);
+  if (timezones) snapshot.timezones = timezones;
+  return snapshot;
+}
+
+function hashEventContent(snapshot) {
+  const { timezones: _timezones, ...content } = snapshot;
+  return crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Content hash of an event, as recorded in the history (equal hashes: the event has not changed)
+ */
+function hashEvent(event, icsService = new ICSCalendarService()) {
+  return hashEventContent(snapshotEvent(event, icsService));
+}
+
+/**
+ * Content hashes of one roster's events by UID, as the history compares them: pay-free (as in
+ * semi-public feeds) and without rest, so pay rate changes don't count as roster changes
+ * @returns {Map<string, string>} uid -> hash
+ */
+function getRosterEventHashes(roster, icsService = new ICSCalendarService()) {
+  const hashes = new Map();
+  for (const event of icsService.convertRosterToEvents(roster, { includePay: false })) {
+    if (event && event.uid && !hashes.has(event.uid)) hashes.set(event.uid, hashEvent(event, icsService));
+  }
+  return hashes;
+}
+
+/**
+ * Bring a bucket's event history up to date with its stored rosters.
+ * Changes are dated by the received time of the revision the event came from; when that would not
+ * move the event's time forward (rollbacks, re-parses, rosters stored without revisions) the current
+ * time is used instead.
+ * @param {Object} bucket - Roster bucket ({ rosters, revisions, eventHistory })
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment (ROSTER_CANCELLED_EVENT_GRACE_DAYS)
+ * @param {Date} [options.now] - Current time
+ * @returns {boolean} Whether the history changed
+ */
+function updateEventHistory(bucket, { env = process.env, now = new Date() } = {}) {
+  const { graceDays } = getEventHistoryConfig(env);
+  const icsService = new ICSCalendarService();
+  if (!bucket.eventHistory || typeof bucket.eventHistory !== 'object') bucket.eventHistory = {};
+  const history = bucket.eventHistory;
+
+  const nowIso = now.toISOString();
+  const receivedAtByHash = new Map();
+  let latestReceivedAt = null;
+  for (const revision of bucket.revisions || []) {
+    receivedAtByHash.set(revision.hash, revision.receivedAt);
+    if (!latestReceivedAt || revision.receivedAt > latestReceivedAt) latestReceivedAt = revision.receivedAt;
+  }
+  const changeTime = (receivedAt, previous) => (receivedAt && (!previous || receivedAt > previous) ? receivedAt : nowIso);
+
+  let changed = false;
+  const seen = new Set();
+  const recordEvent = (event, receivedAt) => {
+    if (!event || !event.uid || seen.has(event.uid)) return;
+    seen.add(event.uid);
+
+    const snapshot = snapshotEvent(event, icsService);
+    const hash = hashEventContent(snapshot);
+    const kind = icsService.getEventKind(event) || {};
+    const previous = history[event.uid];
+    if (previous && previous.hash === hash && !previous.cancelledAt) return;
+
+    history[event.uid] = {
+      hash,
+      sequence: previous ? previous.sequence + 1 : 0,
+      lastModified: changeTime(receivedAt, previous && previous.lastModified),
+      family: kind.family || null,
+      dutyType: kind.dutyType || null,
+      ...(kind.family === 'rest' ? { short: !!kind.short } : {}),
+      event: snapshot
+    };
+    changed = true;
+  };
+
+  const events = [];
+  for (const roster of bucket.rosters || []) {
+    const receivedAt = receivedAtByHash.get(roster._rosterHash) || null;
+    // Pay-free content (as in semi-public feeds), so pay rate changes don't count as roster changes
+    for (const event of icsService.convertRosterToEvents(roster, { includePay: false })) {
+      if (event && event.uid && !seen.has(event.uid)) events.push(event);
+      recordEvent(event, receivedAt);
+    }
+  }
+
+  // Rest between duties spans rosters; every rest event any feed can show (restEvents 'all') is recorded,
+  // without the short-rest lines that feeds add to duty descriptions
+  const rosters = (bucket.rosters || []).filter(Boolean);
+  const periods = analyseRest(rosters, { events });
+  for (const event of icsService.createRestEvents(periods, rosters, { restEvents: 'all' })) {
+    recordEvent(event, latestReceivedAt);
+  }
+
+  for (const [uid, record] of Object.entries(history)) {
+    if (seen.has(uid)) continue;
+
+    if (!record.cancelledAt) {
+      record.cancelledAt = changeTime(latestReceivedAt, record.lastModified);
+      record.lastModified = record.cancelledAt;
+      record.sequence += 1;
+      changed = true;
+    }
+    if (Date.parse(record.cancelledAt) + graceDays * DAY_MS <= now.getTime()) {
+      delete history[uid];
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Bring the publish history of one CalDAV collection up to date with the resources it now serves.
+ * Each UID keeps the ETag last published and when it last changed; UIDs the collection no longer
+ * serves are marked removed and kept for the grace period, so sync reports can list them.
+ * A change is dated by the resource's event history time when that is newer than every change
+ * recorded so far, otherwise by the current time, so sync tokens handed out earlier still see it.
+ * @param {Object} published - UID -> { etag, modified, removedAt }, updated in place
+ * @param {Array<{uid: string, etag: string, modified: number|null}>} resources - Resources the collection serves
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment (ROSTER_CANCELLED_EVENT_GRACE_DAYS)
+ * @param {Date} [options.now] - Current time
+ * @returns {boolean} Whether the publish history changed
+ */
+function updateCollectionHistory(published, resources, { env = process.env, now = new Date() } = {}) {
+  const { graceDays } = getEventHistoryConfig(env);
+  const nowMs = now.getTime();
+  const latest = Object.values(published).reduce((max, record) => Math.max(max, record.modified), 0);
+  const changeTime = modified => (modified && modified > latest ? modified : Math.max(nowMs, latest + 1));
+
+  let changed = false;
+  const live = new Set();
+  for (const resource of resources) {
+    live.add(resource.uid);
+    const previous = published[resource.uid];
+    if (previous && previous.etag === resource.etag && !previous.removedAt) continue;
+    published[resource.uid] = { etag: resource.etag, modified: changeTime(resource.modified) };
+    changed = true;
+  }
+
+  for (const [uid, record] of Object.entries(published)) {
+    if (live.has(uid)) continue;
+    if (!record.removedAt) {
+      record.modified = changeTime(null);
+      record.removedAt = new Date(record.modified).toISOString();
+      changed = true;
+    }
+    if (Date.parse(record.removedAt) + graceDays * DAY_MS <= nowMs) {
+      delete published[uid];
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+module.exports = {
+  updateEventHistory,
+  updateCollectionHistory,
+  hashEvent,
+  getRosterEventHashes,
+  getEventHistoryConfig
+};
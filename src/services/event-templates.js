@@ -0,0 +1,180 @@
+/**
+ * Event title and description templates
+ * Per-pilot templates per event type, e.g. "{flight} {from}→{to}" for flight legs instead of
+ * "QF940 PER-BNE 0700-0900". Templates only substitute named fields ({field}; "{{" and "}}" are
+ * literal braces), so they can't run code or reach anything outside the event's fields.
+ */
+
+const path = require('path');
+const storage = require('./storage');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+// Event types with their own templates (see ICSCalendarService.getTemplateType)
+const TEMPLATE_TYPES = {
+  duty: 'Flight duties',
+  pattern: 'Pairings (all-day)',
+  flight: 'Flight legs',
+  simulator: 'Simulators',
+  reserve: 'Reserves',
+  other: 'Other duties',
+  dayoff: 'Days off and leave',
+  rest: 'Rest',
+  busy: 'Public: busy',
+  free: 'Public: free'
+};
+const PUBLIC_TEMPLATE_TYPES = ['busy', 'free'];
+
+const TEMPLATE_FIELDS = {
+  default: 'The built-in title or description',
+  dutyCode: 'Duty code, e.g. 8026A4 or R5',
+  dutyType: 'Duty type, e.g. FLIGHT or RESERVE',
+  flight: 'Flight number(s), e.g. QF940 or QF936/QF545',
+  pax: 'PAX on passive (positioning) flights',
+  from: 'First port',
+  to: 'Last port',
+  route: 'All ports, e.g. PER-MEL-PER',
+  slipPorts: 'Overnight ports of a pairing',
+  date: 'Local start date (YYYY-MM-DD)',
+  localDep: 'Local start time (report, departure)',
+  localArr: 'Local end time (release, arrival)',
+  duration: 'Length (H:MM)',
+  pay: 'Pay line (private feed only)',
+  status: 'Busy or Free'
+};
+// Public (busy/free) events only get fields that don't reveal the duty
+const PUBLIC_FIELDS = ['default', 'status', 'date', 'localDep', 'localArr', 'duration'];
+
+/**
+ * Get event template storage path
+ */
+function getStoragePath(env = process.env) {
+  return env.ROSTER_EVENT_TEMPLATES_PATH || path.join(process.cwd(), 'data', 'event-templates.json');
+}
+
+/**
+ * Event template collection
+ * staffNo -> { [type]: { title?, description? } }
+ */
+function getStore(env = process.env) {
+  return storage.openCollection('event-templates', { jsonPath: getStoragePath(env), env });
+}
+
+function eventTemplateError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Split a template into literal text and field names
+ * @param {string} template
+ * @param {Array<string>} [fields] - Allowed field names (default: all)
+ * @returns {Array<string|{ field: string }>}
+ */
+function parseTemplate(template, fields = Object.keys(TEMPLATE_FIELDS)) {
+  const parts = [];
+  let text = '';
+  const source = String(template);
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if ((ch === '{' || ch === '}') && source[i + 1] === ch) {
+      text += ch;
+      i += 1;
+    } else if (ch === '{') {
+      const close = source.indexOf('}', i);
+      const name = close === -1 ? null : source.slice(i + 1, close).trim();
+      if (!name) throw eventTemplateError('Unclosed { in template (use {{ for a literal brace)', 'EVENT_TEMPLATE_INVALID');
+      if (!fields.includes(name)) throw eventTemplateError(`Unknown template field {${name}}`, 'EVENT_TEMPLATE_UNKNOWN_FIELD');
+      if (text) parts.push(text);
+      text = '';
+      parts.push({ field: name });
+      i = close;
+    } else if (ch === '}') {
+      throw eventTemplateError('Unmatched } in template (use }} for a literal brace)', 'EVENT_TEMPLATE_INVALID');
+    } else {
+      text += ch;
+    }
+  }
+  if (text) parts.push(text);
+  return parts;
+}
+
+/**
+ * Render a template; missing fields are empty
+ * @param {string} template
+ * @param {Object} values - field -> string
+ * @returns {string}
+ */
+function renderTemplate(template, values) {
+  return parseTemplate(template)
+    .map(part => (typeof part === 'string' ? part : String(values[part.field] || '')))
+    .join('');
+}
+
+/**
+ * Get a pilot's templates, keyed by event type
+ * @param {string} staffNo - Staff number
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { flight: { title: '{flight} {from}→{to}' }, duty: { title, description } }
+ */
+function getEventTemplates(staffNo, env = process.env) {
+  return (staffNo && getStore(env).get(staffNo)) || {};
+}
+
+function normalizeTemplate(value, type, maxLength, label) {
+  if (value === undefined || value === null) return '';
+  const template = String(value).replace(/\r\n?/g, '\n').trim();
+  if (template.length > maxLength) {
+    throw eventTemplateError(`${label} template must be at most ${maxLength} characters`, 'EVENT_TEMPLATE_TOO_LONG');
+  }
+  parseTemplate(template, PUBLIC_TEMPLATE_TYPES.includes(type) ? PUBLIC_FIELDS : Object.keys(TEMPLATE_FIELDS));
+  return template;
+}
+
+/**
+ * Set (or with both templates empty, clear) the templates of one event type
+ * @param {string} staffNo - Staff number
+ * @param {string} type - One of TEMPLATE_TYPES
+ * @param {Object} templates - { title, description } (empty: the built-in text)
+ * @param {Object} env - Environment variables
+ * @returns {Object} - The stored templates ({ title?, description? }; {} when cleared)
+ */
+function setEventTemplate(staffNo, type, { title, description } = {}, env = process.env) {
+  if (!staffNo || typeof staffNo !== 'string') {
+    throw eventTemplateError('Staff number is required', 'EVENT_TEMPLATE_INVALID_STAFFNO');
+  }
+  if (!Object.prototype.hasOwnProperty.call(TEMPLATE_TYPES, type)) {
+    throw eventTemplateError('Unknown event type', 'EVENT_TEMPLATE_INVALID_TYPE');
+  }
+
+  const entry = {};
+  const titleTemplate = normalizeTemplate(title, type, MAX_TITLE_LENGTH, 'Title');
+  if (titleTemplate.includes('\n')) {
+    throw eventTemplateError('Title template must be one line', 'EVENT_TEMPLATE_INVALID');
+  }
+  if (titleTemplate) entry.title = titleTemplate;
+  const descriptionTemplate = normalizeTemplate(description, type, MAX_DESCRIPTION_LENGTH, 'Description');
+  if (descriptionTemplate) entry.description = descriptionTemplate;
+
+  const templates = { ...getEventTemplates(staffNo, env) };
+  if (Object.keys(entry).length > 0) templates[type] = entry;
+  else delete templates[type];
+
+  const store = getStore(env);
+  if (Object.keys(templates).length > 0) store.set(staffNo, templates);
+  else store.delete(staffNo);
+  return entry;
+}
+
+module.exports = {
+  TEMPLATE_TYPES,
+  PUBLIC_TEMPLATE_TYPES,
+  TEMPLATE_FIELDS,
+  PUBLIC_FIELDS,
+  parseTemplate,
+  renderTemplate,
+  getEventTemplates,
+  setEventTemplate
+};
@@ -0,0 +1,119 @@
+/**
+ * Generated calendar feed cache
+ * Keeps rendered feeds per (rosterId, feed type, options) so calendar polls don't regenerate the
+ * whole ICS, and gives each feed an ETag and Last-Modified for conditional GETs.
+ * Entries are invalidated when rosterStore reports a change for the pilot, and expire after a TTL
+ * so time-driven changes (cancelled events leaving the feed after their grace period) are picked up.
+ */
+
+const crypto = require('crypto');
+const rosterStore = require('./roster-store');
+
+// key -> { rosterId, body, etag, lastModified, stale, expiresAt }
+const entries = new Map();
+
+function parseBoolean(value, defaultValue = false) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  const v = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'y', 'on'].includes(v)) return true;
+  if (['0', 'false', 'no', 'n', 'off'].includes(v)) return false;
+  return defaultValue;
+}
+
+function getFeedCacheConfig(env = process.env) {
+  const enabled = parseBoolean(env.ROSTER_FEED_CACHE_ENABLED, true);
+  const maxEntries = Number.parseInt(env.ROSTER_FEED_CACHE_MAX_ENTRIES, 10);
+  const ttlMinutes = Number.parseInt(env.ROSTER_FEED_CACHE_TTL_MINUTES, 10);
+  return {
+    enabled,
+    maxEntries: Number.isFinite(maxEntries) && maxEntries > 0 ? maxEntries : 500,
+    ttlMs: (Number.isFinite(ttlMinutes) && ttlMinutes > 0 ? ttlMinutes : 60) * 60 * 1000
+  };
+}
+
+/**
+ * JSON with sorted object keys, so equal options always give the same cache key
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function getCacheKey(rosterId, feedType, options = {}) {
+  // Date-range filters are relative to today, so those feeds roll over at midnight UTC.
+  const hasDateRange = options.pastDays !== undefined || options.nextDays !== undefined;
+  const day = hasDateRange ? new Date().toISOString().slice(0, 10) : '';
+  return `${rosterId}|${feedType}|${day}|${stableStringify(options)}`;
+}
+
+/**
+ * Strong ETag over the feed body. DTSTAMP lines are left out because they change on every
+ * render even when the events do not.
+ */
+function computeEtag(body) {
+  const content = String(body).replace(/^DTSTAMP:.*\r?\n/gm, '');
+  return `"${crypto.createHash('sha256').update(content).digest('hex').slice(0, 32)}"`;
+}
+
+/**
+ * Get a feed from the cache, generating it when missing or invalidated
+ * @param {string} rosterId - Staff number the feed belongs to
+ * @param {string} feedType - e.g. 'private', 'semipublic', 'public'
+ * @param {Object} options - Everything the generated output depends on (filters, pay rate, alarms, ...)
+ * @param {function(): Promise<string>} generate - Renders the feed
+ * @param {Object} env - Environment variables
+ * @returns {Promise<{ body: string, etag: string, lastModified: Date }>}
+ */
+async function getFeed(rosterId, feedType, options, generate, env = process.env) {
+  const { enabled, maxEntries, ttlMs } = getFeedCacheConfig(env);
+  const key = getCacheKey(rosterId, feedType, options);
+  const cached = entries.get(key);
+  const now = Date.now();
+
+  if (enabled && cached && !cached.stale && cached.expiresAt > now) {
+    // Re-insert to keep the Map in least-recently-used order.
+    entries.delete(key);
+    entries.set(key, cached);
+    return cached;
+  }
+
+  const body = await generate();
+  const etag = computeEtag(body);
+  // A roster change or expiry that leaves this feed identical keeps its previous body and timestamp.
+  const entry = cached && cached.etag === etag
+    ? { ...cached, stale: false, expiresAt: now + ttlMs }
+    : { rosterId, body, etag, lastModified: new Date(Math.floor(now / 1000) * 1000), stale: false, expiresAt: now + ttlMs };
+
+  if (!enabled) return entry;
+
+  entries.delete(key);
+  entries.set(key, entry);
+  while (entries.size > maxEntries) {
+    entries.delete(entries.keys().next().value);
+  }
+  return entry;
+}
+
+/**
+ * Mark all cached feeds of a pilot as stale
+ * @param {string} rosterId - Staff number
+ */
+function invalidateFeeds(rosterId) {
+  for (const entry of entries.values()) {
+    if (entry.rosterId === rosterId) entry.stale = true;
+  }
+}
+
+rosterStore.onRosterChange(invalidateFeeds);
+
+module.exports = {
+  getFeed,
+  invalidateFeeds,
+  getFeedCacheConfig,
+  // For tests
+  _clear: () => entries.clear(),
+  _size: () => entries.size
+};
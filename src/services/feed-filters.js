@@ -0,0 +1,76 @@
+/**
+ * Calendar feed filters
+ * Parses subscription URL query parameters into ICSCalendarService options:
+ *   events=duties,flights     event families to include (default all)
+ *   dutyTypes=FLIGHT,RESERVE  only these duty types
+ *   past=7                    drop events that ended more than N days ago
+ *   next=30                   drop events starting more than N days ahead
+ *   rest=all                  rest between duties: short (default), all or none
+ */
+
+const ICSCalendarService = require('./ics-calendar-service');
+
+const MAX_DAYS = 3660;
+
+function feedFilterError(message) {
+  const err = new Error(message);
+  err.code = 'FEED_FILTER_INVALID';
+  return err;
+}
+
+function parseList(value) {
+  const raw = Array.isArray(value) ? value.join(',') : String(value);
+  return raw.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function parseDays(value, name) {
+  const raw = String(value).trim();
+  const days = Number(raw);
+  if (!/^\d+$/.test(raw) || days > MAX_DAYS) {
+    throw feedFilterError(`${name} must be a whole number of days from 0 to ${MAX_DAYS}`);
+  }
+  return days;
+}
+
+/**
+ * Parse feed filters from a request query
+ * @param {Object} query - req.query
+ * @returns {Object} - { eventTypes?, dutyTypes?, pastDays?, nextDays?, restEvents? } (only the filters that were given)
+ */
+function parseFeedFilters(query = {}) {
+  const filters = {};
+
+  if (query.events !== undefined) {
+    const eventTypes = parseList(query.events).map(v => v.toLowerCase());
+    const unknown = eventTypes.filter(v => !ICSCalendarService.EVENT_FAMILIES.includes(v));
+    if (eventTypes.length === 0 || unknown.length > 0) {
+      throw feedFilterError(`events must be a comma-separated list of: ${ICSCalendarService.EVENT_FAMILIES.join(', ')}`);
+    }
+    filters.eventTypes = eventTypes;
+  }
+
+  if (query.dutyTypes !== undefined) {
+    const dutyTypes = parseList(query.dutyTypes).map(v => v.toUpperCase());
+    if (dutyTypes.length === 0 || dutyTypes.some(v => !/^[A-Z][A-Z0-9_]*$/.test(v))) {
+      throw feedFilterError('dutyTypes must be a comma-separated list of duty types, e.g. FLIGHT,RESERVE');
+    }
+    filters.dutyTypes = dutyTypes;
+  }
+
+  if (query.past !== undefined) filters.pastDays = parseDays(query.past, 'past');
+  if (query.next !== undefined) filters.nextDays = parseDays(query.next, 'next');
+
+  if (query.rest !== undefined) {
+    const restEvents = String(query.rest).trim().toLowerCase();
+    if (!ICSCalendarService.REST_EVENT_MODES.includes(restEvents)) {
+      throw feedFilterError(`rest must be one of: ${ICSCalendarService.REST_EVENT_MODES.join(', ')}`);
+    }
+    filters.restEvents = restEvents;
+  }
+
+  return filters;
+}
+
+module.exports = {
+  parseFeedFilters
+};
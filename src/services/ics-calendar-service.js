@@ -6,6 +6,29 @@ const ics = require('ics');
 const TimezoneService = require('./timezone-service');
 const { DateTime } = require('luxon');
 const crypto = require('crypto');
+const { isDutyTypeBusy } = require('./duty-code-catalogue');
+const { renderTemplate } = require('./event-templates');
+
+// Calendar time output: 'utc' (DTSTART:...Z) or 'local' (DTSTART;TZID=<port timezone>:... plus VTIMEZONEs)
+const TIMEZONE_MODES = ['utc', 'local'];
+
+// Event families that feed filters (options.eventTypes) can switch on or off:
+// duties (duty periods and other roster rows), patterns (all-day pairing events), flights (individual legs),
+// simulators (simulator sessions), daysoff (free rows per the duty-code catalogue, e.g. D/O, AV, AL),
+// rest (rest between duties, see REST_EVENT_MODES)
+const EVENT_FAMILIES = ['duties', 'patterns', 'flights', 'simulators', 'daysoff', 'rest'];
+// Rest between duties: 'short' only rest below the minimum, 'all' every rest period, 'none' no rest output
+const REST_EVENT_MODES = ['short', 'all', 'none'];
+
+// How ports appear in titles and descriptions: 'code' (SYD) or 'city' (Sydney, from the airport dataset)
+const PORT_NAME_MODES = ['code', 'city'];
+
+// Start/end timezone of each timed event, for local-time output. Kept outside the event objects
+// because the ics library rejects unknown event properties.
+const eventTimezones = new WeakMap();
+
+// Event family and duty type of each event (see EVENT_FAMILIES), for the event history service.
+const eventKinds = new WeakMap();
 
 class ICSCalendarService {
   constructor() {
@@ -17,6 +40,32 @@ class ICSCalendarService {
     return String(value).trim().toUpperCase();
   }
 
+  /**
+   * Port for titles and descriptions: the code as given, or the airport's city with portNames 'city'
+   * (codes missing from the airport dataset stay as codes)
+   */
+  formatPort(port, portNames = 'code') {
+    if (portNames !== 'city') return port;
+    const airport = this.timezoneService.getAirport(port);
+    return airport && airport.city ? airport.city : port;
+  }
+
+  /**
+   * Set LOCATION (e.g. "Sydney Kingsford Smith (SYD)") and GEO for an event at an airport
+   * @returns {Object} The event
+   */
+  setEventLocation(event, port) {
+    const code = this.normalizePort(port);
+    if (!event || !code) return event;
+
+    event.location = this.timezoneService.formatAirportLocation(code);
+    const airport = this.timezoneService.getAirport(code);
+    if (airport && airport.latitude !== null && airport.longitude !== null) {
+      event.geo = { lat: airport.latitude, lon: airport.longitude };
+    }
+    return event;
+  }
+
   parseHHMMToMinutes(value) {
     if (value === null || value === undefined) return null;
     const raw = String(value).trim();
@@ -81,19 +130,32 @@ class ICSCalendarService {
     return `Pay: ${paid} (credit; DPC60 min ${min})`;
   }
 
-  stableUidForEntry({ year, month, day, entry, employee }) {
+  /**
+   * Pay of a duty as recorded with tagEvent (the description shows the same values)
+   * @param {string|null} line - From buildPayLine
+   * @param {string|null} creditHours - Credit used for the duty value
+   * @param {number} [payRate] - Hourly pay rate
+   * @returns {{ line: string|null, dutyValue: number|null }|null}
+   */
+  buildEventPay(line, creditHours, payRate) {
+    let dutyValue = null;
+    if (payRate && creditHours) {
+      const QantasRosterParser = require('../parsers/qantas-roster-parser');
+      dutyValue = QantasRosterParser.calculateDutyValue(creditHours, payRate);
+    }
+    if (!line && dutyValue === null) return null;
+    return { line: line || null, dutyValue: Number.isFinite(dutyValue) ? dutyValue : null };
+  }
+
+  /**
+   * UID of a roster-table event from its date, duty type and duty code. Times and ports are left out
+   * so a duty revised in a later roster keeps its UID (and whatever the pilot added to it in their
+   * calendar). Hashed because public feeds share these UIDs.
+   */
+  stableUidForEntry({ year, month, day, entry }) {
     const payload = {
-      year,
-      month,
-      day,
       dutyType: entry && entry.dutyType,
-      dutyCode: entry && entry.dutyCode,
-      service: entry && entry.service,
-      port: entry && entry.port,
-      signOn: entry && entry.signOn,
-      signOff: entry && entry.signOff,
-      passive: entry && entry.passive,
-      base: employee && employee.base
+      dutyCode: entry && (entry.dutyCode || entry.service)
     };
 
     const hash = crypto
@@ -105,6 +167,54 @@ class ICSCalendarService {
     return `${year}-${month + 1}-${day}-${hash}@roster-calendar`;
   }
 
+  /**
+   * Give different events that share a UID within one roster (e.g. two rows with the same duty code
+   * on one day) an occurrence suffix: -2, -3, ... Identical events keep the UID and are merged later.
+   * @param {Array<Object>} events
+   * @returns {Array<Object>}
+   */
+  disambiguateUids(events) {
+    const variantsByUid = new Map();
+    for (const event of events) {
+      const content = JSON.stringify([event.title, event.description, event.start, event.end, event.duration]);
+      const variants = variantsByUid.get(event.uid) || [];
+      if (!variants.includes(content)) variants.push(content);
+      variantsByUid.set(event.uid, variants);
+
+      const index = variants.indexOf(content);
+      if (index > 0) event.uid = event.uid.replace(/@roster-calendar$/, `-${index + 1}@roster-calendar`);
+    }
+    return events;
+  }
+
+  /**
+   * Remember the feed-filter family and duty type of an event (see getEventKind), plus what the
+   * JSON feeds and title templates use (duty code, flights, ports, pay). Tagging again keeps earlier details.
+   * @param {Object} [details] - { dutyCode, flightNumber, flightNumbers, passive, ports, slipPorts, pay (see buildEventPay),
+   *   short (rest below the minimum), shortRest (warning line, see addRestEvents) }
+   * @returns {Object} The event
+   */
+  tagEvent(event, family, dutyType, details = {}) {
+    eventKinds.set(event, { ...eventKinds.get(event), family, dutyType, ...details });
+    return event;
+  }
+
+  /**
+   * @returns {{ family: string, dutyType: string, dutyCode?: string, flightNumber?: string, flightNumbers?: string[],
+   *   passive?: boolean, ports?: string[], slipPorts?: string[], pay?: { line: string|null, dutyValue: number|null },
+   *   short?: boolean, shortRest?: string }|null}
+   */
+  getEventKind(event) {
+    return eventKinds.get(event) || null;
+  }
+
+  /**
+   * @returns {{ start: string, end: string }|null} Timezones recorded by setEventTimezones
+   */
+  getEventTimezones(event) {
+    return eventTimezones.get(event) || null;
+  }
+
   /**
    * Convert roster to ICS format
    * @param {Object} roster - Parsed roster data
@@ -114,16 +224,7 @@ class ICSCalendarService {
    */
   async generateICS(roster, options = {}) {
     const events = this.convertRosterToEvents(roster, options);
-    
-    return new Promise((resolve, reject) => {
-      ics.createEvents(events, (error, value) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve(value);
-        }
-      });
-    });
+    return this.renderICS(events, options);
   }
 
   /**
@@ -132,20 +233,137 @@ class ICSCalendarService {
    * @param {Array<Object>} rosters - Array of parsed roster objects
    * @param {Object} options - Optional configuration
    * @param {number} options.payRate - Hourly pay rate for value calculations
+   * @param {Object} options.alarmRules - Pilot's alarm rules keyed by duty type (private feed only)
+   * @param {string} options.timezoneMode - 'utc' (default) or 'local' (see renderICS)
    * @returns {Promise<string>} ICS calendar string
    */
   async generateICSForRosters(rosters, options = {}) {
     const events = this.convertRostersToEvents(rosters, options);
+    return this.renderICS(events, options);
+  }
 
-    return new Promise((resolve, reject) => {
-      ics.createEvents(events, (error, value) => {
+  /**
+   * Render events to an ICS string
+   * @param {Array<Object>} events - ics events (timed events with UTC start/end)
+   * @param {Object} options - Optional configuration
+   * @param {string} options.timezoneMode - 'utc' (default) or 'local' for TZID times with VTIMEZONEs
+   * @returns {Promise<string>} ICS calendar string
+   */
+  async renderICS(events, options = {}) {
+    const value = await new Promise((resolve, reject) => {
+      ics.createEvents(events, (error, result) => {
         if (error) {
           reject(error);
         } else {
-          resolve(value);
+          resolve(result);
         }
       });
     });
+
+    return options.timezoneMode === 'local' ? this.toLocalTimeCalendar(value, events) : value;
+  }
+
+  /**
+   * Remember the timezones a timed event starts and ends in (for local-time output)
+   * @returns {Object} The event
+   */
+  setEventTimezones(event, startTimezone, endTimezone) {
+    if (event && startTimezone) {
+      eventTimezones.set(event, { start: startTimezone, end: endTimezone || startTimezone });
+    }
+    return event;
+  }
+
+  /**
+   * Build a folded DTSTART/DTEND content line for a UTC date array as local time in a zone
+   * @param {string} name - 'DTSTART' or 'DTEND'
+   * @param {Array<number>} value - [year, month, day, hour, minute] in UTC
+   * @param {string} zone - IANA timezone
+   * @returns {string} e.g. "DTSTART;TZID=Australia/Perth:20250715T174500"
+   */
+  formatLocalTimeProperty(name, value, zone) {
+    const [year, month, day, hour, minute] = value;
+    const local = DateTime.utc(year, month, day, hour, minute).setZone(zone);
+    const line = `${name};TZID=${zone}:${local.toFormat("yyyyMMdd'T'HHmmss")}`;
+
+    // RFC 5545 3.1: lines longer than 75 octets continue on lines starting with whitespace
+    const parts = [];
+    let rest = line;
+    let length = 75;
+    while (Buffer.byteLength(rest) > length) {
+      parts.push(rest.slice(0, length));
+      rest = rest.slice(length);
+      length = 74;
+    }
+    parts.push(rest);
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Give timed events local DTSTART/DTEND with a TZID parameter and add a VTIMEZONE for every zone used.
+   * The ics library has no TZID support, so events are rendered in UTC and their DTSTART/DTEND
+   * properties are then replaced with ones built by formatLocalTimeProperty.
+   * @param {string} value - ICS string rendered from events (VEVENTs in the same order)
+   * @param {Array<Object>} events - The rendered events
+   * @returns {string} ICS calendar string
+   */
+  toLocalTimeCalendar(value, events) {
+    const zones = new Set();
+    let fromYear = Infinity;
+    let toYear = -Infinity;
+    for (const event of events) {
+      const eventZones = eventTimezones.get(event);
+      if (!eventZones || !Array.isArray(event.start)) continue;
+      zones.add(eventZones.start);
+      zones.add(eventZones.end);
+      fromYear = Math.min(fromYear, event.start[0]);
+      toYear = Math.max(toYear, Array.isArray(event.end) ? event.end[0] : event.start[0]);
+    }
+    if (zones.size === 0) return value;
+
+    const vtimezones = Array.from(zones)
+      .sort()
+      .map(zone => this.timezoneService.buildVTimezone(zone, { fromYear, toYear }))
+      .filter(Boolean)
+      .join('');
+
+    // Content lines, each with its folded continuation lines
+    const contentLines = [];
+    for (const line of value.split('\r\n')) {
+      if (/^[ \t]/.test(line) && contentLines.length) {
+        contentLines[contentLines.length - 1] += `\r\n${line}`;
+      } else if (line) {
+        contentLines.push(line);
+      }
+    }
+
+    const output = [];
+    const components = [];
+    let eventIndex = -1;
+    for (const line of contentLines) {
+      const name = line.split(/[;:]/, 1)[0].toUpperCase();
+      if (name === 'BEGIN') {
+        const component = line.slice('BEGIN:'.length).toUpperCase();
+        if (component === 'VEVENT') {
+          if (eventIndex === -1 && vtimezones) output.push(vtimezones.replace(/\r\n$/, ''));
+          eventIndex++;
+        }
+        components.push(component);
+      } else if (name === 'END') {
+        components.pop();
+      } else if ((name === 'DTSTART' || name === 'DTEND') && components[components.length - 1] === 'VEVENT') {
+        const event = events[eventIndex];
+        const eventZones = event && eventTimezones.get(event);
+        const key = name === 'DTSTART' ? 'start' : 'end';
+        if (eventZones && event[`${key}InputType`] === 'utc' && Array.isArray(event[key]) && event[key].length >= 5) {
+          output.push(this.formatLocalTimeProperty(name, event[key], eventZones[key]));
+          continue;
+        }
+      }
+      output.push(line);
+    }
+
+    return `${output.join('\r\n')}\r\n`;
   }
 
   /**
@@ -153,14 +371,21 @@ class ICSCalendarService {
    * @param {Array<Object>} rosters
    * @param {Object} options - Optional configuration
    * @param {number} options.payRate - Hourly pay rate for value calculations
+   * @param {Object} options.eventHistory - Pilot's event history (see applyEventHistory)
+   * @param {string} options.restEvents - One of REST_EVENT_MODES (default 'short', see addRestEvents)
+   * @param {Object} options.eventTemplates - Pilot's title/description templates (see applyEventTemplates)
    * @returns {Array}
    */
   convertRostersToEvents(rosters, options = {}) {
     const rosterList = Array.isArray(rosters) ? rosters.filter(Boolean) : [];
     const allEvents = [];
+    // Rest is measured between all duties: convert unfiltered and let addRestEvents apply the feed filters
+    const conversionOptions = (options.restEvents || 'short') === 'none'
+      ? options
+      : { ...options, eventTypes: undefined, dutyTypes: undefined, pastDays: undefined, nextDays: undefined };
 
     for (const roster of rosterList) {
-      const events = this.convertRosterToEvents(roster, options);
+      const events = this.convertRosterToEvents(roster, conversionOptions);
       for (const event of events) {
         allEvents.push(event);
       }
@@ -175,7 +400,11 @@ class ICSCalendarService {
       }
     }
 
-    const merged = Array.from(byUid.values());
+    const merged = this.appendShortRestWarnings(this.applyEventTemplates(
+      this.applyEventHistory(this.addRestEvents(Array.from(byUid.values()), rosterList, options), options),
+      options.eventTemplates,
+      { portNames: options.portNames }
+    ));
     // Stable ordering helps keep diffs small for subscribers
     merged.sort((a, b) => {
       const aStart = Array.isArray(a.start) ? a.start.join('-') : '';
@@ -195,6 +424,12 @@ class ICSCalendarService {
    * @param {Object} roster - Parsed roster data
    * @param {Object} options - Optional configuration
    * @param {number} options.payRate - Hourly pay rate for value calculations
+   * @param {Object} options.alarmRules - Alarm rules keyed by duty type, attached as VALARMs
+   * @param {Array<string>} options.eventTypes - Event families to include (see EVENT_FAMILIES; default all)
+   * @param {Array<string>} options.dutyTypes - Only include these duty types (default all)
+   * @param {number} options.pastDays - Drop events that ended more than this many days ago
+   * @param {number} options.nextDays - Drop events starting more than this many days ahead
+   * @param {string} options.portNames - 'code' (default) or 'city' for ports in titles and descriptions
    * @returns {Array} Array of event objects
    */
   convertRosterToEvents(roster, options = {}) {
@@ -204,6 +439,8 @@ class ICSCalendarService {
     const period = parser.getRosterPeriod(roster);
     const payRate = options.payRate;
     const includePay = options.includePay !== false;
+    const alarmRules = options.alarmRules || null;
+    const portNames = options.portNames || 'code';
 
     const hasDutyPatterns = Array.isArray(roster.dutyPatterns) && roster.dutyPatterns.length > 0;
 
@@ -259,13 +496,23 @@ class ICSCalendarService {
           : null;
         const matchingEntry = key ? flightEntryByKey.get(key) : null;
 
-        const dutyEvent = this.createDutyEventFromPattern(dutyPattern, roster.employee, matchingEntry, payRate, includePay);
-        if (dutyEvent) events.push(dutyEvent);
+        if (!this.isEventIncluded(options, 'duties', 'FLIGHT')) continue;
+        const dutyEvent = this.createDutyEventFromPattern(dutyPattern, roster.employee, matchingEntry, payRate, includePay, alarmRules, portNames);
+        if (dutyEvent) {
+          const legs = dutyPattern.legs;
+          events.push(this.tagEvent(dutyEvent, 'duties', 'FLIGHT', {
+            dutyCode: dutyCode || null,
+            flightNumbers: legs.map(l => l.flightNumber).filter(Boolean),
+            ports: this.uniquePortRoute([legs[0].departPort, ...legs.map(l => l.arrivePort)])
+          }));
+        }
       }
 
       // Add all-day Pattern events for multi-day pairings (away from base)
-      const patternEvents = this.createAllDayPatternEventsFromDutyPatterns(roster.dutyPatterns, roster.employee);
-      for (const e of patternEvents) events.push(e);
+      if (this.isEventIncluded(options, 'patterns', 'FLIGHT')) {
+        const patternEvents = this.createAllDayPatternEventsFromDutyPatterns(roster.dutyPatterns, roster.employee, portNames);
+        for (const e of patternEvents) events.push(this.tagEvent(e, 'patterns', 'FLIGHT'));
+      }
     }
 
     for (const { entry, month, year } of entriesWithDates) {
@@ -286,28 +533,372 @@ class ICSCalendarService {
         }
       }
 
-      const event = this.createEventFromEntry(entry, month, year, roster.employee, payRate, includePay);
-      if (event) events.push(event);
+      const family = this.getEntryEventFamily(entry);
+      if (!this.isEventIncluded(options, family, entry.dutyType)) continue;
+
+      const event = this.createEventFromEntry(entry, month, year, roster.employee, payRate, includePay, alarmRules);
+      if (event) {
+        events.push(this.tagEvent(event, family, entry.dutyType, {
+          dutyCode: entry.dutyCode || null,
+          flightNumbers: entry.service ? String(entry.service).split('/').map(f => f.trim()).filter(Boolean) : [],
+          ports: this.uniquePortRoute([entry.port])
+        }));
+      }
     }
 
-    if (Array.isArray(roster.simulatorSessions) && roster.simulatorSessions.length > 0) {
+    if (Array.isArray(roster.simulatorSessions) && roster.simulatorSessions.length > 0 &&
+      this.isEventIncluded(options, 'simulators', 'SIMULATOR')) {
       for (const session of roster.simulatorSessions) {
-        const simEvent = this.createSimulatorSessionEvent(session, roster.employee);
-        if (simEvent) events.push(simEvent);
+        const simEvent = this.createSimulatorSessionEvent(session, roster.employee, alarmRules, portNames);
+        if (simEvent) {
+          events.push(this.tagEvent(simEvent, 'simulators', 'SIMULATOR', {
+            dutyCode: session.simulatorCode,
+            ports: this.uniquePortRoute([session.startPort, session.endPort])
+          }));
+        }
       }
     }
 
     // Add individual flight-leg events if Pattern Details were parsed
-    if (Array.isArray(roster.flights) && roster.flights.length > 0) {
+    if (Array.isArray(roster.flights) && roster.flights.length > 0 && this.isEventIncluded(options, 'flights', 'FLIGHT')) {
       for (const flightLeg of roster.flights) {
-        const flightEvent = this.createEventFromFlightLeg(flightLeg, roster.employee);
-        if (flightEvent) events.push(flightEvent);
+        const flightEvent = this.createEventFromFlightLeg(flightLeg, roster.employee, portNames);
+        if (flightEvent) {
+          events.push(this.tagEvent(flightEvent, 'flights', 'FLIGHT', {
+            dutyCode: null,
+            flightNumber: flightLeg.flightNumber || null,
+            passive: !!flightLeg.passive,
+            ports: this.uniquePortRoute([flightLeg.departPort, flightLeg.arrivePort])
+          }));
+        }
       }
     }
 
+    return this.filterEventsByDateRange(this.disambiguateUids(events), options);
+  }
+
+  /**
+   * Rest between duties (see the rest analyser). A duty that follows rest below the minimum is tagged
+   * with a warning line (shortRest, added to its description by appendShortRestWarnings), and rest
+   * periods are added as free events (see createRestEvents).
+   * 'none' turns both off. Rest is measured between all duties, so the events must not be filtered yet:
+   * the feed filters (family, duty type and date range) are applied here, to the rest events too.
+   * @param {Array<Object>} events - Merged, unfiltered events of the rosters
+   * @param {Array<Object>} rosters
+   * @param {Object} options - { restEvents, restConfig (see getRestConfig; default from the environment), portNames } and feed filters
+   * @returns {Array<Object>}
+   */
+  addRestEvents(events, rosters, options) {
+    const mode = options.restEvents || 'short';
+    if (mode === 'none') return events;
+
+    const { analyseRest, getRestConfig } = require('./rest-analyser');
+    const config = options.restConfig || getRestConfig(process.env);
+    const portNames = options.portNames || 'code';
+    const byUid = new Map(events.map(event => [event.uid, event]));
+    const periods = analyseRest(rosters, { config, events });
+
+    for (const rest of periods) {
+      if (!rest.short) continue;
+      const duration = this.formatMinutesAsHMM(rest.minutes);
+      const minimum = this.formatMinutesAsHMM(rest.minimumMinutes);
+      const port = this.formatPort(rest.port, portNames);
+      for (const { uid } of rest.before) {
+        const duty = byUid.get(uid);
+        const kind = duty && eventKinds.get(duty);
+        if (kind) {
+          this.tagEvent(duty, kind.family, kind.dutyType, {
+            shortRest: `Short rest before this duty: ${duration} at ${port} (minimum ${minimum})`
+          });
+        }
+      }
+    }
+
+    const included = events
+      .concat(this.createRestEvents(periods, rosters, { ...options, restConfig: config }))
+      .filter(event => {
+        const kind = eventKinds.get(event) || {};
+        return this.isEventIncluded(options, kind.family, kind.dutyType);
+      });
+    return this.filterEventsByDateRange(included, options);
+  }
+
+  /**
+   * Add the short-rest warning (see addRestEvents) to duty descriptions. Done after the pilot's templates,
+   * so a description template never drops it.
+   * @param {Array<Object>} events
+   * @returns {Array<Object>}
+   */
+  appendShortRestWarnings(events) {
+    for (const event of events) {
+      const kind = eventKinds.get(event);
+      if (!kind || !kind.shortRest || event.status === 'CANCELLED') continue;
+      event.description = `${event.description || ''}\n\n${kind.shortRest}`;
+    }
+    return events;
+  }
+
+  /**
+   * Whether a rest event is shown with a rest mode (see REST_EVENT_MODES)
+   * @param {string} mode - restEvents option (default 'short')
+   * @param {boolean} short - Rest below the minimum
+   */
+  isRestEventShown(mode, short) {
+    if (mode === 'none') return false;
+    return short || mode === 'all';
+  }
+
+  /**
+   * Free events for rest periods: only the short ones with restEvents 'short' (default), all of them
+   * up to maxRestEventMinutes with 'all'. The UID comes from the duty after the rest, so a moved release
+   * or report updates the rest event rather than replacing it.
+   * @param {Array<Object>} periods - From analyseRest
+   * @param {Array<Object>} rosters
+   * @param {Object} options - { restEvents, restConfig, portNames }
+   * @returns {Array<Object>}
+   */
+  createRestEvents(periods, rosters, options = {}) {
+    const mode = options.restEvents || 'short';
+    const config = options.restConfig || require('./rest-analyser').getRestConfig(process.env);
+    const portNames = options.portNames || 'code';
+    const employee = (rosters.find(r => r && r.employee) || {}).employee || {};
+    const toArray = dt => [dt.year, dt.month, dt.day, dt.hour, dt.minute];
+
+    const restEvents = [];
+    for (const rest of periods) {
+      if (!this.isRestEventShown(mode, rest.short)) continue;
+      if (!rest.short && rest.minutes > config.maxRestEventMinutes) continue;
+
+      const duration = this.formatMinutesAsHMM(rest.minutes);
+      const minimum = this.formatMinutesAsHMM(rest.minimumMinutes);
+      const port = this.formatPort(rest.port, portNames);
+      const start = DateTime.fromMillis(rest.start, { zone: 'utc' });
+      const end = DateTime.fromMillis(rest.end, { zone: 'utc' });
+      const nextDuty = crypto.createHash('sha1').update(rest.before[0].uid).digest('hex').slice(0, 16);
+      const event = {
+        title: rest.short ? `Short rest: ${duration} at ${port} (min ${minimum})` : `Rest: ${duration} at ${port}`,
+        description: [
+          `Rest: ${duration} at ${port}`,
+          `After: ${rest.after.map(e => e.title).join(', ')}`,
+          `Before: ${rest.before.map(e => e.title).join(', ')}`,
+          `Minimum: ${minimum} (${rest.atBase ? 'at base' : 'away from base'})`
+        ].join('\n'),
+        start: toArray(start),
+        end: toArray(end),
+        productId: 'roster-calendar/ics',
+        calName: `${employee.name || 'Pilot'} Roster`,
+        uid: `rest-before-${nextDuty}@roster-calendar`,
+        startInputType: 'utc',
+        startOutputType: 'utc',
+        endInputType: 'utc',
+        endOutputType: 'utc',
+        busyStatus: 'FREE',
+        transp: 'TRANSPARENT'
+      };
+      this.setEventLocation(event, rest.port);
+      this.setEventTimezones(event, this.getTimezoneForPortOrBase(rest.port, employee));
+      restEvents.push(this.tagEvent(event, 'rest', 'REST', { dutyCode: null, ports: [rest.port], short: rest.short }));
+    }
+    return restEvents;
+  }
+
+  /**
+   * Template type of an event (see event-templates TEMPLATE_TYPES), from its family and duty type
+   */
+  getTemplateType(event) {
+    const kind = eventKinds.get(event) || {};
+    if (kind.family === 'patterns') return 'pattern';
+    if (kind.family === 'flights') return 'flight';
+    if (kind.family === 'rest') return 'rest';
+    if (kind.family === 'daysoff') return 'dayoff';
+    if (kind.family === 'simulators' || kind.dutyType === 'SIMULATOR') return 'simulator';
+    if (kind.dutyType === 'FLIGHT') return 'duty';
+    if (kind.dutyType === 'RESERVE') return 'reserve';
+    return 'other';
+  }
+
+  /**
+   * Template field values of an event (see event-templates TEMPLATE_FIELDS)
+   * @param {Object} event
+   * @param {Object} [options] - { portNames, timezone: local times of events without port timezones (default UTC) }
+   * @returns {Object} field -> string
+   */
+  getTemplateFields(event, { portNames = 'code', timezone = null } = {}) {
+    const kind = eventKinds.get(event) || {};
+    const zones = eventTimezones.get(event) || {};
+    const ports = (kind.ports || []).map(p => this.formatPort(p, portNames));
+    const timed = event.startInputType === 'utc' && Array.isArray(event.start) && event.start.length >= 5;
+    const start = timed ? DateTime.utc(...event.start).setZone(zones.start || timezone || 'utc') : null;
+    const end = timed && Array.isArray(event.end) ? DateTime.utc(...event.end).setZone(zones.end || timezone || 'utc') : null;
+
+    let date = '';
+    if (start) date = start.toISODate();
+    else if (Array.isArray(event.start)) date = DateTime.utc(...event.start.slice(0, 3)).toISODate();
+
+    return {
+      dutyCode: kind.dutyCode || '',
+      dutyType: kind.dutyType || '',
+      flight: kind.flightNumber || (kind.flightNumbers || []).join('/'),
+      pax: kind.passive ? 'PAX' : '',
+      from: ports[0] || '',
+      to: ports[ports.length - 1] || '',
+      route: ports.join('-'),
+      slipPorts: (kind.slipPorts || []).map(p => this.formatPort(p, portNames)).join(' '),
+      date,
+      localDep: start ? start.toFormat('HHmm') : '',
+      localArr: end ? end.toFormat('HHmm') : '',
+      duration: start && end ? this.formatMinutesAsHMM(end.diff(start, 'minutes').minutes) : '',
+      pay: kind.pay && kind.pay.line ? kind.pay.line.slice('Pay: '.length) : '',
+      status: event.busyStatus === 'FREE' ? 'Free' : 'Busy'
+    };
+  }
+
+  /**
+   * Replace titles and descriptions with the pilot's templates (see event-templates). {default} is the
+   * built-in text; a template that renders blank keeps it. Cancelled events keep their built-in text.
+   * @param {Array<Object>} events
+   * @param {Object} templates - { [type]: { title?, description? } }
+   * @param {Object} [options] - { publicEvents: type by busy status ('busy'/'free'), portNames, timezone (see getTemplateFields) }
+   * @returns {Array<Object>}
+   */
+  applyEventTemplates(events, templates, { publicEvents = false, portNames = 'code', timezone = null } = {}) {
+    if (!templates || Object.keys(templates).length === 0) return events;
+
+    for (const event of events) {
+      if (event.status === 'CANCELLED') continue;
+      const type = publicEvents ? (event.busyStatus === 'FREE' ? 'free' : 'busy') : this.getTemplateType(event);
+      const template = templates[type];
+      if (!template) continue;
+
+      const fields = this.getTemplateFields(event, { portNames, timezone });
+      if (template.title) {
+        const title = renderTemplate(template.title, { ...fields, default: event.title }).replace(/\s+/g, ' ').trim();
+        if (title) event.title = title;
+      }
+      if (template.description) {
+        const description = renderTemplate(template.description, { ...fields, default: event.description }).trim();
+        if (description) event.description = description;
+      }
+    }
     return events;
   }
 
+  /**
+   * Ports in order without blanks or immediate repeats, e.g. [SYD, PER, PER, SYD] -> [SYD, PER, SYD]
+   * @param {Array<string>} ports
+   * @returns {Array<string>}
+   */
+  uniquePortRoute(ports) {
+    const route = [];
+    for (const port of ports) {
+      const code = this.normalizePort(port);
+      if (code && code !== route[route.length - 1]) route.push(code);
+    }
+    return route;
+  }
+
+  /**
+   * Feed filter check for one event family and duty type
+   * @param {Object} options - { eventTypes, dutyTypes } (either may be omitted)
+   * @param {string} family - One of EVENT_FAMILIES
+   * @param {string} dutyType - e.g. FLIGHT, SIMULATOR, RESERVE
+   * @returns {boolean}
+   */
+  isEventIncluded(options, family, dutyType) {
+    if (Array.isArray(options.eventTypes) && !options.eventTypes.includes(family)) return false;
+    if (Array.isArray(options.dutyTypes) && !options.dutyTypes.includes(dutyType)) return false;
+    return true;
+  }
+
+  /**
+   * Apply the pilot's event history (see the event-history service): SEQUENCE, and DTSTAMP/LAST-MODIFIED
+   * set to when the event last changed, plus STATUS:CANCELLED events for duties removed by a recent revision.
+   * @param {Array<Object>} events - Merged events of the current rosters
+   * @param {Object} options - { eventHistory: uid -> { sequence, lastModified, cancelledAt?, family, dutyType, short?, event } },
+   *   restEvents and feed filters
+   * @returns {Array<Object>}
+   */
+  applyEventHistory(events, options) {
+    const history = options.eventHistory;
+    if (!history) return events;
+
+    const liveUids = new Set();
+    for (const event of events) {
+      liveUids.add(event.uid);
+      const record = history[event.uid];
+      if (!record || record.cancelledAt) continue;
+      event.sequence = record.sequence;
+      event.timestamp = Date.parse(record.lastModified);
+      event.lastModified = event.timestamp;
+    }
+
+    const template = events[0] || { productId: 'roster-calendar/ics' };
+    const cancelled = [];
+    for (const [uid, record] of Object.entries(history)) {
+      if (!record.cancelledAt || !record.event || liveUids.has(uid)) continue;
+      if (!this.isEventIncluded(options, record.family, record.dutyType)) continue;
+      if (record.family === 'rest' && !this.isRestEventShown(options.restEvents || 'short', record.short)) continue;
+
+      const { timezones, ...snapshot } = record.event;
+      const event = {
+        ...snapshot,
+        title: `Cancelled: ${snapshot.title}`,
+        productId: template.productId,
+        uid,
+        status: 'CANCELLED',
+        sequence: record.sequence,
+        timestamp: Date.parse(record.cancelledAt),
+        lastModified: Date.parse(record.cancelledAt)
+      };
+      if (template.calName) event.calName = template.calName;
+      if (timezones) this.setEventTimezones(event, timezones.start, timezones.end);
+      cancelled.push(this.tagEvent(event, record.family, record.dutyType));
+    }
+
+    return events.concat(this.filterEventsByDateRange(cancelled, options));
+  }
+
+  /**
+   * Event family of a roster-table row: free rows (catalogue busy: false) are days off
+   */
+  getEntryEventFamily(entry) {
+    return this.isDutyTypeBusy(entry.dutyType, entry.dutyCode) ? 'duties' : 'daysoff';
+  }
+
+  /**
+   * Keep events overlapping [today - pastDays, today + nextDays] (whole UTC days).
+   * All-day and floating times are compared as UTC, which is close enough at day granularity.
+   * @param {Array<Object>} events
+   * @param {Object} options - { pastDays, nextDays } (either may be omitted)
+   * @returns {Array<Object>}
+   */
+  filterEventsByDateRange(events, options) {
+    const hasPast = Number.isFinite(options.pastDays);
+    const hasNext = Number.isFinite(options.nextDays);
+    if (!hasPast && !hasNext) return events;
+
+    const today = DateTime.utc().startOf('day');
+    const windowStart = hasPast ? today.minus({ days: options.pastDays }) : null;
+    const windowEnd = hasNext ? today.plus({ days: options.nextDays + 1 }) : null;
+
+    return events.filter(event => {
+      if (!event || !Array.isArray(event.start)) return true;
+      const [year, month, day, hour = 0, minute = 0] = event.start;
+      const start = DateTime.utc(year, month, day, hour, minute);
+      let end = start;
+      if (Array.isArray(event.end)) {
+        const [endYear, endMonth, endDay, endHour = 0, endMinute = 0] = event.end;
+        end = DateTime.utc(endYear, endMonth, endDay, endHour, endMinute);
+      } else if (event.duration) {
+        end = start.plus(event.duration);
+      }
+
+      if (windowStart && end <= windowStart && start < windowStart) return false;
+      if (windowEnd && start >= windowEnd) return false;
+      return true;
+    });
+  }
+
   getDutyPatternWindow(dutyPattern, employee) {
     if (!dutyPattern || !Array.isArray(dutyPattern.legs) || dutyPattern.legs.length === 0) return null;
 
@@ -316,7 +907,7 @@ class ICSCalendarService {
       : { year: dutyPattern.legs[0].year, month: dutyPattern.legs[0].month, day: dutyPattern.legs[0].day };
 
     const endLeg = dutyPattern.legs[dutyPattern.legs.length - 1];
-    const endDate = { year: endLeg.year, month: endLeg.month, day: endLeg.day };
+    const endDate = this.getLegArrivalDate(endLeg);
 
     const reportPort = dutyPattern.reportPort || dutyPattern.legs[0].departPort || (employee && employee.base);
     const releasePort = dutyPattern.releasePort || endLeg.arrivePort || (employee && employee.base);
@@ -387,7 +978,7 @@ class ICSCalendarService {
     };
   }
 
-  createAllDayPatternEventsFromDutyPatterns(dutyPatterns, employee) {
+  createAllDayPatternEventsFromDutyPatterns(dutyPatterns, employee, portNames = 'code') {
     const patterns = Array.isArray(dutyPatterns) ? dutyPatterns.filter(Boolean) : [];
     if (patterns.length === 0) return [];
 
@@ -464,9 +1055,10 @@ class ICSCalendarService {
       }
 
       const longSlipPorts = Array.from(longSlipMinutesByPort.keys());
+      const port = p => this.formatPort(p, portNames);
 
       const title = slipPorts.length > 0
-        ? `Pattern: ${dutyCode} ${slipPorts.join(' ')}${longSlipPorts.length > 0 ? ' (Long Slip)' : ''}`
+        ? `Pattern: ${dutyCode} ${slipPorts.map(port).join(' ')}${longSlipPorts.length > 0 ? ' (Long Slip)' : ''}`
         : `Pattern: ${dutyCode}${longSlipPorts.length > 0 ? ' (Long Slip)' : ''}`;
 
       const dutyLines = windows
@@ -477,24 +1069,24 @@ class ICSCalendarService {
           const timeRange = (w.reportTimeStr || w.releaseTimeStr)
             ? `${String(w.reportTimeStr || '').trim()}-${String(w.releaseTimeStr || '').trim()}`.trim()
             : '';
-          return `${y}-${m}-${d}: ${this.normalizePort(w.reportPort)}-${this.normalizePort(w.releasePort)}${timeRange ? ` ${timeRange}` : ''}`;
+          return `${y}-${m}-${d}: ${port(this.normalizePort(w.reportPort))}-${port(this.normalizePort(w.releasePort))}${timeRange ? ` ${timeRange}` : ''}`;
         })
         .join('\n');
 
-      let description = `Pattern: ${dutyCode}\nAway from base: ${base}\nStart: ${startPort}\nEnd: ${endPort}`;
+      let description = `Pattern: ${dutyCode}\nAway from base: ${port(base)}\nStart: ${port(startPort)}\nEnd: ${port(endPort)}`;
 
       if (slipPorts.length > 0) {
-        description += `\nSlip ports: ${slipPorts.join(' ')}`;
+        description += `\nSlip ports: ${slipPorts.map(port).join(' ')}`;
       }
       if (longSlipPorts.length > 0) {
         const longSlipLines = longSlipPorts
-          .map(p => `${p} ${this.formatMinutesAsHMM(longSlipMinutesByPort.get(p))}`)
+          .map(p => `${port(p)} ${this.formatMinutesAsHMM(longSlipMinutesByPort.get(p))}`)
           .join(', ');
         description += `\nLong slip credit: ${longSlipLines}`;
       }
       if (dutyLines) description += `\n\nDuties:\n${dutyLines}`;
 
-      events.push({
+      const event = {
         title,
         description,
         start: [startDate.year, startDate.month + 1, startDate.day],
@@ -502,7 +1094,15 @@ class ICSCalendarService {
         productId: 'roster-calendar/ics',
         calName: `${employee.name || 'Pilot'} Roster`,
         uid: `${startDate.year}-${startDate.month + 1}-${startDate.day}-pattern-${String(dutyCode).trim()}@roster-calendar`
+      };
+      // Located at the first overnight port
+      if (slipPorts.length > 0) this.setEventLocation(event, slipPorts[0]);
+      this.tagEvent(event, 'patterns', 'FLIGHT', {
+        dutyCode,
+        ports: this.uniquePortRoute([startPort, ...slipPorts, endPort]),
+        slipPorts
       });
+      events.push(event);
     }
 
     return events;
@@ -584,6 +1184,20 @@ class ICSCalendarService {
     return events;
   }
 
+  /**
+   * Local arrival date of a leg. Long-haul legs can carry an arriveDayOffset
+   * (e.g. "0545+1") when they arrive on a later local day than they depart.
+   * @param {Object} leg - Flight leg (year, month 0-11, day)
+   * @returns {{ year: number, month: number, day: number }}
+   */
+  getLegArrivalDate(leg) {
+    const offset = Number.isFinite(leg.arriveDayOffset) ? leg.arriveDayOffset : 0;
+    if (!offset) return { year: leg.year, month: leg.month, day: leg.day };
+
+    const dt = DateTime.utc(leg.year, leg.month + 1, leg.day).plus({ days: offset });
+    return { year: dt.year, month: dt.month - 1, day: dt.day };
+  }
+
   getTimezoneForPortOrBase(port, employee) {
     return this.timezoneService.getTimezone(port || (employee && employee.base));
   }
@@ -601,6 +1215,43 @@ class ICSCalendarService {
     return [utc.year, utc.month, utc.day, utc.hour, utc.minute];
   }
 
+  /**
+   * Attach VALARMs from the pilot's alarm rules for this duty type (see services/alarm-rules).
+   * "Evening before" rules are absolute triggers at that local time in the event's start timezone.
+   * @param {Object} event - ics event (start is UTC when startInputType is 'utc', otherwise local)
+   * @param {string} dutyType - e.g. FLIGHT, SIMULATOR, RESERVE
+   * @param {Object} alarmRules - { [dutyType]: [{ minutesBefore } | { eveningBefore: 'HH:MM' }] }
+   * @param {string} timezone - Start timezone of the event
+   * @returns {Object} The event
+   */
+  applyAlarmRules(event, dutyType, alarmRules, timezone) {
+    const rules = event && alarmRules && Array.isArray(alarmRules[dutyType]) ? alarmRules[dutyType] : [];
+    if (rules.length === 0) return event;
+
+    const zone = timezone || 'UTC';
+    const [year, month, day, hour = 0, minute = 0] = event.start;
+    const start = event.startInputType === 'utc'
+      ? DateTime.utc(year, month, day, hour, minute).setZone(zone)
+      : DateTime.fromObject({ year, month, day, hour, minute }, { zone });
+
+    const alarms = [];
+    for (const rule of rules) {
+      let trigger = null;
+      if (rule.eveningBefore) {
+        const [h, m] = rule.eveningBefore.split(':').map(Number);
+        const at = start.minus({ days: 1 }).set({ hour: h, minute: m, second: 0, millisecond: 0 });
+        // ics formats numeric triggers as UTC DATE-TIME; arrays would be read as server-local time.
+        if (at.isValid && at < start) trigger = at.toMillis();
+      } else if (Number.isFinite(rule.minutesBefore) && rule.minutesBefore > 0) {
+        trigger = { hours: Math.floor(rule.minutesBefore / 60), minutes: rule.minutesBefore % 60, before: true };
+      }
+      if (trigger !== null) alarms.push({ action: 'display', description: event.title, trigger });
+    }
+
+    if (alarms.length > 0) event.alarms = alarms;
+    return event;
+  }
+
   extractSimulatorCode(value) {
     if (value === null || value === undefined) return null;
     const raw = String(value).trim().toUpperCase();
@@ -608,7 +1259,7 @@ class ICSCalendarService {
     return match ? match[1] : null;
   }
 
-  createSimulatorSessionEvent(session, employee) {
+  createSimulatorSessionEvent(session, employee, alarmRules = null, portNames = 'code') {
     if (!session || !session.simulatorCode) return null;
 
     const startTz = this.getTimezoneForPortOrBase(session.startPort, employee);
@@ -648,14 +1299,14 @@ class ICSCalendarService {
     }
 
     const title = `Simulator: ${session.simulatorCode}`;
-    let description = `Simulator: ${session.simulatorCode}\nLocation: ${session.startPort || session.endPort || ''}\nTime: ${session.startTime || ''}-${session.endTime || ''}`;
+    let description = `Simulator: ${session.simulatorCode}\nLocation: ${this.formatPort(session.startPort || session.endPort || '', portNames)}\nTime: ${session.startTime || ''}-${session.endTime || ''}`;
     if (startTz === endTz) {
       description += `\n\nTimezone: ${startTz}`;
     } else {
       description += `\n\nStart timezone: ${startTz}\nEnd timezone: ${endTz}`;
     }
 
-    return {
+    const event = {
       title,
       description,
       start: startUtc,
@@ -668,9 +1319,13 @@ class ICSCalendarService {
       endInputType: 'utc',
       endOutputType: 'utc'
     };
+
+    this.setEventLocation(event, session.startPort || session.endPort);
+    this.setEventTimezones(event, startTz, endTz);
+    return this.applyAlarmRules(event, 'SIMULATOR', alarmRules, startTz);
   }
 
-  createDutyEventFromPattern(dutyPattern, employee, matchingEntry, payRate, includePay = true) {
+  createDutyEventFromPattern(dutyPattern, employee, matchingEntry, payRate, includePay = true, alarmRules = null, portNames = 'code') {
     if (!dutyPattern || !Array.isArray(dutyPattern.legs) || dutyPattern.legs.length === 0) return null;
 
     // Determine start date: use DATED token if present, otherwise first leg date
@@ -679,7 +1334,7 @@ class ICSCalendarService {
       : { year: dutyPattern.legs[0].year, month: dutyPattern.legs[0].month, day: dutyPattern.legs[0].day };
 
     const endLeg = dutyPattern.legs[dutyPattern.legs.length - 1];
-    const endDate = { year: endLeg.year, month: endLeg.month, day: endLeg.day };
+    const endDate = this.getLegArrivalDate(endLeg);
 
     const reportPort = dutyPattern.reportPort || dutyPattern.legs[0].departPort || (employee && employee.base);
     const releasePort = dutyPattern.releasePort || endLeg.arrivePort || (employee && employee.base);
@@ -727,12 +1382,19 @@ class ICSCalendarService {
     const title = `Duty: ${dutyPattern.dutyCode || 'Flight Duty'}`;
 
     const legSummary = dutyPattern.legs
-      .map(l => `${l.flightNumber} ${l.departPort}-${l.arrivePort}`)
+      .map(l => `${l.flightNumber} ${this.formatPort(l.departPort, portNames)}-${this.formatPort(l.arrivePort, portNames)}${l.aircraftType ? ` (${l.aircraftType})` : ''}`)
       .join(', ');
 
-    let description = `Duty: ${dutyPattern.dutyCode || 'Flight Duty'}\nReport: ${reportPort} ${dutyPattern.reportTime || ''}\nRelease: ${releasePort} ${dutyPattern.releaseTime || ''}`;
+    let description = `Duty: ${dutyPattern.dutyCode || 'Flight Duty'}\nReport: ${this.formatPort(reportPort, portNames)} ${dutyPattern.reportTime || ''}\nRelease: ${this.formatPort(releasePort, portNames)} ${dutyPattern.releaseTime || ''}`;
     if (legSummary) description += `\nFlights: ${legSummary}`;
 
+    // Pattern Details totals for this duty period (credit is pay information).
+    const totals = [];
+    if (Number.isFinite(dutyPattern.flightMinutes)) totals.push(`Flight time: ${this.formatMinutesAsHMM(dutyPattern.flightMinutes)}`);
+    if (Number.isFinite(dutyPattern.dutyMinutes)) totals.push(`Duty time: ${this.formatMinutesAsHMM(dutyPattern.dutyMinutes)}`);
+    if (includePay && Number.isFinite(dutyPattern.creditMinutes)) totals.push(`Credit: ${this.formatMinutesAsHMM(dutyPattern.creditMinutes)}`);
+    if (totals.length > 0) description += `\n${totals.join(' | ')}`;
+
     // Add DPC60 pay indicator when we can.
     // Prefer the roster-table duty/credit hours if available; otherwise infer duty hours from UTC times.
     let payLine = null;
@@ -740,40 +1402,45 @@ class ICSCalendarService {
     if (matchingEntry && (matchingEntry.dutyHours || matchingEntry.creditHours)) {
       payLine = this.buildPayLine({ dutyHours: matchingEntry.dutyHours, creditHours: matchingEntry.creditHours });
       creditHours = matchingEntry.creditHours;
+    } else if (Number.isFinite(dutyPattern.dutyMinutes)) {
+      creditHours = Number.isFinite(dutyPattern.creditMinutes) ? this.formatMinutesAsHMM(dutyPattern.creditMinutes) : null;
+      payLine = this.buildPayLine({ dutyHours: this.formatMinutesAsHMM(dutyPattern.dutyMinutes), creditHours });
     } else {
       const inferredDutyMinutes = Math.round(endDt.diff(startDt, 'minutes').minutes);
       const inferredDutyHours = this.formatMinutesAsHMM(inferredDutyMinutes);
       payLine = this.buildPayLine({ dutyHours: inferredDutyHours, creditHours: null });
     }
-    if (includePay && payLine) description += `\n${payLine}`;
+    const pay = includePay ? this.buildEventPay(payLine, creditHours, payRate) : null;
+    if (pay && pay.line) description += `\n${pay.line}`;
 
     // Add duty value if pay rate is provided and we have credit hours
-    if (includePay && payRate && creditHours) {
-      const QantasRosterParser = require('../parsers/qantas-roster-parser');
-      const dutyValue = QantasRosterParser.calculateDutyValue(creditHours, payRate);
-      if (dutyValue !== null) {
-        description += `\nDuty Value: $${dutyValue.toFixed(2)} (at $${payRate.toFixed(2)}/hr)`;
-      }
+    if (pay && pay.dutyValue !== null) {
+      description += `\nDuty Value: $${pay.dutyValue.toFixed(2)} (at $${payRate.toFixed(2)}/hr)`;
     }
 
     description += `\n\nTimezone (Report): ${reportTz}\nTimezone (Release): ${releaseTz}`;
 
-    return {
+    const event = {
       title,
       description,
       start: startUtc,
       end: endUtc,
       productId: 'roster-calendar/ics',
       calName: `${employee.name || 'Pilot'} Roster`,
-      uid: `${startDate.year}-${startDate.month + 1}-${startDate.day}-${dutyPattern.reportTime || '0000'}-duty-${dutyPattern.dutyCode || 'flight'}@roster-calendar`,
+      uid: `${startDate.year}-${startDate.month + 1}-${startDate.day}-duty-${dutyPattern.dutyCode || 'flight'}@roster-calendar`,
       startInputType: 'utc',
       startOutputType: 'utc',
       endInputType: 'utc',
       endOutputType: 'utc'
     };
+
+    this.setEventLocation(event, reportPort);
+    this.setEventTimezones(event, reportTz, releaseTz);
+    if (pay) this.tagEvent(event, 'duties', 'FLIGHT', { pay });
+    return this.applyAlarmRules(event, 'FLIGHT', alarmRules, reportTz);
   }
 
-  createEventFromFlightLeg(flightLeg, employee) {
+  createEventFromFlightLeg(flightLeg, employee, portNames = 'code') {
     if (!flightLeg) return null;
 
     const departTz = this.getTimezoneForPortOrBase(flightLeg.departPort, employee);
@@ -787,10 +1454,16 @@ class ICSCalendarService {
     const timeRange = (localDepart && localArrive) ? `${localDepart}-${localArrive}` : '';
     const paxPrefix = flightLeg.passive ? 'PAX ' : '';
 
-    const title = `${paxPrefix}${flightLeg.flightNumber} ${flightLeg.departPort}-${flightLeg.arrivePort}${timeRange ? ` ${timeRange}` : ''}`;
+    const departPort = this.formatPort(flightLeg.departPort, portNames);
+    const arrivePort = this.formatPort(flightLeg.arrivePort, portNames);
+    const title = `${paxPrefix}${flightLeg.flightNumber} ${departPort}-${arrivePort}${timeRange ? ` ${timeRange}` : ''}`;
 
-    let description = `Flight: ${flightLeg.flightNumber}\nFrom: ${flightLeg.departPort}\nTo: ${flightLeg.arrivePort}\nDepart: ${flightLeg.departTime}\nArrive: ${flightLeg.arriveTime}`;
+    let description = `Flight: ${flightLeg.flightNumber}\nFrom: ${departPort}\nTo: ${arrivePort}\nDepart: ${flightLeg.departTime}\nArrive: ${flightLeg.arriveTime}`;
     if (flightLeg.passive) description += `\nType: Passive (Positioning)`;
+    if (flightLeg.aircraftType) description += `\nAircraft: ${flightLeg.aircraftType}`;
+    if (Number.isFinite(flightLeg.blockMinutes) && flightLeg.blockMinutes > 0) {
+      description += `\nBlock time: ${this.formatMinutesAsHMM(flightLeg.blockMinutes)}`;
+    }
     description += `\n\nTimezone (Depart): ${departTz}\nTimezone (Arrive): ${arriveTz}`;
 
     let startUtc = this.toUtcDateArray({
@@ -800,10 +1473,11 @@ class ICSCalendarService {
       time: startTime,
       timezone: departTz
     });
+    const arriveDate = this.getLegArrivalDate(flightLeg);
     let endUtc = this.toUtcDateArray({
-      year: flightLeg.year,
-      month: flightLeg.month + 1,
-      day: flightLeg.day,
+      year: arriveDate.year,
+      month: arriveDate.month + 1,
+      day: arriveDate.day,
       time: endTime,
       timezone: arriveTz
     });
@@ -814,9 +1488,9 @@ class ICSCalendarService {
     let endDt = DateTime.utc(...endUtc);
     if (endDt < startDt) {
       endUtc = this.toUtcDateArray({
-        year: flightLeg.year,
-        month: flightLeg.month + 1,
-        day: flightLeg.day,
+        year: arriveDate.year,
+        month: arriveDate.month + 1,
+        day: arriveDate.day,
         time: endTime,
         timezone: arriveTz,
         addDays: 1
@@ -838,7 +1512,8 @@ class ICSCalendarService {
     event.end = endUtc;
     event.endInputType = 'utc';
     event.endOutputType = 'utc';
-    return event;
+    this.setEventLocation(event, flightLeg.departPort);
+    return this.setEventTimezones(event, departTz, arriveTz);
   }
 
   /**
@@ -849,9 +1524,10 @@ class ICSCalendarService {
    * @param {Object} employee - Employee information
    * @param {number} payRate - Optional hourly pay rate for value calculations
    * @param {boolean} includePay - Whether to include pay lines (default true)
+   * @param {Object} alarmRules - Alarm rules keyed by duty type (optional)
    * @returns {Object|null} Event object or null
    */
-  createEventFromEntry(entry, month, year, employee, payRate, includePay = true) {
+  createEventFromEntry(entry, month, year, employee, payRate, includePay = true, alarmRules = null) {
     const day = entry.day;
     let title, description, startTime, endTime, duration, startTimezone, endTimezone;
 
@@ -927,6 +1603,8 @@ class ICSCalendarService {
         description = `Duty: ${entry.description || entry.dutyCode}`;
         startTime = this.parseTime(entry.signOn);
         endTime = this.parseTime(entry.signOff);
+        // Catalogue duties without sign-on/off times (medicals, leave codes) are all-day events.
+        if (!startTime) duration = { days: 1 };
         break;
     }
 
@@ -940,6 +1618,12 @@ class ICSCalendarService {
       uid: this.stableUidForEntry({ year, month, day, entry, employee })
     };
 
+    // ICS category from the duty-code catalogue (e.g. "Training", "Leave")
+    if (entry.category) event.categories = [entry.category];
+
+    // Flight duties sign on at base
+    if (entry.dutyType === 'FLIGHT') this.setEventLocation(event, employee.base);
+
     // Add timezone information to description
     if (startTimezone && endTimezone) {
       if (startTimezone === endTimezone) {
@@ -986,7 +1670,23 @@ class ICSCalendarService {
       event.duration = duration;
     }
 
-    return event;
+    if (event.startInputType === 'utc') this.setEventTimezones(event, startTimezone, endTimezone);
+    const pay = entry.dutyType === 'FLIGHT' ? this.getEntryPay(entry, payRate, includePay) : null;
+    if (pay) this.tagEvent(event, this.getEntryEventFamily(entry), entry.dutyType, { pay });
+    return this.applyAlarmRules(event, entry.dutyType, alarmRules, startTimezone);
+  }
+
+  /**
+   * Pay of a roster-table flight entry (see buildEventPay)
+   * @returns {{ line: string|null, dutyValue: number|null }|null}
+   */
+  getEntryPay(entry, payRate, includePay = true) {
+    if (!includePay) return null;
+    // DPC60 pay rule: pay is max(credit, 60% of duty)
+    const line = entry.dutyType === 'FLIGHT' && entry.dutyHours
+      ? this.buildPayLine({ dutyHours: entry.dutyHours, creditHours: entry.creditHours })
+      : null;
+    return this.buildEventPay(line, entry.creditHours, payRate);
   }
 
   /**
@@ -1021,19 +1721,14 @@ class ICSCalendarService {
       desc += `Credit Hours: ${entry.creditHours}\n`;
     }
 
-    // DPC60 pay rule: pay is max(credit, 60% of duty)
-    if (includePay && entry.dutyType === 'FLIGHT' && entry.dutyHours) {
-      const payLine = this.buildPayLine({ dutyHours: entry.dutyHours, creditHours: entry.creditHours });
-      if (payLine) desc += `${payLine}\n`;
+    const pay = this.getEntryPay(entry, payRate, includePay);
+    if (pay && pay.line) {
+      desc += `${pay.line}\n`;
     }
 
     // Add duty value if pay rate is provided
-    if (includePay && payRate && entry.creditHours) {
-      const QantasRosterParser = require('../parsers/qantas-roster-parser');
-      const dutyValue = QantasRosterParser.calculateDutyValue(entry.creditHours, payRate);
-      if (dutyValue !== null) {
-        desc += `Duty Value: $${dutyValue.toFixed(2)} (at $${payRate.toFixed(2)}/hr)\n`;
-      }
+    if (pay && pay.dutyValue !== null) {
+      desc += `Duty Value: $${pay.dutyValue.toFixed(2)} (at $${payRate.toFixed(2)}/hr)\n`;
     }
     
     if (entry.port) {
@@ -1067,10 +1762,11 @@ class ICSCalendarService {
    * Generate a heavily redacted public ICS calendar for multiple rosters
    * Removes sensitive duty/flight details and only shows busy vs free periods
    * @param {Array<Object>} rosters - Array of parsed roster objects
+   * @param {Object} options - Feed filters (eventTypes, dutyTypes, pastDays, nextDays)
    * @returns {Promise<string>} ICS calendar string
    */
-  async generatePublicICSForRosters(rosters) {
-    const events = this.convertRostersToPublicEvents(rosters);
+  async generatePublicICSForRosters(rosters, options = {}) {
+    const events = this.convertRostersToPublicEvents(rosters, options);
 
     return new Promise((resolve, reject) => {
       ics.createEvents(events, (error, value) => {
@@ -1088,23 +1784,25 @@ class ICSCalendarService {
    * Shows full duty details (codes, flights, times, ports, hours) but omits all pay information.
    * No authentication required — suitable for sharing without exposing salary data.
    * @param {Array<Object>} rosters - Array of parsed roster objects
+   * @param {Object} options - Optional configuration (timezoneMode, feed filters)
    * @returns {Promise<string>} ICS calendar string
    */
-  async generateSemiPublicICSForRosters(rosters) {
-    return this.generateICSForRosters(rosters, { includePay: false });
+  async generateSemiPublicICSForRosters(rosters, options = {}) {
+    return this.generateICSForRosters(rosters, { ...options, includePay: false });
   }
 
   /**
    * Convert multiple rosters to redacted public events (busy/free only)
    * @param {Array<Object>} rosters
+   * @param {Object} options - Feed filters (see convertRosterToEvents) and eventTemplates ('busy' and 'free' types)
    * @returns {Array}
    */
-  convertRostersToPublicEvents(rosters) {
+  convertRostersToPublicEvents(rosters, options = {}) {
     const rosterList = Array.isArray(rosters) ? rosters.filter(Boolean) : [];
     const allEvents = [];
 
     for (const roster of rosterList) {
-      const events = this.convertRosterToPublicEvents(roster);
+      const events = this.convertRosterToPublicEvents(roster, options);
       for (const event of events) {
         allEvents.push(event);
       }
@@ -1119,7 +1817,12 @@ class ICSCalendarService {
       }
     }
 
-    const merged = Array.from(byUid.values());
+    // Public events have no port timezones, so template times are at base
+    const employee = (rosterList.find(r => r.employee) || {}).employee || {};
+    const merged = this.applyEventTemplates(Array.from(byUid.values()), options.eventTemplates, {
+      publicEvents: true,
+      timezone: this.timezoneService.getTimezone(employee.base)
+    });
     // Stable ordering
     merged.sort((a, b) => {
       const aStart = Array.isArray(a.start) ? a.start.join('-') : '';
@@ -1138,9 +1841,10 @@ class ICSCalendarService {
    * Convert roster entries to redacted public calendar events
    * Only shows busy vs free status without sensitive details
    * @param {Object} roster - Parsed roster data
+   * @param {Object} options - Feed filters (see convertRosterToEvents)
    * @returns {Array} Array of redacted event objects
    */
-  convertRosterToPublicEvents(roster) {
+  convertRosterToPublicEvents(roster, options = {}) {
     const events = [];
     const QantasRosterParser = require('../parsers/qantas-roster-parser');
     const parser = new QantasRosterParser();
@@ -1177,7 +1881,7 @@ class ICSCalendarService {
     }
 
     // If we have Pattern Details, add all-day "Busy" events for multi-day pairings (away from base)
-    if (hasDutyPatterns) {
+    if (hasDutyPatterns && this.isEventIncluded(options, 'patterns', 'FLIGHT')) {
       const patternEvents = this.createPublicAllDayPatternEvents(roster.dutyPatterns, roster.employee);
       for (const e of patternEvents) events.push(e);
     }
@@ -1198,28 +1902,24 @@ class ICSCalendarService {
         }
       }
 
+      if (!this.isEventIncluded(options, this.getEntryEventFamily(entry), entry.dutyType)) continue;
+
       const event = this.createPublicEventFromEntry(entry, month, year, roster.employee);
       if (event) events.push(event);
     }
 
-    return events;
+    return this.filterEventsByDateRange(this.disambiguateUids(events), options);
   }
 
   /**
    * Determine if a duty type should be marked as "busy" (true) or "free" (false)
    * @param {string} dutyType - The duty type
+   * @param {string} [dutyCode] - Roster duty code, checked against the duty-code catalogue first
    * @returns {boolean} True if busy, false if free
    */
-  isDutyTypeBusy(dutyType) {
-    // Free/Available duty types
-    const freeDutyTypes = [
-      'DAY_OFF',           // D/O - Rostered Day Off
-      'AVAILABLE_DAY',     // AV - Available Day
-      'ANNUAL_LEAVE',      // AL/LA - Annual Leave
-      'BLANK_DAY'          // BL - Blank Day
-    ];
-
-    return !freeDutyTypes.includes(dutyType);
+  isDutyTypeBusy(dutyType, dutyCode) {
+    // Free/busy status comes from the duty-code catalogue; unknown duty types are busy.
+    return isDutyTypeBusy(dutyType, dutyCode);
   }
 
   /**
@@ -1235,7 +1935,7 @@ class ICSCalendarService {
     if (!entry) return null;
 
     const day = entry.day;
-    const isBusy = this.isDutyTypeBusy(entry.dutyType);
+    const isBusy = this.isDutyTypeBusy(entry.dutyType, entry.dutyCode);
 
     let title, description, duration, startTime, endTime, startTimezone, endTimezone;
 
@@ -1324,4 +2024,9 @@ class ICSCalendarService {
   }
 }
 
+ICSCalendarService.TIMEZONE_MODES = TIMEZONE_MODES;
+ICSCalendarService.EVENT_FAMILIES = EVENT_FAMILIES;
+ICSCalendarService.REST_EVENT_MODES = REST_EVENT_MODES;
+ICSCalendarService.PORT_NAME_MODES = PORT_NAME_MODES;
+
 module.exports = ICSCalendarService;
@@ -2,6 +2,7 @@ const { ImapFlow } = require('imapflow');
 const { simpleParser } = require('mailparser');
 const rosterStore = require('./roster-store');
 const { notifyRosterChange } = require('./roster-change-notifier');
+const { summarizeDiagnostics } = require('./roster-diagnostics');
 const { serializeError } = require('./logger');
 
 function parseBoolean(value, defaultValue = false) {
@@ -115,13 +116,20 @@ async function processMessage({ client, uid, config, logger = console }) {
     return { processed: false, reason: 'no-roster-text', ...meta };
   }
 
-  const { rosterId, roster, isNew, previousRoster } = rosterStore.ingestRosterText(rosterText);
+  const { rosterId, roster, isNew, superseded, previousRoster } = rosterStore.ingestRosterText(rosterText, { source: 'inbox' });
+
+  const diagnostics = summarizeDiagnostics(roster);
+  if (diagnostics.total > 0) {
+    logger.warn(
+      `[parse] rosterId=${rosterId} diagnostics errors=${diagnostics.error} warnings=${diagnostics.warning} info=${diagnostics.info}`
+    );
+  }
 
   let notify = null;
   if (config.notifyEnabled) {
     try {
       notify = await notifyRosterChange(
-        { rosterId, rosterText, roster, previousRoster, isNew },
+        { rosterId, rosterText, roster, previousRoster, isNew, superseded, eventHistory: rosterStore.getEventHistory(rosterId) },
         config._env || process.env,
         logger
       );
@@ -156,7 +164,9 @@ async function processMessage({ client, uid, config, logger = console }) {
     rosterId,
     employee: roster.employee,
     entriesCount: Array.isArray(roster.entries) ? roster.entries.length : 0,
+    diagnostics,
     isNew,
+    superseded: Boolean(superseded),
     notify
   };
 }
@@ -0,0 +1,267 @@
+/**
+ * Notification preferences
+ * Per-pilot settings for roster notifications: which channels are used, which change classes
+ * (see roster-diff change types) are worth an email, whether duplicate and unchanged revisions are
+ * skipped, whether the roster text is attached, quiet hours in the pilot's base timezone, and the
+ * opt-in weekly digest of upcoming duties (see weekly-digest).
+ * Pilots without saved preferences get the defaults, which notify on everything and send no digest.
+ */
+
+const path = require('path');
+const { DateTime } = require('luxon');
+const storage = require('./storage');
+const TimezoneService = require('./timezone-service');
+const { CHANGE_LABELS } = require('./roster-diff');
+
+const NOTIFICATION_CHANNELS = {
+  email: 'Email',
+  webhooks: 'Your webhooks'
+};
+
+// Change classes offered in the UI, each covering one or more roster-diff change types
+const CHANGE_CLASSES = {
+  times: {
+    label: 'Report, release and departure times',
+    types: ['report-time-moved', 'release-time-moved', 'departure-time-moved']
+  },
+  flights: {
+    label: 'Flights swapped, changed, added or removed',
+    types: ['flight-swapped', 'flight-changed', 'flight-added', 'flight-removed']
+  },
+  patterns: {
+    label: 'Patterns added or cancelled, slip ports',
+    types: ['pattern-added', 'pattern-cancelled', 'slip-port-changed']
+  },
+  reserves: {
+    label: 'Reserves converted to flights',
+    types: ['reserve-converted']
+  },
+  'days-off': {
+    label: 'Days off lost or gained',
+    types: ['day-off-lost', 'day-off-gained']
+  },
+  'other-duties': {
+    label: 'Other duties added, removed or changed',
+    types: ['duty-added', 'duty-removed', 'duty-changed']
+  }
+};
+
+const DEFAULT_PREFERENCES = {
+  channels: Object.keys(NOTIFICATION_CHANNELS),
+  changeClasses: Object.keys(CHANGE_CLASSES),
+  skipDuplicates: false,
+  skipUnchanged: false,
+  attachRoster: true,
+  quietHours: null,
+  weeklyDigest: false,
+  digestDays: 7
+};
+
+const MIN_DIGEST_DAYS = 7;
+const MAX_DIGEST_DAYS = 14;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const timezoneService = new TimezoneService();
+
+/**
+ * Get notification preference storage path
+ */
+function getStoragePath(env = process.env) {
+  return env.ROSTER_NOTIFICATION_PREFERENCES_PATH || path.join(process.cwd(), 'data', 'notification-preferences.json');
+}
+
+/**
+ * Notification preference collection
+ * staffNo -> { channels, changeClasses, skipDuplicates, skipUnchanged, attachRoster, quietHours: { start, end }|null,
+ *   weeklyDigest, digestDays, updatedAt }
+ */
+function getStore(env = process.env) {
+  return storage.openCollection('notification-preferences', { jsonPath: getStoragePath(env), env });
+}
+
+function preferenceError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Get a pilot's notification preferences (defaults for anything not saved)
+ * @param {string} staffNo - Staff number
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { channels, changeClasses, skipDuplicates, skipUnchanged, attachRoster, quietHours, weeklyDigest, digestDays }
+ */
+function getNotificationPreferences(staffNo, env = process.env) {
+  const stored = (staffNo && getStore(env).get(staffNo)) || {};
+  return { ...DEFAULT_PREFERENCES, ...stored };
+}
+
+/**
+ * Saved notification preferences of every pilot (defaults filled in)
+ * @returns {Object} - staffNo -> preferences
+ */
+function listNotificationPreferences(env = process.env) {
+  const all = {};
+  for (const [staffNo, stored] of Object.entries(getStore(env).toObject())) {
+    all[staffNo] = { ...DEFAULT_PREFERENCES, ...stored };
+  }
+  return all;
+}
+
+// Form values: a checkbox group arrives as a string (one box), an array, or not at all (none)
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).trim());
+}
+
+function toBoolean(value) {
+  return ['1', 'true', 'on', 'yes'].includes(String(value || '').trim().toLowerCase());
+}
+
+function normalizeQuietHours(start, end) {
+  const from = String(start || '').trim();
+  const to = String(end || '').trim();
+  if (!from && !to) return null;
+
+  if (!TIME_PATTERN.test(from) || !TIME_PATTERN.test(to)) {
+    throw preferenceError('Quiet hours need a start and end time (HH:MM)', 'NOTIFICATION_PREFERENCES_INVALID_QUIET_HOURS');
+  }
+  if (from === to) {
+    throw preferenceError('Quiet hours must start and end at different times', 'NOTIFICATION_PREFERENCES_INVALID_QUIET_HOURS');
+  }
+  return { start: from, end: to };
+}
+
+function normalizeDigestDays(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_PREFERENCES.digestDays;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < MIN_DIGEST_DAYS || days > MAX_DIGEST_DAYS) {
+    throw preferenceError(`Digest days must be a whole number from ${MIN_DIGEST_DAYS} to ${MAX_DIGEST_DAYS}`, 'NOTIFICATION_PREFERENCES_INVALID_DIGEST_DAYS');
+  }
+  return days;
+}
+
+/**
+ * Save a pilot's notification preferences
+ * @param {string} staffNo - Staff number
+ * @param {Object} input - { channels, changeClasses, skipDuplicates, skipUnchanged, attachRoster, quietStart, quietEnd,
+ *   weeklyDigest, digestDays } (form values: lists may be a single string, booleans 'on'/'true', quiet hours
+ *   'HH:MM' or both empty)
+ * @param {Object} env - Environment variables
+ * @returns {Object} - The saved preferences
+ */
+function setNotificationPreferences(staffNo, input = {}, env = process.env) {
+  if (!staffNo || typeof staffNo !== 'string') {
+    throw preferenceError('Staff number is required', 'NOTIFICATION_PREFERENCES_INVALID_STAFFNO');
+  }
+
+  const channels = toList(input.channels);
+  const unknownChannel = channels.find(channel => !NOTIFICATION_CHANNELS[channel]);
+  if (unknownChannel) {
+    throw preferenceError(`Unknown channel "${unknownChannel}"`, 'NOTIFICATION_PREFERENCES_INVALID_CHANNEL');
+  }
+
+  const changeClasses = toList(input.changeClasses);
+  const unknownClass = changeClasses.find(changeClass => !CHANGE_CLASSES[changeClass]);
+  if (unknownClass) {
+    throw preferenceError(`Unknown change class "${unknownClass}"`, 'NOTIFICATION_PREFERENCES_INVALID_CHANGE_CLASS');
+  }
+
+  const preferences = {
+    // Keep the catalogue order rather than the order the boxes were submitted in
+    channels: Object.keys(NOTIFICATION_CHANNELS).filter(channel => channels.includes(channel)),
+    changeClasses: Object.keys(CHANGE_CLASSES).filter(changeClass => changeClasses.includes(changeClass)),
+    skipDuplicates: toBoolean(input.skipDuplicates),
+    skipUnchanged: toBoolean(input.skipUnchanged),
+    attachRoster: toBoolean(input.attachRoster),
+    quietHours: normalizeQuietHours(input.quietStart, input.quietEnd),
+    weeklyDigest: toBoolean(input.weeklyDigest),
+    digestDays: normalizeDigestDays(input.digestDays)
+  };
+
+  getStore(env).set(staffNo, { ...preferences, updatedAt: new Date().toISOString() });
+  return preferences;
+}
+
+/**
+ * Change class of a roster-diff change type ('other-duties' for types no class lists)
+ */
+function getChangeClass(type) {
+  for (const [changeClass, { types }] of Object.entries(CHANGE_CLASSES)) {
+    if (types.includes(type)) return changeClass;
+  }
+  return 'other-duties';
+}
+
+/**
+ * Whether a roster diff has at least one change in the pilot's chosen change classes
+ * @param {Object} preferences - From getNotificationPreferences
+ * @param {Object} diff - roster-diff result with hasChanges
+ */
+function hasWantedChanges(preferences, diff) {
+  const changes = diff && Array.isArray(diff.changes) ? diff.changes : [];
+  // Day lines without a classified change (older diff output) count as other duties
+  const classes = changes.length > 0 ? changes.map(change => getChangeClass(change.type)) : ['other-duties'];
+  return classes.some(changeClass => preferences.changeClasses.includes(changeClass));
+}
+
+/**
+ * IANA timezone of a pilot's base port, e.g. 'Australia/Perth' for PER
+ */
+function getBaseTimezone(base) {
+  return timezoneService.getTimezone(base ? String(base).trim() : '');
+}
+
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Whether a moment falls in the pilot's quiet hours (local time at base; the end time is not quiet)
+ * @param {Object} preferences - From getNotificationPreferences
+ * @param {string} timezone - IANA timezone (see getBaseTimezone)
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isInQuietHours(preferences, timezone, now = new Date()) {
+  const quietHours = preferences && preferences.quietHours;
+  if (!quietHours) return false;
+
+  const local = DateTime.fromJSDate(now, { zone: timezone });
+  const minutes = local.hour * 60 + local.minute;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  // Overnight quiet hours (22:00-07:00) wrap past midnight
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Describe the preferences' change classes for display
+ * @returns {Array<{ id, label, types: Array<string>, enabled: boolean }>}
+ */
+function listChangeClasses(preferences = DEFAULT_PREFERENCES) {
+  return Object.entries(CHANGE_CLASSES).map(([id, { label, types }]) => ({
+    id,
+    label,
+    types: types.map(type => CHANGE_LABELS[type] || type),
+    enabled: preferences.changeClasses.includes(id)
+  }));
+}
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  CHANGE_CLASSES,
+  DEFAULT_PREFERENCES,
+  MIN_DIGEST_DAYS,
+  MAX_DIGEST_DAYS,
+  getNotificationPreferences,
+  listNotificationPreferences,
+  setNotificationPreferences,
+  getChangeClass,
+  hasWantedChanges,
+  getBaseTimezone,
+  isInQuietHours,
+  listChangeClasses
+};
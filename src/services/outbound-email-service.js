@@ -95,11 +95,14 @@ async function sendEmail(message, env = process.env, logger = console) {
     text: message.text,
     attachments: message.attachments || []
   };
+  // Multipart alternative: clients without HTML support show the text part
+  if (message.html) payload.html = message.html;
 
   if (config.dryRun) {
     logger.log('[notify] dry-run outbound email', {
       to: payload.to,
       subject: payload.subject,
+      html: !!payload.html,
       attachments: (payload.attachments || []).map(a => a && a.filename).filter(Boolean)
     });
     return { sent: false, reason: 'dry-run' };
@@ -3,9 +3,9 @@
  * Handles forgot password flow with time-limited tokens
  */
 
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const storage = require('./storage');
 
 /**
  * Get password reset storage path
@@ -15,73 +15,11 @@ function getStoragePath(env = process.env) {
 }
 
 /**
- * In-memory password reset storage
- * Map<token, { staffNo, createdAt, expiresAt }>
+ * Password reset collection
+ * token -> { staffNo, createdAt, expiresAt }
  */
-const resetRequests = new Map();
-let initialized = false;
-
-/**
- * Ensure the data directory exists
- */
-function ensureDirExists(filePath) {
-  const dir = path.dirname(filePath);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-}
-
-/**
- * Initialize password resets from disk
- */
-function initStorage(env = process.env) {
-  if (initialized) return;
-  initialized = true;
-
-  const storePath = getStoragePath(env);
-  
-  try {
-    if (!fs.existsSync(storePath)) return;
-    const raw = fs.readFileSync(storePath, 'utf8');
-    if (!raw) return;
-    const parsed = JSON.parse(raw);
-    
-    if (parsed && typeof parsed === 'object') {
-      // Only load non-expired tokens
-      const now = new Date();
-      for (const [token, data] of Object.entries(parsed)) {
-        const expires = new Date(data.expiresAt);
-        if (expires > now) {
-          resetRequests.set(token, data);
-        }
-      }
-    }
-  } catch (err) {
-    console.warn(`[password-reset] Failed to load: ${err.message}`);
-    resetRequests.clear();
-  }
-}
-
-/**
- * Persist password resets to disk
- */
-function persist(env = process.env) {
-  const storePath = getStoragePath(env);
-  
-  try {
-    ensureDirExists(storePath);
-    const data = {};
-    for (const [token, resetData] of resetRequests.entries()) {
-      data[token] = resetData;
-    }
-    
-    const tmpPath = `${storePath}.tmp`;
-    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
-    fs.renameSync(tmpPath, storePath);
-  } catch (err) {
-    console.error(`[password-reset] Failed to persist: ${err.message}`);
-    throw err;
-  }
+function getStore(env = process.env) {
+  return storage.openCollection('password-resets', { jsonPath: getStoragePath(env), env });
 }
 
 /**
@@ -99,16 +37,16 @@ function generateToken() {
  * @returns {Object} - { success: true, token: string }
  */
 function createResetRequest(staffNo, env = process.env) {
-  initStorage(env);
-
   if (!staffNo || typeof staffNo !== 'string') {
     throw new Error('Staff number is required');
   }
 
+  const store = getStore(env);
+
   // Clear any existing reset requests for this staff number
-  for (const [token, data] of resetRequests.entries()) {
+  for (const [token, data] of store.entries()) {
     if (data.staffNo === staffNo) {
-      resetRequests.delete(token);
+      store.delete(token);
     }
   }
 
@@ -117,14 +55,12 @@ function createResetRequest(staffNo, env = process.env) {
   const now = new Date();
   const expiresAt = new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString(); // 24 hours
 
-  resetRequests.set(token, {
+  store.set(token, {
     staffNo,
     createdAt: now.toISOString(),
     expiresAt
   });
 
-  persist(env);
-
   return {
     success: true,
     token
@@ -138,13 +74,12 @@ function createResetRequest(staffNo, env = process.env) {
  * @returns {Object} - { valid: boolean, staffNo?: string, error?: string }
  */
 function verifyResetToken(token, env = process.env) {
-  initStorage(env);
-
   if (!token) {
     return { valid: false, error: 'Token is required' };
   }
 
-  const resetData = resetRequests.get(token);
+  const store = getStore(env);
+  const resetData = store.get(token);
   if (!resetData) {
     return { valid: false, error: 'Invalid or expired reset token' };
   }
@@ -152,8 +87,7 @@ function verifyResetToken(token, env = process.env) {
   // Check if token is expired
   const expires = new Date(resetData.expiresAt);
   if (expires <= new Date()) {
-    resetRequests.delete(token);
-    persist(env);
+    store.delete(token);
     return { valid: false, error: 'Reset token has expired' };
   }
 
@@ -170,15 +104,8 @@ function verifyResetToken(token, env = process.env) {
  * @returns {boolean} - True if token was consumed
  */
 function consumeResetToken(token, env = process.env) {
-  initStorage(env);
-
-  const existed = resetRequests.has(token);
-  if (existed) {
-    resetRequests.delete(token);
-    persist(env);
-  }
-
-  return existed;
+  if (!token) return false;
+  return getStore(env).delete(token);
 }
 
 /**
@@ -187,23 +114,18 @@ function consumeResetToken(token, env = process.env) {
  * @returns {number} - Number of tokens cleaned up
  */
 function cleanupExpiredTokens(env = process.env) {
-  initStorage(env);
-
+  const store = getStore(env);
   let cleaned = 0;
   const now = new Date();
 
-  for (const [token, data] of resetRequests.entries()) {
+  for (const [token, data] of store.entries()) {
     const expires = new Date(data.expiresAt);
     if (expires <= now) {
-      resetRequests.delete(token);
+      store.delete(token);
       cleaned++;
     }
   }
 
-  if (cleaned > 0) {
-    persist(env);
-  }
-
   return cleaned;
 }
 
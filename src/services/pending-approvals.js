@@ -3,10 +3,10 @@
  * Handles signup requests that need admin approval after email verification
  */
 
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const authService = require('./auth-service');
+const storage = require('./storage');
 
 /**
  * Get pending approvals storage path
@@ -16,68 +16,11 @@ function getStoragePath(env = process.env) {
 }
 
 /**
- * In-memory pending approvals storage
- * Map<staffNo, { email, passwordHash, emailVerified, emailToken, emailTokenExpiry, createdAt }>
+ * Pending approvals collection
+ * staffNo -> { firstName, lastName, email, passwordHash, emailVerified, emailToken, emailTokenExpiry, createdAt }
  */
-const pendingApprovals = new Map();
-let initialized = false;
-
-/**
- * Ensure the data directory exists
- */
-function ensureDirExists(filePath) {
-  const dir = path.dirname(filePath);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-}
-
-/**
- * Initialize pending approvals from disk
- */
-function initStorage(env = process.env) {
-  if (initialized) return;
-  initialized = true;
-
-  const storePath = getStoragePath(env);
-  
-  try {
-    if (!fs.existsSync(storePath)) return;
-    const raw = fs.readFileSync(storePath, 'utf8');
-    if (!raw) return;
-    const parsed = JSON.parse(raw);
-    
-    if (parsed && typeof parsed === 'object') {
-      for (const [staffNo, data] of Object.entries(parsed)) {
-        pendingApprovals.set(staffNo, data);
-      }
-    }
-  } catch (err) {
-    console.warn(`[pending-approvals] Failed to load: ${err.message}`);
-    pendingApprovals.clear();
-  }
-}
-
-/**
- * Persist pending approvals to disk
- */
-function persist(env = process.env) {
-  const storePath = getStoragePath(env);
-  
-  try {
-    ensureDirExists(storePath);
-    const data = {};
-    for (const [staffNo, approvalData] of pendingApprovals.entries()) {
-      data[staffNo] = approvalData;
-    }
-    
-    const tmpPath = `${storePath}.tmp`;
-    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
-    fs.renameSync(tmpPath, storePath);
-  } catch (err) {
-    console.error(`[pending-approvals] Failed to persist: ${err.message}`);
-    throw err;
-  }
+function getStore(env = process.env) {
+  return storage.openCollection('pending-approvals', { jsonPath: getStoragePath(env), env });
 }
 
 /**
@@ -109,7 +52,7 @@ function generateToken() {
  * @throws {Error} - If validation fails
  */
 async function createPendingApproval(staffNo, firstName, lastName, email, password, env = process.env) {
-  initStorage(env);
+  const store = getStore(env);
 
   // Validate staff number format
   if (!isValidStaffNo(staffNo)) {
@@ -122,7 +65,7 @@ async function createPendingApproval(staffNo, firstName, lastName, email, passwo
   }
 
   // Check if already pending
-  if (pendingApprovals.has(staffNo)) {
+  if (store.has(staffNo)) {
     throw new Error('Staff number already has a pending approval request');
   }
 
@@ -155,7 +98,7 @@ async function createPendingApproval(staffNo, firstName, lastName, email, passwo
 
   // Create pending approval
   const now = new Date().toISOString();
-  pendingApprovals.set(staffNo, {
+  store.set(staffNo, {
     firstName: firstName.trim(),
     lastName: lastName.trim(),
     email,
@@ -166,8 +109,6 @@ async function createPendingApproval(staffNo, firstName, lastName, email, passwo
     createdAt: now
   });
 
-  persist(env);
-
   return {
     success: true,
     emailToken
@@ -181,14 +122,14 @@ async function createPendingApproval(staffNo, firstName, lastName, email, passwo
  * @returns {Object} - { success: boolean, staffNo?: string, email?: string, error?: string }
  */
 function verifyEmailToken(token, env = process.env) {
-  initStorage(env);
+  const store = getStore(env);
 
   if (!token) {
     return { success: false, error: 'Token is required' };
   }
 
   // Find pending approval by token
-  for (const [staffNo, data] of pendingApprovals.entries()) {
+  for (const [staffNo, data] of store.entries()) {
     if (data.emailToken === token) {
       // Check if token is expired
       const expiry = new Date(data.emailTokenExpiry);
@@ -197,8 +138,7 @@ function verifyEmailToken(token, env = process.env) {
       }
 
       // Mark email as verified
-      data.emailVerified = true;
-      persist(env);
+      store.set(staffNo, { ...data, emailVerified: true });
 
       return {
         success: true,
@@ -217,10 +157,8 @@ function verifyEmailToken(token, env = process.env) {
  * @returns {Array<Object>} - Array of pending approvals with staffNo, email, emailVerified, createdAt
  */
 function listPending(env = process.env) {
-  initStorage(env);
-
   const pending = [];
-  for (const [staffNo, data] of pendingApprovals.entries()) {
+  for (const [staffNo, data] of getStore(env).entries()) {
     pending.push({
       staffNo,
       firstName: data.firstName || '',
@@ -244,8 +182,7 @@ function listPending(env = process.env) {
  * @returns {Object|null} - Pending approval data or null
  */
 function getPending(staffNo, env = process.env) {
-  initStorage(env);
-  return pendingApprovals.get(staffNo) || null;
+  return getStore(env).get(staffNo) || null;
 }
 
 /**
@@ -256,9 +193,9 @@ function getPending(staffNo, env = process.env) {
  * @returns {Promise<Object>} - { success: boolean, email?: string, error?: string }
  */
 async function approvePending(staffNo, env = process.env) {
-  initStorage(env);
+  const store = getStore(env);
 
-  const pending = pendingApprovals.get(staffNo);
+  const pending = store.get(staffNo);
   if (!pending) {
     return { success: false, error: 'No pending approval found for this staff number' };
   }
@@ -268,40 +205,15 @@ async function approvePending(staffNo, env = process.env) {
   }
 
   try {
-    // Set credentials directly with the hashed password
-    // We bypass password validation since it was already validated during signup
-    const now = new Date().toISOString();
-    const credData = {
-      passwordHash: pending.passwordHash,
-      createdAt: now,
-      updatedAt: now,
-      isAdmin: false
-    };
-
-    // Access internal credentials map to set directly
-    // This is a bit of a hack but avoids re-hashing
-    const authModule = require('./auth-service');
-    const { initCredentialStorage } = require('./auth-service');
-    
-    // We need to get access to the internal credentials Map
-    // Since we can't easily do that, we'll need to modify auth-service
-    // For now, let's use a workaround by creating credentials in auth-service
-    // Actually, let's just import the module's internals properly
-    
-    // Better approach: Store the credentials data and let the caller handle it
-    const email = pending.email;
-    const firstName = pending.firstName || '';
-    const lastName = pending.lastName || '';
-    
-    // Delete from pending
-    pendingApprovals.delete(staffNo);
-    persist(env);
+    // The caller stores the credentials from the returned hash; password validation
+    // already happened during signup.
+    store.delete(staffNo);
 
     return {
       success: true,
-      email,
-      firstName,
-      lastName,
+      email: pending.email,
+      firstName: pending.firstName || '',
+      lastName: pending.lastName || '',
       passwordHash: pending.passwordHash
     };
   } catch (err) {
@@ -316,16 +228,10 @@ async function approvePending(staffNo, env = process.env) {
  * @returns {Object} - { success: boolean, error?: string }
  */
 function rejectPending(staffNo, env = process.env) {
-  initStorage(env);
-
-  const pending = pendingApprovals.get(staffNo);
-  if (!pending) {
+  if (!getStore(env).delete(staffNo)) {
     return { success: false, error: 'No pending approval found for this staff number' };
   }
 
-  pendingApprovals.delete(staffNo);
-  persist(env);
-
   return { success: true };
 }
 
@@ -336,28 +242,22 @@ function rejectPending(staffNo, env = process.env) {
  * @returns {number} - Number of tokens cleaned up
  */
 function cleanupExpiredTokens(env = process.env) {
-  initStorage(env);
-
+  const store = getStore(env);
   let cleaned = 0;
   const now = new Date();
 
-  for (const [staffNo, data] of pendingApprovals.entries()) {
+  for (const [staffNo, data] of store.entries()) {
     if (data.emailToken && data.emailTokenExpiry) {
       const expiry = new Date(data.emailTokenExpiry);
       if (expiry <= now && !data.emailVerified) {
         // Token expired and email not verified - clear the token
         // This allows requesting a new verification email
-        data.emailToken = null;
-        data.emailTokenExpiry = null;
+        store.set(staffNo, { ...data, emailToken: null, emailTokenExpiry: null });
         cleaned++;
       }
     }
   }
 
-  if (cleaned > 0) {
-    persist(env);
-  }
-
   return cleaned;
 }
 
@@ -1,5 +1,5 @@
-const fs = require('fs');
 const path = require('path');
+const storage = require('./storage');
 
 function parseBoolean(value, defaultValue = false) {
   if (value === undefined || value === null || value === '') return defaultValue;
@@ -27,11 +27,6 @@ function getPilotNamesConfig(env = process.env) {
   return { storePath, allowWrites };
 }
 
-function ensureDirExists(filePath) {
-  const dir = path.dirname(filePath);
-  fs.mkdirSync(dir, { recursive: true });
-}
-
 function normalizeStaffNo(staffNo) {
   if (staffNo === undefined || staffNo === null) return '';
   return String(staffNo).trim();
@@ -49,49 +44,33 @@ function looksLikeEmail(email) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e);
 }
 
-function readStore(env = process.env) {
+function getEmailStore(env = process.env) {
   const { storePath } = getPilotEmailConfig(env);
-  try {
-    if (!fs.existsSync(storePath)) return {};
-    const raw = fs.readFileSync(storePath, 'utf8');
-    if (!raw) return {};
-    const parsed = JSON.parse(raw);
-    return parsed && typeof parsed === 'object' ? parsed : {};
-  } catch (_) {
-    // Corrupt store should not crash.
-    return {};
-  }
+  return storage.openCollection('pilot-emails', { jsonPath: storePath, pretty: false, env });
 }
 
-let writeChain = Promise.resolve();
-
-function writeStore(data, env = process.env) {
-  const { storePath, allowWrites } = getPilotEmailConfig(env);
-  if (!allowWrites) {
+function assertEmailWritable(env = process.env) {
+  if (!getPilotEmailConfig(env).allowWrites) {
     const err = new Error('Pilot email DB is read-only');
     err.code = 'PILOT_EMAIL_DB_READONLY';
     throw err;
   }
+}
 
-  writeChain = writeChain
-    .then(() => {
-      ensureDirExists(storePath);
-      const tmpPath = `${storePath}.tmp`;
-      fs.writeFileSync(tmpPath, JSON.stringify(data), 'utf8');
-      fs.renameSync(tmpPath, storePath);
-    })
-    .catch(() => {
-      // Ignore write errors to keep core service running.
-    });
+function readStore(env = process.env) {
+  return getEmailStore(env).toObject();
+}
 
-  return writeChain;
+function writeStore(data, env = process.env) {
+  assertEmailWritable(env);
+  getEmailStore(env).replaceAll(data);
+  return Promise.resolve();
 }
 
 function getEmailForStaffNo(staffNo, env = process.env) {
   const key = normalizeStaffNo(staffNo);
   if (!key) return null;
-  const store = readStore(env);
-  const email = store[key];
+  const email = getEmailStore(env).get(key);
   return email ? normalizeEmail(email) : null;
 }
 
@@ -109,22 +88,21 @@ function setEmailForStaffNo(staffNo, email, env = process.env) {
     throw err;
   }
 
-  const store = readStore(env);
-  store[key] = normalizeEmail(email);
-  writeStore(store, env);
-  return { staffNo: key, email: store[key] };
+  assertEmailWritable(env);
+  const normalized = normalizeEmail(email);
+  getEmailStore(env).set(key, normalized);
+  return { staffNo: key, email: normalized };
 }
 
 function deleteEmailForStaffNo(staffNo, env = process.env) {
   const key = normalizeStaffNo(staffNo);
   if (!key) return false;
 
-  const store = readStore(env);
-  if (!Object.prototype.hasOwnProperty.call(store, key)) return false;
+  const store = getEmailStore(env);
+  if (!store.has(key)) return false;
 
-  delete store[key];
-  writeStore(store, env);
-  return true;
+  assertEmailWritable(env);
+  return store.delete(key);
 }
 
 function listPilotEmails(env = process.env) {
@@ -134,53 +112,40 @@ function listPilotEmails(env = process.env) {
     .sort((a, b) => a.staffNo.localeCompare(b.staffNo));
 }
 
+// Writes are synchronous; kept so callers can still await pending writes.
 function flushWrites() {
-  return writeChain;
+  return Promise.resolve();
 }
 
 // ========== Pay Rate Management ==========
 
-function readPayRateStore(env = process.env) {
+function getPayRateStore(env = process.env) {
   const { storePath } = getPilotPayRateConfig(env);
-  try {
-    if (!fs.existsSync(storePath)) return {};
-    const raw = fs.readFileSync(storePath, 'utf8');
-    if (!raw) return {};
-    const parsed = JSON.parse(raw);
-    return parsed && typeof parsed === 'object' ? parsed : {};
-  } catch (_) {
-    // Corrupt store should not crash.
-    return {};
-  }
+  return storage.openCollection('pilot-pay-rates', { jsonPath: storePath, env });
 }
 
-function writePayRateStore(data, env = process.env) {
-  const { storePath, allowWrites } = getPilotPayRateConfig(env);
-  if (!allowWrites) {
+function assertPayRateWritable(env = process.env) {
+  if (!getPilotPayRateConfig(env).allowWrites) {
     const err = new Error('Pilot pay rate DB is read-only');
     err.code = 'PILOT_PAY_RATE_DB_READONLY';
     throw err;
   }
+}
 
-  writeChain = writeChain
-    .then(() => {
-      ensureDirExists(storePath);
-      const tmpPath = `${storePath}.tmp`;
-      fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
-      fs.renameSync(tmpPath, storePath);
-    })
-    .catch(() => {
-      // Ignore write errors to keep core service running.
-    });
+function readPayRateStore(env = process.env) {
+  return getPayRateStore(env).toObject();
+}
 
-  return writeChain;
+function writePayRateStore(data, env = process.env) {
+  assertPayRateWritable(env);
+  getPayRateStore(env).replaceAll(data);
+  return Promise.resolve();
 }
 
 function getPayRateForStaffNo(staffNo, env = process.env) {
   const key = normalizeStaffNo(staffNo);
   if (!key) return null;
-  const store = readPayRateStore(env);
-  const payRate = store[key];
+  const payRate = getPayRateStore(env).get(key);
   return payRate !== undefined && payRate !== null ? Number(payRate) : null;
 }
 
@@ -199,9 +164,8 @@ function setPayRateForStaffNo(staffNo, payRate, env = process.env) {
     throw err;
   }
 
-  const store = readPayRateStore(env);
-  store[key] = rate;
-  writePayRateStore(store, env);
+  assertPayRateWritable(env);
+  getPayRateStore(env).set(key, rate);
   return { staffNo: key, payRate: rate };
 }
 
@@ -209,12 +173,11 @@ function deletePayRateForStaffNo(staffNo, env = process.env) {
   const key = normalizeStaffNo(staffNo);
   if (!key) return false;
 
-  const store = readPayRateStore(env);
-  if (!Object.prototype.hasOwnProperty.call(store, key)) return false;
+  const store = getPayRateStore(env);
+  if (!store.has(key)) return false;
 
-  delete store[key];
-  writePayRateStore(store, env);
-  return true;
+  assertPayRateWritable(env);
+  return store.delete(key);
 }
 
 function listPilotPayRates(env = process.env) {
@@ -226,47 +189,33 @@ function listPilotPayRates(env = process.env) {
 
 // ========== Pilot Names Management ==========
 
-function readNamesStore(env = process.env) {
+function getNamesStore(env = process.env) {
   const { storePath } = getPilotNamesConfig(env);
-  try {
-    if (!fs.existsSync(storePath)) return {};
-    const raw = fs.readFileSync(storePath, 'utf8');
-    if (!raw) return {};
-    const parsed = JSON.parse(raw);
-    return parsed && typeof parsed === 'object' ? parsed : {};
-  } catch (_) {
-    return {};
-  }
+  return storage.openCollection('pilot-names', { jsonPath: storePath, env });
 }
 
-function writeNamesStore(data, env = process.env) {
-  const { storePath, allowWrites } = getPilotNamesConfig(env);
-  if (!allowWrites) {
+function assertNamesWritable(env = process.env) {
+  if (!getPilotNamesConfig(env).allowWrites) {
     const err = new Error('Pilot names DB is read-only');
     err.code = 'PILOT_NAMES_DB_READONLY';
     throw err;
   }
+}
 
-  writeChain = writeChain
-    .then(() => {
-      ensureDirExists(storePath);
-      const tmpPath = `${storePath}.tmp`;
-      fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
-      fs.renameSync(tmpPath, storePath);
-    })
-    .catch(() => {
-      // Ignore write errors to keep core service running.
-    });
+function readNamesStore(env = process.env) {
+  return getNamesStore(env).toObject();
+}
 
-  return writeChain;
+function writeNamesStore(data, env = process.env) {
+  assertNamesWritable(env);
+  getNamesStore(env).replaceAll(data);
+  return Promise.resolve();
 }
 
 function getNamesForStaffNo(staffNo, env = process.env) {
   const key = normalizeStaffNo(staffNo);
   if (!key) return null;
-  const store = readNamesStore(env);
-  const names = store[key];
-  return names || null;
+  return getNamesStore(env).get(key) || null;
 }
 
 function setNamesForStaffNo(staffNo, firstName, lastName, env = process.env) {
@@ -289,12 +238,11 @@ function setNamesForStaffNo(staffNo, firstName, lastName, env = process.env) {
     throw err;
   }
 
-  const store = readNamesStore(env);
-  store[key] = {
+  assertNamesWritable(env);
+  getNamesStore(env).set(key, {
     firstName: firstName.trim(),
     lastName: lastName.trim()
-  };
-  writeNamesStore(store, env);
+  });
   return { staffNo: key, firstName: firstName.trim(), lastName: lastName.trim() };
 }
 
@@ -302,12 +250,11 @@ function deleteNamesForStaffNo(staffNo, env = process.env) {
   const key = normalizeStaffNo(staffNo);
   if (!key) return false;
 
-  const store = readNamesStore(env);
-  if (!Object.prototype.hasOwnProperty.call(store, key)) return false;
+  const store = getNamesStore(env);
+  if (!store.has(key)) return false;
 
-  delete store[key];
-  writeNamesStore(store, env);
-  return true;
+  assertNamesWritable(env);
+  return store.delete(key);
 }
 
 function listPilotNames(env = process.env) {
@@ -0,0 +1,139 @@
+/**
+ * Rest analyser
+ * Walks a pilot's consecutive duty windows (flight duties, reserves, simulators and other timed
+ * duties, all as UTC instants from the calendar events) and measures the rest between a release
+ * and the next report, flagging rest below the agreement minimums.
+ */
+
+const ICSCalendarService = require('./ics-calendar-service');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Hours as "10", "10.5" or "10:30" -> minutes; null when invalid
+ */
+function parseHours(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const raw = String(value).trim();
+  const hhmm = raw.match(/^(\d+):([0-5]\d)$/);
+  if (hhmm) return Number(hhmm[1]) * 60 + Number(hhmm[2]);
+  const hours = Number(raw);
+  return Number.isFinite(hours) && hours >= 0 ? Math.round(hours * 60) : null;
+}
+
+function hoursSetting(value, defaultMinutes) {
+  const minutes = parseHours(value);
+  return minutes === null ? defaultMinutes : minutes;
+}
+
+function getRestConfig(env = process.env) {
+  const minRestMinutes = hoursSetting(env.ROSTER_MIN_REST_HOURS, 10 * 60);
+  return {
+    minRestMinutes,
+    minRestAwayMinutes: hoursSetting(env.ROSTER_MIN_REST_AWAY_HOURS, minRestMinutes),
+    // Longer gaps are days off rather than rest between duties, so they get no Rest event
+    maxRestEventMinutes: hoursSetting(env.ROSTER_REST_EVENT_MAX_HOURS, 48 * 60)
+  };
+}
+
+function toMillis(value) {
+  const [year, month, day, hour, minute] = value;
+  return Date.UTC(year, month - 1, day, hour, minute);
+}
+
+/**
+ * Duty windows from the rosters' timed duty and simulator events, sorted and with overlapping
+ * events (e.g. a simulator session inside its duty row) merged into one window
+ * @param {Array<Object>} [events] - The rosters' unfiltered events when already converted
+ * @returns {Array<{ start: number, end: number, reportPort: string, releasePort: string, events: Array<{uid, title}> }>}
+ */
+function getDutyWindows(rosters, icsService, events = null) {
+  const rosterList = Array.isArray(rosters) ? rosters.filter(Boolean) : [];
+  const base = (rosterList.find(r => r.employee && r.employee.base) || { employee: {} }).employee.base || '';
+  const dutyEvents = (events || icsService.convertRostersToEvents(rosterList, {
+    includePay: false,
+    eventTypes: ['duties', 'simulators'],
+    restEvents: 'none'
+  })).filter(event => ['duties', 'simulators'].includes((icsService.getEventKind(event) || {}).family));
+
+  const windows = [];
+  for (const event of dutyEvents) {
+    const timed = Array.isArray(event.start) && event.start.length >= 5 && event.startInputType === 'utc';
+    if (!timed || !Array.isArray(event.end)) continue;
+    // Leave rows are busy but are not duties (their times are placeholders)
+    if (Array.isArray(event.categories) && event.categories.includes('Leave')) continue;
+
+    const kind = icsService.getEventKind(event) || {};
+    const ports = kind.ports && kind.ports.length > 0 ? kind.ports : [base];
+    windows.push({
+      start: toMillis(event.start),
+      end: toMillis(event.end),
+      reportPort: ports[0],
+      releasePort: ports[ports.length - 1],
+      events: [{ uid: event.uid, title: event.title }]
+    });
+  }
+  windows.sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const merged = [];
+  for (const window of windows) {
+    const last = merged[merged.length - 1];
+    if (last && window.start < last.end) {
+      if (window.end > last.end) {
+        last.end = window.end;
+        last.releasePort = window.releasePort;
+      }
+      last.events.push(...window.events);
+    } else {
+      merged.push({ ...window, events: [...window.events] });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Rest periods between consecutive duty windows
+ * @param {Array<Object>} rosters - Parsed rosters of one pilot
+ * @param {Object} [options]
+ * @param {Object} [options.config] - From getRestConfig (default: from process.env)
+ * @param {Array<Object>} [options.events] - The rosters' unfiltered events, when the caller has converted them already
+ * @returns {Array<{ start: number, end: number, minutes: number, port: string, atBase: boolean,
+ *   minimumMinutes: number, short: boolean, after: Array<{uid, title}>, before: Array<{uid, title}> }>}
+ *   start is the release and end the next report (ms); after/before are the duties either side
+ */
+function analyseRest(rosters, { config = getRestConfig(process.env), events = null } = {}) {
+  const icsService = new ICSCalendarService();
+  const rosterList = Array.isArray(rosters) ? rosters.filter(Boolean) : [];
+  const employee = (rosterList.find(r => r.employee) || {}).employee || {};
+  const base = icsService.normalizePort(employee.base);
+  const windows = getDutyWindows(rosterList, icsService, events);
+
+  const periods = [];
+  for (let i = 1; i < windows.length; i++) {
+    const previous = windows[i - 1];
+    const next = windows[i];
+    const minutes = Math.round((next.start - previous.end) / MINUTE_MS);
+    if (minutes <= 0) continue;
+
+    const port = icsService.normalizePort(previous.releasePort) || base;
+    const atBase = port === base;
+    const minimumMinutes = atBase ? config.minRestMinutes : config.minRestAwayMinutes;
+    periods.push({
+      start: previous.end,
+      end: next.start,
+      minutes,
+      port,
+      atBase,
+      minimumMinutes,
+      short: minutes < minimumMinutes,
+      after: previous.events,
+      before: next.events
+    });
+  }
+  return periods;
+}
+
+module.exports = {
+  getRestConfig,
+  analyseRest
+};
@@ -1,7 +1,43 @@
-const { diffRosters, formatDiffAsText } = require('./roster-diff');
+const path = require('path');
+const crypto = require('crypto');
+const ejs = require('ejs');
+const { DateTime } = require('luxon');
+const QantasRosterParser = require('../parsers/qantas-roster-parser');
+const ICSCalendarService = require('./ics-calendar-service');
+const { diffRosters, formatDiffAsText, summarizeChanges, ADDED_CHANGE_TYPES, REMOVED_CHANGE_TYPES } = require('./roster-diff');
+const { summarizeDiagnostics, formatDiagnosticsAsText } = require('./roster-diagnostics');
+const { getRosterEventHashes } = require('./event-history');
 const pilotDirectory = require('./pilot-directory');
+const notificationPreferences = require('./notification-preferences');
+const storage = require('./storage');
+const alarmRules = require('./alarm-rules');
+const eventTemplates = require('./event-templates');
 const { sendEmail } = require('./outbound-email-service');
 
+const EMAIL_VIEW = path.join(__dirname, '..', '..', 'views', 'emails', 'roster-change.ejs');
+const DEFERRED_CHECK_INTERVAL_MS = 60_000;
+// Deferred emails that fail to send are retried after 5 min, doubling, and dropped after 8 tries (~10 h)
+const DEFERRED_RETRY_BASE_MS = 5 * 60_000;
+const MAX_DEFERRED_ATTEMPTS = 8;
+// Outcomes that settle a deferred email (sent, or deliberately not sent); anything else is retried
+const SETTLED_REASONS = ['missing-staffNo', 'no-email-mapping', 'email-disabled', 'disabled', 'dry-run'];
+
+/**
+ * Get deferred notification storage path
+ */
+function getDeferredStoragePath(env = process.env) {
+  return env.ROSTER_DEFERRED_NOTIFICATIONS_PATH || path.join(process.cwd(), 'data', 'deferred-notifications.json');
+}
+
+/**
+ * Notifications held back during quiet hours
+ * staffNo -> { timezone, items: [{ id, rosterId, rosterText, roster, previousRoster, isNew, superseded, queuedAt }],
+ *   attempts, retryAt } (attempts/retryAt only after a failed send)
+ */
+function getDeferredStore(env = process.env) {
+  return storage.openCollection('deferred-notifications', { jsonPath: getDeferredStoragePath(env), env });
+}
+
 function safeString(value) {
   if (value === undefined || value === null) return '';
   return String(value);
@@ -13,6 +49,10 @@ function buildFilename({ rosterId, roster }) {
   return `roster-${rosterId}${suffix}.txt`;
 }
 
+function buildIcsFilename({ rosterId, roster }) {
+  return buildFilename({ rosterId, roster }).replace(/\.txt$/, '-changes.ics');
+}
+
 function buildSubject({ roster }) {
   const employee = roster && roster.employee ? roster.employee : {};
   const name = employee.name ? safeString(employee.name).trim() : 'Pilot';
@@ -26,28 +66,172 @@ function buildSubject({ roster }) {
   return bits.join(' ');
 }
 
-function buildBody({ rosterId, roster, previousRoster, isNew }) {
+function sumCreditMinutes(roster) {
+  const entries = roster && Array.isArray(roster.entries) ? roster.entries : [];
+  let minutes = 0;
+  for (const entry of entries) {
+    const hours = entry ? QantasRosterParser.creditHoursToDecimal(entry.creditHours) : null;
+    if (hours !== null) minutes += Math.round(hours * 60);
+  }
+  return minutes;
+}
+
+function formatMinutes(minutes, signed = false) {
+  const abs = Math.abs(minutes);
+  const sign = signed ? (minutes < 0 ? '-' : '+') : '';
+  return `${sign}${Math.floor(abs / 60)}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Credit and duty value change of an updated roster (roster-table credit hours at the pilot's pay rate)
+ * @returns {{ payRate: number, creditBefore: number, creditAfter: number, deltaMinutes: number, deltaValue: number, text: string }|null}
+ *   null without a previous roster or pay rate
+ */
+function buildPayImpact({ roster, previousRoster, payRate }) {
+  if (!previousRoster || !Number.isFinite(payRate)) return null;
+
+  const creditBefore = sumCreditMinutes(previousRoster);
+  const creditAfter = sumCreditMinutes(roster);
+  const deltaMinutes = creditAfter - creditBefore;
+  const deltaValue = (deltaMinutes / 60) * payRate;
+  const value = `${deltaValue < 0 ? '-' : '+'}$${Math.abs(deltaValue).toFixed(2)}`;
+  return {
+    payRate,
+    creditBefore,
+    creditAfter,
+    deltaMinutes,
+    deltaValue,
+    text: `Credit ${formatMinutes(creditBefore)} -> ${formatMinutes(creditAfter)} (${formatMinutes(deltaMinutes, true)}), ` +
+      `${value} at $${payRate.toFixed(2)}/hr`
+  };
+}
+
+/**
+ * One row per changed day for the HTML table: the roster-table line and the classified changes of that date
+ * @returns {Array<{ isoDate, date, kind: 'changed'|'added'|'removed', was, now, details: Array<string> }>}
+ */
+function buildChangeRows(diff) {
+  const rows = new Map();
+  const addRow = (isoDate, date, kind, was, now) => {
+    const label = isoDate ? `${date} ${DateTime.fromISO(isoDate).toFormat('LLL')}` : date;
+    const row = { isoDate, date: label, kind, was, now, details: [] };
+    rows.set(isoDate, row);
+    return row;
+  };
+
+  for (const item of diff.changed) addRow(item.isoDate, item.date, 'changed', item.was, item.now);
+  for (const item of diff.added) addRow(item.isoDate, item.date, 'added', '', item.now);
+  for (const item of diff.removed) addRow(item.isoDate, item.date, 'removed', item.was, '');
+
+  for (const change of diff.changes || []) {
+    let row = rows.get(change.isoDate);
+    if (!row) {
+      let kind = 'changed';
+      if (ADDED_CHANGE_TYPES.includes(change.type)) kind = 'added';
+      else if (REMOVED_CHANGE_TYPES.includes(change.type)) kind = 'removed';
+      row = addRow(change.isoDate, change.date, kind, '', '');
+    }
+    row.details.push(change.summary);
+  }
+
+  return Array.from(rows.values()).sort((a, b) => String(a.isoDate).localeCompare(String(b.isoDate)));
+}
+
+/**
+ * Calendar events of the roster that are new or changed since the previous roster, with the same
+ * UIDs, SEQUENCE numbers, pay, alarms and templates as the pilot's private feed, so importing them
+ * updates events imported from an earlier email
+ * @returns {Array<Object>} ics events
+ */
+function getChangedEvents({ roster, previousRoster, staffNo, payRate, eventHistory }, env = process.env) {
+  const icsService = new ICSCalendarService();
+  // The content the event history compares (no pay, rest events or short-rest lines), so a pay rate
+  // change or a neighbouring duty moving isn't a change
+  const previousHashes = previousRoster ? getRosterEventHashes(previousRoster, icsService) : new Map();
+  const changedUids = new Set();
+  for (const [uid, hash] of getRosterEventHashes(roster, icsService)) {
+    if (previousHashes.get(uid) !== hash) changedUids.add(uid);
+  }
+  if (changedUids.size === 0) return [];
+
+  const options = {
+    alarmRules: alarmRules.getAlarmRules(staffNo, env),
+    eventTemplates: eventTemplates.getEventTemplates(staffNo, env),
+    eventHistory
+  };
+  if (Number.isFinite(payRate)) options.payRate = payRate;
+  return icsService.convertRostersToEvents([roster], options)
+    .filter(event => changedUids.has(event.uid) && event.status !== 'CANCELLED');
+}
+
+/**
+ * HTML part of the roster email (views/emails/roster-change.ejs)
+ * @returns {Promise<string>}
+ */
+function buildHtmlBody({ rosterId, roster, summaryText, diff, payImpact, eventCount, batchedCount = 1 }) {
   const employee = roster && roster.employee ? roster.employee : {};
-  const name = employee.name ? safeString(employee.name).trim() : '';
-  const staffNo = employee.staffNo ? safeString(employee.staffNo).trim() : '';
-  const base = employee.base ? safeString(employee.base).trim() : '';
+  return ejs.renderFile(EMAIL_VIEW, {
+    rosterId,
+    name: employee.name ? safeString(employee.name).trim() : '',
+    staffNo: employee.staffNo ? safeString(employee.staffNo).trim() : '',
+    base: employee.base ? safeString(employee.base).trim() : '',
+    bidPeriod: roster && roster.summary && roster.summary.bidPeriod ? safeString(roster.summary.bidPeriod).trim() : '',
+    summaryText,
+    counts: diff ? summarizeChanges(diff) : '',
+    rows: diff ? buildChangeRows(diff) : [],
+    payImpact,
+    eventCount,
+    batchedCount,
+    diagnostics: summarizeDiagnostics(roster).total > 0 ? formatDiagnosticsAsText(roster, { maxLines: 10 }) : ''
+  });
+}
+
+/**
+ * Headline for rosters that have no diff to show (first roster, late or duplicate revision); null for updates
+ */
+function getStatusMessage({ roster, previousRoster, isNew, superseded }) {
   const bidPeriod = roster && roster.summary && roster.summary.bidPeriod ? safeString(roster.summary.bidPeriod).trim() : '';
 
-  const diff = previousRoster ? diffRosters(previousRoster, roster) : null;
-  let diffText;
-  
   if (!previousRoster) {
     if (bidPeriod) {
-      diffText = `New bid period roster received (BP ${bidPeriod}).`;
-    } else {
-      diffText = 'First roster received (no previous roster on file).';
+      return `New bid period roster received (BP ${bidPeriod}).`;
     }
-  } else if (isNew === false) {
+    return 'First roster received (no previous roster on file).';
+  }
+  if (superseded) {
+    const issued = roster && roster.summary && roster.summary.issueTimestamp ? roster.summary.issueTimestamp : 'unknown';
+    const current = previousRoster.summary && previousRoster.summary.issueTimestamp ? previousRoster.summary.issueTimestamp : 'unknown';
+    return `Older roster revision received (issued ${issued}); the stored roster issued ${current} was kept.`;
+  }
+  if (isNew === false) {
     // Duplicate roster - same content as before
-    diffText = 'Duplicate roster received (no changes from previous version).';
-  } else {
+    return 'Duplicate roster received (no changes from previous version).';
+  }
+  return null;
+}
+
+/**
+ * Plain-text part of the roster email
+ * @param {Object} params
+ * @param {Object} [params.diff] - diffRosters(previousRoster, roster) when the caller has it already
+ * @param {Object} [params.payImpact] - buildPayImpact result that goes with diff
+ */
+function buildBody({ rosterId, roster, previousRoster, isNew, superseded, payRate, batchedCount = 1, diff: knownDiff, payImpact: knownPayImpact }) {
+  const employee = roster && roster.employee ? roster.employee : {};
+  const name = employee.name ? safeString(employee.name).trim() : '';
+  const staffNo = employee.staffNo ? safeString(employee.staffNo).trim() : '';
+  const base = employee.base ? safeString(employee.base).trim() : '';
+
+  let diffText = getStatusMessage({ roster, previousRoster, isNew, superseded });
+  if (diffText === null) {
     // New or updated roster
-    diffText = diff ? formatDiffAsText(diff) : 'No duty changes detected.';
+    const diff = knownDiff || diffRosters(previousRoster, roster);
+    diffText = formatDiffAsText(diff);
+    const counts = summarizeChanges(diff);
+    if (counts) diffText = `Changes: ${counts}\n\n${diffText}`;
+    let payImpact = knownPayImpact;
+    if (payImpact === undefined) payImpact = diff.hasChanges ? buildPayImpact({ roster, previousRoster, payRate }) : null;
+    if (payImpact) diffText += `\n\nPay impact: ${payImpact.text}`;
   }
 
   const lines = [];
@@ -58,13 +242,67 @@ function buildBody({ rosterId, roster, previousRoster, isNew }) {
   if (staffNo) lines.push(`Staff No: ${staffNo}`);
   if (base) lines.push(`Base: ${base}`);
   lines.push('');
+  if (batchedCount > 1) {
+    lines.push(`${batchedCount} roster revisions arrived during your quiet hours; this email covers them all.`);
+    lines.push('');
+  }
   lines.push('Change summary vs previous roster:');
   lines.push(diffText);
 
+  // Only mention parse diagnostics when the parser skipped something.
+  if (summarizeDiagnostics(roster).total > 0) {
+    lines.push('');
+    lines.push('Parse diagnostics (some roster lines were not understood):');
+    lines.push(formatDiagnosticsAsText(roster, { maxLines: 10 }));
+  }
+
   return lines.join('\n');
 }
 
-async function notifyRosterChange({ rosterId, rosterText, roster, previousRoster, isNew }, env = process.env, logger = console) {
+/**
+ * Why a roster email is skipped under the pilot's preferences, or null to send it
+ * @returns {'duplicate'|'unchanged'|'change-classes'|null}
+ */
+function getSkipReason(preferences, { isNew, superseded, diff }) {
+  if (isNew === false && preferences.skipDuplicates) return 'duplicate';
+  // A late revision that was kept out changes nothing either
+  if (preferences.skipUnchanged && (superseded || (diff && !diff.hasChanges))) return 'unchanged';
+  if (diff && diff.hasChanges && !notificationPreferences.hasWantedChanges(preferences, diff)) return 'change-classes';
+  return null;
+}
+
+/**
+ * Hold a roster email until the pilot's quiet hours end (see flushDeferredNotifications)
+ */
+function deferNotification(staffNo, { rosterId, rosterText, roster, previousRoster, isNew, superseded }, timezone, env = process.env) {
+  const store = getDeferredStore(env);
+  const entry = store.get(staffNo) || { items: [] };
+  entry.timezone = timezone;
+  entry.items.push({
+    id: crypto.randomBytes(6).toString('hex'),
+    rosterId,
+    rosterText: safeString(rosterText),
+    roster,
+    previousRoster: previousRoster || null,
+    isNew,
+    superseded: Boolean(superseded),
+    queuedAt: new Date().toISOString()
+  });
+  store.set(staffNo, entry);
+  return entry.items.length;
+}
+
+/**
+ * Email the pilot about a received roster: plain text and HTML change summary, the roster text and an
+ * .ics of the new and changed events. The pilot's notification preferences decide whether it is sent,
+ * and during their quiet hours it is deferred (see flushDeferredNotifications).
+ * @param {Object} params
+ * @param {Object} [params.eventHistory] - Pilot's event history (rosterStore.getEventHistory), for SEQUENCE numbers
+ * @param {Date} [params.now] - Current time, for quiet hours
+ * @param {boolean} [params.ignoreQuietHours] - Send now (delivering deferred notifications)
+ * @param {number} [params.batchedCount] - Deferred revisions this email combines
+ */
+async function notifyRosterChange({ rosterId, rosterText, roster, previousRoster, isNew, superseded, eventHistory, now = new Date(), ignoreQuietHours = false, batchedCount = 1 }, env = process.env, logger = console) {
   const staffNo = roster && roster.employee && roster.employee.staffNo ? safeString(roster.employee.staffNo).trim() : '';
   if (!staffNo) {
     return { notified: false, reason: 'missing-staffNo' };
@@ -75,27 +313,53 @@ async function notifyRosterChange({ rosterId, rosterText, roster, previousRoster
     return { notified: false, reason: 'no-email-mapping' };
   }
 
+  const preferences = notificationPreferences.getNotificationPreferences(staffNo, env);
+  if (!preferences.channels.includes('email')) {
+    return { notified: false, to, reason: 'email-disabled' };
+  }
+
+  const statusMessage = getStatusMessage({ roster, previousRoster, isNew, superseded });
+  const diff = statusMessage === null ? diffRosters(previousRoster, roster) : null;
+
+  const skipReason = getSkipReason(preferences, { isNew, superseded, diff });
+  if (skipReason) {
+    return { notified: false, to, reason: `skipped-${skipReason}` };
+  }
+
+  const timezone = notificationPreferences.getBaseTimezone(roster.employee.base);
+  if (!ignoreQuietHours && notificationPreferences.isInQuietHours(preferences, timezone, now)) {
+    const queued = deferNotification(staffNo, { rosterId, rosterText, roster, previousRoster, isNew, superseded }, timezone, env);
+    logger.log('[notify] roster email deferred for quiet hours', { rosterId, queued });
+    return { notified: false, to, reason: 'quiet-hours', deferred: true };
+  }
+
   const subject = buildSubject({ roster });
-  const text = buildBody({ rosterId, roster, previousRoster, isNew });
-
-  const attachmentName = buildFilename({ rosterId, roster });
-
-  const result = await sendEmail(
-    {
-      to,
-      subject,
-      text,
-      attachments: [
-        {
-          filename: attachmentName,
-          content: safeString(rosterText),
-          contentType: 'text/plain; charset=utf-8'
-        }
-      ]
-    },
-    env,
-    logger
-  );
+  const payRate = pilotDirectory.getPayRateForStaffNo(staffNo, env);
+  const payImpact = diff && diff.hasChanges ? buildPayImpact({ roster, previousRoster, payRate }) : null;
+  const text = buildBody({ rosterId, roster, previousRoster, isNew, superseded, payRate, batchedCount, diff, payImpact });
+
+  const attachments = [];
+  if (preferences.attachRoster) {
+    attachments.push({
+      filename: buildFilename({ rosterId, roster }),
+      content: safeString(rosterText),
+      contentType: 'text/plain; charset=utf-8'
+    });
+  }
+
+  // Late and duplicate revisions don't change the calendar
+  const events = isNew === false || superseded ? [] : getChangedEvents({ roster, previousRoster, staffNo, payRate, eventHistory }, env);
+  if (events.length > 0) {
+    attachments.push({
+      filename: buildIcsFilename({ rosterId, roster }),
+      content: await new ICSCalendarService().renderICS(events),
+      contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+    });
+  }
+
+  const html = await buildHtmlBody({ rosterId, roster, summaryText: statusMessage, diff, payImpact, eventCount: events.length, batchedCount });
+
+  const result = await sendEmail({ to, subject, text, html, attachments }, env, logger);
 
   if (result && result.sent) {
     logger.log('[notify] roster email sent', { to, rosterId, messageId: result.messageId });
@@ -105,8 +369,156 @@ async function notifyRosterChange({ rosterId, rosterText, roster, previousRoster
   return { notified: false, to, reason: result && result.reason ? result.reason : 'not-sent' };
 }
 
+/**
+ * Combine a pilot's deferred revisions into one notification per bid period: the last stored
+ * revision compared with the roster before the first one, so changes that were undone overnight
+ * don't show up. Late revisions that were kept out only count when nothing else arrived.
+ * @returns {Array<{ items: Array<Object>, notification: Object }>} - Deferred items and the
+ *   notifyRosterChange params that cover them
+ */
+function batchDeferredItems(items) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = `${item.rosterId}|${(item.roster && item.roster._periodKey) || ''}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+
+  return Array.from(groups.values()).map(group => {
+    const stored = group.filter(item => !item.superseded);
+    if (stored.length === 0) {
+      const { id: _id, queuedAt: _queuedAt, ...latest } = group[group.length - 1];
+      return { items: group, notification: { ...latest, batchedCount: group.length } };
+    }
+    const last = stored[stored.length - 1];
+    return {
+      items: group,
+      notification: {
+        rosterId: last.rosterId,
+        rosterText: last.rosterText,
+        roster: last.roster,
+        previousRoster: stored[0].previousRoster,
+        isNew: stored.some(item => item.isNew !== false),
+        superseded: false,
+        batchedCount: group.length
+      }
+    };
+  });
+}
+
+// Items queued before they had ids are told apart by their roster and queue time
+function deferredItemKey(item) {
+  return item.id || `${item.rosterId}|${item.queuedAt}`;
+}
+
+function isSettled(result) {
+  if (!result) return false;
+  if (result.notified) return true;
+  return SETTLED_REASONS.includes(result.reason) || String(result.reason || '').startsWith('skipped-');
+}
+
+/**
+ * Send the notifications deferred for pilots whose quiet hours have ended (checked against their
+ * current preferences, so turning quiet hours off releases them too). Items are only removed once
+ * their email is sent or deliberately skipped; failed sends stay queued and are retried with backoff.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {function(string): Object} [options.getEventHistory] - rosterId -> event history
+ * @returns {Promise<Array<Object>>} - notifyRosterChange results
+ */
+async function flushDeferredNotifications({ now = new Date(), getEventHistory = () => undefined } = {}, env = process.env, logger = console) {
+  const store = getDeferredStore(env);
+  const results = [];
+
+  for (const [staffNo, entry] of Object.entries(store.toObject())) {
+    const preferences = notificationPreferences.getNotificationPreferences(staffNo, env);
+    if (notificationPreferences.isInQuietHours(preferences, entry.timezone, now)) continue;
+    if (entry.retryAt && new Date(entry.retryAt) > now) continue;
+
+    const attempted = new Set((entry.items || []).map(deferredItemKey));
+    const settled = new Set();
+    let failed = false;
+    for (const { items, notification } of batchDeferredItems(entry.items || [])) {
+      let result;
+      try {
+        result = await notifyRosterChange(
+          { ...notification, eventHistory: getEventHistory(notification.rosterId), now, ignoreQuietHours: true },
+          env,
+          logger
+        );
+      } catch (err) {
+        logger.warn(`[notify] failed to send deferred roster email: ${err.message}`, { staffNo, rosterId: notification.rosterId });
+        result = { notified: false, reason: 'error', error: err.message };
+      }
+      results.push(result);
+      if (isSettled(result)) items.forEach(item => settled.add(deferredItemKey(item)));
+      else failed = true;
+    }
+
+    const attempts = failed ? (entry.attempts || 0) + 1 : 0;
+    const givingUp = failed && attempts >= MAX_DEFERRED_ATTEMPTS;
+    if (givingUp) {
+      logger.warn('[notify] giving up on deferred roster emails', { staffNo, items: attempted.size - settled.size, attempts });
+    }
+
+    // Re-read: revisions may have been deferred while the emails were being sent
+    const { attempts: _attempts, retryAt: _retryAt, ...current } = store.get(staffNo) || { items: [] };
+    const remaining = (current.items || []).filter(item => {
+      const key = deferredItemKey(item);
+      return !settled.has(key) && !(givingUp && attempted.has(key));
+    });
+
+    if (remaining.length === 0) {
+      store.delete(staffNo);
+    } else if (failed && !givingUp) {
+      const retryAt = new Date(now.getTime() + DEFERRED_RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString();
+      store.set(staffNo, { ...current, items: remaining, attempts, retryAt });
+    } else {
+      store.set(staffNo, { ...current, items: remaining });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Number of roster emails waiting for a pilot's quiet hours to end
+ */
+function countDeferredNotifications(staffNo, env = process.env) {
+  const entry = staffNo ? getDeferredStore(env).get(staffNo) : null;
+  return entry && Array.isArray(entry.items) ? entry.items.length : 0;
+}
+
+/**
+ * Check for deferred notifications to send every minute
+ * @returns {{ stop: function }}
+ */
+function startDeferredNotifications({ getEventHistory } = {}, env = process.env, logger = console) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await flushDeferredNotifications({ getEventHistory }, env, logger);
+    } catch (err) {
+      logger.warn(`[notify] deferred notification check failed: ${err.message}`);
+    } finally {
+      running = false;
+    }
+  }, DEFERRED_CHECK_INTERVAL_MS);
+  if (typeof timer.unref === 'function') timer.unref();
+
+  return { stop: () => clearInterval(timer) };
+}
+
 module.exports = {
   notifyRosterChange,
+  flushDeferredNotifications,
+  countDeferredNotifications,
+  startDeferredNotifications,
   // For testing
-  buildBody
+  buildBody,
+  buildHtmlBody,
+  buildPayImpact,
+  getChangedEvents
 };
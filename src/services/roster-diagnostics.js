@@ -0,0 +1,65 @@
+const SEVERITIES = ['error', 'warning', 'info'];
+
+function getDiagnostics(rosterOrDiagnostics) {
+  if (Array.isArray(rosterOrDiagnostics)) return rosterOrDiagnostics;
+  if (rosterOrDiagnostics && Array.isArray(rosterOrDiagnostics.diagnostics)) return rosterOrDiagnostics.diagnostics;
+  return [];
+}
+
+/**
+ * Count parse diagnostics by severity.
+ * @param {Object|Array} rosterOrDiagnostics - Parsed roster or its diagnostics list
+ * @returns {{ total: number, error: number, warning: number, info: number }}
+ */
+function summarizeDiagnostics(rosterOrDiagnostics) {
+  const diagnostics = getDiagnostics(rosterOrDiagnostics);
+  const summary = { total: diagnostics.length, error: 0, warning: 0, info: 0 };
+
+  for (const d of diagnostics) {
+    const severity = d && SEVERITIES.includes(d.severity) ? d.severity : 'warning';
+    summary[severity] += 1;
+  }
+
+  return summary;
+}
+
+function formatSummaryLine(summary) {
+  const parts = [];
+  for (const severity of SEVERITIES) {
+    if (summary[severity] > 0) {
+      parts.push(`${summary[severity]} ${severity}${summary[severity] === 1 ? '' : 's'}`);
+    }
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Plain-text rendering of parse diagnostics for logs and emails.
+ * @param {Object|Array} rosterOrDiagnostics - Parsed roster or its diagnostics list
+ * @param {Object} [options]
+ * @param {number} [options.maxLines=20] - Maximum number of diagnostics listed
+ * @returns {string}
+ */
+function formatDiagnosticsAsText(rosterOrDiagnostics, { maxLines = 20 } = {}) {
+  const diagnostics = getDiagnostics(rosterOrDiagnostics);
+  if (diagnostics.length === 0) return 'No parse issues detected.';
+
+  const lines = [formatSummaryLine(summarizeDiagnostics(diagnostics))];
+
+  for (const d of diagnostics.slice(0, maxLines)) {
+    const where = d.line ? `line ${d.line}` : 'end of file';
+    const text = d.text ? `: ${String(d.text).trim()}` : '';
+    lines.push(`- [${d.severity}] ${where} (${d.section}) ${d.reason}${text}`);
+  }
+
+  if (diagnostics.length > maxLines) {
+    lines.push('… (truncated)');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  summarizeDiagnostics,
+  formatDiagnosticsAsText
+};
@@ -1,3 +1,42 @@
+/**
+ * Roster diff
+ * Compares two revisions of a roster on full dates (so the 10th of two months never collide):
+ * - added/removed/changed: one line per roster-table day, as formatted text
+ * - changes: classified changes over the roster table, Pattern Details duty periods and their flight
+ *   legs (report time moved, flight swapped, pattern cancelled, reserve converted to flight, day off
+ *   lost, slip port changed...), with time deltas in local port time
+ */
+
+const { DateTime } = require('luxon');
+const QantasRosterParser = require('../parsers/qantas-roster-parser');
+const TimezoneService = require('./timezone-service');
+const { isDutyTypeBusy } = require('./duty-code-catalogue');
+
+const timezoneService = new TimezoneService();
+
+// Change types by text section (see formatDiffAsText); any other type is a change
+const ADDED_CHANGE_TYPES = ['duty-added', 'pattern-added', 'flight-added'];
+const REMOVED_CHANGE_TYPES = ['duty-removed', 'pattern-cancelled', 'flight-removed'];
+
+const CHANGE_LABELS = {
+  'report-time-moved': 'Report time moved',
+  'release-time-moved': 'Release time moved',
+  'departure-time-moved': 'Departure moved',
+  'flight-swapped': 'Flight swapped',
+  'flight-changed': 'Flight changed',
+  'flight-added': 'Flight added',
+  'flight-removed': 'Flight removed',
+  'pattern-added': 'Pattern added',
+  'pattern-cancelled': 'Pattern cancelled',
+  'slip-port-changed': 'Slip port changed',
+  'reserve-converted': 'Reserve converted to flight',
+  'day-off-lost': 'Day off lost',
+  'day-off-gained': 'Day off',
+  'duty-added': 'Duty added',
+  'duty-removed': 'Duty removed',
+  'duty-changed': 'Duty changed'
+};
+
 function normalizeStaffNo(value) {
   if (value === undefined || value === null) return '';
   return String(value).trim();
@@ -35,93 +74,426 @@ function formatEntry(entry) {
   return parts.join(' ');
 }
 
-function buildDayMap(roster) {
-  const map = new Map();
-  const entries = roster && Array.isArray(roster.entries) ? roster.entries : [];
+function toIsoDate(year, month, day) {
+  return DateTime.utc(year, month + 1, day).toISODate();
+}
+
+/**
+ * "29 Mon" style label of an ISO date (as in the roster table)
+ */
+function dateLabel(isoDate) {
+  return DateTime.fromISO(isoDate, { zone: 'utc' }).toFormat('d ccc');
+}
 
+/**
+ * Roster-table entries with their full date. Months come from the roster period and day-number
+ * rollovers, as in the calendar (stored entries may predate entry.month/year).
+ * @returns {Array<{ entry: Object, isoDate: string, label: string }>}
+ */
+function getDatedEntries(roster) {
+  const entries = roster && Array.isArray(roster.entries) ? roster.entries.filter(Boolean) : [];
+  if (entries.length === 0) return [];
+
+  const period = new QantasRosterParser().getRosterPeriod({ ...roster, entries });
+  let month = period.startMonth;
+  let year = period.startYear;
+  let previousDay = 0;
+
+  const dated = [];
   for (const entry of entries) {
-    const dateKey = normalizeDateKey(entry && entry.date ? entry.date : `${entry.day || ''} ${entry.dayOfWeek || ''}`);
-    if (!dateKey) continue;
+    const day = Number.isInteger(entry.day) ? entry.day : Number.parseInt(String(entry.date || ''), 10);
+    if (!Number.isInteger(day)) continue;
 
-    const existing = map.get(dateKey);
+    if (day < previousDay && previousDay - day > 7) {
+      month = (month + 1) % 12;
+      if (month === 0) year++;
+    }
+    previousDay = day;
+
+    const isoDate = toIsoDate(year, month, day);
+    const label = normalizeDateKey(entry.date ? entry.date : `${day} ${entry.dayOfWeek || ''}`) || dateLabel(isoDate);
+    dated.push({ entry, isoDate, label });
+  }
+  return dated;
+}
+
+/**
+ * Roster-table days keyed by ISO date
+ * @returns {Map<string, { date: string, text: string, entries: Array<Object> }>}
+ */
+function buildDayMap(roster) {
+  const map = new Map();
+
+  for (const { entry, isoDate, label } of getDatedEntries(roster)) {
     const formatted = formatEntry(entry);
+    const existing = map.get(isoDate);
 
     if (!existing) {
-      map.set(dateKey, formatted);
+      map.set(isoDate, { date: label, text: formatted, entries: [entry] });
       continue;
     }
 
     // If multiple entries share a date, preserve them in a stable order.
-    const joined = [existing, formatted].filter(Boolean).join(' | ');
-    map.set(dateKey, joined);
+    existing.text = [existing.text, formatted].filter(Boolean).join(' | ');
+    existing.entries.push(entry);
   }
 
   return map;
 }
 
-function sortDateKeys(dateKeys) {
-  // Roster date keys are like "10 Tue"; sort numerically by day first.
-  // If parsing fails, fall back to lexicographic.
-  return [...dateKeys].sort((a, b) => {
-    const aDay = parseInt(String(a).trim().split(/\s+/)[0], 10);
-    const bDay = parseInt(String(b).trim().split(/\s+/)[0], 10);
-    const aOk = Number.isFinite(aDay);
-    const bOk = Number.isFinite(bDay);
+function parseClock(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):?(\d{2})$/);
+  return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+}
 
-    if (aOk && bOk && aDay !== bDay) return aDay - bDay;
-    return String(a).localeCompare(String(b));
-  });
+/**
+ * Local time at a port as a DateTime (null without a time)
+ */
+function localTime(isoDate, time, port) {
+  const clock = parseClock(time);
+  if (!clock || !isoDate) return null;
+  const dt = DateTime.fromISO(isoDate, { zone: timezoneService.getTimezone(port) }).set(clock);
+  return dt.isValid ? dt : null;
 }
 
-function diffRosters(previousRoster, currentRoster) {
-  if (!currentRoster || typeof currentRoster !== 'object') {
-    throw new Error('diffRosters requires currentRoster');
+/**
+ * Minutes between two local port times, e.g. report 0615 PER -> 0645 PER = 30
+ */
+function deltaMinutes(was, now) {
+  if (!was || !now) return null;
+  return Math.round(now.diff(was, 'minutes').minutes);
+}
+
+function formatDelta(minutes) {
+  if (minutes === null || minutes === undefined) return '';
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${Math.floor(abs / 60)}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+function makeChange(type, isoDate, details, text) {
+  return {
+    type,
+    date: details.date || dateLabel(isoDate),
+    isoDate,
+    dutyCode: details.dutyCode || null,
+    flightNumber: details.flightNumber || null,
+    port: details.port || null,
+    was: details.was === undefined ? null : details.was,
+    now: details.now === undefined ? null : details.now,
+    deltaMinutes: Number.isFinite(details.deltaMinutes) ? details.deltaMinutes : null,
+    summary: `${CHANGE_LABELS[type]}: ${text}`
+  };
+}
+
+function timeMoveText(dutyCode, port, was, now, delta) {
+  const ports = was.port === now.port ? `${port} ${was.time}` : `${was.port} ${was.time}`;
+  const target = was.port === now.port ? now.time : `${now.port} ${now.time}`;
+  return `${dutyCode ? `${dutyCode} ` : ''}${ports} -> ${target}${delta !== null ? ` (${formatDelta(delta)})` : ''}`;
+}
+
+function isFree(entry) {
+  return !isDutyTypeBusy(entry.dutyType, entry.dutyCode);
+}
+
+/**
+ * Classified changes of one roster-table day
+ */
+function diffDay(isoDate, prevDay, currDay, base) {
+  const date = (currDay || prevDay).date;
+  if (!prevDay) return [makeChange('duty-added', isoDate, { date, now: currDay.text }, currDay.text)];
+  if (!currDay) return [makeChange('duty-removed', isoDate, { date, was: prevDay.text }, prevDay.text)];
+
+  const was = prevDay.entries[0];
+  const now = currDay.entries[0];
+  const details = { date, dutyCode: now.dutyCode, was: prevDay.text, now: currDay.text };
+  const text = `${prevDay.text} -> ${currDay.text}`;
+
+  if (isFree(was) && !isFree(now)) return [makeChange('day-off-lost', isoDate, details, text)];
+  if (!isFree(was) && isFree(now)) return [makeChange('day-off-gained', isoDate, details, text)];
+  if (was.dutyType === 'RESERVE' && now.dutyType === 'FLIGHT') return [makeChange('reserve-converted', isoDate, details, text)];
+
+  const sameDuty = prevDay.entries.length === 1 && currDay.entries.length === 1 &&
+    was.dutyType === now.dutyType && was.dutyCode === now.dutyCode && was.port === now.port;
+  if (sameDuty && (was.signOn !== now.signOn || was.signOff !== now.signOff) &&
+    formatEntry({ ...was, signOn: now.signOn, signOff: now.signOff }) === formatEntry(now)) {
+    const port = now.port || base;
+    const changes = [];
+    for (const [type, key] of [['report-time-moved', 'signOn'], ['release-time-moved', 'signOff']]) {
+      if (was[key] === now[key]) continue;
+      const delta = deltaMinutes(localTime(isoDate, was[key], port), localTime(isoDate, now[key], port));
+      changes.push(makeChange(type, isoDate, { date, dutyCode: now.dutyCode, port, was: was[key], now: now[key], deltaMinutes: delta },
+        timeMoveText(now.dutyCode, port, { port, time: was[key] }, { port, time: now[key] }, delta)));
+    }
+    return changes;
   }
 
-  const prevMap = buildDayMap(previousRoster);
-  const currMap = buildDayMap(currentRoster);
+  return [makeChange('duty-changed', isoDate, details, text)];
+}
+
+/**
+ * Duty periods from Pattern Details keyed by "<ISO date>|<duty code>"
+ */
+function buildDutyMap(roster) {
+  const map = new Map();
+  const patterns = roster && Array.isArray(roster.dutyPatterns) ? roster.dutyPatterns : [];
+  for (const pattern of patterns) {
+    if (!pattern || !Array.isArray(pattern.legs) || pattern.legs.length === 0) continue;
+    const dated = pattern.dated || pattern.legs[0];
+    const isoDate = toIsoDate(dated.year, dated.month, dated.day);
+    map.set(`${isoDate}|${pattern.dutyCode || ''}`, { isoDate, pattern });
+  }
+  return map;
+}
 
-  const allKeys = new Set([...prevMap.keys(), ...currMap.keys()]);
-  const sortedKeys = sortDateKeys(allKeys);
+function legRoute(leg) {
+  return `${leg.departPort}-${leg.arrivePort}`;
+}
 
-  const added = [];
-  const removed = [];
-  const changed = [];
+function legDate(leg) {
+  const offset = Number.isFinite(leg.arriveDayOffset) ? leg.arriveDayOffset : 0;
+  return DateTime.fromISO(toIsoDate(leg.year, leg.month, leg.day), { zone: 'utc' }).plus({ days: offset }).toISODate();
+}
+
+function describeDuty(pattern) {
+  const flights = pattern.legs.map(l => l.flightNumber).join('/');
+  return `${pattern.dutyCode} ${pattern.reportPort || pattern.legs[0].departPort} ${pattern.reportTime || ''}-` +
+    `${pattern.releasePort || pattern.legs[pattern.legs.length - 1].arrivePort} ${pattern.releaseTime || ''} ${flights}`.replace(/\s+/g, ' ').trim();
+}
 
-  for (const dateKey of sortedKeys) {
-    const prev = prevMap.get(dateKey);
-    const curr = currMap.get(dateKey);
+/**
+ * Classified changes of one duty period present in both revisions (report/release times and legs)
+ */
+function diffDuty(isoDate, was, now) {
+  const changes = [];
+  const dutyCode = now.dutyCode;
 
-    if (prev === undefined && curr !== undefined) {
-      added.push({ date: dateKey, now: curr });
+  const report = {
+    was: { port: was.reportPort || was.legs[0].departPort, time: was.reportTime },
+    now: { port: now.reportPort || now.legs[0].departPort, time: now.reportTime }
+  };
+  const lastWas = was.legs[was.legs.length - 1];
+  const lastNow = now.legs[now.legs.length - 1];
+  const release = {
+    was: { port: was.releasePort || lastWas.arrivePort, time: was.releaseTime, isoDate: legDate(lastWas) },
+    now: { port: now.releasePort || lastNow.arrivePort, time: now.releaseTime, isoDate: legDate(lastNow) }
+  };
+
+  if (report.was.time !== report.now.time || report.was.port !== report.now.port) {
+    const delta = deltaMinutes(localTime(isoDate, report.was.time, report.was.port), localTime(isoDate, report.now.time, report.now.port));
+    changes.push(makeChange('report-time-moved', isoDate,
+      { dutyCode, port: report.now.port, was: report.was.time, now: report.now.time, deltaMinutes: delta },
+      timeMoveText(dutyCode, report.now.port, report.was, report.now, delta)));
+  }
+  if (release.was.time !== release.now.time || release.was.port !== release.now.port || release.was.isoDate !== release.now.isoDate) {
+    const delta = deltaMinutes(
+      localTime(release.was.isoDate, release.was.time, release.was.port),
+      localTime(release.now.isoDate, release.now.time, release.now.port));
+    changes.push(makeChange('release-time-moved', isoDate,
+      { dutyCode, port: release.now.port, was: release.was.time, now: release.now.time, deltaMinutes: delta },
+      timeMoveText(dutyCode, release.now.port, release.was, release.now, delta)));
+  }
+
+  const legCount = Math.max(was.legs.length, now.legs.length);
+  for (let i = 0; i < legCount; i++) {
+    const a = was.legs[i];
+    const b = now.legs[i];
+    if (!a) {
+      changes.push(makeChange('flight-added', legDate(b), { dutyCode, flightNumber: b.flightNumber, port: b.departPort, now: b.flightNumber },
+        `${b.flightNumber} ${legRoute(b)} ${b.departTime} (${dutyCode})`));
+      continue;
+    }
+    if (!b) {
+      changes.push(makeChange('flight-removed', legDate(a), { dutyCode, flightNumber: a.flightNumber, port: a.departPort, was: a.flightNumber },
+        `${a.flightNumber} ${legRoute(a)} ${a.departTime} (${dutyCode})`));
       continue;
     }
 
-    if (prev !== undefined && curr === undefined) {
-      removed.push({ date: dateKey, was: prev });
+    const legIsoDate = toIsoDate(b.year, b.month, b.day);
+    if (legRoute(a) !== legRoute(b)) {
+      changes.push(makeChange('flight-changed', legIsoDate, { dutyCode, flightNumber: b.flightNumber, port: b.departPort, was: legRoute(a), now: legRoute(b) },
+        `${a.flightNumber} ${legRoute(a)} -> ${b.flightNumber} ${legRoute(b)} (${dutyCode})`));
       continue;
     }
+    if (a.flightNumber !== b.flightNumber) {
+      changes.push(makeChange('flight-swapped', legIsoDate, { dutyCode, flightNumber: b.flightNumber, port: b.departPort, was: a.flightNumber, now: b.flightNumber },
+        `${a.flightNumber} -> ${b.flightNumber} ${legRoute(b)} (${dutyCode})`));
+    }
+    if (a.departTime !== b.departTime) {
+      const delta = deltaMinutes(
+        localTime(toIsoDate(a.year, a.month, a.day), a.departTime, a.departPort),
+        localTime(legIsoDate, b.departTime, b.departPort));
+      changes.push(makeChange('departure-time-moved', legIsoDate,
+        { dutyCode, flightNumber: b.flightNumber, port: b.departPort, was: a.departTime, now: b.departTime, deltaMinutes: delta },
+        `${b.flightNumber} ${b.departPort} ${a.departTime} -> ${b.departTime}${delta !== null ? ` (${formatDelta(delta)})` : ''}`));
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Overnight ports of each pairing (release port = next duty's report port, away from base), by duty code
+ */
+function getSlipPorts(roster, base) {
+  const byCode = new Map();
+  for (const { isoDate, pattern } of buildDutyMap(roster).values()) {
+    if (!byCode.has(pattern.dutyCode)) byCode.set(pattern.dutyCode, []);
+    byCode.get(pattern.dutyCode).push({ isoDate, pattern });
+  }
+
+  const slips = new Map();
+  for (const [dutyCode, duties] of byCode.entries()) {
+    duties.sort((a, b) => a.isoDate.localeCompare(b.isoDate));
+    const ports = [];
+    for (let i = 0; i < duties.length - 1; i++) {
+      const release = duties[i].pattern.releasePort;
+      if (release && release !== base && release === duties[i + 1].pattern.reportPort) ports.push(release);
+    }
+    slips.set(dutyCode, { isoDate: duties[0].isoDate, ports });
+  }
+  return slips;
+}
+
+/**
+ * Classified changes of the Pattern Details duty periods and legs
+ * @param {Set<string>} coveredDates - Dates already explained by a roster-table change
+ */
+function diffDutyPatterns(previousRoster, currentRoster, base, coveredDates) {
+  const prevDuties = buildDutyMap(previousRoster);
+  const currDuties = buildDutyMap(currentRoster);
+  const prevSlips = getSlipPorts(previousRoster, base);
+  const currSlips = getSlipPorts(currentRoster, base);
+  const changes = [];
+
+  // Whole pairings that appeared or disappeared are one change each
+  for (const [dutyCode, { isoDate }] of prevSlips.entries()) {
+    if (currSlips.has(dutyCode) || coveredDates.has(isoDate)) continue;
+    const duties = Array.from(prevDuties.values()).filter(d => d.pattern.dutyCode === dutyCode);
+    changes.push(makeChange('pattern-cancelled', isoDate, { dutyCode, was: dutyCode },
+      `${dutyCode} (${duties.map(d => dateLabel(d.isoDate)).join(', ')})`));
+  }
+  for (const [dutyCode, { isoDate }] of currSlips.entries()) {
+    if (prevSlips.has(dutyCode) || coveredDates.has(isoDate)) continue;
+    const duties = Array.from(currDuties.values()).filter(d => d.pattern.dutyCode === dutyCode);
+    changes.push(makeChange('pattern-added', isoDate, { dutyCode, now: dutyCode },
+      `${dutyCode} (${duties.map(d => `${dateLabel(d.isoDate)} ${describeDuty(d.pattern).replace(`${dutyCode} `, '')}`).join('; ')})`));
+  }
 
-    if (prev !== curr) {
-      changed.push({ date: dateKey, was: prev || '', now: curr || '' });
+  for (const key of new Set([...prevDuties.keys(), ...currDuties.keys()])) {
+    const was = prevDuties.get(key);
+    const now = currDuties.get(key);
+    const { isoDate, pattern } = now || was;
+    const bothHavePairing = prevSlips.has(pattern.dutyCode) && currSlips.has(pattern.dutyCode);
+
+    if (was && now) {
+      changes.push(...diffDuty(isoDate, was.pattern, now.pattern));
+    } else if (bothHavePairing && !coveredDates.has(isoDate)) {
+      changes.push(now
+        ? makeChange('duty-added', isoDate, { dutyCode: pattern.dutyCode, now: describeDuty(pattern) }, describeDuty(pattern))
+        : makeChange('duty-removed', isoDate, { dutyCode: pattern.dutyCode, was: describeDuty(pattern) }, describeDuty(pattern)));
     }
   }
 
+  for (const [dutyCode, curr] of currSlips.entries()) {
+    const prev = prevSlips.get(dutyCode);
+    if (!prev || prev.ports.join(' ') === curr.ports.join(' ')) continue;
+    changes.push(makeChange('slip-port-changed', curr.isoDate, { dutyCode, was: prev.ports.join(' '), now: curr.ports.join(' ') },
+      `${dutyCode} ${prev.ports.join(' ') || 'none'} -> ${curr.ports.join(' ') || 'none'}`));
+  }
+
+  return changes;
+}
+
+function hasDutyPatterns(roster) {
+  return !!roster && Array.isArray(roster.dutyPatterns) && roster.dutyPatterns.length > 0;
+}
+
+/**
+ * Diff two revisions of a roster
+ * @param {Object|null} previousRoster
+ * @param {Object} currentRoster
+ * @returns {{ staffNo: string, added: Array, removed: Array, changed: Array, changes: Array, hasChanges: boolean }}
+ *   added/removed/changed: roster-table days ({ date: '17 Thu', isoDate, was?, now? });
+ *   changes: classified changes ({ type, date, isoDate, dutyCode, flightNumber, port, was, now, deltaMinutes, summary })
+ */
+function diffRosters(previousRoster, currentRoster) {
+  if (!currentRoster || typeof currentRoster !== 'object') {
+    throw new Error('diffRosters requires currentRoster');
+  }
+
   const employee = currentRoster.employee || {};
-  const staffNo = normalizeStaffNo(employee.staffNo);
+  const base = employee.base ? String(employee.base).trim().toUpperCase() : '';
+  const prevMap = buildDayMap(previousRoster);
+  const currMap = buildDayMap(currentRoster);
+  const withPatterns = hasDutyPatterns(previousRoster) && hasDutyPatterns(currentRoster);
+  const prevPatternDates = new Set(Array.from(buildDutyMap(previousRoster).values(), d => d.isoDate));
+  const currPatternDates = new Set(Array.from(buildDutyMap(currentRoster).values(), d => d.isoDate));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const changes = [];
+  const coveredDates = new Set();
+
+  for (const isoDate of [...new Set([...prevMap.keys(), ...currMap.keys()])].sort()) {
+    const prev = prevMap.get(isoDate);
+    const curr = currMap.get(isoDate);
+
+    if (!prev) added.push({ date: curr.date, isoDate, now: curr.text });
+    else if (!curr) removed.push({ date: prev.date, isoDate, was: prev.text });
+    else if (prev.text !== curr.text) changed.push({ date: curr.date, isoDate, was: prev.text || '', now: curr.text || '' });
+    else continue;
+
+    // Flight duties with Pattern Details are compared there
+    const days = [prev, curr].filter(Boolean);
+    const inPatterns = (!prev || prevPatternDates.has(isoDate)) && (!curr || currPatternDates.has(isoDate));
+    if (withPatterns && inPatterns && days.every(d => d.entries.every(e => e.dutyType === 'FLIGHT'))) continue;
+
+    const dayChanges = diffDay(isoDate, prev, curr, base);
+    if (dayChanges.some(c => !['report-time-moved', 'release-time-moved'].includes(c.type))) coveredDates.add(isoDate);
+    changes.push(...dayChanges);
+  }
+
+  if (withPatterns) {
+    changes.push(...diffDutyPatterns(previousRoster, currentRoster, base, coveredDates));
+  }
+  changes.sort((a, b) => a.isoDate.localeCompare(b.isoDate));
 
   return {
-    staffNo,
+    staffNo: normalizeStaffNo(employee.staffNo),
     added,
     removed,
     changed,
-    hasChanges: added.length > 0 || removed.length > 0 || changed.length > 0
+    changes,
+    hasChanges: added.length > 0 || removed.length > 0 || changed.length > 0 || changes.length > 0
   };
 }
 
+/**
+ * Count changes by type, e.g. { 'flight-swapped': 1, 'day-off-lost': 2 }
+ */
+function countChangesByType(diff) {
+  const counts = {};
+  for (const change of (diff && diff.changes) || []) {
+    counts[change.type] = (counts[change.type] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * One-line summary of a diff's change types, e.g. "1 flight swapped, 2 day off lost"
+ */
+function summarizeChanges(diff) {
+  return Object.entries(countChangesByType(diff))
+    .map(([type, count]) => `${count} ${CHANGE_LABELS[type].toLowerCase()}`)
+    .join(', ');
+}
+
 function formatDiffAsText(diff, { maxLines = 50 } = {}) {
   if (!diff) return 'No diff available.';
 
+  // Diffs stored before changes were classified only have the day lines
+  const changes = Array.isArray(diff.changes) ? diff.changes : null;
   const lines = [];
 
   const pushSection = (title, items, formatter) => {
@@ -133,12 +505,20 @@ function formatDiffAsText(diff, { maxLines = 50 } = {}) {
     }
   };
 
-  pushSection('Changed:', diff.changed, (c) => `- ${c.date}: ${c.was} -> ${c.now}`);
-  if (lines.length < maxLines) {
-    pushSection('Added:', diff.added, (a) => `- ${a.date}: ${a.now}`);
-  }
-  if (lines.length < maxLines) {
-    pushSection('Removed:', diff.removed, (r) => `- ${r.date}: ${r.was}`);
+  const withMonth = (item) => (item.isoDate ? `${item.date} ${DateTime.fromISO(item.isoDate).toFormat('LLL')}` : item.date);
+  if (changes) {
+    const changeLine = (c) => `- ${withMonth(c)}: ${c.summary}`;
+    pushSection('Changed:', changes.filter(c => !ADDED_CHANGE_TYPES.includes(c.type) && !REMOVED_CHANGE_TYPES.includes(c.type)), changeLine);
+    if (lines.length < maxLines) pushSection('Added:', changes.filter(c => ADDED_CHANGE_TYPES.includes(c.type)), changeLine);
+    if (lines.length < maxLines) pushSection('Removed:', changes.filter(c => REMOVED_CHANGE_TYPES.includes(c.type)), changeLine);
+  } else {
+    pushSection('Changed:', diff.changed, (c) => `- ${withMonth(c)}: ${c.was} -> ${c.now}`);
+    if (lines.length < maxLines) {
+      pushSection('Added:', diff.added, (a) => `- ${withMonth(a)}: ${a.now}`);
+    }
+    if (lines.length < maxLines) {
+      pushSection('Removed:', diff.removed, (r) => `- ${withMonth(r)}: ${r.was}`);
+    }
   }
 
   if (lines.length === 0) return 'No duty changes detected.';
@@ -151,6 +531,12 @@ function formatDiffAsText(diff, { maxLines = 50 } = {}) {
 }
 
 module.exports = {
+  CHANGE_LABELS,
+  ADDED_CHANGE_TYPES,
+  REMOVED_CHANGE_TYPES,
   diffRosters,
+  getDatedEntries,
+  countChangesByType,
+  summarizeChanges,
   formatDiffAsText
 };
@@ -1,10 +1,18 @@
 const crypto = require('crypto');
-const QantasRosterParser = require('../parsers/qantas-roster-parser');
-const fs = require('fs');
+const { parseRosterText } = require('../parsers/roster-parser-registry');
+const { diffRosters } = require('./roster-diff');
+const { updateEventHistory, updateCollectionHistory } = require('./event-history');
 const path = require('path');
-
-// In-memory storage for rosters (in production, use a database)
-// Map<rosterId, { employee: Object, rosters: Array<Object>, rosterHashes: Set<string> }>
+const storage = require('./storage');
+
+// In-memory copy of the stored rosters, loaded from the storage layer on startup when persistence is
+// enabled; each change writes only the affected pilot's record.
+// Map<rosterId, { employee: Object, rosters: Array<Object>, rosterHashes: Set<string>, revisions: Array<Object>, eventHistory: Object, collectionHistory: Object }>
+// revisions keeps every distinct roster received, in arrival order:
+// { hash, receivedAt, source, periodKey, bidPeriod, issueTimestamp, text }. The raw text lets stored
+// rosters be rebuilt with a newer parser (reparseAllRosters) and older revisions be restored
+// (rollbackToRevision). eventHistory tracks the calendar events published from these rosters
+// (see event-history); collectionHistory tracks what each CalDAV collection has served, by collection.
 const rosters = new Map();
 
 function parseBoolean(value, defaultValue = false) {
@@ -21,19 +29,38 @@ function getPersistenceConfig(env = process.env) {
   return { enabled, storePath };
 }
 
-function ensureDirExists(filePath) {
-  const dir = path.dirname(filePath);
-  fs.mkdirSync(dir, { recursive: true });
+function getPersistenceStore(env = process.env) {
+  const { storePath } = getPersistenceConfig(env);
+  return storage.openCollection('rosters', { jsonPath: storePath, pretty: false, env });
+}
+
+function serializeBucket(bucket) {
+  return {
+    employee: bucket.employee || {},
+    rosters: Array.isArray(bucket.rosters) ? bucket.rosters : [],
+    rosterHashes: Array.from(bucket.rosterHashes || []),
+    revisions: Array.isArray(bucket.revisions) ? bucket.revisions : [],
+    eventHistory: bucket.eventHistory || {},
+    collectionHistory: bucket.collectionHistory || {}
+  };
+}
+
+function hydrateBucket(bucket) {
+  return {
+    employee: bucket.employee || {},
+    rosters: Array.isArray(bucket.rosters) ? bucket.rosters : [],
+    rosterHashes: new Set(Array.isArray(bucket.rosterHashes) ? bucket.rosterHashes : []),
+    // Stores written before raw text was kept have no revisions; those rosters cannot be re-parsed.
+    revisions: Array.isArray(bucket.revisions) ? bucket.revisions : [],
+    eventHistory: bucket.eventHistory && typeof bucket.eventHistory === 'object' ? bucket.eventHistory : {},
+    collectionHistory: bucket.collectionHistory && typeof bucket.collectionHistory === 'object' ? bucket.collectionHistory : {}
+  };
 }
 
 function serializeStore() {
   const data = {};
   for (const [rosterId, bucket] of rosters.entries()) {
-    data[rosterId] = {
-      employee: bucket.employee || {},
-      rosters: Array.isArray(bucket.rosters) ? bucket.rosters : [],
-      rosterHashes: Array.from(bucket.rosterHashes || [])
-    };
+    data[rosterId] = serializeBucket(bucket);
   }
   return data;
 }
@@ -44,77 +71,134 @@ function hydrateStore(serialized) {
 
   for (const [rosterId, bucket] of Object.entries(serialized)) {
     if (!bucket || typeof bucket !== 'object') continue;
-    rosters.set(rosterId, {
-      employee: bucket.employee || {},
-      rosters: Array.isArray(bucket.rosters) ? bucket.rosters : [],
-      rosterHashes: new Set(Array.isArray(bucket.rosterHashes) ? bucket.rosterHashes : [])
-    });
+    rosters.set(rosterId, hydrateBucket(bucket));
   }
 }
 
 let persistenceInitialized = false;
-let persistWriteChain = Promise.resolve();
 let persistenceErrorLogged = false;
 
+function logPersistenceError(action, err, env) {
+  if (persistenceErrorLogged) return;
+  persistenceErrorLogged = true;
+  const { storePath } = getPersistenceConfig(env);
+  console.warn(
+    `[persist] failed to ${action} store (${storePath}): ${err && err.message ? err.message : String(err)}`
+  );
+}
+
 function initPersistence(env = process.env) {
   if (persistenceInitialized) return;
   persistenceInitialized = true;
 
-  const { enabled, storePath } = getPersistenceConfig(env);
+  const { enabled } = getPersistenceConfig(env);
   if (!enabled) return;
 
   try {
-    if (!fs.existsSync(storePath)) return;
-    const raw = fs.readFileSync(storePath, 'utf8');
-    if (!raw) return;
-    const parsed = JSON.parse(raw);
-    hydrateStore(parsed);
+    hydrateStore(getPersistenceStore(env).toObject());
   } catch (err) {
-    if (!persistenceErrorLogged) {
-      persistenceErrorLogged = true;
-      console.warn(
-        `[persist] failed to read/parse store at ${storePath}: ${err && err.message ? err.message : String(err)}`
-      );
-    }
+    logPersistenceError('read', err, env);
     // Corrupt or unreadable store should not crash the service.
     // Start with an empty store.
     rosters.clear();
   }
 }
 
-function persistNow(env = process.env) {
-  const { enabled, storePath } = getPersistenceConfig(env);
+/**
+ * Reload one pilot's bucket from storage before changing it, so a write from another
+ * process (CLI script, second server) is not overwritten with a stale copy.
+ */
+function refreshBucket(rosterId, env = process.env) {
+  const { enabled } = getPersistenceConfig(env);
   if (!enabled) return;
 
-  // Serialize writes to avoid overlapping file writes.
-  persistWriteChain = persistWriteChain
-    .then(() => {
-      ensureDirExists(storePath);
-      const tmpPath = `${storePath}.tmp`;
-      const json = JSON.stringify(serializeStore());
-      fs.writeFileSync(tmpPath, json, 'utf8');
-      fs.renameSync(tmpPath, storePath);
-    })
-    .catch(err => {
-      if (!persistenceErrorLogged) {
-        persistenceErrorLogged = true;
-        console.warn(
-          `[persist] failed to write store at ${storePath}: ${err && err.message ? err.message : String(err)}`
-        );
+  try {
+    const stored = getPersistenceStore(env).get(rosterId);
+    if (stored && typeof stored === 'object') {
+      rosters.set(rosterId, hydrateBucket(stored));
+    }
+  } catch (err) {
+    logPersistenceError('read', err, env);
+  }
+}
+
+/**
+ * Write the given pilots' buckets (all pilots when omitted)
+ */
+function persistNow(env = process.env, rosterIds = null) {
+  const { enabled } = getPersistenceConfig(env);
+  if (!enabled) return Promise.resolve();
+
+  try {
+    const store = getPersistenceStore(env);
+    if (rosterIds) {
+      for (const rosterId of rosterIds) {
+        const bucket = rosters.get(rosterId);
+        if (bucket) store.set(rosterId, serializeBucket(bucket));
       }
-      // Ignore persistence errors; keep in-memory behavior.
-    });
+    } else {
+      store.replaceAll(serializeStore());
+    }
+  } catch (err) {
+    // Ignore persistence errors; keep in-memory behavior.
+    logPersistenceError('write', err, env);
+  }
 
-  return persistWriteChain;
+  return Promise.resolve();
 }
 
+// Writes are synchronous; kept so callers can still await pending writes.
 function flushPersistence() {
-  return persistWriteChain;
+  return Promise.resolve();
 }
 
 // Initialize once on first import (safe: persistence disabled unless enabled via env)
 initPersistence(process.env);
 
+// Called with the rosterId whenever a pilot's stored rosters change (ingest, rollback, re-parse).
+const changeListeners = [];
+
+/**
+ * Register a listener for roster changes (e.g. to invalidate generated calendar feeds)
+ * @param {function(string)} listener - Called with the changed rosterId
+ */
+function onRosterChange(listener) {
+  changeListeners.push(listener);
+}
+
+function notifyRosterChange(rosterId) {
+  for (const listener of changeListeners) {
+    try {
+      listener(rosterId);
+    } catch (err) {
+      console.warn(`[roster-store] change listener failed for ${rosterId}: ${err && err.message ? err.message : String(err)}`);
+    }
+  }
+}
+
+// Called for every ingest attempt (see ingestRosterText), e.g. to deliver webhooks.
+const ingestListeners = [];
+
+/**
+ * Register a listener for roster ingests
+ * @param {function(Object)} listener - Called with { type, source, rosterId?, roster?, previousRoster?, superseded?, error? };
+ *   type is 'roster.ingested' (stored, including late revisions with superseded: true), 'roster.duplicate'
+ *   (already stored text) or 'ingest.failed' (the text could not be parsed)
+ */
+function onRosterIngest(listener) {
+  ingestListeners.push(listener);
+}
+
+function notifyRosterIngest(event) {
+  for (const listener of ingestListeners) {
+    try {
+      listener(event);
+    } catch (err) {
+      console.warn(`[roster-store] ingest listener failed for ${event.type}: ${err && err.message ? err.message : String(err)}`);
+    }
+  }
+}
+
 function compareEntryDate(a, b) {
   if (a.year !== b.year) return a.year - b.year;
   if (a.month !== b.month) return a.month - b.month;
@@ -214,71 +298,429 @@ function getRosterPeriodKeyFromSummary(roster) {
   return `${startKey}_${endKey}`;
 }
 
+// Sortable "YYYYMMDDHHMM" key from the roster issue timestamp (summary.issuedAt), or null.
+function getRosterIssueKey(roster) {
+  const issued = roster && roster.summary && roster.summary.issuedAt ? roster.summary.issuedAt : null;
+  if (!issued || !Number.isFinite(issued.year) || !Number.isFinite(issued.month) || !Number.isFinite(issued.day)) return null;
+  const time = /^\d{4}$/.test(String(issued.time || '')) ? String(issued.time) : '0000';
+  return `${issued.year}${pad2(issued.month + 1)}${pad2(issued.day)}${time}`;
+}
+
+// Where a roster revision came from: API/web upload, inbound email webhook or the IMAP inbox poller.
+const ROSTER_SOURCES = ['upload', 'email', 'inbox'];
+
+function createBucket(employee) {
+  return { employee: employee || {}, rosters: [], rosterHashes: new Set(), revisions: [], eventHistory: {}, collectionHistory: {} };
+}
+
+/**
+ * Store a parsed roster in a bucket, replacing the stored revision of the same bid period.
+ * A revision of an already stored bid period only replaces it when it was issued at or after the
+ * stored revision; an older revision arriving late is reported as superseded and not stored.
+ * `force` skips the issue-time check (used for rollbacks).
+ * @returns {{ roster: Object, isNew: boolean, updated?: boolean, superseded?: boolean, previousRoster: Object|null }}
+ */
+function applyRosterToBucket(bucket, roster, rosterHash, { force = false } = {}) {
+  const periodKey = getRosterPeriodKeyFromSummary(roster);
+  if (periodKey) {
+    roster._periodKey = periodKey;
+  }
+  roster._rosterHash = rosterHash;
+
+  // If this roster matches an existing roster period for this employee, replace the stored roster.
+  // This prevents old events lingering in the merged ICS output when the roster is revised.
+  const idx = periodKey
+    ? bucket.rosters.findIndex(r => {
+      const key = getRosterPeriodKeyFromSummary(r);
+      return key && key === periodKey;
+    })
+    : -1;
+
+  if (idx >= 0) {
+    // Revisions of the same bid period are ordered by issue time; a revision issued before the
+    // stored one (e.g. a delayed email) must not overwrite it.
+    const storedRoster = bucket.rosters[idx];
+    const incomingIssueKey = getRosterIssueKey(roster);
+    const storedIssueKey = getRosterIssueKey(storedRoster);
+    if (!force && incomingIssueKey && storedIssueKey && incomingIssueKey < storedIssueKey) {
+      bucket.rosterHashes.add(rosterHash);
+      return { roster, isNew: false, superseded: true, previousRoster: storedRoster };
+    }
+  }
+
+  bucket.employee = roster.employee || bucket.employee;
+
+  // Purge entries from older-BP rosters whose dates overlap with the new roster's coverage.
+  // This prevents stale data from previous bid periods appearing alongside the new roster.
+  purgeOlderRosterOverlap(bucket.rosters, roster);
+
+  if (idx >= 0) {
+    const previousRoster = bucket.rosters[idx];
+    bucket.rosters[idx] = roster;
+    bucket.rosterHashes.add(rosterHash);
+    return { roster, isNew: true, updated: true, previousRoster };
+  }
+
+  // If this is a new roster for a different bid period, don't compare against other bid periods.
+  // Only compare against the previous version of the SAME bid period.
+  bucket.rosters.push(roster);
+  bucket.rosterHashes.add(rosterHash);
+  return { roster, isNew: true, previousRoster: null };
+}
+
 /**
  * Ingest raw roster text, parse it, and store it (deduplicated by roster text hash).
+ * The roster layout is detected by the parser registry; roster.format records which parser was used.
+ * The raw text is kept as a revision of the pilot's bucket.
  * @param {string} rosterText
- * @returns {{ rosterId: string, roster: Object, isNew: boolean }}
+ * @param {Object} [options]
+ * @param {string} [options.source='upload'] - 'upload', 'email' or 'inbox'
+ * @returns {{ rosterId: string, roster: Object, isNew: boolean, updated?: boolean, superseded?: boolean, previousRoster: Object|null }}
  */
-function ingestRosterText(rosterText) {
-  const parser = new QantasRosterParser();
-  const roster = parser.parse(rosterText);
+function ingestRosterText(rosterText, { source = 'upload' } = {}) {
+  let roster;
+  try {
+    roster = parseRosterText(rosterText);
+  } catch (err) {
+    notifyRosterIngest({ type: 'ingest.failed', source, error: err });
+    throw err;
+  }
 
   const rosterId = getRosterId(roster);
   const rosterHash = getRosterHash(rosterText);
+
+  refreshBucket(rosterId, process.env);
+  let bucket = rosters.get(rosterId);
+  if (bucket && bucket.rosterHashes.has(rosterHash)) {
+    // Duplicate roster - return the latest stored roster as previousRoster
+    // so the email can show "No duty changes detected" instead of "First roster received"
+    const periodKey = getRosterPeriodKeyFromSummary(roster);
+    if (periodKey) roster._periodKey = periodKey;
+    const previousRoster = bucket.rosters.length > 0 ? bucket.rosters[bucket.rosters.length - 1] : null;
+    notifyRosterIngest({ type: 'roster.duplicate', source, rosterId, roster, previousRoster });
+    return { rosterId, roster, isNew: false, previousRoster };
+  }
+
+  if (!bucket) {
+    bucket = createBucket(roster.employee);
+    rosters.set(rosterId, bucket);
+  }
+  if (!Array.isArray(bucket.revisions)) bucket.revisions = [];
+
   const periodKey = getRosterPeriodKeyFromSummary(roster);
+  bucket.revisions.push({
+    hash: rosterHash,
+    receivedAt: new Date().toISOString(),
+    source: ROSTER_SOURCES.includes(source) ? source : 'upload',
+    periodKey,
+    bidPeriod: roster.summary && roster.summary.bidPeriod ? roster.summary.bidPeriod : null,
+    issueTimestamp: roster.summary && roster.summary.issueTimestamp ? roster.summary.issueTimestamp : null,
+    text: String(rosterText)
+  });
+
+  const result = applyRosterToBucket(bucket, roster, rosterHash);
+  persistNow(process.env, [rosterId]);
+  if (result.isNew) notifyRosterChange(rosterId);
+  notifyRosterIngest({
+    type: 'roster.ingested',
+    source,
+    rosterId,
+    roster,
+    previousRoster: result.previousRoster,
+    superseded: !!result.superseded
+  });
+  return { rosterId, ...result };
+}
 
-  if (periodKey) {
-    roster._periodKey = periodKey;
+function summarizeStoredRoster(roster) {
+  if (!roster) return null;
+  return {
+    bidPeriod: roster.summary && roster.summary.bidPeriod ? roster.summary.bidPeriod : null,
+    format: roster.format || null,
+    entries: Array.isArray(roster.entries) ? roster.entries.length : 0,
+    flights: Array.isArray(roster.flights) ? roster.flights.length : 0,
+    dutyPatterns: Array.isArray(roster.dutyPatterns) ? roster.dutyPatterns.length : 0,
+    diagnostics: Array.isArray(roster.diagnostics) ? roster.diagnostics.length : 0
+  };
+}
+
+function compareBuckets(before, after) {
+  const keyOf = (r, i) => getRosterPeriodKeyFromSummary(r) || r._periodKey || `roster-${i}`;
+  const beforeByKey = new Map(before.rosters.map((r, i) => [keyOf(r, i), r]));
+  const afterByKey = new Map(after.rosters.map((r, i) => [keyOf(r, i), r]));
+
+  const periods = [];
+  for (const periodKey of new Set([...beforeByKey.keys(), ...afterByKey.keys()])) {
+    const was = beforeByKey.get(periodKey) || null;
+    const now = afterByKey.get(periodKey) || null;
+    const beforeSummary = summarizeStoredRoster(was);
+    const afterSummary = summarizeStoredRoster(now);
+
+    let status;
+    let diff = null;
+    if (!now) {
+      status = 'removed';
+    } else if (!was) {
+      status = 'added';
+    } else {
+      diff = diffRosters(was, now);
+      const countsChanged = JSON.stringify(beforeSummary) !== JSON.stringify(afterSummary);
+      status = diff.hasChanges || countsChanged ? 'changed' : 'unchanged';
+    }
+
+    periods.push({ periodKey, status, before: beforeSummary, after: afterSummary, diff });
   }
 
-  const existing = rosters.get(rosterId);
-  if (!existing) {
-    rosters.set(rosterId, {
-      employee: roster.employee,
-      rosters: [roster],
-      rosterHashes: new Set([rosterHash])
-    });
-    persistNow(process.env);
-    return { rosterId, roster, isNew: true, previousRoster: null };
+  return periods;
+}
+
+/**
+ * Replay a bucket's stored revisions through the current parser into a new bucket
+ * @throws {Error} When a revision no longer parses (err.code = 'REVISION_PARSE_FAILED')
+ */
+function rebuildBucket(bucket, revisions, legacyRosters) {
+  const revisionHashes = new Set(revisions.map(r => r.hash));
+  const parseRevision = revision => {
+    try {
+      return parseRosterText(revision.text);
+    } catch (err) {
+      const error = new Error(`Revision ${revision.hash.slice(0, 12)} (received ${revision.receivedAt}) failed to parse: ${err && err.message ? err.message : err}`);
+      error.code = 'REVISION_PARSE_FAILED';
+      throw error;
+    }
+  };
+
+  const rebuilt = createBucket(bucket.employee);
+  rebuilt.revisions = revisions;
+  rebuilt.eventHistory = bucket.eventHistory;
+  rebuilt.collectionHistory = bucket.collectionHistory;
+  rebuilt.rosters = legacyRosters.map(r => JSON.parse(JSON.stringify(r)));
+  for (const hash of bucket.rosterHashes) rebuilt.rosterHashes.add(hash);
+
+  // Replay in arrival order so bid period replacement and issue-time ordering behave as on ingest.
+  for (const revision of revisions) {
+    applyRosterToBucket(rebuilt, parseRevision(revision), revision.hash);
   }
 
-  if (existing.rosterHashes.has(rosterHash)) {
-    // Duplicate roster - return the latest stored roster as previousRoster
-    // so the email can show "No duty changes detected" instead of "First roster received"
-    const previousRoster = existing.rosters.length > 0 ? existing.rosters[existing.rosters.length - 1] : null;
-    return { rosterId, roster, isNew: false, previousRoster };
+  // Keep rolled-back bid periods on the revision that was active before the re-parse.
+  for (const stored of bucket.rosters) {
+    if (!stored || !stored._rosterHash || !revisionHashes.has(stored._rosterHash)) continue;
+    const key = getRosterPeriodKeyFromSummary(stored);
+    const current = key ? rebuilt.rosters.find(r => getRosterPeriodKeyFromSummary(r) === key) : null;
+    if (current && current._rosterHash !== stored._rosterHash) {
+      const revision = revisions.find(r => r.hash === stored._rosterHash);
+      applyRosterToBucket(rebuilt, parseRevision(revision), revision.hash, { force: true });
+    }
   }
 
-  existing.employee = roster.employee || existing.employee;
+  return rebuilt;
+}
 
-  // Purge entries from older-BP rosters whose dates overlap with the new roster's coverage.
-  // This prevents stale data from previous bid periods appearing alongside the new roster.
-  purgeOlderRosterOverlap(existing.rosters, roster);
+/**
+ * Re-run the current parser over the stored raw text of every roster revision and rebuild
+ * each pilot's bucket. Rosters stored before raw text was kept are carried over unchanged.
+ * A pilot with a revision the current parser cannot parse keeps their stored rosters and is
+ * reported with status 'error' and the message.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Build the report without replacing the stored rosters
+ * @returns {{ dryRun: boolean, pilots: Array<Object>, changedPilots: number, failedPilots: number }}
+ *   pilots[].status is 'changed', 'unchanged', 'skipped' (no stored text) or 'error'
+ */
+function reparseAllRosters({ dryRun = false } = {}) {
+  const pilots = [];
+
+  for (const [rosterId, bucket] of Array.from(rosters.entries())) {
+    const revisions = Array.isArray(bucket.revisions) ? bucket.revisions : [];
+    if (revisions.length === 0) {
+      pilots.push({ rosterId, revisions: 0, legacyRosters: bucket.rosters.length, skipped: true, changed: false, status: 'skipped', periods: [] });
+      continue;
+    }
 
-  // If this roster matches an existing roster period for this employee, replace the stored roster.
-  // This prevents old events lingering in the merged ICS output when the roster is revised.
-  if (periodKey) {
-    const idx = existing.rosters.findIndex(r => {
-      const key = getRosterPeriodKeyFromSummary(r);
-      return key && key === periodKey;
+    const revisionHashes = new Set(revisions.map(r => r.hash));
+    const legacyRosters = bucket.rosters.filter(r => !r || !r._rosterHash || !revisionHashes.has(r._rosterHash));
+
+    let rebuilt;
+    try {
+      rebuilt = rebuildBucket(bucket, revisions, legacyRosters);
+    } catch (err) {
+      // Keep this pilot's stored rosters and carry on with the others.
+      pilots.push({
+        rosterId,
+        name: bucket.employee && bucket.employee.name ? bucket.employee.name : null,
+        revisions: revisions.length,
+        legacyRosters: legacyRosters.length,
+        skipped: false,
+        changed: false,
+        status: 'error',
+        error: err && err.message ? err.message : String(err),
+        periods: []
+      });
+      continue;
+    }
+
+    const periods = compareBuckets(bucket, rebuilt);
+    const changed = periods.some(p => p.status !== 'unchanged');
+    pilots.push({
+      rosterId,
+      name: rebuilt.employee && rebuilt.employee.name ? rebuilt.employee.name : null,
+      revisions: revisions.length,
+      legacyRosters: legacyRosters.length,
+      skipped: false,
+      changed,
+      status: changed ? 'changed' : 'unchanged',
+      periods
     });
 
-    if (idx >= 0) {
-      const previousRoster = existing.rosters[idx];
-      existing.rosters[idx] = roster;
-      existing.rosterHashes.add(rosterHash);
-      persistNow(process.env);
-      return { rosterId, roster, isNew: true, updated: true, previousRoster };
-    }
+    if (!dryRun) rosters.set(rosterId, rebuilt);
   }
 
-  // If this is a new roster for a different bid period, don't compare against other bid periods.
-  // Only compare against the previous version of the SAME bid period.
-  const previousRoster = null;
-  existing.rosters.push(roster);
-  existing.rosterHashes.add(rosterHash);
-  persistNow(process.env);
-  return { rosterId, roster, isNew: true, previousRoster };
+  if (!dryRun) {
+    const changedIds = pilots.filter(p => p.changed).map(p => p.rosterId);
+    persistNow(process.env, changedIds);
+    changedIds.forEach(notifyRosterChange);
+  }
+
+  return {
+    dryRun: Boolean(dryRun),
+    pilots,
+    changedPilots: pilots.filter(p => p.changed).length,
+    failedPilots: pilots.filter(p => p.status === 'error').length
+  };
+}
+
+function getRevisionError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function describeRevision(bucket, revision) {
+  // Revisions stored before revision metadata was recorded only carry hash, receivedAt and text.
+  if (revision.periodKey === undefined) {
+    const roster = parseRosterText(revision.text);
+    revision.periodKey = getRosterPeriodKeyFromSummary(roster);
+    revision.bidPeriod = roster.summary && roster.summary.bidPeriod ? roster.summary.bidPeriod : null;
+    revision.issueTimestamp = roster.summary && roster.summary.issueTimestamp ? roster.summary.issueTimestamp : null;
+  }
+
+  return {
+    id: revision.hash,
+    receivedAt: revision.receivedAt || null,
+    source: revision.source || null,
+    periodKey: revision.periodKey || null,
+    bidPeriod: revision.bidPeriod || null,
+    issueTimestamp: revision.issueTimestamp || null,
+    active: bucket.rosters.some(r => r && r._rosterHash === revision.hash)
+  };
+}
+
+function findRevision(bucket, revisionId) {
+  const id = String(revisionId || '').trim().toLowerCase();
+  // Full hash or an unambiguous prefix of at least 8 characters.
+  if (!bucket || id.length < 8) return null;
+  const matches = (bucket.revisions || []).filter(r => r.hash === id || r.hash.startsWith(id));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+function requireRevision(rosterId, revisionId) {
+  const bucket = rosters.get(rosterId);
+  const revision = findRevision(bucket, revisionId);
+  if (!revision) {
+    throw getRevisionError(`Roster revision ${revisionId} not found`, 'REVISION_NOT_FOUND');
+  }
+  return { bucket, revision };
+}
+
+/**
+ * List stored revisions for a pilot, oldest first.
+ * @param {string} rosterId
+ * @param {Object} [options]
+ * @param {string} [options.bidPeriod] - Only revisions for this bid period
+ * @returns {Array<Object>} Revision metadata (without raw text); `active` marks the revision the feed serves
+ */
+function listRevisions(rosterId, { bidPeriod } = {}) {
+  const bucket = rosters.get(rosterId);
+  if (!bucket || !Array.isArray(bucket.revisions)) return [];
+
+  return bucket.revisions
+    .map(r => describeRevision(bucket, r))
+    .filter(r => !bidPeriod || r.bidPeriod === String(bidPeriod).trim());
+}
+
+/**
+ * Fetch one revision, re-parsed with the current parser.
+ * @param {string} rosterId
+ * @param {string} revisionId - Revision hash (or unambiguous prefix)
+ * @returns {Object} Revision metadata plus `text` and `roster`
+ */
+function getRevision(rosterId, revisionId) {
+  const { bucket, revision } = requireRevision(rosterId, revisionId);
+  return {
+    ...describeRevision(bucket, revision),
+    text: revision.text,
+    roster: parseRosterText(revision.text)
+  };
+}
+
+/**
+ * Diff two revisions with roster-diff (fromRevision -> toRevision).
+ * @returns {{ from: Object, to: Object, diff: Object }}
+ */
+function diffRevisions(rosterId, fromRevisionId, toRevisionId) {
+  const from = getRevision(rosterId, fromRevisionId);
+  const to = getRevision(rosterId, toRevisionId);
+  const { text: _fromText, roster: fromRoster, ...fromMeta } = from;
+  const { text: _toText, roster: toRoster, ...toMeta } = to;
+  return { from: fromMeta, to: toMeta, diff: diffRosters(fromRoster, toRoster) };
+}
+
+/**
+ * Make an older (or newer) revision the one served for its bid period.
+ * A revision received later replaces it again as usual, but re-sending one that was already
+ * received is a duplicate and changes nothing: to undo a rollback, roll back to the newer revision.
+ * @returns {{ revision: Object, roster: Object, previousRoster: Object|null }}
+ */
+function rollbackToRevision(rosterId, revisionId) {
+  refreshBucket(rosterId, process.env);
+  const { bucket, revision } = requireRevision(rosterId, revisionId);
+  const roster = parseRosterText(revision.text);
+  const { previousRoster } = applyRosterToBucket(bucket, roster, revision.hash, { force: true });
+  persistNow(process.env, [rosterId]);
+  notifyRosterChange(rosterId);
+  return { revision: describeRevision(bucket, revision), roster, previousRoster };
+}
+
+/**
+ * A pilot's calendar event history (UID -> SEQUENCE, last change, cancellation), brought up to date
+ * with the stored rosters first. Updates are persisted with the pilot's bucket.
+ * @returns {Object} - See event-history
+ */
+function getEventHistory(rosterId) {
+  refreshBucket(rosterId, process.env);
+  const bucket = rosters.get(rosterId);
+  if (!bucket) return {};
+
+  if (updateEventHistory(bucket)) persistNow(process.env, [rosterId]);
+  return bucket.eventHistory;
+}
+
+/**
+ * Record the resources a CalDAV collection now serves and return its publish history
+ * (UID -> ETag, last change, removal). Updates are persisted with the pilot's bucket.
+ * @param {string} rosterId - Staff number
+ * @param {string} collection - Collection name
+ * @param {Array<{uid: string, etag: string, modified: number|null}>} resources - Resources served
+ * @returns {Object} - See event-history updateCollectionHistory
+ */
+function recordCollectionResources(rosterId, collection, resources) {
+  const bucket = rosters.get(rosterId);
+  if (!bucket) return {};
+
+  if (!bucket.collectionHistory || typeof bucket.collectionHistory !== 'object') bucket.collectionHistory = {};
+  if (!bucket.collectionHistory[collection]) bucket.collectionHistory[collection] = {};
+  const published = bucket.collectionHistory[collection];
+  if (updateCollectionHistory(published, resources)) persistNow(process.env, [rosterId]);
+  return published;
 }
 
 function getRosterBucket(rosterId) {
@@ -298,6 +740,16 @@ module.exports = {
   getRosterBucket,
   hasRoster,
   listRosterIds,
+  getRosterIssueKey,
+  reparseAllRosters,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  rollbackToRevision,
+  getEventHistory,
+  recordCollectionResources,
+  onRosterChange,
+  onRosterIngest,
   // For tests/debugging
   _initPersistence: initPersistence,
   _persistNow: persistNow,
@@ -0,0 +1,190 @@
+/**
+ * Scheduler for per-pilot jobs
+ * Runs weekly jobs (e.g. the Sunday evening digest) at a weekday and time local to each pilot's
+ * base. The scheduled time each pilot last ran for is stored before the job runs, so a restart
+ * never runs a slot twice; a slot missed while the server was down is caught up for a few hours,
+ * and a failed one is retried with backoff within the same window.
+ */
+
+const path = require('path');
+const { DateTime } = require('luxon');
+const storage = require('./storage');
+
+const CHECK_INTERVAL_MS = 60_000;
+// First retry of a failed slot; doubles with each attempt
+const RETRY_BASE_MS = 5 * 60_000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function parseBoolean(value, defaultValue = false) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  const v = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'y', 'on'].includes(v)) return true;
+  if (['0', 'false', 'no', 'n', 'off'].includes(v)) return false;
+  return defaultValue;
+}
+
+function parseNumber(value, defaultValue) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : defaultValue;
+}
+
+/**
+ * Get scheduler configuration
+ * @param {Object} env - Environment variables
+ * @returns {{ enabled: boolean, catchUpHours: number, statePath: string }}
+ */
+function getSchedulerConfig(env = process.env) {
+  return {
+    enabled: parseBoolean(env.ROSTER_SCHEDULER_ENABLED, true),
+    catchUpHours: Math.max(0, parseNumber(env.ROSTER_SCHEDULER_CATCH_UP_HOURS, 6)),
+    statePath: env.ROSTER_SCHEDULER_STATE_PATH || path.join(process.cwd(), 'data', 'scheduler-runs.json')
+  };
+}
+
+/**
+ * Last run of each job per pilot
+ * "<job>:<staffNo>" -> { job, staffNo, scheduledFor, startedAt, finishedAt, status: 'running'|'done'|'failed', result?, error?,
+ *   attempts?, retryAt? }
+ */
+function getStateStore(env = process.env) {
+  return storage.openCollection('scheduler-runs', { jsonPath: getSchedulerConfig(env).statePath, env });
+}
+
+function getStateKey(jobName, staffNo) {
+  return `${jobName}:${staffNo}`;
+}
+
+/**
+ * Last run of a job for one pilot
+ * @returns {Object|null}
+ */
+function getLastRun(jobName, staffNo, env = process.env) {
+  return getStateStore(env).get(getStateKey(jobName, staffNo)) || null;
+}
+
+/**
+ * Latest scheduled time of a weekly job at or before now, in the pilot's timezone
+ * @param {Object} job - { weekday: 1 (Mon) - 7 (Sun), time: 'HH:MM' }
+ * @param {string} timezone - IANA timezone
+ * @param {Date} now
+ * @returns {DateTime}
+ */
+function getLatestSlot(job, timezone, now) {
+  const [, hour, minute] = TIME_PATTERN.exec(job.time);
+  const local = DateTime.fromJSDate(now, { zone: timezone });
+  let slot = local
+    .minus({ days: (local.weekday - job.weekday + 7) % 7 })
+    .set({ hour: Number(hour), minute: Number(minute), second: 0, millisecond: 0 });
+  if (slot > local) slot = slot.minus({ weeks: 1 });
+  return slot;
+}
+
+/**
+ * Run every job slot that is due: scheduled at or before now, within the catch-up window, and not
+ * yet run for that pilot (or failed, and its retryAt has come). A run fails when it throws or returns
+ * sent: false for a reason that is not in the job's settledReasons.
+ * @param {Array<Object>} jobs - [{ name, weekday, time, listTargets(env) -> [{ staffNo, timezone }],
+ *   run({ staffNo, timezone, scheduledFor, now }, env, logger) -> Promise<Object>, settledReasons?: string[] }]
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Array<{ job, staffNo, scheduledFor, status, result?, error? }>>}
+ */
+async function runDueJobs(jobs, { now = new Date() } = {}, env = process.env, logger = console) {
+  const { catchUpHours } = getSchedulerConfig(env);
+  const store = getStateStore(env);
+  const runs = [];
+
+  for (const job of jobs) {
+    for (const { staffNo, timezone } of job.listTargets(env)) {
+      const slot = getLatestSlot(job, timezone, now);
+      if (now.getTime() - slot.toMillis() > catchUpHours * 3600_000) continue;
+
+      const scheduledFor = slot.toUTC().toISO();
+      const key = getStateKey(job.name, staffNo);
+      const last = store.get(key);
+      const sameSlot = last && last.scheduledFor === scheduledFor;
+      if (sameSlot && (last.status !== 'failed' || now.getTime() < Date.parse(last.retryAt))) continue;
+
+      // Claim the slot before running: a crash mid-run must not send twice after a restart
+      const attempts = (sameSlot && last.attempts ? last.attempts : 0) + 1;
+      const state = { job: job.name, staffNo, scheduledFor, startedAt: new Date().toISOString(), status: 'running', attempts };
+      store.set(key, state);
+
+      let result = null;
+      let error = null;
+      try {
+        result = (await job.run({ staffNo, timezone, scheduledFor, now }, env, logger)) || null;
+        if (result && result.sent === false && !(job.settledReasons || []).includes(result.reason)) {
+          error = `Not sent: ${result.reason || 'unknown'}`;
+        }
+      } catch (err) {
+        error = err.message;
+      }
+
+      if (error === null) {
+        store.set(key, { ...state, status: 'done', finishedAt: new Date().toISOString(), result });
+        runs.push({ job: job.name, staffNo, scheduledFor, status: 'done', result });
+        continue;
+      }
+
+      const retryAt = new Date(now.getTime() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString();
+      logger.warn(`[scheduler] ${job.name} failed for ${staffNo} (attempt ${attempts}): ${error}`);
+      store.set(key, { ...state, status: 'failed', finishedAt: new Date().toISOString(), result, error, retryAt });
+      runs.push({ job: job.name, staffNo, scheduledFor, status: 'failed', error });
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Check for due job slots every minute
+ * @param {Array<Object>} jobs - See runDueJobs
+ * @returns {{ stop: function, config: Object }}
+ */
+function startScheduler(jobs, env = process.env, logger = console) {
+  const config = getSchedulerConfig(env);
+  if (!config.enabled) {
+    return { stop: () => {}, config };
+  }
+
+  let timer;
+  let stopped = false;
+
+  const tick = async () => {
+    if (stopped) return;
+    try {
+      const runs = await runDueJobs(jobs, {}, env, logger);
+      if (runs.length > 0) {
+        logger.log(`[scheduler] ran ${runs.length} job(s) failed=${runs.filter(run => run.status === 'failed').length}`);
+      }
+    } catch (err) {
+      logger.warn(`[scheduler] check failed: ${err.message}`);
+    } finally {
+      if (!stopped) {
+        timer = setTimeout(tick, CHECK_INTERVAL_MS);
+        if (timer && typeof timer.unref === 'function') timer.unref();
+      }
+    }
+  };
+
+  timer = setTimeout(tick, 0);
+  if (timer && typeof timer.unref === 'function') timer.unref();
+
+  return {
+    config,
+    stop: () => {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = {
+  getSchedulerConfig,
+  getLastRun,
+  getLatestSlot,
+  runDueJobs,
+  startScheduler
+};
@@ -1,105 +1,48 @@
 /**
- * File-based session store for express-session
- * Persists sessions to a JSON file for alpha phase
+ * Session store for express-session
+ * Keeps sessions in the shared storage layer (SQLite, or a JSON file for tests)
  */
 
 const session = require('express-session');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const storage = require('./storage');
 
-class FileSessionStore extends session.Store {
+class StorageSessionStore extends session.Store {
   constructor(options = {}) {
     super();
     this.storePath = options.storePath || path.join(process.cwd(), 'data', 'sessions.json');
-    this.sessions = new Map();
+    this.env = options.env || process.env;
     this.ttl = options.ttl || 86400000; // 24 hours default
-    this.initialized = false;
   }
 
   /**
-   * Ensure data directory exists
+   * Sessions collection: sid -> session data
    */
-  ensureDirExists() {
-    const dir = path.dirname(this.storePath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
+  getStore() {
+    return storage.openCollection('sessions', { jsonPath: this.storePath, env: this.env });
   }
 
-  /**
-   * Initialize from disk
-   */
-  initialize() {
-    if (this.initialized) return;
-    this.initialized = true;
-
-    try {
-      this.ensureDirExists();
-      if (!fs.existsSync(this.storePath)) return;
-      
-      const raw = fs.readFileSync(this.storePath, 'utf8');
-      if (!raw) return;
-      
-      const parsed = JSON.parse(raw);
-      if (parsed && typeof parsed === 'object') {
-        for (const [sid, sessionData] of Object.entries(parsed)) {
-          // Only load non-expired sessions
-          if (sessionData.cookie && sessionData.cookie.expires) {
-            const expires = new Date(sessionData.cookie.expires);
-            if (expires > new Date()) {
-              this.sessions.set(sid, sessionData);
-            }
-          } else {
-            this.sessions.set(sid, sessionData);
-          }
-        }
-      }
-    } catch (err) {
-      console.warn(`[session-store] Failed to load sessions: ${err.message}`);
-      this.sessions.clear();
-    }
-  }
-
-  /**
-   * Persist sessions to disk
-   */
-  persist() {
-    try {
-      this.ensureDirExists();
-      const data = {};
-      for (const [sid, sessionData] of this.sessions.entries()) {
-        data[sid] = sessionData;
-      }
-      
-      const tmpPath = `${this.storePath}.tmp`;
-      fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
-      fs.renameSync(tmpPath, this.storePath);
-    } catch (err) {
-      console.error(`[session-store] Failed to persist sessions: ${err.message}`);
-    }
+  isExpired(sessionData) {
+    if (!sessionData || !sessionData.cookie || !sessionData.cookie.expires) return false;
+    return new Date(sessionData.cookie.expires) <= new Date();
   }
 
   /**
    * Get session by ID
    */
   get(sid, callback) {
-    this.initialize();
-    
     try {
-      const sessionData = this.sessions.get(sid);
+      const store = this.getStore();
+      const sessionData = store.get(sid);
       if (!sessionData) {
         return callback(null, null);
       }
 
-      // Check expiration
-      if (sessionData.cookie && sessionData.cookie.expires) {
-        const expires = new Date(sessionData.cookie.expires);
-        if (expires <= new Date()) {
-          this.sessions.delete(sid);
-          this.persist();
-          return callback(null, null);
-        }
+      if (this.isExpired(sessionData)) {
+        store.delete(sid);
+        return callback(null, null);
       }
 
       callback(null, sessionData);
@@ -112,11 +55,8 @@ class FileSessionStore extends session.Store {
    * Set session
    */
   set(sid, session, callback) {
-    this.initialize();
-    
     try {
-      this.sessions.set(sid, session);
-      this.persist();
+      this.getStore().set(sid, session);
       callback(null);
     } catch (err) {
       callback(err);
@@ -127,11 +67,8 @@ class FileSessionStore extends session.Store {
    * Destroy session
    */
   destroy(sid, callback) {
-    this.initialize();
-    
     try {
-      this.sessions.delete(sid);
-      this.persist();
+      this.getStore().delete(sid);
       callback(null);
     } catch (err) {
       callback(err);
@@ -142,13 +79,11 @@ class FileSessionStore extends session.Store {
    * Touch session to update expiration
    */
   touch(sid, session, callback) {
-    this.initialize();
-    
     try {
-      const sessionData = this.sessions.get(sid);
+      const store = this.getStore();
+      const sessionData = store.get(sid);
       if (sessionData) {
-        sessionData.cookie = session.cookie;
-        this.persist();
+        store.set(sid, { ...sessionData, cookie: session.cookie });
       }
       callback(null);
     } catch (err) {
@@ -157,13 +92,13 @@ class FileSessionStore extends session.Store {
   }
 
   /**
-   * Get all session IDs
+   * Get all (non-expired) sessions
    */
   all(callback) {
-    this.initialize();
-    
     try {
-      const sessions = Array.from(this.sessions.entries()).map(([sid, session]) => ({ sid, session }));
+      const sessions = this.getStore().entries()
+        .filter(([, sessionData]) => !this.isExpired(sessionData))
+        .map(([sid, sessionData]) => ({ sid, session: sessionData }));
       callback(null, sessions);
     } catch (err) {
       callback(err);
@@ -175,8 +110,7 @@ class FileSessionStore extends session.Store {
    */
   clear(callback) {
     try {
-      this.sessions.clear();
-      this.persist();
+      this.getStore().replaceAll({});
       callback(null);
     } catch (err) {
       callback(err);
@@ -187,10 +121,9 @@ class FileSessionStore extends session.Store {
    * Get session count
    */
   length(callback) {
-    this.initialize();
-    
     try {
-      callback(null, this.sessions.size);
+      const count = this.getStore().entries().filter(([, sessionData]) => !this.isExpired(sessionData)).length;
+      callback(null, count);
     } catch (err) {
       callback(err);
     }
@@ -238,6 +171,6 @@ function getSessionSecret(env = process.env) {
 }
 
 module.exports = {
-  FileSessionStore,
+  StorageSessionStore,
   getSessionSecret
 };
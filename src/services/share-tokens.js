@@ -0,0 +1,176 @@
+/**
+ * Share tokens for public and semi-public calendar links
+ * Each pilot can hold several random, revocable tokens (/api/roster/share/:token/calendar.ics)
+ * instead of exposing their staff number in the URL.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const storage = require('./storage');
+
+// public: busy/free only; semipublic: full duty details without pay
+const SHARE_SCOPES = ['public', 'semipublic'];
+const MAX_LABEL_LENGTH = 80;
+
+function parseBoolean(value, defaultValue = false) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  const v = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'y', 'on'].includes(v)) return true;
+  if (['0', 'false', 'no', 'n', 'off'].includes(v)) return false;
+  return defaultValue;
+}
+
+/**
+ * Get share token configuration
+ * staffNoRoutesEnabled keeps the legacy /api/roster/:staffNo/(semi)public/calendar.ics routes working.
+ */
+function getShareTokenConfig(env = process.env) {
+  const storePath = env.ROSTER_SHARE_TOKENS_PATH || path.join(process.cwd(), 'data', 'share-tokens.json');
+  const staffNoRoutesEnabled = parseBoolean(env.ROSTER_STAFFNO_CALENDAR_ROUTES_ENABLED, true);
+  return { storePath, staffNoRoutesEnabled };
+}
+
+/**
+ * Share token collection
+ * token -> { staffNo, scope, label, createdAt, expiresAt }
+ */
+function getStore(env = process.env) {
+  const { storePath } = getShareTokenConfig(env);
+  return storage.openCollection('share-tokens', { jsonPath: storePath, env });
+}
+
+function shareTokenError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function isExpired(record, now = new Date()) {
+  return !!record.expiresAt && new Date(record.expiresAt) <= now;
+}
+
+function normalizeExpiry(expiresAt) {
+  if (expiresAt === undefined || expiresAt === null || expiresAt === '') return null;
+  const date = new Date(expiresAt);
+  if (Number.isNaN(date.getTime())) {
+    throw shareTokenError('Expiry must be a valid date', 'SHARE_TOKEN_INVALID_EXPIRY');
+  }
+  if (date <= new Date()) {
+    throw shareTokenError('Expiry must be in the future', 'SHARE_TOKEN_INVALID_EXPIRY');
+  }
+  return date.toISOString();
+}
+
+function describeToken(token, record) {
+  return {
+    token,
+    scope: record.scope,
+    label: record.label,
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt || null,
+    expired: isExpired(record)
+  };
+}
+
+/**
+ * Create a share token
+ * @param {string} staffNo - Owner of the calendar
+ * @param {Object} options
+ * @param {string} options.scope - 'public' or 'semipublic'
+ * @param {string} [options.label] - Name shown on the dashboard (e.g. "Family")
+ * @param {string|Date} [options.expiresAt] - Optional expiry
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { token, scope, label, createdAt, expiresAt, expired }
+ */
+function createShareToken(staffNo, { scope, label, expiresAt } = {}, env = process.env) {
+  if (!staffNo || typeof staffNo !== 'string') {
+    throw shareTokenError('Staff number is required', 'SHARE_TOKEN_INVALID_STAFFNO');
+  }
+  if (!SHARE_SCOPES.includes(scope)) {
+    throw shareTokenError(`Scope must be one of: ${SHARE_SCOPES.join(', ')}`, 'SHARE_TOKEN_INVALID_SCOPE');
+  }
+
+  const record = {
+    staffNo,
+    scope,
+    label: String(label || '').trim().slice(0, MAX_LABEL_LENGTH) || (scope === 'public' ? 'Public' : 'Semi-public'),
+    createdAt: new Date().toISOString(),
+    expiresAt: normalizeExpiry(expiresAt)
+  };
+
+  const token = generateToken();
+  getStore(env).set(token, record);
+  return describeToken(token, record);
+}
+
+/**
+ * List a pilot's share tokens, oldest first
+ * @param {string} staffNo - Staff number
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>}
+ */
+function listShareTokens(staffNo, env = process.env) {
+  return getStore(env).entries()
+    .filter(([, record]) => record.staffNo === staffNo)
+    .map(([token, record]) => describeToken(token, record))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Resolve a token from a calendar URL
+ * @param {string} token - Share token
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - { staffNo, scope, label } or null when unknown or expired
+ */
+function resolveShareToken(token, env = process.env) {
+  if (!token || typeof token !== 'string') return null;
+  const record = getStore(env).get(token);
+  if (!record || isExpired(record)) return null;
+  return { staffNo: record.staffNo, scope: record.scope, label: record.label };
+}
+
+function requireOwnedToken(staffNo, token, env) {
+  const record = token ? getStore(env).get(token) : null;
+  if (!record || record.staffNo !== staffNo) {
+    throw shareTokenError('Share link not found', 'SHARE_TOKEN_NOT_FOUND');
+  }
+  return record;
+}
+
+/**
+ * Replace a token with a new random one (same scope, label and expiry); the old URL stops working
+ * @returns {Object} - The new token
+ */
+function rotateShareToken(staffNo, token, env = process.env) {
+  const record = requireOwnedToken(staffNo, token, env);
+  const store = getStore(env);
+  const newToken = generateToken();
+  const rotated = { ...record, createdAt: new Date().toISOString() };
+
+  store.set(newToken, rotated);
+  store.delete(token);
+  return describeToken(newToken, rotated);
+}
+
+/**
+ * Revoke a token; its URL stops working immediately
+ * @returns {boolean} - True if the token was revoked
+ */
+function revokeShareToken(staffNo, token, env = process.env) {
+  requireOwnedToken(staffNo, token, env);
+  return getStore(env).delete(token);
+}
+
+module.exports = {
+  SHARE_SCOPES,
+  getShareTokenConfig,
+  createShareToken,
+  listShareTokens,
+  resolveShareToken,
+  rotateShareToken,
+  revokeShareToken
+};
@@ -0,0 +1,331 @@
+/**
+ * Key/value storage shared by the services that keep state on disk
+ * (credentials, pending approvals, password resets, sessions, pilot directory, rosters).
+ *
+ * Backends:
+ * - sqlite: one database (node:sqlite) holding every collection; each record is its own row, so
+ *   several processes (server, CLI scripts) can read and write without overwriting each other.
+ * - json: one JSON object file per collection, rewritten via tmp file + rename. Kept for tests and
+ *   for existing installs that have not run the importer yet.
+ *
+ * Values are plain JSON. Reads return fresh copies; change a record by calling set() again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BACKENDS = ['sqlite', 'json'];
+
+// collection -> JSON file the services used before SQLite (same env overrides as the services)
+const LEGACY_JSON_SOURCES = [
+  { collection: 'credentials', envVar: 'ROSTER_CREDENTIALS_PATH', file: 'credentials.json' },
+  { collection: 'pending-approvals', envVar: 'ROSTER_PENDING_APPROVALS_PATH', file: 'pending-approvals.json' },
+  { collection: 'password-resets', envVar: 'ROSTER_PASSWORD_RESETS_PATH', file: 'password-resets.json' },
+  { collection: 'sessions', envVar: null, file: 'sessions.json' },
+  { collection: 'pilot-emails', envVar: 'ROSTER_PILOT_EMAIL_DB_PATH', file: 'pilot-email-map.json' },
+  { collection: 'pilot-pay-rates', envVar: 'ROSTER_PILOT_PAY_RATE_DB_PATH', file: 'pilot-pay-rate-map.json' },
+  { collection: 'pilot-names', envVar: 'ROSTER_PILOT_NAMES_DB_PATH', file: 'pilot-names-map.json' },
+  { collection: 'app-passwords', envVar: 'ROSTER_APP_PASSWORDS_PATH', file: 'app-passwords.json' },
+  { collection: 'share-tokens', envVar: 'ROSTER_SHARE_TOKENS_PATH', file: 'share-tokens.json' },
+  { collection: 'alarm-rules', envVar: 'ROSTER_ALARM_RULES_PATH', file: 'alarm-rules.json' },
+  { collection: 'event-templates', envVar: 'ROSTER_EVENT_TEMPLATES_PATH', file: 'event-templates.json' },
+  { collection: 'webhooks', envVar: 'ROSTER_WEBHOOKS_PATH', file: 'webhooks.json' },
+  { collection: 'webhook-deliveries', envVar: 'ROSTER_WEBHOOK_DELIVERIES_PATH', file: 'webhook-deliveries.json' },
+  { collection: 'notification-preferences', envVar: 'ROSTER_NOTIFICATION_PREFERENCES_PATH', file: 'notification-preferences.json' },
+  { collection: 'deferred-notifications', envVar: 'ROSTER_DEFERRED_NOTIFICATIONS_PATH', file: 'deferred-notifications.json' },
+  { collection: 'scheduler-runs', envVar: 'ROSTER_SCHEDULER_STATE_PATH', file: 'scheduler-runs.json' },
+  { collection: 'rosters', envVar: 'ROSTER_PERSIST_PATH', file: 'roster-store.json' }
+];
+
+/**
+ * JSON file a legacy collection was kept in
+ * @param {Object} source - Entry of LEGACY_JSON_SOURCES
+ */
+function getLegacyJsonPath(source, env = process.env) {
+  return (source.envVar && env[source.envVar]) || path.join(process.cwd(), 'data', source.file);
+}
+
+/**
+ * Legacy JSON files present on disk
+ * @returns {string[]}
+ */
+function findLegacyJsonFiles(env = process.env) {
+  return LEGACY_JSON_SOURCES
+    .map(source => getLegacyJsonPath(source, env))
+    .filter(jsonPath => fs.existsSync(jsonPath));
+}
+
+// sqlite path -> legacy JSON files found when no database existed yet (checked once per process)
+const legacyInstalls = new Map();
+
+function getLegacyInstall(sqlitePath, env) {
+  const resolved = path.resolve(sqlitePath);
+  if (!legacyInstalls.has(resolved)) {
+    legacyInstalls.set(resolved, fs.existsSync(resolved) ? [] : findLegacyJsonFiles(env));
+  }
+  return legacyInstalls.get(resolved);
+}
+
+/**
+ * Get storage configuration
+ * Defaults to sqlite, except under NODE_ENV=test where the JSON backend is used, and for
+ * existing installs that still have their JSON files but no database yet: those stay on json
+ * (with a warning) until `npm run storage:import` has been run, instead of starting empty.
+ * @returns {Object} - { backend, sqlitePath, legacyJsonFiles }
+ */
+function getStorageConfig(env = process.env) {
+  const requested = String(env.ROSTER_STORAGE_BACKEND || '').trim().toLowerCase();
+  const sqlitePath = env.ROSTER_SQLITE_PATH || path.join(process.cwd(), 'data', 'roster.db');
+
+  let backend = requested || (env.NODE_ENV === 'test' ? 'json' : 'sqlite');
+  let legacyJsonFiles = [];
+  if (!BACKENDS.includes(backend)) {
+    const err = new Error(`Unknown storage backend "${backend}" (expected ${BACKENDS.join(' or ')})`);
+    err.code = 'STORAGE_BACKEND_INVALID';
+    throw err;
+  }
+
+  if (backend === 'sqlite') {
+    legacyJsonFiles = getLegacyInstall(sqlitePath, env);
+    if (!requested && legacyJsonFiles.length > 0) backend = 'json';
+  }
+
+  return { backend, sqlitePath, legacyJsonFiles };
+}
+
+let legacyWarningShown = false;
+
+function warnLegacyInstall({ backend, sqlitePath, legacyJsonFiles }) {
+  if (legacyWarningShown) return;
+  legacyWarningShown = true;
+  const found = `found ${legacyJsonFiles.length} JSON data file(s) (${legacyJsonFiles.join(', ')}) ` +
+    `and no SQLite database at ${path.resolve(sqlitePath)}`;
+  console.warn(backend === 'json'
+    ? `[storage] WARNING: ${found}; staying on the JSON backend so no data is lost. ` +
+      'Stop the server and run `npm run storage:import` to move to SQLite, ' +
+      'or set ROSTER_STORAGE_BACKEND=json to keep the JSON files and silence this warning.'
+    : `[storage] WARNING: ${found}, but ROSTER_STORAGE_BACKEND=sqlite; starting with an EMPTY database. ` +
+      'Credentials, sessions and rosters in the JSON files are not used until you stop the server and run `npm run storage:import`.'
+  );
+}
+
+function ensureDirExists(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+}
+
+// ========== JSON backend ==========
+
+function createJsonCollection(name, jsonPath, { pretty = true } = {}) {
+  function read() {
+    try {
+      if (!fs.existsSync(jsonPath)) return {};
+      const raw = fs.readFileSync(jsonPath, 'utf8');
+      if (!raw) return {};
+      const parsed = JSON.parse(raw);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (err) {
+      // Corrupt store should not crash the service.
+      console.warn(`[storage] Failed to read ${name} from ${jsonPath}: ${err.message}`);
+      return {};
+    }
+  }
+
+  function write(data) {
+    ensureDirExists(jsonPath);
+    const tmpPath = `${jsonPath}.tmp`;
+    fs.writeFileSync(tmpPath, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data), 'utf8');
+    fs.renameSync(tmpPath, jsonPath);
+  }
+
+  return {
+    name,
+    backend: 'json',
+    location: jsonPath,
+    get(key) {
+      const data = read();
+      return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : undefined;
+    },
+    has(key) {
+      return Object.prototype.hasOwnProperty.call(read(), key);
+    },
+    set(key, value) {
+      const data = read();
+      data[key] = value;
+      write(data);
+    },
+    delete(key) {
+      const data = read();
+      if (!Object.prototype.hasOwnProperty.call(data, key)) return false;
+      delete data[key];
+      write(data);
+      return true;
+    },
+    entries() {
+      return Object.entries(read());
+    },
+    keys() {
+      return Object.keys(read());
+    },
+    toObject() {
+      return read();
+    },
+    replaceAll(data) {
+      write({ ...(data || {}) });
+    }
+  };
+}
+
+// ========== SQLite backend ==========
+
+const databases = new Map();
+const collections = new Map();
+
+function loadSqlite() {
+  try {
+    return require('node:sqlite');
+  } catch (err) {
+    const wrapped = new Error(
+      `SQLite storage needs Node.js 22.13 or newer (node:sqlite unavailable: ${err.message}); ` +
+      'set ROSTER_STORAGE_BACKEND=json to keep using JSON files'
+    );
+    wrapped.code = 'STORAGE_SQLITE_UNAVAILABLE';
+    throw wrapped;
+  }
+}
+
+function openDatabase(sqlitePath) {
+  const resolved = path.resolve(sqlitePath);
+  if (databases.has(resolved)) return databases.get(resolved);
+
+  const { DatabaseSync } = loadSqlite();
+  ensureDirExists(resolved);
+  const db = new DatabaseSync(resolved);
+  db.exec(`
+    PRAGMA journal_mode = WAL;
+    PRAGMA busy_timeout = 5000;
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (collection, key)
+    );
+  `);
+  databases.set(resolved, db);
+  return db;
+}
+
+function createSqliteCollection(name, sqlitePath) {
+  const db = openDatabase(sqlitePath);
+  const selectOne = db.prepare('SELECT value FROM records WHERE collection = ? AND key = ?');
+  const selectAll = db.prepare('SELECT key, value FROM records WHERE collection = ? ORDER BY rowid');
+  const upsert = db.prepare(`
+    INSERT INTO records (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `);
+  const removeOne = db.prepare('DELETE FROM records WHERE collection = ? AND key = ?');
+  const removeAll = db.prepare('DELETE FROM records WHERE collection = ?');
+
+  function entries() {
+    return selectAll.all(name).map(row => [row.key, JSON.parse(row.value)]);
+  }
+
+  return {
+    name,
+    backend: 'sqlite',
+    location: path.resolve(sqlitePath),
+    get(key) {
+      const row = selectOne.get(name, String(key));
+      return row ? JSON.parse(row.value) : undefined;
+    },
+    has(key) {
+      return !!selectOne.get(name, String(key));
+    },
+    set(key, value) {
+      upsert.run(name, String(key), JSON.stringify(value), new Date().toISOString());
+    },
+    delete(key) {
+      return removeOne.run(name, String(key)).changes > 0;
+    },
+    entries,
+    keys() {
+      return entries().map(([key]) => key);
+    },
+    toObject() {
+      return Object.fromEntries(entries());
+    },
+    replaceAll(data) {
+      const now = new Date().toISOString();
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        removeAll.run(name);
+        for (const [key, value] of Object.entries(data || {})) {
+          upsert.run(name, String(key), JSON.stringify(value), now);
+        }
+        db.exec('COMMIT');
+      } catch (err) {
+        db.exec('ROLLBACK');
+        throw err;
+      }
+    }
+  };
+}
+
+/**
+ * Open a named collection on the configured backend
+ * @param {string} name - Collection name (one SQLite table partition / one JSON file)
+ * @param {Object} options
+ * @param {string} options.jsonPath - File used by the JSON backend
+ * @param {boolean} [options.pretty=true] - Indent the JSON file
+ * @param {Object} [options.env] - Environment variables
+ * @returns {Object} - { get, has, set, delete, entries, keys, toObject, replaceAll }
+ */
+function openCollection(name, { jsonPath, pretty = true, env = process.env } = {}) {
+  // Services pass partial env objects (paths only); the backend itself is a process-wide setting.
+  const config = getStorageConfig({ ...process.env, ...env });
+  const { backend, sqlitePath } = config;
+  if (config.legacyJsonFiles.length > 0) warnLegacyInstall(config);
+  if (backend === 'json' && !jsonPath) {
+    const err = new Error(`No JSON file configured for collection "${name}"`);
+    err.code = 'STORAGE_JSON_PATH_REQUIRED';
+    throw err;
+  }
+
+  const cacheKey = backend === 'sqlite'
+    ? `sqlite:${path.resolve(sqlitePath)}:${name}`
+    : `json:${path.resolve(jsonPath)}`;
+  if (!collections.has(cacheKey)) {
+    collections.set(cacheKey, backend === 'sqlite'
+      ? createSqliteCollection(name, sqlitePath)
+      : createJsonCollection(name, jsonPath, { pretty }));
+  }
+  return collections.get(cacheKey);
+}
+
+/**
+ * Close open SQLite databases (CLI scripts and tests)
+ */
+function closeAll() {
+  for (const db of databases.values()) {
+    try {
+      db.close();
+    } catch (_) {
+      // Already closed.
+    }
+  }
+  databases.clear();
+  collections.clear();
+  legacyInstalls.clear();
+}
+
+module.exports = {
+  LEGACY_JSON_SOURCES,
+  getStorageConfig,
+  getLegacyJsonPath,
+  findLegacyJsonFiles,
+  openCollection,
+  closeAll,
+  // for tests and the importer
+  _createJsonCollection: createJsonCollection,
+  _createSqliteCollection: createSqliteCollection
+};
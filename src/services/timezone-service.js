@@ -1,10 +1,12 @@
 /**
  * Timezone mapping service for Australian and international airports
- * Maps IATA airport codes to their respective timezones
+ * Maps IATA airport codes to their respective timezones, and exposes the airport dataset
+ * (name, city, country, coordinates) from src/data/qantas_airports_timezones.csv
  */
 
 const fs = require('fs');
 const path = require('path');
+const { DateTime } = require('luxon');
 
 class TimezoneService {
   constructor() {
@@ -36,7 +38,11 @@ class TimezoneService {
       'TPE': 'Asia/Taipei'
     };
 
-    const csvAirportTimezones = this.loadAirportTimezonesFromCsv();
+    this.airports = this.loadAirportsFromCsv();
+    const csvAirportTimezones = {};
+    for (const [code, airport] of Object.entries(this.airports)) {
+      if (airport.timezone) csvAirportTimezones[code] = airport.timezone;
+    }
     this.airportTimezones = { ...defaultAirportTimezones, ...csvAirportTimezones };
   }
 
@@ -71,7 +77,12 @@ class TimezoneService {
     return fields;
   }
 
-  loadAirportTimezonesFromCsv() {
+  /**
+   * Load the airport dataset
+   * @returns {Object} - { [IATA code]: { code, name, city, region, country, timezone, latitude, longitude } }
+   *   (latitude/longitude are null where the dataset has no coordinates)
+   */
+  loadAirportsFromCsv() {
     const csvPath = path.join(__dirname, '..', 'data', 'qantas_airports_timezones.csv');
 
     let raw;
@@ -88,24 +99,68 @@ class TimezoneService {
 
     if (lines.length < 2) return {};
 
-    const headers = this.splitCsvLine(lines[0]).map(h => String(h).trim());
-    const codeIdx = headers.findIndex(h => h.toLowerCase().includes('iata'));
-    const tzIdx = headers.findIndex(h => h.toLowerCase().includes('time zone') || h.toLowerCase().includes('iana'));
+    const headers = this.splitCsvLine(lines[0]).map(h => String(h).trim().toLowerCase());
+    const codeIdx = headers.findIndex(h => h.includes('iata'));
+    const tzIdx = headers.findIndex(h => h.includes('time zone') || h.includes('iana'));
     if (codeIdx < 0 || tzIdx < 0) return {};
+    const column = name => headers.indexOf(name);
+    const columns = {
+      name: column('airport name'),
+      city: column('city'),
+      region: column('state/country'),
+      country: column('country'),
+      latitude: column('latitude'),
+      longitude: column('longitude')
+    };
 
-    const mapping = {};
+    const airports = {};
     for (const line of lines.slice(1)) {
       const fields = this.splitCsvLine(line);
-      const code = fields[codeIdx] ? String(fields[codeIdx]).trim().toUpperCase() : '';
-      const tz = fields[tzIdx] ? String(fields[tzIdx]).trim() : '';
+      const value = idx => (idx >= 0 && fields[idx] ? String(fields[idx]).trim() : '');
+      const coordinate = idx => (value(idx) === '' ? null : Number(value(idx)));
+      const code = value(codeIdx).toUpperCase();
+      const tz = value(tzIdx);
 
       if (!code || !/^[A-Z0-9]{3}$/.test(code)) continue;
       if (!tz) continue;
 
-      mapping[code] = tz;
+      const latitude = coordinate(columns.latitude);
+      const longitude = coordinate(columns.longitude);
+      const hasCoordinates = Number.isFinite(latitude) && Number.isFinite(longitude);
+      airports[code] = {
+        code,
+        name: value(columns.name) || code,
+        city: value(columns.city) || value(columns.name) || null,
+        region: value(columns.region) || null,
+        country: value(columns.country) || value(columns.region) || null,
+        timezone: tz,
+        latitude: hasCoordinates ? latitude : null,
+        longitude: hasCoordinates ? longitude : null
+      };
     }
 
-    return mapping;
+    return airports;
+  }
+
+  /**
+   * Get airport details for an IATA code
+   * @param {string} airportCode - IATA airport code (e.g. 'SYD')
+   * @returns {Object|null} - { code, name, city, region, country, timezone, latitude, longitude } or null if unknown
+   */
+  getAirport(airportCode) {
+    if (!airportCode) return null;
+    return this.airports[String(airportCode).toUpperCase().trim()] || null;
+  }
+
+  /**
+   * Calendar LOCATION text for an airport, e.g. "Sydney Kingsford Smith (SYD)"; the bare code when unknown
+   * @param {string} airportCode - IATA airport code
+   * @returns {string}
+   */
+  formatAirportLocation(airportCode) {
+    const code = String(airportCode || '').toUpperCase().trim();
+    const airport = this.getAirport(code);
+    return airport ? `${airport.name} (${code})` : code;
   }
 
   /**
@@ -147,6 +202,57 @@ class TimezoneService {
     // For now, just return the timezone identifier
     return timezone;
   }
+
+  /**
+   * Build a VTIMEZONE component for an IANA timezone, covering whole years.
+   * Each offset change in the range becomes its own STANDARD/DAYLIGHT block (no RRULE), so
+   * historical rule changes come out exactly as the tz database has them.
+   * @param {string} timezone - IANA timezone identifier
+   * @param {Object} range - { fromYear, toYear } (inclusive)
+   * @returns {string|null} VTIMEZONE text with CRLF line endings, or null for an unknown zone
+   */
+  buildVTimezone(timezone, { fromYear, toYear }) {
+    const rangeStart = DateTime.fromObject({ year: fromYear, month: 1, day: 1 }, { zone: timezone });
+    if (!rangeStart.isValid) return null;
+    const rangeEnd = DateTime.fromObject({ year: toYear + 1, month: 1, day: 1 }, { zone: timezone });
+
+    const formatOffset = (minutes) => {
+      const sign = minutes < 0 ? '-' : '+';
+      const abs = Math.abs(minutes);
+      return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+    };
+    const observance = (at, offsetFrom) => [
+      `BEGIN:${at.isInDST ? 'DAYLIGHT' : 'STANDARD'}`,
+      // DTSTART is the local time of the change, read in the offset in effect before it.
+      `DTSTART:${at.toUTC().plus({ minutes: offsetFrom }).toFormat("yyyyMMdd'T'HHmmss")}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(at.offset)}`,
+      `TZNAME:${at.offsetNameShort}`,
+      `END:${at.isInDST ? 'DAYLIGHT' : 'STANDARD'}`
+    ];
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`, ...observance(rangeStart, rangeStart.offset)];
+
+    // Step a day at a time and bisect to the minute wherever the UTC offset changes.
+    let previous = rangeStart;
+    while (previous < rangeEnd) {
+      const next = previous.plus({ days: 1 });
+      if (next.offset !== previous.offset) {
+        let lo = previous.toMillis();
+        let hi = next.toMillis();
+        while (hi - lo > 60 * 1000) {
+          const mid = lo + Math.floor((hi - lo) / 2 / 60000) * 60000;
+          if (DateTime.fromMillis(mid, { zone: timezone }).offset === previous.offset) lo = mid;
+          else hi = mid;
+        }
+        lines.push(...observance(DateTime.fromMillis(hi, { zone: timezone }), previous.offset));
+      }
+      previous = next;
+    }
+
+    lines.push('END:VTIMEZONE');
+    return lines.join('\r\n') + '\r\n';
+  }
 }
 
 module.exports = TimezoneService;
@@ -0,0 +1,559 @@
+/**
+ * Webhooks for roster events
+ * Pilots subscribe their own URLs to their roster events; admins add global webhooks that get every
+ * pilot's events (and ingest failures, which have no pilot). Each delivery is a JSON POST signed with
+ * HMAC-SHA256 over "<timestamp>.<body>" using the webhook's secret, retried with exponential backoff
+ * and recorded in a delivery log.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const storage = require('./storage');
+const rosterStore = require('./roster-store');
+const notificationPreferences = require('./notification-preferences');
+const { diffRosters, summarizeChanges } = require('./roster-diff');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ component: 'webhooks' });
+
+const WEBHOOK_EVENTS = {
+  'roster.ingested': 'A roster was stored (new bid period or revision)',
+  'roster.changed': 'A revision changed duties (with the classified changes)',
+  'roster.duplicate': 'A roster that was already stored was received again',
+  'ingest.failed': 'Roster text could not be parsed (global webhooks only)'
+};
+// Sent by "Send test"; not subscribable
+const TEST_EVENT = 'webhook.test';
+
+const MAX_WEBHOOKS_PER_OWNER = 5;
+const MAX_URL_LENGTH = 500;
+const MAX_LOG_ENTRIES_PER_WEBHOOK = 50;
+
+function parseBoolean(value, defaultValue = false) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  const v = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'y', 'on'].includes(v)) return true;
+  if (['0', 'false', 'no', 'n', 'off'].includes(v)) return false;
+  return defaultValue;
+}
+
+function parseNumber(value, defaultValue) {
+  const n = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(n) && n >= 0 ? n : defaultValue;
+}
+
+/**
+ * Get webhook configuration
+ * allowPrivateUrls lets pilots' webhooks target localhost and private networks (global webhooks always can).
+ */
+function getWebhookConfig(env = process.env) {
+  return {
+    storePath: env.ROSTER_WEBHOOKS_PATH || path.join(process.cwd(), 'data', 'webhooks.json'),
+    deliveriesPath: env.ROSTER_WEBHOOK_DELIVERIES_PATH || path.join(process.cwd(), 'data', 'webhook-deliveries.json'),
+    maxAttempts: Math.max(1, Math.floor(parseNumber(env.ROSTER_WEBHOOK_MAX_ATTEMPTS, 5))),
+    retryBaseMs: parseNumber(env.ROSTER_WEBHOOK_RETRY_BASE_MS, 30000),
+    timeoutMs: parseNumber(env.ROSTER_WEBHOOK_TIMEOUT_MS, 10000),
+    allowPrivateUrls: parseBoolean(env.ROSTER_WEBHOOK_ALLOW_PRIVATE_URLS, false)
+  };
+}
+
+/**
+ * Webhook collection
+ * id -> { id, owner (staffNo, or null for global), url, events, secret, createdAt }
+ */
+function getStore(env = process.env) {
+  return storage.openCollection('webhooks', { jsonPath: getWebhookConfig(env).storePath, env });
+}
+
+/**
+ * Delivery log collection
+ * id -> { id, webhookId, event, status (pending|delivered|failed), attempts, responseStatus, error,
+ *   createdAt, lastAttemptAt, nextAttemptAt, payload }
+ * The payload is kept so pending retries can be resumed after a restart.
+ */
+function getDeliveryStore(env = process.env) {
+  return storage.openCollection('webhook-deliveries', { jsonPath: getWebhookConfig(env).deliveriesPath, env });
+}
+
+function webhookError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Loopback, private (RFC 1918, ULA), link-local, CGNAT (100.64/10) and other non-public addresses
+function isPrivateAddress(address) {
+  const ip = String(address).toLowerCase();
+  if (net.isIPv4(ip)) {
+    const [a, b, c] = ip.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 0 && c === 0) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19));
+  }
+  if (net.isIPv6(ip)) {
+    // IPv4-mapped and NAT64 addresses are refused outright rather than unpacked
+    return ip === '::1' || ip === '::' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || /^ff/.test(ip) ||
+      ip.startsWith('::ffff:') || ip.startsWith('64:ff9b:');
+  }
+  return false;
+}
+
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local')) return true;
+  return isPrivateAddress(host);
+}
+
+// dns.lookup that refuses private addresses, so a public name can't resolve (or rebind) to one
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(webhookError(`${hostname} resolves to a private network address (${blocked.address})`, 'WEBHOOK_PRIVATE_ADDRESS'));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * POST a body and resolve with the response status (the response body is discarded)
+ * With guardAddresses, the address actually connected to must be public.
+ * @returns {Promise<number>}
+ */
+function postWebhook(url, { headers, body, timeoutMs, guardAddresses }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (guardAddresses && isPrivateHost(target.hostname)) {
+      reject(webhookError(`${target.hostname} is a private network address`, 'WEBHOOK_PRIVATE_ADDRESS'));
+      return;
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: guardAddresses ? guardedLookup : undefined
+    });
+    const timer = setTimeout(() => {
+      req.destroy(webhookError(`Timed out after ${timeoutMs} ms`, 'WEBHOOK_TIMEOUT'));
+    }, timeoutMs);
+
+    req.on('response', res => {
+      clearTimeout(timer);
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    req.end(body);
+  });
+}
+
+function normalizeUrl(value, { global, env }) {
+  const raw = String(value || '').trim();
+  if (!raw || raw.length > MAX_URL_LENGTH) {
+    throw webhookError(`Webhook URL is required (at most ${MAX_URL_LENGTH} characters)`, 'WEBHOOK_INVALID_URL');
+  }
+
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    throw webhookError('Webhook URL is not a valid URL', 'WEBHOOK_INVALID_URL');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw webhookError('Webhook URL must use http or https', 'WEBHOOK_INVALID_URL');
+  }
+  if (url.username || url.password) {
+    throw webhookError('Webhook URL must not contain credentials', 'WEBHOOK_INVALID_URL');
+  }
+  if (!global && !getWebhookConfig(env).allowPrivateUrls && isPrivateHost(url.hostname)) {
+    throw webhookError('Webhook URL must not point to a local or private network address', 'WEBHOOK_PRIVATE_URL');
+  }
+  return url.toString();
+}
+
+function normalizeEvents(events, { global }) {
+  const list = (Array.isArray(events) ? events : [events]).filter(Boolean).map(e => String(e).trim());
+  if (list.length === 0) {
+    throw webhookError('Choose at least one event', 'WEBHOOK_INVALID_EVENTS');
+  }
+  for (const event of list) {
+    if (!Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, event)) {
+      throw webhookError(`Unknown webhook event: ${event}`, 'WEBHOOK_INVALID_EVENTS');
+    }
+    if (event === 'ingest.failed' && !global) {
+      throw webhookError('ingest.failed is only available to global webhooks', 'WEBHOOK_INVALID_EVENTS');
+    }
+  }
+  return Object.keys(WEBHOOK_EVENTS).filter(event => list.includes(event));
+}
+
+/**
+ * Webhook without its secret (for listing)
+ */
+function describeWebhook(webhook) {
+  const { secret: _secret, ...rest } = webhook;
+  return rest;
+}
+
+/**
+ * List webhooks of one owner
+ * @param {string|null} owner - Staff number, or null for global webhooks
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} - Webhooks without secrets, oldest first
+ */
+function listWebhooks(owner, env = process.env) {
+  return Object.values(getStore(env).toObject())
+    .filter(webhook => webhook.owner === (owner || null))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(describeWebhook);
+}
+
+/**
+ * Add a webhook
+ * @param {string|null} owner - Staff number, or null for a global webhook (admin)
+ * @param {Object} webhook - { url, events }
+ * @param {Object} env - Environment variables
+ * @returns {Object} - The stored webhook including its secret (only shown once)
+ */
+function createWebhook(owner, { url, events } = {}, env = process.env) {
+  if (owner !== null && (!owner || typeof owner !== 'string')) {
+    throw webhookError('Staff number is required', 'WEBHOOK_INVALID_OWNER');
+  }
+  const global = owner === null;
+  const webhook = {
+    id: crypto.randomBytes(8).toString('hex'),
+    owner,
+    url: normalizeUrl(url, { global, env }),
+    events: normalizeEvents(events, { global }),
+    secret: crypto.randomBytes(32).toString('hex'),
+    createdAt: new Date().toISOString()
+  };
+
+  if (listWebhooks(owner, env).length >= MAX_WEBHOOKS_PER_OWNER) {
+    throw webhookError(`At most ${MAX_WEBHOOKS_PER_OWNER} webhooks`, 'WEBHOOK_LIMIT');
+  }
+
+  getStore(env).set(webhook.id, webhook);
+  return webhook;
+}
+
+function getOwnedWebhook(owner, id, env) {
+  const webhook = id ? getStore(env).get(id) : null;
+  if (!webhook || webhook.owner !== (owner || null)) {
+    throw webhookError('Webhook not found', 'WEBHOOK_NOT_FOUND');
+  }
+  return webhook;
+}
+
+/**
+ * Remove a webhook and its delivery log
+ * @param {string|null} owner - Staff number, or null for global webhooks
+ * @param {string} id - Webhook id
+ * @param {Object} env - Environment variables
+ * @returns {Object} - The removed webhook (without secret)
+ */
+function deleteWebhook(owner, id, env = process.env) {
+  const webhook = getOwnedWebhook(owner, id, env);
+  getStore(env).delete(id);
+
+  const deliveries = getDeliveryStore(env);
+  for (const [deliveryId, delivery] of Object.entries(deliveries.toObject())) {
+    if (delivery.webhookId === id) deliveries.delete(deliveryId);
+  }
+  return describeWebhook(webhook);
+}
+
+/**
+ * Delivery log entry without its payload (for listing)
+ */
+function describeDelivery(delivery) {
+  const { payload: _payload, ...rest } = delivery;
+  return rest;
+}
+
+/**
+ * Delivery log of a webhook, newest first
+ * @returns {Array<Object>}
+ */
+function listDeliveries(owner, id, env = process.env) {
+  getOwnedWebhook(owner, id, env);
+  return Object.values(getDeliveryStore(env).toObject())
+    .filter(delivery => delivery.webhookId === id)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(describeDelivery);
+}
+
+/**
+ * Signature header value of a delivery: "sha256=<hex HMAC-SHA256 of '<timestamp>.<body>'>"
+ * Receivers recompute it with the webhook secret and compare (and reject old timestamps).
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function trimLog(webhookId, env) {
+  const deliveries = getDeliveryStore(env);
+  const own = Object.entries(deliveries.toObject())
+    .filter(([, delivery]) => delivery.webhookId === webhookId)
+    .sort(([, a], [, b]) => b.createdAt.localeCompare(a.createdAt));
+  for (const [deliveryId] of own.slice(MAX_LOG_ENTRIES_PER_WEBHOOK)) deliveries.delete(deliveryId);
+}
+
+// Retry timers, so tests and shutdown can cancel them
+const retryTimers = new Set();
+
+function scheduleRetry(webhook, deliveryId, delayMs, env) {
+  const timer = setTimeout(() => {
+    retryTimers.delete(timer);
+    attemptDelivery(webhook, deliveryId, env).catch(err => {
+      logger.error('[webhooks] Retry failed', { webhookId: webhook.id, error: err.message });
+    });
+  }, delayMs);
+  if (typeof timer.unref === 'function') timer.unref();
+  retryTimers.add(timer);
+}
+
+/**
+ * Make one delivery attempt; schedules the next one on network errors, 5xx and 429 until maxAttempts
+ * Only the response status is recorded, never the response body.
+ * @returns {Promise<Object>} - The updated delivery log entry (without payload)
+ */
+async function attemptDelivery(webhook, deliveryId, env) {
+  const config = getWebhookConfig(env);
+  const deliveries = getDeliveryStore(env);
+  const delivery = deliveries.get(deliveryId);
+  if (!delivery || !getStore(env).get(webhook.id)) return delivery ? describeDelivery(delivery) : null;
+
+  const { payload } = delivery;
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const attempts = delivery.attempts + 1;
+  let responseStatus = null;
+  let error = null;
+  let refused = false;
+
+  try {
+    responseStatus = await postWebhook(webhook.url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'roster-calendar-webhooks',
+        'X-Roster-Event': payload.event,
+        'X-Roster-Delivery': deliveryId,
+        'X-Roster-Timestamp': timestamp,
+        'X-Roster-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      timeoutMs: config.timeoutMs,
+      // Pilots' webhooks must reach a public address at connect time, not just look public when added
+      guardAddresses: webhook.owner !== null && !config.allowPrivateUrls
+    });
+    if (responseStatus < 200 || responseStatus >= 300) {
+      error = `HTTP ${responseStatus}`;
+    }
+  } catch (err) {
+    error = err && err.message ? err.message : String(err);
+    // A private address won't become public by retrying
+    refused = !!err && err.code === 'WEBHOOK_PRIVATE_ADDRESS';
+  }
+
+  const retryable = error !== null && !refused && (responseStatus === null || responseStatus >= 500 || responseStatus === 429);
+  const willRetry = retryable && attempts < config.maxAttempts;
+  const delayMs = config.retryBaseMs * 2 ** (attempts - 1);
+  const now = new Date();
+  const updated = {
+    ...delivery,
+    status: error === null ? 'delivered' : (willRetry ? 'pending' : 'failed'),
+    attempts,
+    responseStatus,
+    error,
+    lastAttemptAt: now.toISOString(),
+    nextAttemptAt: willRetry ? new Date(now.getTime() + delayMs).toISOString() : null
+  };
+  deliveries.set(deliveryId, updated);
+
+  if (error !== null) {
+    logger.warn('[webhooks] Delivery failed', { webhookId: webhook.id, event: payload.event, attempts, error, willRetry });
+  }
+  if (willRetry) scheduleRetry(webhook, deliveryId, delayMs, env);
+  return describeDelivery(updated);
+}
+
+/**
+ * Log and send one event to one webhook
+ * @returns {Promise<Object>} - Delivery log entry after the first attempt
+ */
+function deliver(webhook, event, data, env = process.env) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const createdAt = new Date().toISOString();
+  const delivery = {
+    id,
+    webhookId: webhook.id,
+    event,
+    status: 'pending',
+    attempts: 0,
+    responseStatus: null,
+    error: null,
+    createdAt,
+    lastAttemptAt: null,
+    nextAttemptAt: null,
+    payload: { id, event, createdAt, data }
+  };
+  getDeliveryStore(env).set(delivery.id, delivery);
+  trimLog(webhook.id, env);
+
+  return attemptDelivery(webhook, delivery.id, env);
+}
+
+/**
+ * Pick up deliveries a restart left pending: retry the due ones now and schedule the others.
+ * Pending entries that can't be retried (webhook removed, or logged without their payload by an
+ * older version) are marked failed so the log doesn't show them pending forever.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - { retried, scheduled, failed }
+ */
+async function resumePendingDeliveries({ now = new Date() } = {}, env = process.env) {
+  const deliveries = getDeliveryStore(env);
+  const webhooksById = getStore(env).toObject();
+  const counts = { retried: 0, scheduled: 0, failed: 0 };
+
+  for (const delivery of Object.values(deliveries.toObject())) {
+    if (delivery.status !== 'pending') continue;
+
+    const webhook = webhooksById[delivery.webhookId];
+    if (!webhook || !delivery.payload) {
+      deliveries.set(delivery.id, {
+        ...delivery,
+        status: 'failed',
+        error: delivery.error || 'Not retried after a restart',
+        nextAttemptAt: null
+      });
+      counts.failed++;
+      continue;
+    }
+
+    const delayMs = delivery.nextAttemptAt ? Date.parse(delivery.nextAttemptAt) - now.getTime() : 0;
+    if (delayMs > 0) {
+      scheduleRetry(webhook, delivery.id, delayMs, env);
+      counts.scheduled++;
+    } else {
+      await attemptDelivery(webhook, delivery.id, env);
+      counts.retried++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Deliver an event to the matching webhooks: the pilot's own and the global ones
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event payload data
+ * @param {Object} [options]
+ * @param {string} [options.staffNo] - Pilot the event belongs to (none: global webhooks only)
+ * @param {Object} [options.env] - Environment variables
+ * @returns {Promise<Array<Object>>} - Delivery log entries after the first attempt
+ */
+function dispatchEvent(event, data, { staffNo = null, env = process.env } = {}) {
+  const webhooks = getSubscribedWebhooks(event, staffNo, env);
+  return Promise.all(webhooks.map(webhook => deliver(webhook, event, data, env)));
+}
+
+function getSubscribedWebhooks(event, staffNo, env) {
+  // Pilots can pause their own webhooks in their notification preferences
+  const ownWebhooks = staffNo && notificationPreferences.getNotificationPreferences(staffNo, env).channels.includes('webhooks');
+  return Object.values(getStore(env).toObject())
+    .filter(webhook => (webhook.owner === null || (ownWebhooks && webhook.owner === staffNo)) && webhook.events.includes(event));
+}
+
+/**
+ * Send a webhook.test event to one webhook now ("Send test")
+ * @returns {Promise<Object>} - Delivery log entry after the first attempt
+ */
+function sendTestEvent(owner, id, env = process.env) {
+  const webhook = getOwnedWebhook(owner, id, env);
+  return deliver(webhook, TEST_EVENT, { message: 'Test delivery from Roster Calendar', staffNo: owner }, env);
+}
+
+function describeRoster(roster) {
+  const summary = (roster && roster.summary) || {};
+  return {
+    bidPeriod: summary.bidPeriod || null,
+    issueTimestamp: summary.issueTimestamp || null,
+    entries: roster && Array.isArray(roster.entries) ? roster.entries.length : 0
+  };
+}
+
+/**
+ * Webhook events and payload data of a roster-store ingest event
+ * @returns {Array<{ event: string, staffNo: string|null, data: Object }>}
+ */
+function buildIngestEvents(ingest) {
+  if (ingest.type === 'ingest.failed') {
+    const err = ingest.error || {};
+    return [{ event: 'ingest.failed', staffNo: null, data: { source: ingest.source, error: { message: err.message || String(err), code: err.code || null } } }];
+  }
+
+  const base = { staffNo: ingest.rosterId, source: ingest.source, roster: describeRoster(ingest.roster) };
+  if (ingest.type === 'roster.duplicate') {
+    return [{ event: 'roster.duplicate', staffNo: ingest.rosterId, data: base }];
+  }
+
+  const events = [{ event: 'roster.ingested', staffNo: ingest.rosterId, data: { ...base, superseded: ingest.superseded, updated: !!ingest.previousRoster } }];
+  // The diff is only worth computing for subscribers
+  const changeSubscribers = getSubscribedWebhooks('roster.changed', ingest.rosterId, process.env);
+  if (ingest.previousRoster && !ingest.superseded && changeSubscribers.length > 0) {
+    const { added, removed, changed, changes, hasChanges } = diffRosters(ingest.previousRoster, ingest.roster);
+    if (hasChanges) {
+      events.push({
+        event: 'roster.changed',
+        staffNo: ingest.rosterId,
+        data: { ...base, summary: summarizeChanges({ changes }), diff: { added, removed, changed, changes } }
+      });
+    }
+  }
+  return events;
+}
+
+function handleRosterIngest(ingest) {
+  for (const { event, staffNo, data } of buildIngestEvents(ingest)) {
+    dispatchEvent(event, data, { staffNo }).catch(err => {
+      logger.error('[webhooks] Dispatch failed', { event, error: err.message });
+    });
+  }
+}
+
+rosterStore.onRosterIngest(handleRosterIngest);
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  MAX_WEBHOOKS_PER_OWNER,
+  getWebhookConfig,
+  listWebhooks,
+  createWebhook,
+  deleteWebhook,
+  listDeliveries,
+  signPayload,
+  dispatchEvent,
+  sendTestEvent,
+  resumePendingDeliveries,
+  // For tests
+  _cancelRetries: () => {
+    retryTimers.forEach(timer => clearTimeout(timer));
+    retryTimers.clear();
+  }
+};
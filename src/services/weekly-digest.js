@@ -0,0 +1,265 @@
+/**
+ * Weekly "upcoming duties" digest
+ * Opt-in email (see notification-preferences) every Sunday at 18:00 base time listing the next
+ * 7-14 days of duties, flight legs, patterns with their slips and days off, built from the same
+ * events as the private calendar feed, plus the roster-table credit of those days. Runs as a
+ * scheduler job (WEEKLY_DIGEST_JOB).
+ */
+
+const path = require('path');
+const ejs = require('ejs');
+const { DateTime } = require('luxon');
+const QantasRosterParser = require('../parsers/qantas-roster-parser');
+const ICSCalendarService = require('./ics-calendar-service');
+const { toJsonEvent } = require('./calendar-json');
+const { getDatedEntries } = require('./roster-diff');
+const rosterStore = require('./roster-store');
+const pilotDirectory = require('./pilot-directory');
+const eventTemplates = require('./event-templates');
+const notificationPreferences = require('./notification-preferences');
+const { sendEmail } = require('./outbound-email-service');
+
+const EMAIL_VIEW = path.join(__dirname, '..', '..', 'views', 'emails', 'weekly-digest.ejs');
+const DIGEST_WEEKDAY = 7; // Sunday
+const DIGEST_TIME = '18:00';
+const TIMED_FAMILIES = ['duties', 'simulators', 'flights'];
+
+function safeString(value) {
+  if (value === undefined || value === null) return '';
+  return String(value);
+}
+
+function formatMinutes(minutes) {
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function dayLabel(isoDate) {
+  return DateTime.fromISO(isoDate, { zone: 'utc' }).toFormat('ccc d LLL');
+}
+
+// "0615" from a JSON event time (local port time, as on the roster)
+function clockTime(time) {
+  const value = time && (time.local || time.utc);
+  return value ? value.slice(11, 16).replace(':', '') : '';
+}
+
+/**
+ * Pilots who opted in to the digest (and have email on), with their base timezone
+ * @returns {Array<{ staffNo: string, timezone: string }>}
+ */
+function listDigestTargets(env = process.env) {
+  const targets = [];
+  for (const [staffNo, preferences] of Object.entries(notificationPreferences.listNotificationPreferences(env))) {
+    if (!preferences.weeklyDigest || !preferences.channels.includes('email')) continue;
+
+    const bucket = rosterStore.getRosterBucket(staffNo);
+    const base = bucket && bucket.employee && bucket.employee.base ? bucket.employee.base : '';
+    targets.push({ staffNo, timezone: notificationPreferences.getBaseTimezone(base) });
+  }
+  return targets;
+}
+
+/**
+ * Upcoming duties of a pilot, from the day after `at` (in their base timezone) for `days` days
+ * @param {Object} params
+ * @param {string} params.staffNo
+ * @param {string} params.timezone - Base timezone
+ * @param {Date} params.at - When the digest is for (the scheduled Sunday evening)
+ * @param {number} params.days - Days to cover
+ * @returns {Object|null} - { name, base, startDate, endDate, days: [{ isoDate, label, items }], patterns,
+ *   creditMinutes, creditText, dutyDays, daysOff }; null without a stored roster
+ */
+function buildDigest({ staffNo, timezone, at, days }, env = process.env) {
+  const bucket = rosterStore.getRosterBucket(staffNo);
+  if (!bucket || !Array.isArray(bucket.rosters) || bucket.rosters.length === 0) return null;
+
+  const from = DateTime.fromJSDate(at, { zone: timezone }).plus({ days: 1 }).startOf('day');
+  const startDate = from.toISODate();
+  const endDate = from.plus({ days }).toISODate(); // exclusive
+
+  const dayMap = new Map();
+  for (let i = 0; i < days; i++) {
+    const isoDate = from.plus({ days: i }).toISODate();
+    dayMap.set(isoDate, { isoDate, label: dayLabel(isoDate), items: [] });
+  }
+
+  // Same events as the private feed: the pilot's templates, pay rate and SEQUENCE history
+  const payRate = pilotDirectory.getPayRateForStaffNo(staffNo, env);
+  const options = {
+    eventTemplates: eventTemplates.getEventTemplates(staffNo, env),
+    eventHistory: rosterStore.getEventHistory(staffNo)
+  };
+  if (Number.isFinite(payRate)) options.payRate = payRate;
+
+  const icsService = new ICSCalendarService();
+  const events = icsService.convertRostersToEvents(bucket.rosters, options)
+    .filter(event => event.status !== 'CANCELLED')
+    .map(event => ({ event, json: toJsonEvent(event, icsService) }))
+    .sort((a, b) => String(a.json.start.utc || a.json.start.date).localeCompare(String(b.json.start.utc || b.json.start.date)));
+
+  const patterns = [];
+  for (const { event, json } of events) {
+    if (TIMED_FAMILIES.includes(json.family) && !json.allDay) {
+      const day = dayMap.get((json.start.local || json.start.utc || '').slice(0, 10));
+      if (!day) continue;
+      day.items.push(json.family === 'flights'
+        ? { kind: 'flight', title: json.title }
+        : { kind: 'duty', title: json.title, time: `${clockTime(json.start)}-${clockTime(json.end)}` });
+    } else if (json.family === 'daysoff' || (json.allDay && TIMED_FAMILIES.includes(json.family))) {
+      for (let date = json.start.date; date < json.end.date; date = DateTime.fromISO(date).plus({ days: 1 }).toISODate()) {
+        const day = dayMap.get(date);
+        if (day) day.items.push({ kind: json.family === 'daysoff' ? 'dayoff' : 'duty', title: json.title });
+      }
+    } else if (json.family === 'patterns' && json.start.date < endDate && json.end.date > startDate) {
+      const kind = icsService.getEventKind(event) || {};
+      const lastDate = DateTime.fromISO(json.end.date).minus({ days: 1 }).toISODate();
+      patterns.push({
+        title: json.title,
+        dates: lastDate > json.start.date ? `${dayLabel(json.start.date)} - ${dayLabel(lastDate)}` : dayLabel(json.start.date),
+        slipPorts: kind.slipPorts || []
+      });
+    }
+  }
+
+  let creditMinutes = 0;
+  for (const roster of bucket.rosters) {
+    for (const { entry, isoDate } of getDatedEntries(roster)) {
+      if (isoDate < startDate || isoDate >= endDate) continue;
+      const hours = QantasRosterParser.creditHoursToDecimal(entry.creditHours);
+      if (hours !== null) creditMinutes += Math.round(hours * 60);
+    }
+  }
+
+  const dayList = Array.from(dayMap.values());
+  const employee = bucket.employee || {};
+  let creditText = formatMinutes(creditMinutes);
+  if (Number.isFinite(payRate)) creditText += ` ($${((creditMinutes / 60) * payRate).toFixed(2)} at $${payRate.toFixed(2)}/hr)`;
+
+  return {
+    name: employee.name ? safeString(employee.name).trim() : '',
+    staffNo,
+    base: employee.base ? safeString(employee.base).trim() : '',
+    timezone,
+    startDate,
+    endDate,
+    days: dayList,
+    patterns,
+    creditMinutes,
+    creditText,
+    dutyDays: dayList.filter(day => day.items.some(item => item.kind !== 'dayoff')).length,
+    daysOff: dayList.filter(day => day.items.length > 0 && day.items.every(item => item.kind === 'dayoff')).length
+  };
+}
+
+function buildSubject(digest) {
+  const last = dayLabel(DateTime.fromISO(digest.endDate).minus({ days: 1 }).toISODate());
+  const name = digest.name || 'Pilot';
+  return `Upcoming duties - ${name} - ${dayLabel(digest.startDate)} to ${last}`;
+}
+
+function buildBody(digest) {
+  const lines = [];
+  lines.push('Roster Calendar Service');
+  lines.push('');
+  lines.push(`Upcoming duties, ${digest.days.length} days from ${digest.days[0].label} (times local to each port)`);
+  if (digest.name) lines.push(`Name: ${digest.name}`);
+  lines.push(`Staff No: ${digest.staffNo}`);
+  if (digest.base) lines.push(`Base: ${digest.base}`);
+  lines.push('');
+
+  if (digest.days.every(day => day.items.length === 0)) {
+    lines.push('Nothing on your stored rosters for these days yet.');
+  } else {
+    for (const day of digest.days) {
+      lines.push(day.label);
+      if (day.items.length === 0) lines.push('  -');
+      for (const item of day.items) {
+        if (item.kind === 'flight') lines.push(`    ${item.title}`);
+        else lines.push(`  ${item.title}${item.time ? ` ${item.time}` : ''}`);
+      }
+    }
+  }
+
+  if (digest.patterns.length > 0) {
+    lines.push('');
+    lines.push('Patterns:');
+    for (const pattern of digest.patterns) {
+      const slips = pattern.slipPorts.length > 0 ? `slips ${pattern.slipPorts.join(' ')}` : 'no slips';
+      lines.push(`- ${pattern.title} (${pattern.dates}): ${slips}`);
+    }
+  }
+
+  lines.push('');
+  lines.push(`Duty days: ${digest.dutyDays}, days off: ${digest.daysOff}`);
+  lines.push(`Total credit: ${digest.creditText}`);
+  lines.push('');
+  lines.push('You get this email because the weekly digest is on in your notification settings.');
+
+  return lines.join('\n');
+}
+
+/**
+ * HTML part of the digest (views/emails/weekly-digest.ejs)
+ * @returns {Promise<string>}
+ */
+function buildHtmlBody(digest) {
+  return ejs.renderFile(EMAIL_VIEW, { digest });
+}
+
+/**
+ * Email one pilot their digest (the scheduler job's run function)
+ * @param {Object} params - { staffNo, timezone, scheduledFor (ISO), now }
+ * @returns {Promise<{ sent: boolean, reason?: string, messageId?: string }>}
+ */
+async function sendWeeklyDigest({ staffNo, timezone, scheduledFor, now = new Date() }, env = process.env, logger = console) {
+  const preferences = notificationPreferences.getNotificationPreferences(staffNo, env);
+  if (!preferences.weeklyDigest || !preferences.channels.includes('email')) {
+    return { sent: false, reason: 'disabled' };
+  }
+
+  const to = pilotDirectory.getEmailForStaffNo(staffNo, env);
+  if (!to) {
+    return { sent: false, reason: 'no-email-mapping' };
+  }
+
+  // A digest caught up after midnight still covers the week from the scheduled Sunday
+  const at = scheduledFor ? new Date(scheduledFor) : now;
+  const digest = buildDigest({ staffNo, timezone, at, days: preferences.digestDays }, env);
+  if (!digest) {
+    return { sent: false, reason: 'no-roster' };
+  }
+
+  const result = await sendEmail({
+    to,
+    subject: buildSubject(digest),
+    text: buildBody(digest),
+    html: await buildHtmlBody(digest)
+  }, env, logger);
+
+  if (result && result.sent) {
+    logger.log('[digest] weekly digest sent', { to, staffNo, messageId: result.messageId });
+    return { sent: true, messageId: result.messageId };
+  }
+  return { sent: false, reason: result && result.reason ? result.reason : 'not-sent' };
+}
+
+const WEEKLY_DIGEST_JOB = {
+  name: 'weekly-digest',
+  weekday: DIGEST_WEEKDAY,
+  time: DIGEST_TIME,
+  listTargets: listDigestTargets,
+  run: sendWeeklyDigest,
+  // Not sent on purpose; any other reason (e.g. the mail server refused) is retried
+  settledReasons: ['disabled', 'no-email-mapping', 'no-roster', 'dry-run']
+};
+
+module.exports = {
+  WEEKLY_DIGEST_JOB,
+  DIGEST_WEEKDAY,
+  DIGEST_TIME,
+  listDigestTargets,
+  buildDigest,
+  sendWeeklyDigest,
+  // For testing
+  buildBody
+};
@@ -0,0 +1,165 @@
+/**
+ * Tests for per-duty-type calendar alarm rules and their VALARMs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const alarmRules = require('../src/services/alarm-rules');
+const ICSCalendarService = require('../src/services/ics-calendar-service');
+const QantasRosterParser = require('../src/parsers/qantas-roster-parser');
+const dashboardRoutes = require('../src/routes/dashboard-routes');
+
+function tmpEnv() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alarm-rules-'));
+  return { ROSTER_ALARM_RULES_PATH: path.join(dir, 'alarm-rules.json') };
+}
+
+describe('alarm-rules', () => {
+  test('stores rules per duty type and describes them', () => {
+    const env = tmpEnv();
+    const flight = alarmRules.addAlarmRule('174423', { dutyType: 'flight', minutesBefore: '90' }, env);
+    const reserve = alarmRules.addAlarmRule('174423', { dutyType: 'RESERVE', eveningBefore: '18:00' }, env);
+
+    expect(flight).toMatchObject({ dutyType: 'FLIGHT', minutesBefore: 90, summary: '1 h 30 min before' });
+    expect(reserve).toMatchObject({ dutyType: 'RESERVE', eveningBefore: '18:00', summary: 'Evening before at 18:00' });
+    expect(alarmRules.getAlarmRules('174423', env)).toEqual({
+      FLIGHT: [{ id: flight.id, minutesBefore: 90 }],
+      RESERVE: [{ id: reserve.id, eveningBefore: '18:00' }]
+    });
+    expect(alarmRules.getAlarmRules('000001', env)).toEqual({});
+
+    alarmRules.removeAlarmRule('174423', flight.id, env);
+    expect(Object.keys(alarmRules.getAlarmRules('174423', env))).toEqual(['RESERVE']);
+    expect(() => alarmRules.removeAlarmRule('000001', reserve.id, env))
+      .toThrow(expect.objectContaining({ code: 'ALARM_RULE_NOT_FOUND' }));
+  });
+
+  test('rejects invalid, duplicate and excess rules', () => {
+    const env = tmpEnv();
+    const add = rule => () => alarmRules.addAlarmRule('174423', rule, env);
+
+    expect(add({ dutyType: 'FLIGHT' })).toThrow(expect.objectContaining({ code: 'ALARM_RULE_INVALID_TRIGGER' }));
+    expect(add({ dutyType: 'FLIGHT', minutesBefore: 0 })).toThrow(expect.objectContaining({ code: 'ALARM_RULE_INVALID_TRIGGER' }));
+    expect(add({ dutyType: 'FLIGHT', eveningBefore: '25:00' })).toThrow(expect.objectContaining({ code: 'ALARM_RULE_INVALID_TRIGGER' }));
+    expect(add({ dutyType: 'flight duty', minutesBefore: 60 })).toThrow(expect.objectContaining({ code: 'ALARM_RULE_INVALID_DUTY_TYPE' }));
+
+    add({ dutyType: 'FLIGHT', minutesBefore: 60 })();
+    expect(add({ dutyType: 'FLIGHT', minutesBefore: 60 })).toThrow(expect.objectContaining({ code: 'ALARM_RULE_DUPLICATE' }));
+    add({ dutyType: 'FLIGHT', minutesBefore: 120 })();
+    add({ dutyType: 'FLIGHT', eveningBefore: '20:00' })();
+    expect(add({ dutyType: 'FLIGHT', minutesBefore: 30 })).toThrow(expect.objectContaining({ code: 'ALARM_RULE_LIMIT' }));
+  });
+
+  test('offers flight duties plus the catalogue duty types', () => {
+    const types = alarmRules.getAlarmDutyTypes({ ROSTER_DUTY_CODES_PATH: path.join(os.tmpdir(), 'missing-duty-codes.json') });
+    expect(types[0]).toBe('FLIGHT');
+    expect(types).toEqual(expect.arrayContaining(['SIMULATOR', 'RESERVE', 'DAY_OFF']));
+  });
+});
+
+describe('ICSCalendarService alarms', () => {
+  const icsService = new ICSCalendarService();
+  const employee = { name: 'DOE J', staffNo: '000000', base: 'PER' };
+  const rules = {
+    FLIGHT: [{ id: 'a', minutesBefore: 90 }],
+    SIMULATOR: [{ id: 'b', minutesBefore: 720 }],
+    RESERVE: [{ id: 'c', eveningBefore: '18:00' }]
+  };
+
+  test('flight duties get relative triggers', () => {
+    const leg = {
+      year: 2025, month: 6, day: 15, flightNumber: 'QF940', passive: false,
+      departPort: 'PER', departTime: '1745', arrivePort: 'BNE', arriveTime: '2357'
+    };
+    const pattern = {
+      dutyCode: '8026A4', dated: { year: 2025, month: 6, day: 15 },
+      reportTime: '1650', reportPort: 'PER', releaseTime: '0012', releasePort: 'BNE', legs: [leg]
+    };
+
+    const event = icsService.createDutyEventFromPattern(pattern, employee, null, null, true, rules);
+    expect(event.alarms).toEqual([
+      { action: 'display', description: 'Duty: 8026A4', trigger: { hours: 1, minutes: 30, before: true } }
+    ]);
+    expect(icsService.createDutyEventFromPattern(pattern, employee, null, null, true).alarms).toBeUndefined();
+  });
+
+  test('simulator sessions and reserves use their own rules; evening-before is local to the duty', () => {
+    const sim = icsService.createSimulatorSessionEvent({
+      simulatorCode: 'SIM21', year: 2025, month: 6, day: 20,
+      startPort: 'PER', endPort: 'PER', startTime: '0900', endTime: '1300'
+    }, employee, rules);
+    expect(sim.alarms[0].trigger).toEqual({ hours: 12, minutes: 0, before: true });
+
+    const reserve = icsService.createEventFromEntry(
+      { day: 16, dutyType: 'RESERVE', dutyCode: 'R1', signOn: '0500', signOff: '1700' },
+      6, 2025, employee, null, true, rules
+    );
+    // 18:00 in Perth (UTC+8) on the 15th
+    expect(reserve.alarms[0].trigger).toBe(Date.UTC(2025, 6, 15, 10, 0));
+
+    const dayOff = icsService.createEventFromEntry({ day: 17, dutyType: 'DAY_OFF', dutyCode: 'D/O' }, 6, 2025, employee, null, true, rules);
+    expect(dayOff.alarms).toBeUndefined();
+  });
+
+  test('private ICS includes VALARMs; shared feeds never do', async () => {
+    const sampleText = fs.readFileSync(path.join(__dirname, '../examples/sample-roster.txt'), 'utf-8');
+    const roster = new QantasRosterParser().parse(sampleText);
+    const allTypes = { FLIGHT: rules.FLIGHT, RESERVE: rules.RESERVE, DAY_OFF: [{ id: 'd', eveningBefore: '20:00' }] };
+
+    const privateIcs = await icsService.generateICSForRosters([roster], { alarmRules: allTypes });
+    expect(privateIcs).toContain('BEGIN:VALARM');
+    expect(privateIcs).toMatch(/TRIGGER(:-PT1H30M|;VALUE=DATE-TIME:\d{8}T\d{6}Z)/);
+
+    expect(await icsService.generateICSForRosters([roster])).not.toContain('BEGIN:VALARM');
+    expect(await icsService.generateSemiPublicICSForRosters([roster])).not.toContain('BEGIN:VALARM');
+    expect(await icsService.generatePublicICSForRosters([roster])).not.toContain('BEGIN:VALARM');
+  });
+});
+
+describe('dashboard alarms page', () => {
+  const prevPath = process.env.ROSTER_ALARM_RULES_PATH;
+  let app;
+  let flashes;
+
+  beforeAll(() => {
+    process.env.ROSTER_ALARM_RULES_PATH = tmpEnv().ROSTER_ALARM_RULES_PATH;
+    app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.use((req, res, next) => {
+      req.session = { staffNo: '174423' };
+      req.flash = (type, message) => flashes.push({ type, message });
+      next();
+    });
+    app.use('/', dashboardRoutes);
+  });
+
+  beforeEach(() => {
+    flashes = [];
+  });
+
+  afterAll(() => {
+    if (prevPath === undefined) delete process.env.ROSTER_ALARM_RULES_PATH;
+    else process.env.ROSTER_ALARM_RULES_PATH = prevPath;
+  });
+
+  test('adds and removes reminders', async () => {
+    const added = await request(app).post('/dashboard/alarms').type('form')
+      .send({ dutyType: 'RESERVE', kind: 'evening', minutesBefore: '90', eveningTime: '19:30' });
+    expect(added.status).toBe(302);
+    expect(added.headers.location).toBe('/dashboard/alarms');
+    expect(flashes).toEqual([{ type: 'success', message: 'Reminder added: RESERVE - Evening before at 19:30' }]);
+
+    const [rule] = alarmRules.listAlarmRules('174423');
+    expect(rule).toMatchObject({ dutyType: 'RESERVE', eveningBefore: '19:30' });
+
+    await request(app).post('/dashboard/alarms').type('form').send({ dutyType: 'FLIGHT', kind: 'before', minutesBefore: 'soon' });
+    expect(flashes[1]).toEqual({ type: 'error', message: expect.stringContaining('Minutes before') });
+
+    await request(app).post(`/dashboard/alarms/${rule.id}/delete`);
+    expect(alarmRules.listAlarmRules('174423')).toEqual([]);
+  });
+});
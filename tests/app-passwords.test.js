@@ -0,0 +1,163 @@
+/**
+ * Tests for calendar-only app passwords
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const appPasswords = require('../src/services/app-passwords');
+const authService = require('../src/services/auth-service');
+const { authenticateCalDAV } = require('../src/middleware/caldav-auth');
+const authRoutes = require('../src/routes/auth-routes');
+const rosterRoutes = require('../src/routes/roster-routes');
+const rosterStore = require('../src/services/roster-store');
+
+describe('app-passwords', () => {
+  const prevEnv = {
+    ROSTER_APP_PASSWORDS_PATH: process.env.ROSTER_APP_PASSWORDS_PATH,
+    ROSTER_CREDENTIALS_PATH: process.env.ROSTER_CREDENTIALS_PATH
+  };
+
+  beforeAll(async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-passwords-'));
+    process.env.ROSTER_APP_PASSWORDS_PATH = path.join(dir, 'app-passwords.json');
+    process.env.ROSTER_CREDENTIALS_PATH = path.join(dir, 'credentials.json');
+    await authService.setPasswordForStaffNo('174423', 'AccountPass123');
+  });
+
+  afterAll(() => {
+    for (const [key, value] of Object.entries(prevEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  test('creates named passwords, shown once and stored only as a hash', async () => {
+    const created = await appPasswords.createAppPassword('174423', ' iPhone ');
+
+    expect(created.name).toBe('iPhone');
+    expect(created.password).toMatch(/^[a-z2-9]{4}(-[a-z2-9]{4}){4}$/);
+    expect(appPasswords.listAppPasswords('174423')).toEqual([
+      { id: created.id, name: 'iPhone', createdAt: created.createdAt, lastUsedAt: null }
+    ]);
+
+    const stored = fs.readFileSync(process.env.ROSTER_APP_PASSWORDS_PATH, 'utf8');
+    expect(stored).not.toContain(created.password);
+    expect(JSON.parse(stored)[created.id].passwordHash).toMatch(/^\$2[aby]\$12\$/);
+
+    await expect(appPasswords.createAppPassword('174423', 'iphone')).rejects.toMatchObject({ code: 'APP_PASSWORD_DUPLICATE_NAME' });
+    await expect(appPasswords.createAppPassword('174423', '  ')).rejects.toMatchObject({ code: 'APP_PASSWORD_INVALID_NAME' });
+    appPasswords.revokeAppPassword('174423', created.id);
+  });
+
+  test('calendar endpoint accepts app passwords and records the last use', async () => {
+    const laptop = await appPasswords.createAppPassword('174423', 'Laptop');
+    const app = express();
+    app.get('/calendar.ics', authenticateCalDAV, (req, res) => {
+      res.json({ staffNo: req.authenticatedStaffNo, appPasswordId: req.authenticatedAppPasswordId });
+    });
+
+    const viaAppPassword = await request(app).get('/calendar.ics').auth('174423', laptop.password);
+    expect(viaAppPassword.status).toBe(200);
+    expect(viaAppPassword.body).toEqual({ staffNo: '174423', appPasswordId: laptop.id });
+    expect(appPasswords.listAppPasswords('174423')[0].lastUsedAt).not.toBeNull();
+
+    const viaAccountPassword = await request(app).get('/calendar.ics').auth('174423', 'AccountPass123');
+    expect(viaAccountPassword.body).toEqual({ staffNo: '174423', appPasswordId: null });
+
+    // Another pilot cannot use it, and it stops working once revoked.
+    expect((await request(app).get('/calendar.ics').auth('000001', laptop.password)).status).toBe(401);
+    expect(() => appPasswords.revokeAppPassword('000001', laptop.id)).toThrow(expect.objectContaining({ code: 'APP_PASSWORD_NOT_FOUND' }));
+    appPasswords.revokeAppPassword('174423', laptop.id);
+    expect((await request(app).get('/calendar.ics').auth('174423', laptop.password)).status).toBe(401);
+  });
+
+  test('finds the app password by its selector: one bcrypt compare per check', async () => {
+    const created = [];
+    for (const name of ['Phone', 'Tablet', 'Laptop']) created.push(await appPasswords.createAppPassword('174423', name));
+    const stored = JSON.parse(fs.readFileSync(process.env.ROSTER_APP_PASSWORDS_PATH, 'utf8'));
+    expect(stored[created[2].id].selector).toBe(created[2].password.slice(0, 4));
+
+    const compare = jest.spyOn(authService, 'verifyPassword');
+    try {
+      expect(await appPasswords.verifyAppPassword('174423', created[2].password)).toBe(created[2].id);
+      expect(compare).toHaveBeenCalledTimes(1);
+
+      compare.mockClear();
+      expect(await appPasswords.verifyAppPassword('174423', `${created[2].password.slice(0, 5)}aaaa-aaaa-aaaa-aaaa`)).toBeNull();
+      expect(await appPasswords.verifyAppPassword('174423', 'not-an-app-password')).toBeNull();
+      expect(compare).toHaveBeenCalledTimes(1);
+    } finally {
+      compare.mockRestore();
+      for (const { id } of created) appPasswords.revokeAppPassword('174423', id);
+    }
+  });
+
+  test('app passwords created before selectors still work', async () => {
+    const legacyPassword = 'abcd-efgh-jkmn-pqrs';
+    fs.writeFileSync(process.env.ROSTER_APP_PASSWORDS_PATH, JSON.stringify({
+      legacy: { staffNo: '174423', name: 'Old phone', passwordHash: await authService.hashPassword(legacyPassword), createdAt: new Date().toISOString(), lastUsedAt: null }
+    }));
+
+    expect(appPasswords.looksLikeAppPassword(legacyPassword)).toBe(true);
+    expect(await appPasswords.verifyAppPassword('174423', legacyPassword)).toBe('legacy');
+    appPasswords.revokeAppPassword('174423', 'legacy');
+  });
+
+  test('revision endpoints reject app passwords', async () => {
+    rosterStore._hydrateStore({});
+    const roster = fs.readFileSync(path.join(__dirname, '../examples/roster-174423-bp-3695.txt'), 'utf8');
+    rosterStore.ingestRosterText(roster, { source: 'upload' });
+    const [revision] = rosterStore.listRevisions('174423');
+    const tablet = await appPasswords.createAppPassword('174423', 'Tablet');
+    const app = express();
+    app.use('/api/roster', rosterRoutes);
+
+    expect((await request(app).get('/api/roster/revisions').auth('174423', tablet.password)).status).toBe(401);
+    expect((await request(app).get(`/api/roster/revisions/${revision.id}?format=text`).auth('174423', tablet.password)).status).toBe(401);
+    const rollback = await request(app).post(`/api/roster/revisions/${revision.id}/rollback`).auth('174423', tablet.password);
+    expect(rollback.status).toBe(401);
+
+    const viaAccountPassword = await request(app).get('/api/roster/revisions').auth('174423', 'AccountPass123');
+    expect(viaAccountPassword.status).toBe(200);
+    expect(viaAccountPassword.body.revisions).toHaveLength(1);
+
+    const session = express();
+    session.use((req, res, next) => {
+      req.session = { staffNo: '174423' };
+      next();
+    });
+    session.use('/api/roster', rosterRoutes);
+    expect((await request(session).get('/api/roster/revisions')).status).toBe(200);
+
+    // The same app password still works for the calendar feed
+    const feed = await request(app).get('/api/roster/calendar.ics').auth('174423', tablet.password);
+    expect(feed.status).toBe(200);
+    appPasswords.revokeAppPassword('174423', tablet.id);
+  });
+
+  test('web login rejects app passwords', async () => {
+    const phone = await appPasswords.createAppPassword('174423', 'Phone');
+    const flashes = [];
+    const session = {};
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.use((req, res, next) => {
+      req.session = session;
+      req.flash = (type, message) => flashes.push({ type, message });
+      next();
+    });
+    app.use('/', authRoutes);
+
+    const response = await request(app).post('/login').type('form').send({ staffNo: '174423', password: phone.password });
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('/login');
+    expect(session.staffNo).toBeUndefined();
+    expect(flashes).toEqual([{ type: 'error', message: expect.stringContaining('App passwords only work for calendar subscriptions') }]);
+    expect(appPasswords.listAppPasswords('174423')[0].lastUsedAt).toBeNull();
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Tests for the read-only CalDAV endpoints
+ */
+
+jest.mock('../src/services/auth-service', () => ({
+  ...jest.requireActual('../src/services/auth-service'),
+  verifyCredentials: jest.fn(async (staffNo, password) => password === 'test-pass')
+}));
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const rosterStore = require('../src/services/roster-store');
+const feedCache = require('../src/services/feed-cache');
+const caldav = require('../src/services/caldav-service');
+const caldavRoutes = require('../src/routes/caldav-routes');
+
+const SAMPLE_PATH = path.join(__dirname, '../examples/roster-174423-bp-3695.txt');
+
+const PROPFIND_CALENDARS = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:cs="http://calendarserver.org/ns/">
+  <d:prop><d:resourcetype/><d:displayname/><cs:getctag/><d:sync-token/><d:quota-used-bytes/></d:prop>
+</d:propfind>`;
+
+function syncReport(token = '') {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<d:sync-collection xmlns:d="DAV:">
+  <d:sync-token>${token}</d:sync-token>
+  <d:sync-level>1</d:sync-level>
+  <d:prop><d:getetag/></d:prop>
+</d:sync-collection>`;
+}
+
+function hrefs(xml) {
+  return Array.from(xml.matchAll(/<d:href>([^<]*)<\/d:href>/g), m => m[1]);
+}
+
+describe('caldav-service request parsing', () => {
+  test('reads requested properties with their namespaces', () => {
+    const parsed = caldav.parseDavRequest(`<A:propfind xmlns:A="DAV:">
+      <A:prop><A:getetag/><getctag xmlns="http://calendarserver.org/ns/"/>
+        <C:calendar-data xmlns:C="urn:ietf:params:xml:ns:caldav"><C:comp name="VCALENDAR"/></C:calendar-data>
+      </A:prop></A:propfind>`);
+    expect(parsed.type).toBe('propfind');
+    expect(parsed.props).toEqual([
+      { ns: 'DAV:', name: 'getetag' },
+      { ns: 'http://calendarserver.org/ns/', name: 'getctag' },
+      { ns: 'urn:ietf:params:xml:ns:caldav', name: 'calendar-data' }
+    ]);
+    expect(caldav.parseDavRequest('').allprop).toBe(true);
+  });
+
+  test('reads calendar-query time ranges', () => {
+    const parsed = caldav.parseDavRequest(`<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+      <d:prop><d:getetag/></d:prop>
+      <c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">
+        <c:time-range start="20260201T000000Z" end="20260203T000000Z"/>
+      </c:comp-filter></c:comp-filter></c:filter></c:calendar-query>`);
+    expect(parsed.type).toBe('calendar-query');
+    expect(parsed.timeRange).toEqual({ start: Date.UTC(2026, 1, 1), end: Date.UTC(2026, 1, 3) });
+  });
+});
+
+describe('CalDAV routes', () => {
+  const original = fs.readFileSync(SAMPLE_PATH, 'utf8');
+  let app;
+  let staffNo;
+  let base;
+
+  beforeAll(() => {
+    rosterStore._hydrateStore({});
+    feedCache._clear();
+    staffNo = rosterStore.ingestRosterText(original, { source: 'inbox' }).rosterId;
+    base = `/caldav/calendars/${staffNo}`;
+
+    app = express();
+    app.use('/caldav', caldavRoutes);
+  });
+
+  test('requires authentication and only serves the pilot\'s own calendars', async () => {
+    const options = await request(app).options('/caldav/');
+    expect(options.status).toBe(200);
+    expect(options.headers.dav).toContain('calendar-access');
+
+    const anonymous = await request(app).propfind('/caldav/');
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.headers['www-authenticate']).toContain('Basic');
+
+    const other = await request(app).propfind('/caldav/calendars/999999/').auth(staffNo, 'test-pass');
+    expect(other.status).toBe(403);
+  });
+
+  test('discovers the principal, calendar home and one calendar per feed type', async () => {
+    const root = await request(app).propfind('/caldav/').auth(staffNo, 'test-pass').set('Depth', '0')
+      .type('application/xml').send('<d:propfind xmlns:d="DAV:"><d:prop><d:current-user-principal/></d:prop></d:propfind>');
+    expect(root.status).toBe(207);
+    expect(root.text).toContain(`<d:current-user-principal><d:href>/caldav/principals/${staffNo}/</d:href>`);
+
+    const principal = await request(app).propfind(`/caldav/principals/${staffNo}/`).auth(staffNo, 'test-pass')
+      .type('application/xml').send('<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"><d:prop><c:calendar-home-set/></d:prop></d:propfind>');
+    expect(principal.text).toContain(`<cal:calendar-home-set><d:href>${base}/</d:href>`);
+
+    const home = await request(app).propfind(`${base}/`).auth(staffNo, 'test-pass').set('Depth', '1')
+      .type('application/xml').send(PROPFIND_CALENDARS);
+    expect(home.status).toBe(207);
+    expect(hrefs(home.text)).toEqual([`${base}/`, `${base}/private/`, `${base}/semipublic/`, `${base}/public/`]);
+    expect(home.text).toContain('<d:resourcetype><d:collection/><cal:calendar/></d:resourcetype>');
+    expect(home.text).toMatch(/<d:sync-token>urn:roster-calendar:sync:1-\d+-[0-9a-f]+<\/d:sync-token>/);
+    // Unknown properties are reported as 404 in their own propstat
+    expect(home.text).toContain('<d:quota-used-bytes/></d:prop><d:status>HTTP/1.1 404 Not Found</d:status>');
+  });
+
+  test('lists events by UID and serves them with calendar-query, multiget and GET', async () => {
+    const listing = await request(app).propfind(`${base}/semipublic/`).auth(staffNo, 'test-pass').set('Depth', '1')
+      .type('application/xml').send('<d:propfind xmlns:d="DAV:"><d:prop><d:getetag/></d:prop></d:propfind>');
+    const eventHrefs = hrefs(listing.text).slice(1);
+    expect(eventHrefs.length).toBeGreaterThan(0);
+    expect(eventHrefs[0]).toMatch(new RegExp(`^${base}/semipublic/.+%40roster-calendar\\.ics$`));
+
+    const query = await request(app).report(`${base}/semipublic/`).auth(staffNo, 'test-pass').set('Depth', '1')
+      .type('application/xml').send(`<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+        <d:prop><d:getetag/><c:calendar-data/></d:prop>
+        <c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">
+          <c:time-range start="20250715T000000Z" end="20250716T000000Z"/>
+        </c:comp-filter></c:comp-filter></c:filter></c:calendar-query>`);
+    expect(query.status).toBe(207);
+    expect(hrefs(query.text).length).toBeGreaterThan(0);
+    expect(hrefs(query.text).length).toBeLessThan(eventHrefs.length);
+    expect(query.text).toContain('BEGIN:VEVENT');
+
+    const multiget = await request(app).report(`${base}/semipublic/`).auth(staffNo, 'test-pass')
+      .type('application/xml').send(`<c:calendar-multiget xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+        <d:prop><d:getetag/><c:calendar-data/></d:prop>
+        <d:href>${eventHrefs[0]}</d:href><d:href>${base}/semipublic/missing.ics</d:href></c:calendar-multiget>`);
+    expect(multiget.text).toContain('END:VCALENDAR');
+    expect(multiget.text).toContain(`<d:href>${base}/semipublic/missing.ics</d:href><d:status>HTTP/1.1 404 Not Found</d:status>`);
+
+    const event = await request(app).get(eventHrefs[0]).auth(staffNo, 'test-pass');
+    expect(event.status).toBe(200);
+    expect(event.headers['content-type']).toContain('text/calendar');
+    expect(event.text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    const notModified = await request(app).get(eventHrefs[0]).auth(staffNo, 'test-pass').set('If-None-Match', event.headers.etag);
+    expect(notModified.status).toBe(304);
+
+    const write = await request(app).put(eventHrefs[0]).auth(staffNo, 'test-pass').type('text/calendar').send(event.text);
+    expect(write.status).toBe(405);
+  });
+
+  test('sync-collection reports changed and removed events after a new roster revision', async () => {
+    const initial = await request(app).report(`${base}/semipublic/`).auth(staffNo, 'test-pass')
+      .type('application/xml').send(syncReport());
+    expect(initial.status).toBe(207);
+    const token = initial.text.match(/<d:sync-token>([^<]+)<\/d:sync-token>/)[1];
+
+    const unchanged = await request(app).report(`${base}/semipublic/`).auth(staffNo, 'test-pass')
+      .type('application/xml').send(syncReport(token));
+    expect(hrefs(unchanged.text)).toEqual([]);
+    const publicBefore = await caldav.getCollection(staffNo, 'public', process.env);
+
+    // 17 Thu personal leave becomes a day off
+    rosterStore.ingestRosterText(original
+      .replace('01Feb26 1904', '02Feb26 0800')
+      .replace('17 Thu  PLN', '17 Thu  D/O'), { source: 'upload' });
+
+    const delta = await request(app).report(`${base}/semipublic/`).auth(staffNo, 'test-pass')
+      .type('application/xml').send(syncReport(token));
+    expect(delta.status).toBe(207);
+    const newToken = delta.text.match(/<d:sync-token>([^<]+)<\/d:sync-token>/)[1];
+    expect(newToken).not.toBe(token);
+    expect(newToken).toMatch(/^urn:roster-calendar:sync:2-/);
+
+    const responses = delta.text.split('<d:response>').slice(1);
+    const removed = responses.filter(r => r.includes('<d:status>HTTP/1.1 404 Not Found</d:status>'));
+    const changed = responses.filter(r => r.includes('<d:getetag>'));
+    expect(removed).toHaveLength(1);
+    expect(changed.length).toBeGreaterThan(0);
+    expect(changed.length).toBeLessThan(hrefs(initial.text).length);
+
+    // The busy/free collection reports only its own changes: the leave day turns free
+    const publicAfter = await caldav.getCollection(staffNo, 'public', process.env);
+    const publicDelta = caldav.getSyncChanges(publicAfter, publicBefore.syncToken, { env: {} });
+    const publicUids = new Set(publicBefore.resources.map(r => r.uid));
+    expect(publicDelta.changed.map(r => r.body.match(/^SUMMARY:(.*)\r$/m)[1])).toEqual(['Free']);
+    expect(publicDelta.removed).toHaveLength(1);
+    expect(publicUids.has(publicDelta.removed[0])).toBe(true);
+    expect(publicAfter.resources.some(r => r.uid === publicDelta.removed[0])).toBe(false);
+
+    const invalid = await request(app).report(`${base}/semipublic/`).auth(staffNo, 'test-pass')
+      .type('application/xml').send(syncReport('urn:roster-calendar:sync:9-0-abc'));
+    expect(invalid.status).toBe(403);
+    expect(invalid.text).toContain('<d:valid-sync-token/>');
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for the JSON and jCal calendar output (/calendar.json)
+ */
+
+jest.mock('../src/services/auth-service', () => ({
+  ...jest.requireActual('../src/services/auth-service'),
+  verifyCredentials: jest.fn(async (staffNo, password) => password === 'test-pass')
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const calendarJson = require('../src/services/calendar-json');
+const ICSCalendarService = require('../src/services/ics-calendar-service');
+const rosterStore = require('../src/services/roster-store');
+const shareTokens = require('../src/services/share-tokens');
+const rosterRoutes = require('../src/routes/roster-routes');
+
+const SAMPLE_PATH = path.join(__dirname, '../examples/roster-174423-bp-3695.txt');
+
+describe('icsToJCal', () => {
+  test('converts components, parameters and typed values', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'X-WR-CALNAME:DOE J Roster',
+      'BEGIN:VEVENT',
+      'UID:2025-7-15-duty-8026A4@roster-calendar',
+      'SUMMARY:Duty: 8026A4\\, with a comma',
+      'DESCRIPTION:Report: PER 1745\\nRelease: BNE 0057',
+      'DTSTART;TZID=Australia/Perth:20250715T174500',
+      'DTEND:20250715T145700Z',
+      'SEQUENCE:2',
+      'GEO:-31.94;115.97',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER:-PT1H30M',
+      'END:VALARM',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20250716',
+      'DESCRIPTION:A long line that was fo',
+      ' lded',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    const [name, props, components] = calendarJson.icsToJCal(ics);
+    expect(name).toBe('vcalendar');
+    expect(props).toEqual([['version', {}, 'text', '2.0'], ['x-wr-calname', {}, 'unknown', 'DOE J Roster']]);
+
+    const [duty, allDay] = components;
+    expect(duty[1]).toEqual([
+      ['uid', {}, 'text', '2025-7-15-duty-8026A4@roster-calendar'],
+      ['summary', {}, 'text', 'Duty: 8026A4, with a comma'],
+      ['description', {}, 'text', 'Report: PER 1745\nRelease: BNE 0057'],
+      ['dtstart', { tzid: 'Australia/Perth' }, 'date-time', '2025-07-15T17:45:00'],
+      ['dtend', {}, 'date-time', '2025-07-15T14:57:00Z'],
+      ['sequence', {}, 'integer', 2],
+      ['geo', {}, 'float', [-31.94, 115.97]]
+    ]);
+    expect(duty[2]).toEqual([['valarm', [['action', {}, 'text', 'DISPLAY'], ['trigger', {}, 'duration', '-PT1H30M']], []]]);
+    expect(allDay[1]).toEqual([
+      ['dtstart', {}, 'date', '2025-07-16'],
+      ['description', {}, 'text', 'A long line that was folded']
+    ]);
+  });
+});
+
+describe('GET /calendar.json', () => {
+  const prevPath = process.env.ROSTER_SHARE_TOKENS_PATH;
+  let app;
+  let staffNo;
+  let rosters;
+
+  beforeAll(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-json-'));
+    process.env.ROSTER_SHARE_TOKENS_PATH = path.join(dir, 'share-tokens.json');
+
+    rosterStore._hydrateStore({});
+    staffNo = rosterStore.ingestRosterText(fs.readFileSync(SAMPLE_PATH, 'utf8')).rosterId;
+    rosters = rosterStore.getRosterBucket(staffNo).rosters;
+
+    app = express();
+    app.use('/api/roster', rosterRoutes);
+  });
+
+  afterAll(() => {
+    if (prevPath === undefined) delete process.env.ROSTER_SHARE_TOKENS_PATH;
+    else process.env.ROSTER_SHARE_TOKENS_PATH = prevPath;
+  });
+
+  test('returns the same events as calendar.ics with typed fields', async () => {
+    const unauthenticated = await request(app).get('/api/roster/calendar.json');
+    expect(unauthenticated.status).toBe(401);
+
+    const ics = await request(app).get('/api/roster/calendar.ics').auth(staffNo, 'test-pass');
+    const response = await request(app).get('/api/roster/calendar.json').auth(staffNo, 'test-pass');
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('application/json');
+    expect(response.headers.etag).toBeDefined();
+
+    const { events } = response.body;
+    const icsUids = Array.from(ics.text.matchAll(/^UID:(.+)\r$/gm), m => m[1]);
+    expect(events.map(e => e.uid)).toEqual(icsUids);
+
+    const duty = events.find(e => e.family === 'duties' && e.dutyType === 'FLIGHT');
+    expect(duty).toMatchObject({ dutyCode: expect.any(String), allDay: false, status: 'CONFIRMED' });
+    expect(duty.ports.length).toBeGreaterThan(1);
+    expect(duty.start.utc).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/);
+    expect(duty.start.local).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[+-]\d{2}:\d{2}$/);
+    expect(duty.start.timezone).toMatch(/^Australia\//);
+    expect(duty.pay.line).toMatch(/^Pay: /);
+
+    const leg = events.find(e => e.family === 'flights');
+    expect(leg.flightNumber).toMatch(/^QF/);
+    expect(leg.ports).toHaveLength(2);
+  });
+
+  test('pay comes from the duty, not its description, so description templates keep it', async () => {
+    const eventTemplates = { duty: { description: '{dutyCode} {route}' } };
+    const events = new ICSCalendarService().convertRostersToEvents(rosters, { payRate: 100, eventTemplates });
+    const { events: json } = JSON.parse(await calendarJson.renderCalendarJson(events, 'json'));
+
+    const duty = json.find(e => e.family === 'duties' && e.dutyType === 'FLIGHT' && e.pay);
+    expect(duty.description).not.toContain('Pay:');
+    expect(duty.pay).toEqual({ line: expect.stringMatching(/^Pay: /), dutyValue: expect.any(Number) });
+  });
+
+  test('format=jcal returns RFC 7265 jCal of the same calendar', async () => {
+    const response = await request(app).get('/api/roster/calendar.json?format=jcal&tz=local').auth(staffNo, 'test-pass');
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('application/calendar+json');
+
+    const [name, , components] = response.body;
+    expect(name).toBe('vcalendar');
+    expect(components.some(c => c[0] === 'vtimezone')).toBe(true);
+    const events = components.filter(c => c[0] === 'vevent');
+    expect(events).toHaveLength(new ICSCalendarService().convertRostersToEvents(rosters).length);
+    expect(events.some(e => e[1].some(p => p[0] === 'dtstart' && p[1].tzid))).toBe(true);
+
+    const invalid = await request(app).get('/api/roster/calendar.json?format=xml').auth(staffNo, 'test-pass');
+    expect(invalid.status).toBe(400);
+  });
+
+  test('share links serve JSON with the link scope', async () => {
+    const semi = shareTokens.createShareToken(staffNo, { scope: 'semipublic' });
+    const busy = shareTokens.createShareToken(staffNo, { scope: 'public' });
+
+    const semiResponse = await request(app).get(`/api/roster/share/${semi.token}/calendar.json`);
+    expect(semiResponse.status).toBe(200);
+    expect(semiResponse.body.events.length).toBeGreaterThan(0);
+    expect(semiResponse.body.events.every(e => e.pay === null)).toBe(true);
+    expect(semiResponse.body.events.some(e => e.dutyCode)).toBe(true);
+
+    const busyResponse = await request(app).get(`/api/roster/share/${busy.token}/calendar.json?format=jcal`);
+    expect(busyResponse.status).toBe(200);
+    expect(JSON.stringify(busyResponse.body)).not.toContain('QF');
+
+    const busyJson = await request(app).get(`/api/roster/share/${busy.token}/calendar.json`);
+    expect(busyJson.body.events.every(e => e.dutyCode === null && e.ports.length === 0)).toBe(true);
+
+    const unknown = await request(app).get('/api/roster/share/not-a-token/calendar.json');
+    expect(unknown.status).toBe(404);
+  });
+});
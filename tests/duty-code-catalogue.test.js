@@ -0,0 +1,115 @@
+/**
+ * Tests for the duty-code catalogue
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ics = require('ics');
+
+const { lookupDutyCode, isDutyTypeBusy } = require('../src/services/duty-code-catalogue');
+const QantasRosterParser = require('../src/parsers/qantas-roster-parser');
+const ICSCalendarService = require('../src/services/ics-calendar-service');
+
+function writeCatalogue(definitions) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duty-codes-'));
+  const storePath = path.join(dir, 'duty-codes.json');
+  fs.writeFileSync(storePath, JSON.stringify(definitions), 'utf8');
+  return { ROSTER_DUTY_CODES_PATH: storePath };
+}
+
+describe('duty-code-catalogue', () => {
+  const noFileEnv = { ROSTER_DUTY_CODES_PATH: path.join(os.tmpdir(), 'does-not-exist', 'duty-codes.json') };
+
+  test('built-in codes cover the roster defaults', () => {
+    expect(lookupDutyCode('D/O', noFileEnv)).toMatchObject({ dutyType: 'DAY_OFF', busy: false });
+    expect(lookupDutyCode('R5', noFileEnv)).toMatchObject({ dutyType: 'RESERVE', description: 'Reserve Duty R5', defaultCredit: '4:00' });
+    expect(lookupDutyCode('SIM06CA(T)', noFileEnv)).toMatchObject({ dutyType: 'SIMULATOR', description: 'Simulator SIM06CA(T)' });
+    expect(lookupDutyCode('8026A4', noFileEnv)).toBeNull();
+  });
+
+  test('catalogue file entries are matched before the built-in defaults', () => {
+    const env = writeCatalogue([
+      { code: 'MED', dutyType: 'medical', description: 'Aviation Medical', busy: true, category: 'Medical' },
+      { pattern: '^GS\\d+$', dutyType: 'GROUND_SCHOOL', description: 'Ground School {code}', category: 'Training' },
+      { code: 'AV', dutyType: 'AVAILABLE_DAY', description: 'Available (on call)', busy: true },
+      { pattern: '([', dutyType: 'BROKEN' }
+    ]);
+
+    expect(lookupDutyCode('MED', env)).toMatchObject({ dutyType: 'MEDICAL', category: 'Medical' });
+    expect(lookupDutyCode('GS2', env)).toMatchObject({ dutyType: 'GROUND_SCHOOL', description: 'Ground School GS2', busy: true });
+    expect(lookupDutyCode('AV', env).description).toBe('Available (on call)');
+    expect(isDutyTypeBusy('AVAILABLE_DAY', 'AV', env)).toBe(true);
+    expect(isDutyTypeBusy('AVAILABLE_DAY', undefined, noFileEnv)).toBe(false);
+    expect(isDutyTypeBusy('FLIGHT', '8026A4', env)).toBe(true);
+  });
+
+  test('compiles the catalogue once and re-checks the file at most every few seconds', () => {
+    const env = writeCatalogue([{ code: 'MED', dutyType: 'MEDICAL', description: 'Aviation Medical' }]);
+    const stat = jest.spyOn(fs, 'statSync');
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+    try {
+      for (let i = 0; i < 50; i++) {
+        expect(isDutyTypeBusy('MEDICAL', 'MED', env)).toBe(true);
+      }
+      expect(stat).toHaveBeenCalledTimes(1);
+
+      fs.writeFileSync(env.ROSTER_DUTY_CODES_PATH, JSON.stringify([{ code: 'MED', dutyType: 'MEDICAL', busy: false }]), 'utf8');
+      fs.utimesSync(env.ROSTER_DUTY_CODES_PATH, new Date(), new Date(Date.UTC(2030, 0, 1)));
+      expect(isDutyTypeBusy('MEDICAL', 'MED', env)).toBe(true);
+
+      now.mockReturnValue(1_000_000 + 5000);
+      expect(isDutyTypeBusy('MEDICAL', 'MED', env)).toBe(false);
+      expect(stat).toHaveBeenCalledTimes(2);
+    } finally {
+      stat.mockRestore();
+      now.mockRestore();
+    }
+  });
+
+  test('ignores an unreadable catalogue file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duty-codes-'));
+    const storePath = path.join(dir, 'duty-codes.json');
+    fs.writeFileSync(storePath, '{ not json', 'utf8');
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(lookupDutyCode('D/O', { ROSTER_DUTY_CODES_PATH: storePath }).dutyType).toBe('DAY_OFF');
+    warn.mockRestore();
+  });
+
+  test('parser and calendar use catalogue codes instead of treating them as flights', () => {
+    const env = writeCatalogue([
+      { pattern: '^GS\\d+$', dutyType: 'GROUND_SCHOOL', description: 'Ground School {code}', busy: true, category: 'Training' },
+      { code: 'MED', dutyType: 'MEDICAL', description: 'Aviation Medical', busy: false }
+    ]);
+    const text = fs.readFileSync(path.join(__dirname, '../examples/sample-roster.txt'), 'utf8')
+      .replace('17 Thu  PLN                                                                 AS02',
+        '17 Thu  GS1                                         0800 1600  8:00  4:00       AW01')
+      .replace('18 Fri  PLN                                                                 AS02',
+        '18 Fri  MED                                                                 AW01');
+
+    const roster = new QantasRosterParser(env).parse(text);
+    const gs = roster.entries.find(e => e.day === 17);
+    expect(gs).toMatchObject({
+      dutyType: 'GROUND_SCHOOL',
+      description: 'Ground School GS1',
+      category: 'Training',
+      signOn: '0800',
+      signOff: '1600',
+      dutyHours: '8:00',
+      creditHours: '4:00'
+    });
+    expect(roster.diagnostics).toEqual([]);
+
+    const icsService = new ICSCalendarService();
+    const event = icsService.createEventFromEntry(gs, gs.month, gs.year, roster.employee, null, true);
+    expect(event.title).toBe('GS1');
+    expect(event.description).toContain('Duty: Ground School GS1');
+    expect(event.categories).toEqual(['Training']);
+    expect(ics.createEvent(event).error).toBeFalsy();
+
+    const med = roster.entries.find(e => e.day === 18);
+    const medEvent = icsService.createEventFromEntry(med, med.month, med.year, roster.employee, null, true);
+    expect(medEvent.start).toHaveLength(3);
+  });
+});
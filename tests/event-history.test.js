@@ -0,0 +1,154 @@
+/**
+ * Tests for calendar event history (stable UIDs, SEQUENCE, DTSTAMP and cancelled events)
+ */
+
+const ICSCalendarService = require('../src/services/ics-calendar-service');
+const { updateEventHistory, updateCollectionHistory } = require('../src/services/event-history');
+
+function makeRoster(hash, entries) {
+  return {
+    _rosterHash: hash,
+    employee: { name: 'DOE J', staffNo: '000000', base: 'SYD' },
+    summary: { periodStart: { day: 14, month: 6, year: 2025 } },
+    entries
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const reserve = { day: 16, dutyType: 'RESERVE', dutyCode: 'R1', signOn: '0500', signOff: '1700' };
+const dayOff = { day: 17, dutyType: 'DAY_OFF', dutyCode: 'D/O' };
+
+describe('event history', () => {
+  const icsService = new ICSCalendarService();
+  const now = new Date('2025-07-10T00:00:00Z');
+
+  function receive(bucket, hash, receivedAt, entries) {
+    bucket.revisions.push({ hash, receivedAt });
+    bucket.rosters = [makeRoster(hash, entries)];
+  }
+
+  test('keeps the UID of a revised duty and bumps its SEQUENCE', () => {
+    const bucket = { rosters: [], revisions: [] };
+    receive(bucket, 'a', '2025-07-01T08:00:00.000Z', [reserve, dayOff]);
+    expect(updateEventHistory(bucket, { now, env: {} })).toBe(true);
+    expect(updateEventHistory(bucket, { now, env: {} })).toBe(false);
+
+    const before = icsService.convertRostersToEvents(bucket.rosters, { eventHistory: bucket.eventHistory });
+    const reserveBefore = before.find(e => e.title === 'Reserve Duty: R1');
+    expect(reserveBefore.uid).toMatch(/^2025-7-16-[0-9a-f]{16}@roster-calendar$/);
+    expect(reserveBefore.sequence).toBe(0);
+    expect(reserveBefore.timestamp).toBe(Date.parse('2025-07-01T08:00:00.000Z'));
+
+    receive(bucket, 'b', '2025-07-05T08:00:00.000Z', [{ ...reserve, signOn: '0600', signOff: '1800' }, dayOff]);
+    updateEventHistory(bucket, { now, env: {} });
+
+    const after = icsService.convertRostersToEvents(bucket.rosters, { eventHistory: bucket.eventHistory });
+    const reserveAfter = after.find(e => e.title === 'Reserve Duty: R1');
+    expect(reserveAfter.uid).toBe(reserveBefore.uid);
+    expect(reserveAfter.sequence).toBe(1);
+    expect(reserveAfter.lastModified).toBe(Date.parse('2025-07-05T08:00:00.000Z'));
+
+    // Unchanged events keep their sequence and time
+    const dayOffAfter = after.find(e => e.title === 'Day Off');
+    expect(dayOffAfter.sequence).toBe(0);
+    expect(dayOffAfter.timestamp).toBe(Date.parse('2025-07-01T08:00:00.000Z'));
+  });
+
+  test('publishes removed duties as cancelled until the grace period ends', async () => {
+    const bucket = { rosters: [], revisions: [] };
+    receive(bucket, 'a', '2025-07-01T08:00:00.000Z', [reserve, dayOff]);
+    updateEventHistory(bucket, { now, env: {} });
+    receive(bucket, 'b', '2025-07-05T08:00:00.000Z', [dayOff]);
+    updateEventHistory(bucket, { now, env: {} });
+
+    const reserveUid = icsService.stableUidForEntry({ year: 2025, month: 6, day: 16, entry: reserve });
+    const ics = await icsService.generateICSForRosters(bucket.rosters, { eventHistory: bucket.eventHistory });
+    expect(ics).toContain(`UID:${reserveUid}`);
+    expect(ics).toContain('STATUS:CANCELLED');
+    expect(ics).toContain('SUMMARY:Cancelled: Reserve Duty: R1');
+    expect(ics).toMatch(/SEQUENCE:1\r\n/);
+    expect(ics).toContain('DTSTAMP:20250705T080000Z');
+
+    // Feed filters apply to cancelled events too
+    const daysOff = icsService.convertRostersToEvents(bucket.rosters, { eventHistory: bucket.eventHistory, eventTypes: ['daysoff'] });
+    expect(daysOff.map(e => e.title)).toEqual(['Day Off']);
+
+    // Back on the roster: same UID, live again with a higher sequence
+    const restored = { rosters: [], revisions: [...bucket.revisions], eventHistory: JSON.parse(JSON.stringify(bucket.eventHistory)) };
+    receive(restored, 'c', '2025-07-06T08:00:00.000Z', [reserve, dayOff]);
+    updateEventHistory(restored, { now, env: {} });
+    const live = icsService.convertRostersToEvents(restored.rosters, { eventHistory: restored.eventHistory });
+    expect(live.find(e => e.uid === reserveUid)).toMatchObject({ sequence: 2 });
+    expect(live.some(e => e.status === 'CANCELLED')).toBe(false);
+
+    const later = new Date('2025-07-20T08:00:00Z');
+    expect(updateEventHistory(bucket, { now: later, env: { ROSTER_CANCELLED_EVENT_GRACE_DAYS: '14' } })).toBe(true);
+    expect(Object.keys(bucket.eventHistory)).toEqual([icsService.stableUidForEntry({ year: 2025, month: 6, day: 17, entry: dayOff })]);
+  });
+
+  test('tracks rest events: revised in place and cancelled when the rest goes away', async () => {
+    const early = { day: 17, dutyType: 'RESERVE', dutyCode: 'R2', signOn: '0200', signOff: '1000' };
+    const bucket = { rosters: [], revisions: [] };
+    receive(bucket, 'a', '2025-07-01T08:00:00.000Z', [reserve, early]);
+    updateEventHistory(bucket, { now, env: {} });
+
+    const restRecords = () => Object.entries(bucket.eventHistory).filter(([, record]) => record.family === 'rest');
+    expect(restRecords()).toHaveLength(1);
+    const [restUid, record] = restRecords()[0];
+    expect(record).toMatchObject({ sequence: 0, dutyType: 'REST', short: true });
+    // Recorded without the short-rest warning that feeds add to the next duty
+    const reserveRecord = Object.values(bucket.eventHistory).find(r => r.event.title === 'Reserve Duty: R2');
+    expect(reserveRecord.event.description).not.toContain('Short rest');
+
+    receive(bucket, 'b', '2025-07-05T08:00:00.000Z', [{ ...reserve, signOff: '1630' }, early]);
+    updateEventHistory(bucket, { now, env: {} });
+    expect(restRecords()).toEqual([[restUid, expect.objectContaining({ sequence: 1 })]]);
+    expect(bucket.eventHistory[restUid].cancelledAt).toBeUndefined();
+
+    receive(bucket, 'c', '2025-07-06T08:00:00.000Z', [reserve]);
+    updateEventHistory(bucket, { now, env: {} });
+    expect(bucket.eventHistory[restUid]).toMatchObject({ sequence: 2, cancelledAt: '2025-07-06T08:00:00.000Z' });
+
+    const ics = await icsService.generateICSForRosters(bucket.rosters, { eventHistory: bucket.eventHistory });
+    expect(ics).toContain(`UID:${restUid}`);
+    expect(ics).toContain('SUMMARY:Cancelled: Short rest');
+    const none = icsService.convertRostersToEvents(bucket.rosters, { eventHistory: bucket.eventHistory, restEvents: 'none' });
+    expect(none.some(e => e.uid === restUid)).toBe(false);
+  });
+
+  test('keeps different events with the same date, kind and code apart', () => {
+    const roster = makeRoster('a', [
+      { day: 16, dutyType: 'RESERVE', dutyCode: 'R1', signOn: '0500', signOff: '0900' },
+      { day: 16, dutyType: 'RESERVE', dutyCode: 'R1', signOn: '1300', signOff: '1700' }
+    ]);
+    const [first, second] = icsService.convertRosterToEvents(roster).map(e => e.uid);
+    expect(second).toBe(first.replace('@', '-2@'));
+  });
+
+  test('tracks what a collection served: changes by ETag, removals until the grace period ends', () => {
+    const published = {};
+    const env = { ROSTER_CANCELLED_EVENT_GRACE_DAYS: '14' };
+    const t1 = Date.parse('2025-07-01T08:00:00Z');
+    expect(updateCollectionHistory(published, [
+      { uid: 'a', etag: '"1"', modified: t1 },
+      { uid: 'b', etag: '"2"', modified: null }
+    ], { env, now })).toBe(true);
+    expect(published).toEqual({ a: { etag: '"1"', modified: t1 }, b: { etag: '"2"', modified: now.getTime() } });
+
+    // Same ETags: nothing to report, even when the event history moved on
+    expect(updateCollectionHistory(published, [
+      { uid: 'a', etag: '"1"', modified: t1 + DAY_MS },
+      { uid: 'b', etag: '"2"', modified: null }
+    ], { env, now })).toBe(false);
+
+    // A change dated before the latest recorded one gets a later time, so earlier tokens see it
+    const later = new Date(now.getTime() + 60000);
+    updateCollectionHistory(published, [{ uid: 'a', etag: '"3"', modified: t1 + DAY_MS }], { env, now: later });
+    expect(published.a.modified).toBe(later.getTime());
+    expect(published.b).toEqual({ etag: '"2"', modified: later.getTime(), removedAt: later.toISOString() });
+
+    updateCollectionHistory(published, [{ uid: 'a', etag: '"3"', modified: null }], { env, now: new Date(later.getTime() + 14 * DAY_MS + 1) });
+    expect(Object.keys(published)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for event title and description templates
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const eventTemplates = require('../src/services/event-templates');
+const ICSCalendarService = require('../src/services/ics-calendar-service');
+const dashboardRoutes = require('../src/routes/dashboard-routes');
+
+function tmpEnv() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-templates-'));
+  return { ROSTER_EVENT_TEMPLATES_PATH: path.join(dir, 'event-templates.json') };
+}
+
+const outbound = {
+  year: 2025, month: 6, day: 15, flightNumber: 'QF940', passive: false,
+  departPort: 'PER', departTime: '0700', arrivePort: 'BNE', arriveTime: '1330'
+};
+const inbound = {
+  year: 2025, month: 6, day: 16, flightNumber: 'QF941', passive: true,
+  departPort: 'BNE', departTime: '0900', arrivePort: 'PER', arriveTime: '1130'
+};
+const roster = {
+  employee: { name: 'DOE J', staffNo: '000000', base: 'PER' },
+  summary: { periodStart: { day: 14, month: 6, year: 2025 } },
+  entries: [
+    { day: 14, dutyType: 'DAY_OFF', dutyCode: 'D/O' },
+    { day: 15, dutyType: 'FLIGHT', dutyCode: '8100A1', dutyHours: '7:30', creditHours: '6:00' },
+    { day: 18, dutyType: 'RESERVE', dutyCode: 'R1', signOn: '0500', signOff: '1700' }
+  ],
+  dutyPatterns: [
+    {
+      dutyCode: '8100A1', dated: { year: 2025, month: 6, day: 15 },
+      reportTime: '0600', reportPort: 'PER', releaseTime: '1400', releasePort: 'BNE', legs: [outbound]
+    },
+    {
+      dutyCode: '8100A1', dated: { year: 2025, month: 6, day: 16 },
+      reportTime: '0800', reportPort: 'BNE', releaseTime: '1200', releasePort: 'PER', legs: [inbound]
+    }
+  ],
+  flights: [outbound, inbound]
+};
+
+describe('event template language', () => {
+  test('substitutes fields and literal braces', () => {
+    expect(eventTemplates.renderTemplate('{flight} {from}→{to} {{x}}', { flight: 'QF940', from: 'PER', to: 'BNE' }))
+      .toBe('QF940 PER→BNE {x}');
+    expect(eventTemplates.renderTemplate('{pay}|{dutyCode}', { dutyCode: 'R1' })).toBe('|R1');
+  });
+
+  test('rejects unknown fields and unbalanced braces', () => {
+    expect(() => eventTemplates.parseTemplate('{password}')).toThrow(expect.objectContaining({ code: 'EVENT_TEMPLATE_UNKNOWN_FIELD' }));
+    expect(() => eventTemplates.parseTemplate('{flight')).toThrow(expect.objectContaining({ code: 'EVENT_TEMPLATE_INVALID' }));
+    expect(() => eventTemplates.parseTemplate('flight}')).toThrow(expect.objectContaining({ code: 'EVENT_TEMPLATE_INVALID' }));
+    expect(() => eventTemplates.parseTemplate('{constructor}')).toThrow(expect.objectContaining({ code: 'EVENT_TEMPLATE_UNKNOWN_FIELD' }));
+  });
+});
+
+describe('event-templates storage', () => {
+  test('stores templates per event type and clears them when empty', () => {
+    const env = tmpEnv();
+    expect(eventTemplates.setEventTemplate('174423', 'flight', { title: ' {flight} {from}→{to} ', description: '' }, env))
+      .toEqual({ title: '{flight} {from}→{to}' });
+    expect(eventTemplates.getEventTemplates('174423', env)).toEqual({ flight: { title: '{flight} {from}→{to}' } });
+
+    expect(() => eventTemplates.setEventTemplate('174423', 'busy', { title: '{dutyCode}' }, env))
+      .toThrow(expect.objectContaining({ code: 'EVENT_TEMPLATE_UNKNOWN_FIELD' }));
+    expect(() => eventTemplates.setEventTemplate('174423', 'meals', { title: 'x' }, env))
+      .toThrow(expect.objectContaining({ code: 'EVENT_TEMPLATE_INVALID_TYPE' }));
+    expect(() => eventTemplates.setEventTemplate('174423', 'duty', { title: 'a\nb' }, env))
+      .toThrow(expect.objectContaining({ code: 'EVENT_TEMPLATE_INVALID' }));
+
+    eventTemplates.setEventTemplate('174423', 'flight', {}, env);
+    expect(eventTemplates.getEventTemplates('174423', env)).toEqual({});
+  });
+});
+
+describe('ICSCalendarService event templates', () => {
+  const icsService = new ICSCalendarService();
+  const templates = {
+    flight: { title: '{pax} {flight} {from}→{to}' },
+    duty: { title: '{route} {localDep}-{localArr}', description: '{default}\nPaid: {pay}' },
+    pattern: { title: 'Trip via {slipPorts}' },
+    reserve: { title: 'Standby {localDep}' },
+    busy: { title: 'Working {localDep}' }
+  };
+
+  function titles(events) {
+    return events.map(e => e.title);
+  }
+
+  test('renders templates for every event family', () => {
+    const events = icsService.convertRostersToEvents([roster], { eventTemplates: templates, restEvents: 'none' });
+    expect(titles(events)).toEqual(expect.arrayContaining([
+      'Trip via BNE', 'PER-BNE 0600-1400', 'QF940 PER→BNE', 'BNE-PER 0800-1200', 'PAX QF941 BNE→PER', 'Standby 0500', 'Day Off'
+    ]));
+
+    const duty = events.find(e => e.title === 'PER-BNE 0600-1400');
+    expect(duty.description).toMatch(/^Duty: 8100A1\n/);
+    expect(duty.description).toMatch(/\nPaid: \d+:\d{2} \(/);
+
+    const cities = icsService.convertRostersToEvents([roster], { eventTemplates: templates, portNames: 'city', restEvents: 'none' });
+    expect(titles(cities)).toContain('QF940 Perth→Brisbane');
+  });
+
+  test('{pay} does not depend on the built-in description', () => {
+    const events = icsService.convertRostersToEvents([roster], {
+      eventTemplates: { duty: { description: '{dutyCode} paid {pay}' } },
+      restEvents: 'none'
+    });
+    const duty = events.find(e => e.title === 'Duty: 8100A1');
+    expect(duty.description).toMatch(/^8100A1 paid \d+:\d{2} \(/);
+  });
+
+  test('semi-public feeds have no pay and public feeds only use busy/free templates', () => {
+    const semi = icsService.convertRostersToEvents([roster], { eventTemplates: templates, includePay: false, restEvents: 'none' });
+    expect(semi.find(e => e.title === 'PER-BNE 0600-1400').description).toMatch(/\nPaid:$/);
+
+    const publicEvents = icsService.convertRostersToPublicEvents([roster], { eventTemplates: templates });
+    expect(titles(publicEvents).sort()).toEqual(['Free', 'Working', 'Working 0500']);
+    expect(titles(publicEvents).join()).not.toContain('QF');
+  });
+
+  test('a template that renders blank keeps the built-in title', () => {
+    const events = icsService.convertRostersToEvents([roster], { eventTemplates: { dayoff: { title: '{flight}' } } });
+    expect(titles(events)).toContain('Day Off');
+  });
+});
+
+describe('dashboard templates page', () => {
+  const prevPath = process.env.ROSTER_EVENT_TEMPLATES_PATH;
+  let app;
+  let flashes;
+
+  beforeAll(() => {
+    process.env.ROSTER_EVENT_TEMPLATES_PATH = tmpEnv().ROSTER_EVENT_TEMPLATES_PATH;
+    app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.use((req, res, next) => {
+      req.session = { staffNo: '174423' };
+      req.flash = (type, message) => flashes.push({ type, message });
+      next();
+    });
+    app.use('/', dashboardRoutes);
+  });
+
+  beforeEach(() => {
+    flashes = [];
+  });
+
+  afterAll(() => {
+    if (prevPath === undefined) delete process.env.ROSTER_EVENT_TEMPLATES_PATH;
+    else process.env.ROSTER_EVENT_TEMPLATES_PATH = prevPath;
+  });
+
+  test('saves and resets templates', async () => {
+    const saved = await request(app).post('/dashboard/templates').type('form')
+      .send({ type: 'duty', title: '{dutyCode} {route}', description: '' });
+    expect(saved.status).toBe(302);
+    expect(saved.headers.location).toBe('/dashboard/templates');
+    expect(flashes).toEqual([{ type: 'success', message: 'Flight duties template saved' }]);
+    expect(eventTemplates.getEventTemplates('174423')).toEqual({ duty: { title: '{dutyCode} {route}' } });
+
+    await request(app).post('/dashboard/templates').type('form').send({ type: 'duty', title: '{salary}' });
+    expect(flashes[1]).toEqual({ type: 'error', message: 'Unknown template field {salary}' });
+
+    await request(app).post('/dashboard/templates').type('form').send({ type: 'duty', title: '', description: '' });
+    expect(eventTemplates.getEventTemplates('174423')).toEqual({});
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for the generated feed cache and conditional GETs on calendar feeds
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const feedCache = require('../src/services/feed-cache');
+const rosterStore = require('../src/services/roster-store');
+const rosterRoutes = require('../src/routes/roster-routes');
+
+describe('feed-cache', () => {
+  beforeEach(() => feedCache._clear());
+
+  test('reuses the cached feed until it is invalidated', async () => {
+    const generate = jest.fn(async () => `BEGIN:VCALENDAR\r\nDTSTAMP:${Date.now()}\r\nEND:VCALENDAR\r\n`);
+
+    const first = await feedCache.getFeed('100001', 'public', { eventTypes: ['duties'] }, generate, {});
+    const second = await feedCache.getFeed('100001', 'public', { eventTypes: ['duties'] }, generate, {});
+    expect(generate).toHaveBeenCalledTimes(1);
+    expect(second).toBe(first);
+    expect(first.etag).toMatch(/^"[0-9a-f]{32}"$/);
+
+    // Different options or feed type are separate entries
+    await feedCache.getFeed('100001', 'semipublic', { eventTypes: ['duties'] }, generate, {});
+    await feedCache.getFeed('100001', 'public', {}, generate, {});
+    expect(generate).toHaveBeenCalledTimes(3);
+
+    feedCache.invalidateFeeds('100001');
+    const third = await feedCache.getFeed('100001', 'public', { eventTypes: ['duties'] }, generate, {});
+    expect(generate).toHaveBeenCalledTimes(4);
+    // Only DTSTAMP changed, so the ETag and Last-Modified stay the same
+    expect(third.etag).toBe(first.etag);
+    expect(third.lastModified).toBe(first.lastModified);
+  });
+
+  test('regenerates expired feeds, keeping Last-Modified when nothing changed', async () => {
+    const generate = jest.fn(async () => 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+    const env = { ROSTER_FEED_CACHE_TTL_MINUTES: '10' };
+    const start = Date.parse('2025-07-10T00:00:00Z');
+    const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+    try {
+      const first = await feedCache.getFeed('100001', 'public', {}, generate, env);
+      now.mockReturnValue(start + 9 * 60 * 1000);
+      await feedCache.getFeed('100001', 'public', {}, generate, env);
+      expect(generate).toHaveBeenCalledTimes(1);
+
+      now.mockReturnValue(start + 10 * 60 * 1000);
+      const expired = await feedCache.getFeed('100001', 'public', {}, generate, env);
+      expect(generate).toHaveBeenCalledTimes(2);
+      expect(expired.lastModified).toEqual(first.lastModified);
+
+      // Cancelled events dropping out after their grace period change the feed
+      generate.mockImplementation(async () => 'BEGIN:VCALENDAR\r\nPRODID:x\r\nEND:VCALENDAR\r\n');
+      now.mockReturnValue(start + 20 * 60 * 1000);
+      const changed = await feedCache.getFeed('100001', 'public', {}, generate, env);
+      expect(changed.etag).not.toBe(first.etag);
+      expect(changed.lastModified.getTime()).toBe(start + 20 * 60 * 1000);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('evicts the least recently used feeds and can be disabled', async () => {
+    const generate = jest.fn(async () => 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+    const env = { ROSTER_FEED_CACHE_MAX_ENTRIES: '2' };
+
+    await feedCache.getFeed('100001', 'public', {}, generate, env);
+    await feedCache.getFeed('100002', 'public', {}, generate, env);
+    await feedCache.getFeed('100001', 'public', {}, generate, env);
+    await feedCache.getFeed('100003', 'public', {}, generate, env);
+    expect(feedCache._size()).toBe(2);
+    await feedCache.getFeed('100001', 'public', {}, generate, env);
+    expect(generate).toHaveBeenCalledTimes(3);
+
+    feedCache._clear();
+    const disabled = { ROSTER_FEED_CACHE_ENABLED: 'false' };
+    await feedCache.getFeed('100001', 'public', {}, generate, disabled);
+    const feed = await feedCache.getFeed('100001', 'public', {}, generate, disabled);
+    expect(generate).toHaveBeenCalledTimes(5);
+    expect(feedCache._size()).toBe(0);
+    expect(feed.etag).toMatch(/^"/);
+  });
+});
+
+describe('conditional GET on calendar feeds', () => {
+  const url = '/api/roster/000000/semipublic/calendar.ics';
+  let app;
+  let sampleText;
+
+  beforeAll(() => {
+    sampleText = fs.readFileSync(path.join(__dirname, '../examples/sample-roster.txt'), 'utf-8');
+    rosterStore.ingestRosterText(sampleText);
+
+    app = express();
+    app.use('/api/roster', rosterRoutes);
+  });
+
+  test('sends ETag and Last-Modified and answers 304 while the roster is unchanged', async () => {
+    const first = await request(app).get(url);
+    expect(first.status).toBe(200);
+    expect(first.headers.etag).toBeDefined();
+    expect(first.headers['last-modified']).toBeDefined();
+
+    const second = await request(app).get(url);
+    expect(second.headers.etag).toBe(first.headers.etag);
+    expect(second.text).toBe(first.text);
+
+    const byEtag = await request(app).get(url).set('If-None-Match', first.headers.etag);
+    expect(byEtag.status).toBe(304);
+    expect(byEtag.text).toBeFalsy();
+
+    const byDate = await request(app).get(url).set('If-Modified-Since', first.headers['last-modified']);
+    expect(byDate.status).toBe(304);
+
+    const stale = await request(app).get(url).set('If-None-Match', '"something-else"');
+    expect(stale.status).toBe(200);
+  });
+
+  test('a new roster revision invalidates the cached feeds', async () => {
+    const before = await request(app).get(url);
+    const changed = sampleText.replace(/\bD\/O\b/, 'AL');
+    expect(changed).not.toBe(sampleText);
+
+    rosterStore.ingestRosterText(changed);
+
+    const after = await request(app).get(url).set('If-None-Match', before.headers.etag);
+    expect(after.status).toBe(200);
+    expect(after.headers.etag).not.toBe(before.headers.etag);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for calendar feed filters (event families, duty types, date range)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const { parseFeedFilters } = require('../src/services/feed-filters');
+const ICSCalendarService = require('../src/services/ics-calendar-service');
+const rosterStore = require('../src/services/roster-store');
+const rosterRoutes = require('../src/routes/roster-routes');
+
+const leg = {
+  year: 2025, month: 6, day: 15, flightNumber: 'QF643', passive: false,
+  departPort: 'SYD', departTime: '0900', arrivePort: 'PER', arriveTime: '1130'
+};
+const roster = {
+  employee: { name: 'DOE J', staffNo: '000000', base: 'SYD' },
+  summary: { periodStart: { day: 14, month: 6, year: 2025 } },
+  entries: [
+    { day: 14, dutyType: 'DAY_OFF', dutyCode: 'D/O' },
+    { day: 16, dutyType: 'RESERVE', dutyCode: 'R1', signOn: '0500', signOff: '1700' }
+  ],
+  dutyPatterns: [{
+    dutyCode: '8100A1', dated: { year: 2025, month: 6, day: 15 },
+    reportTime: '0800', reportPort: 'SYD', releaseTime: '1200', releasePort: 'PER', legs: [leg]
+  }],
+  flights: [leg],
+  simulatorSessions: [{
+    simulatorCode: 'SIM21', year: 2025, month: 6, day: 20,
+    startPort: 'SYD', endPort: 'SYD', startTime: '0900', endTime: '1300'
+  }]
+};
+
+function titles(events) {
+  return events.map(e => e.title).sort();
+}
+
+describe('parseFeedFilters', () => {
+  test('parses event families, duty types and day ranges', () => {
+    expect(parseFeedFilters({})).toEqual({});
+    expect(parseFeedFilters({ events: 'Duties, flights', dutyTypes: 'flight,RESERVE', past: '7', next: '30' })).toEqual({
+      eventTypes: ['duties', 'flights'],
+      dutyTypes: ['FLIGHT', 'RESERVE'],
+      pastDays: 7,
+      nextDays: 30
+    });
+    expect(parseFeedFilters({ events: ['duties', 'daysoff'] }).eventTypes).toEqual(['duties', 'daysoff']);
+    expect(parseFeedFilters({ rest: 'ALL' })).toEqual({ restEvents: 'all' });
+  });
+
+  test('rejects unknown families and bad day counts', () => {
+    for (const query of [{ events: 'meals' }, { events: '' }, { dutyTypes: 'flight duty' }, { past: '-1' }, { next: 'week' }, { next: '1.5' }, { rest: 'some' }]) {
+      expect(() => parseFeedFilters(query)).toThrow(expect.objectContaining({ code: 'FEED_FILTER_INVALID' }));
+    }
+  });
+});
+
+describe('ICSCalendarService feed filters', () => {
+  const icsService = new ICSCalendarService();
+
+  test('includes every family by default', () => {
+    expect(titles(icsService.convertRosterToEvents(roster))).toEqual([
+      'Day Off', 'Duty: 8100A1', 'QF643 SYD-PER 0900-1130', 'Reserve Duty: R1', 'Simulator: SIM21'
+    ]);
+  });
+
+  test('toggles event families and filters by duty type', () => {
+    expect(titles(icsService.convertRosterToEvents(roster, { eventTypes: ['duties', 'simulators'] })))
+      .toEqual(['Duty: 8100A1', 'Reserve Duty: R1', 'Simulator: SIM21']);
+    expect(titles(icsService.convertRosterToEvents(roster, { eventTypes: ['daysoff'] }))).toEqual(['Day Off']);
+    expect(titles(icsService.convertRosterToEvents(roster, { dutyTypes: ['FLIGHT'] })))
+      .toEqual(['Duty: 8100A1', 'QF643 SYD-PER 0900-1130']);
+    expect(titles(icsService.convertRosterToEvents(roster, { eventTypes: ['duties'], dutyTypes: ['RESERVE'] })))
+      .toEqual(['Reserve Duty: R1']);
+  });
+
+  test('limits the date range to past and next days', () => {
+    jest.useFakeTimers({ now: new Date('2025-07-16T12:00:00Z') });
+    try {
+      expect(titles(icsService.convertRosterToEvents(roster, { pastDays: 0, nextDays: 2 }))).toEqual(['Reserve Duty: R1']);
+      expect(titles(icsService.convertRosterToEvents(roster, { pastDays: 1 })))
+        .toEqual(['Duty: 8100A1', 'QF643 SYD-PER 0900-1130', 'Reserve Duty: R1', 'Simulator: SIM21']);
+      expect(titles(icsService.convertRostersToPublicEvents([roster], { nextDays: 0, pastDays: 0 }))).toEqual(['Busy']);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('calendar routes with feed filters', () => {
+  let app;
+
+  beforeAll(() => {
+    const sampleText = fs.readFileSync(path.join(__dirname, '../examples/sample-roster.txt'), 'utf-8');
+    rosterStore.ingestRosterText(sampleText);
+
+    app = express();
+    app.use('/api/roster', rosterRoutes);
+  });
+
+  test('applies query filters to shared feeds and rejects invalid ones', async () => {
+    const all = await request(app).get('/api/roster/000000/semipublic/calendar.ics');
+    const daysOffOnly = await request(app).get('/api/roster/000000/semipublic/calendar.ics?events=daysoff');
+
+    expect(daysOffOnly.status).toBe(200);
+    const count = text => (text.match(/BEGIN:VEVENT/g) || []).length;
+    expect(count(daysOffOnly.text)).toBeLessThan(count(all.text));
+    expect(daysOffOnly.text).not.toContain('SUMMARY:Duty');
+
+    const bad = await request(app).get('/api/roster/000000/public/calendar.ics?next=soon');
+    expect(bad.status).toBe(400);
+    expect(bad.body.error).toContain('next');
+
+    const cities = await request(app).get('/api/roster/000000/semipublic/calendar.ics?ports=city');
+    expect(cities.status).toBe(200);
+    expect((await request(app).get('/api/roster/000000/semipublic/calendar.ics?ports=airport')).status).toBe(400);
+  });
+});
@@ -534,6 +534,33 @@ describe('ICSCalendarService', () => {
       expect(desc).not.toContain('$');
     });
 
+    test('duty and flight leg events show Pattern Details aircraft and time totals', () => {
+      const employee = { name: 'DOE J', staffNo: '000000', base: 'PER' };
+      const leg = {
+        year: 2025, month: 6, day: 15, flightNumber: 'QF940', passive: false,
+        departPort: 'PER', departTime: '1745', arrivePort: 'BNE', arriveTime: '2357',
+        aircraftType: '73H', blockMinutes: 252
+      };
+      const pattern = {
+        dutyCode: '8026A4', dated: { year: 2025, month: 6, day: 15 },
+        reportTime: '1650', reportPort: 'PER', releaseTime: '0012', releasePort: 'BNE',
+        flightMinutes: 252, dutyMinutes: 322, creditMinutes: 260, legs: [leg]
+      };
+
+      const flightDesc = icsService.createEventFromFlightLeg(leg, employee).description;
+      expect(flightDesc).toContain('Aircraft: 73H');
+      expect(flightDesc).toContain('Block time: 4:12');
+
+      const dutyDesc = icsService.createDutyEventFromPattern(pattern, employee, null, null, true).description;
+      expect(dutyDesc).toContain('QF940 PER-BNE (73H)');
+      expect(dutyDesc).toContain('Flight time: 4:12 | Duty time: 5:22 | Credit: 4:20');
+      expect(dutyDesc).toContain('Pay: 4:20 (credit');
+
+      const noPayDesc = icsService.createDutyEventFromPattern(pattern, employee, null, null, false).description;
+      expect(noPayDesc).toContain('Flight time: 4:12 | Duty time: 5:22');
+      expect(noPayDesc).not.toContain('Credit');
+    });
+
     test('convertRosterToEvents with includePay false should omit pay lines', () => {
       const parser = new QantasRosterParser();
       const text = fs.readFileSync(
@@ -551,4 +578,101 @@ describe('ICSCalendarService', () => {
       });
     });
   });
+
+  describe('local time output (timezoneMode: local)', () => {
+    const employee = { name: 'DOE J', staffNo: '000000', base: 'SYD' };
+    const leg = {
+      year: 2025, month: 6, day: 15, flightNumber: 'QF643', passive: false,
+      departPort: 'SYD', departTime: '0900', arrivePort: 'PER', arriveTime: '1130'
+    };
+    const roster = {
+      employee,
+      summary: { periodStart: { day: 14, month: 6, year: 2025 } },
+      entries: [],
+      dutyPatterns: [{
+        dutyCode: '8100A1', dated: { year: 2025, month: 6, day: 15 },
+        reportTime: '0800', reportPort: 'SYD', releaseTime: '1200', releasePort: 'PER', legs: [leg]
+      }],
+      flights: [leg]
+    };
+
+    test('uses TZID-qualified port-local times with matching VTIMEZONEs', async () => {
+      const local = await icsService.generateICSForRosters([roster], { timezoneMode: 'local' });
+
+      expect(local).toContain('DTSTART;TZID=Australia/Sydney:20250715T080000');
+      expect(local).toContain('DTEND;TZID=Australia/Perth:20250715T120000');
+      expect(local).toContain('DTSTART;TZID=Australia/Sydney:20250715T090000');
+      expect(local).toContain('DTEND;TZID=Australia/Perth:20250715T113000');
+      expect(local).not.toMatch(/^DT(START|END):\d{8}T\d{6}Z/m);
+      expect(local).toContain('BEGIN:VTIMEZONE\r\nTZID:Australia/Perth');
+      expect(local).toContain('BEGIN:VTIMEZONE\r\nTZID:Australia/Sydney');
+      expect(local.indexOf('BEGIN:VTIMEZONE')).toBeLessThan(local.indexOf('BEGIN:VEVENT'));
+      expect(local).not.toMatch(/^DT(START|END):TZID=/m);
+    });
+
+    test('replaces only timed VEVENT start/end lines and leaves all-day events alone', () => {
+      const line = icsService.formatLocalTimeProperty('DTSTART', [2025, 7, 15, 0, 0], 'America/Argentina/ComodRivadavia');
+      expect(line).toBe('DTSTART;TZID=America/Argentina/ComodRivadavia:20250714T210000');
+
+      const timed = icsService.setEventTimezones({
+        uid: 'a', title: 'Timed', start: [2025, 7, 15, 0, 0], startInputType: 'utc', startOutputType: 'utc',
+        end: [2025, 7, 15, 2, 0], endInputType: 'utc', endOutputType: 'utc'
+      }, 'Australia/Perth');
+      const allDay = { uid: 'b', title: 'Off', start: [2025, 7, 16], end: [2025, 7, 17] };
+      const rendered = 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nUID:a\r\nDTSTART:20250715T000000Z\r\nDTEND:20250715T020000Z\r\n' +
+        'END:VEVENT\r\nBEGIN:VEVENT\r\nUID:b\r\nDESCRIPTION:folded\r\n\tline\r\nDTSTART;VALUE=DATE:20250716\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n';
+
+      const local = icsService.toLocalTimeCalendar(rendered, [timed, allDay]);
+      expect(local).toContain('UID:a\r\nDTSTART;TZID=Australia/Perth:20250715T080000\r\nDTEND;TZID=Australia/Perth:20250715T100000\r\n');
+      expect(local).toContain('DESCRIPTION:folded\r\n\tline\r\nDTSTART;VALUE=DATE:20250716\r\n');
+      expect(local.indexOf('TZID:Australia/Perth')).toBeLessThan(local.indexOf('BEGIN:VEVENT'));
+    });
+
+    test('defaults to UTC and applies to the semi-public feed', async () => {
+      const utc = await icsService.generateICSForRosters([roster]);
+      expect(utc).toContain('DTSTART:20250714T220000Z');
+      expect(utc).not.toContain('VTIMEZONE');
+
+      const semi = await icsService.generateSemiPublicICSForRosters([roster], { timezoneMode: 'local' });
+      expect(semi).toContain('DTSTART;TZID=Australia/Sydney:20250715T080000');
+      expect(semi).not.toContain('Pay:');
+    });
+  });
+
+  describe('airport locations', () => {
+    const leg = {
+      year: 2025, month: 6, day: 15, flightNumber: 'QF643', passive: false,
+      departPort: 'SYD', departTime: '0900', arrivePort: 'PER', arriveTime: '1130'
+    };
+    const roster = {
+      employee: { name: 'DOE J', staffNo: '000000', base: 'SYD' },
+      summary: { periodStart: { day: 14, month: 6, year: 2025 } },
+      entries: [],
+      dutyPatterns: [{
+        dutyCode: '8100A1', dated: { year: 2025, month: 6, day: 15 },
+        reportTime: '0800', reportPort: 'SYD', releaseTime: '1200', releasePort: 'PER', legs: [leg]
+      }],
+      flights: [leg]
+    };
+
+    test('duty and flight leg events carry LOCATION and GEO', async () => {
+      const events = icsService.convertRosterToEvents(roster);
+      const flight = events.find(e => e.title.startsWith('QF643'));
+      expect(flight.location).toBe('Sydney Kingsford Smith (SYD)');
+      expect(flight.geo).toEqual({ lat: -33.9399, lon: 151.1753 });
+      expect(events.find(e => e.title === 'Duty: 8100A1').location).toBe('Sydney Kingsford Smith (SYD)');
+
+      const ics = await icsService.generateICSForRosters([roster]);
+      expect(ics).toContain('LOCATION:Sydney Kingsford Smith (SYD)');
+      expect(ics).toContain('GEO:-33.9399;151.1753');
+    });
+
+    test('portNames city uses city names in titles and descriptions', () => {
+      const events = icsService.convertRosterToEvents(roster, { portNames: 'city' });
+      const flight = events.find(e => e.title.startsWith('QF643'));
+      expect(flight.title).toBe('QF643 Sydney-Perth 0900-1130');
+      expect(flight.description).toContain('From: Sydney\nTo: Perth');
+      expect(events.find(e => e.title === 'Duty: 8100A1').description).toContain('Report: Sydney 0800');
+    });
+  });
 });
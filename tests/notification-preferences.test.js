@@ -0,0 +1,195 @@
+/**
+ * Tests for notification preferences: channels, change classes, skipping and quiet hours
+ */
+
+jest.mock('../src/services/outbound-email-service', () => ({
+  sendEmail: jest.fn(async () => ({ sent: true, messageId: 'test-message' }))
+}));
+jest.mock('../src/services/pilot-directory', () => ({
+  ...jest.requireActual('../src/services/pilot-directory'),
+  getEmailForStaffNo: jest.fn(() => 'pilot@example.com'),
+  getPayRateForStaffNo: jest.fn(() => null)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const QantasRosterParser = require('../src/parsers/qantas-roster-parser');
+const { sendEmail } = require('../src/services/outbound-email-service');
+const notificationPreferences = require('../src/services/notification-preferences');
+const {
+  notifyRosterChange,
+  flushDeferredNotifications,
+  countDeferredNotifications
+} = require('../src/services/roster-change-notifier');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, '../examples/sample-webcis-roster.txt'), 'utf8');
+const quiet = { log: () => {}, warn: () => {} };
+
+// Perth (sample roster base) is UTC+8 all year
+const PERTH_23_00 = new Date('2026-01-05T15:00:00Z');
+const PERTH_07_30 = new Date('2026-01-05T23:30:00Z');
+const PERTH_12_00 = new Date('2026-01-06T04:00:00Z');
+
+describe('notification preferences', () => {
+  let env;
+  let previousRoster;
+  let roster;
+  let rosterText;
+
+  const savePreferences = (input) => notificationPreferences.setNotificationPreferences('000000', {
+    channels: ['email', 'webhooks'],
+    changeClasses: Object.keys(notificationPreferences.CHANGE_CLASSES),
+    attachRoster: 'true',
+    ...input
+  }, env);
+
+  beforeEach(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notification-preferences-'));
+    env = {
+      ROSTER_NOTIFICATION_PREFERENCES_PATH: path.join(dir, 'notification-preferences.json'),
+      ROSTER_DEFERRED_NOTIFICATIONS_PATH: path.join(dir, 'deferred-notifications.json'),
+      ROSTER_ALARM_RULES_PATH: path.join(dir, 'alarm-rules.json'),
+      ROSTER_EVENT_TEMPLATES_PATH: path.join(dir, 'event-templates.json')
+    };
+
+    rosterText = SAMPLE.replace('940/950', '940/951').replace('29Dec       950  ', '29Dec       951  ');
+    const parser = new QantasRosterParser();
+    previousRoster = parser.parse(SAMPLE);
+    roster = parser.parse(rosterText);
+    sendEmail.mockClear();
+  });
+
+  test('defaults notify on everything; saving validates and normalizes form values', () => {
+    expect(notificationPreferences.getNotificationPreferences('000000', env)).toEqual(notificationPreferences.DEFAULT_PREFERENCES);
+
+    const saved = notificationPreferences.setNotificationPreferences('000000', {
+      channels: 'email',
+      changeClasses: ['flights', 'times'],
+      skipDuplicates: 'on',
+      quietStart: '22:00',
+      quietEnd: '07:00'
+    }, env);
+    expect(saved).toEqual({
+      channels: ['email'],
+      changeClasses: ['times', 'flights'],
+      skipDuplicates: true,
+      skipUnchanged: false,
+      attachRoster: false,
+      quietHours: { start: '22:00', end: '07:00' },
+      weeklyDigest: false,
+      digestDays: 7
+    });
+    expect(notificationPreferences.getNotificationPreferences('000000', env)).toMatchObject(saved);
+
+    expect(() => notificationPreferences.setNotificationPreferences('000000', { channels: 'sms' }, env))
+      .toThrow(expect.objectContaining({ code: 'NOTIFICATION_PREFERENCES_INVALID_CHANNEL' }));
+    expect(() => notificationPreferences.setNotificationPreferences('000000', { changeClasses: 'meals' }, env))
+      .toThrow(expect.objectContaining({ code: 'NOTIFICATION_PREFERENCES_INVALID_CHANGE_CLASS' }));
+    expect(() => notificationPreferences.setNotificationPreferences('000000', { quietStart: '22:00' }, env))
+      .toThrow(expect.objectContaining({ code: 'NOTIFICATION_PREFERENCES_INVALID_QUIET_HOURS' }));
+    expect(() => notificationPreferences.setNotificationPreferences('000000', { weeklyDigest: 'on', digestDays: '30' }, env))
+      .toThrow(expect.objectContaining({ code: 'NOTIFICATION_PREFERENCES_INVALID_DIGEST_DAYS' }));
+  });
+
+  test('quiet hours are local to the base and may wrap past midnight', () => {
+    const overnight = { quietHours: { start: '22:00', end: '07:00' } };
+    expect(notificationPreferences.getBaseTimezone('PER')).toBe('Australia/Perth');
+    expect(notificationPreferences.isInQuietHours(overnight, 'Australia/Perth', PERTH_23_00)).toBe(true);
+    expect(notificationPreferences.isInQuietHours(overnight, 'Australia/Perth', PERTH_07_30)).toBe(false);
+    expect(notificationPreferences.isInQuietHours(overnight, 'Australia/Perth', new Date('2026-01-05T22:59:00Z'))).toBe(true);
+    // 23:00 in Perth is 02:00 the next day in Sydney (UTC+11 in January)
+    expect(notificationPreferences.isInQuietHours({ quietHours: { start: '01:00', end: '03:00' } }, 'Australia/Sydney', PERTH_23_00)).toBe(true);
+    expect(notificationPreferences.isInQuietHours({ quietHours: null }, 'Australia/Perth', PERTH_23_00)).toBe(false);
+  });
+
+  test('skips duplicates, unwanted change classes and disabled email; can leave out the roster text', async () => {
+    savePreferences({ skipDuplicates: 'true', changeClasses: ['times'] });
+
+    const duplicate = await notifyRosterChange({ rosterId: '000000', rosterText: SAMPLE, roster: previousRoster, previousRoster, isNew: false }, env, quiet);
+    expect(duplicate).toMatchObject({ notified: false, reason: 'skipped-duplicate' });
+
+    const swapped = await notifyRosterChange({ rosterId: '000000', rosterText, roster, previousRoster, isNew: true }, env, quiet);
+    expect(swapped).toMatchObject({ notified: false, reason: 'skipped-change-classes' });
+    expect(sendEmail).not.toHaveBeenCalled();
+
+    savePreferences({ changeClasses: ['flights'], attachRoster: '' });
+    const sent = await notifyRosterChange({ rosterId: '000000', rosterText, roster, previousRoster, isNew: true }, env, quiet);
+    expect(sent).toMatchObject({ notified: true });
+    expect(sendEmail.mock.calls[0][0].attachments.map(a => a.filename)).toEqual(['roster-000000-changes.ics']);
+
+    savePreferences({ channels: ['webhooks'] });
+    const disabled = await notifyRosterChange({ rosterId: '000000', rosterText, roster, previousRoster, isNew: true }, env, quiet);
+    expect(disabled).toMatchObject({ notified: false, reason: 'email-disabled' });
+  });
+
+  test('skips revisions that change no duties when asked to', async () => {
+    savePreferences({ skipUnchanged: 'true' });
+
+    const late = await notifyRosterChange({ rosterId: '000000', rosterText, roster, previousRoster, isNew: true, superseded: true }, env, quiet);
+    expect(late).toMatchObject({ notified: false, reason: 'skipped-unchanged' });
+
+    const reissued = new QantasRosterParser().parse(SAMPLE.replace('31Jan26 1200', '01Feb26 0900'));
+    const unchanged = await notifyRosterChange({ rosterId: '000000', rosterText: SAMPLE, roster: reissued, previousRoster, isNew: true }, env, quiet);
+    expect(unchanged).toMatchObject({ notified: false, reason: 'skipped-unchanged' });
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  test('defers emails in quiet hours and sends one batched email per bid period when they end', async () => {
+    savePreferences({ quietStart: '22:00', quietEnd: '07:00' });
+
+    const first = await notifyRosterChange({ rosterId: '000000', rosterText, roster, previousRoster, isNew: true, now: PERTH_23_00 }, env, quiet);
+    expect(first).toMatchObject({ notified: false, reason: 'quiet-hours', deferred: true });
+    await notifyRosterChange({ rosterId: '000000', rosterText, roster, previousRoster: roster, isNew: false, now: PERTH_23_00 }, env, quiet);
+    expect(countDeferredNotifications('000000', env)).toBe(2);
+    expect(sendEmail).not.toHaveBeenCalled();
+
+    // Still quiet: nothing is sent
+    expect(await flushDeferredNotifications({ now: new Date('2026-01-05T20:00:00Z') }, env, quiet)).toEqual([]);
+
+    const results = await flushDeferredNotifications({ now: PERTH_07_30 }, env, quiet);
+    expect(results).toEqual([expect.objectContaining({ notified: true })]);
+    expect(countDeferredNotifications('000000', env)).toBe(0);
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    const [message] = sendEmail.mock.calls[0];
+    expect(message.text).toContain('2 roster revisions arrived during your quiet hours');
+    expect(message.text).toContain('Changes: 1 flight swapped');
+    expect(message.html).toContain('2 roster revisions arrived during your quiet hours');
+  });
+
+  test('keeps deferred emails that fail to send and retries them with backoff', async () => {
+    savePreferences({ quietStart: '22:00', quietEnd: '07:00' });
+    await notifyRosterChange({ rosterId: '000000', rosterText, roster, previousRoster, isNew: true, now: PERTH_23_00 }, env, quiet);
+
+    sendEmail.mockRejectedValueOnce(new Error('SMTP down'));
+    expect(await flushDeferredNotifications({ now: PERTH_07_30 }, env, quiet))
+      .toEqual([expect.objectContaining({ notified: false, reason: 'error', error: 'SMTP down' })]);
+    expect(countDeferredNotifications('000000', env)).toBe(1);
+
+    // Not retried before the backoff (5 minutes) is up
+    expect(await flushDeferredNotifications({ now: new Date(PERTH_07_30.getTime() + 60_000) }, env, quiet)).toEqual([]);
+
+    const retried = await flushDeferredNotifications({ now: new Date(PERTH_07_30.getTime() + 5 * 60_000) }, env, quiet);
+    expect(retried).toEqual([expect.objectContaining({ notified: true })]);
+    expect(countDeferredNotifications('000000', env)).toBe(0);
+    expect(sendEmail).toHaveBeenCalledTimes(2);
+  });
+
+  test('turning quiet hours off releases deferred emails at the next check', async () => {
+    savePreferences({ quietStart: '22:00', quietEnd: '07:00' });
+    await notifyRosterChange({ rosterId: '000000', rosterText, roster, previousRoster, isNew: true, now: PERTH_23_00 }, env, quiet);
+
+    savePreferences({});
+    const results = await flushDeferredNotifications({ now: PERTH_23_00 }, env, quiet);
+    expect(results).toEqual([expect.objectContaining({ notified: true })]);
+    expect(sendEmail.mock.calls[0][0].text).not.toContain('quiet hours');
+  });
+
+  test('daytime revisions are sent straight away', async () => {
+    savePreferences({ quietStart: '22:00', quietEnd: '07:00' });
+    const result = await notifyRosterChange({ rosterId: '000000', rosterText, roster, previousRoster, isNew: true, now: PERTH_12_00 }, env, quiet);
+    expect(result).toMatchObject({ notified: true });
+  });
+});
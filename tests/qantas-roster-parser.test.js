@@ -26,6 +26,35 @@ describe('QantasRosterParser', () => {
     expect(roster.employee.line).toBe('PLH');
   });
 
+  test('should parse seniority, mailbox, work rule, PSN and issue time from the header', () => {
+    const roster = parser.parse(sampleRosterText);
+
+    expect(roster.employee).toMatchObject({
+      seniorityNo: '2248',
+      mailbox: '0',
+      workRule: 'QFSH',
+      psn: '20'
+    });
+    expect(roster.summary.issueTimestamp).toBe('13Jan26 1559');
+    expect(roster.summary.issuedAt).toEqual({ year: 2026, month: 0, day: 13, time: '1559' });
+  });
+
+  test('should parse the header fields whatever the label spacing', () => {
+    const respaced = sampleRosterText
+      .replace(/Snrty No:\s+/, 'Snrty No : ')
+      .replace(/Mailbox :\s+/, 'Mailbox: ')
+      .replace(/WorkRule:\s+/, 'WorkRule :   ')
+      .replace(/PSN     :\s+/, 'PSN: ');
+    expect(respaced).toContain('PSN: 20');
+
+    expect(parser.parse(respaced).employee).toMatchObject({
+      seniorityNo: '2248',
+      mailbox: '0',
+      workRule: 'QFSH',
+      psn: '20'
+    });
+  });
+
   test('should parse roster entries', () => {
     const roster = parser.parse(sampleRosterText);
 
@@ -211,6 +240,26 @@ describe('QantasRosterParser', () => {
     expect(first).toHaveProperty('day');
   });
 
+  test('should capture aircraft type, block time and duty period totals from Pattern Details', () => {
+    const text = fs.readFileSync(
+      path.join(__dirname, '../examples/roster-174423-bp-3695.txt'),
+      'utf-8'
+    );
+    const roster = parser.parse(text);
+
+    const qf940 = roster.flights.find(f => f.flightNumber === 'QF940');
+    expect(qf940).toMatchObject({ aircraftType: '73H', blockMinutes: 252 });
+
+    const pax = roster.flights.find(f => f.flightNumber === 'QF1743');
+    expect(pax).toMatchObject({ passive: true, aircraftType: '320', blockMinutes: 0 });
+
+    // "Rpt  1650 Rls  0012        BNE   12:38   4:12  5:22   4:20" (Grnd Blk Duty Cred)
+    expect(roster.dutyPatterns[0]).toMatchObject({ flightMinutes: 252, dutyMinutes: 322, creditMinutes: 260 });
+    // "Rpt  1250 Rls  1703                      0:00  6:13   2:45" (no ground time)
+    expect(roster.dutyPatterns[1]).toMatchObject({ flightMinutes: 0, dutyMinutes: 373, creditMinutes: 165 });
+    expect(roster.dutyPatterns[0].legs[0].aircraftType).toBe('73H');
+  });
+
   test('should extract simulator sessions from Pattern Details section', () => {
     const text = fs.readFileSync(
       path.join(__dirname, '../examples/roster-174423-bp-3745.txt'),
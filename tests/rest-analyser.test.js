@@ -0,0 +1,131 @@
+/**
+ * Tests for the rest analyser and the rest events in calendar feeds
+ */
+
+const ICSCalendarService = require('../src/services/ics-calendar-service');
+const { getRestConfig, analyseRest } = require('../src/services/rest-analyser');
+
+function makeLeg(day, flightNumber, departPort, departTime, arrivePort, arriveTime) {
+  return { year: 2025, month: 6, day, flightNumber, passive: false, departPort, departTime, arrivePort, arriveTime };
+}
+
+const outbound = makeLeg(15, 'QF643', 'SYD', '0700', 'PER', '0830');
+const inbound = makeLeg(16, 'QF644', 'PER', '0700', 'SYD', '1300');
+const roster = {
+  employee: { name: 'DOE J', staffNo: '000000', base: 'SYD' },
+  summary: { periodStart: { day: 14, month: 6, year: 2025 } },
+  entries: [
+    { day: 14, dutyType: 'DAY_OFF', dutyCode: 'D/O' },
+    { day: 17, dutyType: 'RESERVE', dutyCode: 'R1', signOn: '0500', signOff: '1700' }
+  ],
+  dutyPatterns: [
+    {
+      dutyCode: '8100A1', dated: { year: 2025, month: 6, day: 15 },
+      reportTime: '0600', reportPort: 'SYD', releaseTime: '0900', releasePort: 'PER', legs: [outbound]
+    },
+    {
+      dutyCode: '8101A1', dated: { year: 2025, month: 6, day: 16 },
+      reportTime: '0600', reportPort: 'PER', releaseTime: '1330', releasePort: 'SYD', legs: [inbound]
+    }
+  ],
+  flights: [outbound, inbound],
+  simulatorSessions: [{
+    simulatorCode: 'SIM21', year: 2025, month: 6, day: 18,
+    startPort: 'SYD', endPort: 'SYD', startTime: '0200', endTime: '0600'
+  }]
+};
+
+const config = { minRestMinutes: 600, minRestAwayMinutes: 720, maxRestEventMinutes: 2880 };
+
+describe('getRestConfig', () => {
+  test('reads hours with defaults', () => {
+    expect(getRestConfig({})).toEqual({ minRestMinutes: 600, minRestAwayMinutes: 600, maxRestEventMinutes: 2880 });
+    expect(getRestConfig({ ROSTER_MIN_REST_HOURS: '12', ROSTER_MIN_REST_AWAY_HOURS: '10:30', ROSTER_REST_EVENT_MAX_HOURS: 'soon' }))
+      .toEqual({ minRestMinutes: 720, minRestAwayMinutes: 630, maxRestEventMinutes: 2880 });
+  });
+});
+
+describe('analyseRest', () => {
+  test('measures rest between consecutive duties, reserves and simulators', () => {
+    const periods = analyseRest([roster], { config });
+    expect(periods.map(p => [new Date(p.start).toISOString(), p.minutes, p.port, p.atBase, p.short])).toEqual([
+      ['2025-07-15T01:00:00.000Z', 1260, 'PER', false, false],
+      ['2025-07-16T03:30:00.000Z', 930, 'SYD', true, false],
+      ['2025-07-17T07:00:00.000Z', 540, 'SYD', true, true]
+    ]);
+    expect(periods[2].after.map(e => e.title)).toEqual(['Reserve Duty: R1']);
+    expect(periods[2].before.map(e => e.title)).toEqual(['Simulator: SIM21']);
+  });
+
+  test('uses the away-from-base minimum away from base', () => {
+    const periods = analyseRest([roster], { config: { ...config, minRestAwayMinutes: 1320 } });
+    expect(periods[0]).toMatchObject({ port: 'PER', minimumMinutes: 1320, short: true });
+  });
+});
+
+describe('rest events in calendar feeds', () => {
+  const icsService = new ICSCalendarService();
+
+  function restEvents(events) {
+    return events.filter(e => (icsService.getEventKind(e) || {}).family === 'rest');
+  }
+
+  test('flags short rest by default', () => {
+    const events = icsService.convertRostersToEvents([roster], { restConfig: config });
+    const rest = restEvents(events);
+    expect(rest.map(e => e.title)).toEqual(['Short rest: 9:00 at SYD (min 10:00)']);
+    expect(rest[0]).toMatchObject({
+      start: [2025, 7, 17, 7, 0],
+      end: [2025, 7, 17, 16, 0],
+      busyStatus: 'FREE',
+      transp: 'TRANSPARENT',
+      uid: expect.stringMatching(/^rest-before-[0-9a-f]{16}@roster-calendar$/)
+    });
+
+    const sim = events.find(e => e.title === 'Simulator: SIM21');
+    expect(sim.description).toContain('Short rest before this duty: 9:00 at SYD (minimum 10:00)');
+  });
+
+  test('rest=all adds every rest period and rest=none turns rest output off', () => {
+    const all = icsService.convertRostersToEvents([roster], { restConfig: config, restEvents: 'all', portNames: 'city' });
+    expect(restEvents(all).map(e => e.title)).toEqual([
+      'Rest: 21:00 at Perth', 'Rest: 15:30 at Sydney', 'Short rest: 9:00 at Sydney (min 10:00)'
+    ]);
+
+    const none = icsService.convertRostersToEvents([roster], { restConfig: config, restEvents: 'none' });
+    expect(restEvents(none)).toEqual([]);
+    expect(none.find(e => e.title === 'Simulator: SIM21').description).not.toContain('Short rest');
+  });
+
+  test('the short-rest warning is added after the pilot\'s description template', () => {
+    const events = icsService.convertRostersToEvents([roster], {
+      restConfig: config,
+      eventTemplates: { simulator: { description: 'Sim {dutyCode}' } }
+    });
+    expect(events.find(e => e.title === 'Simulator: SIM21').description)
+      .toBe('Sim SIM21\n\nShort rest before this duty: 9:00 at SYD (minimum 10:00)');
+  });
+
+  test('rest events follow the feed filters and are measured from one conversion', () => {
+    const convert = jest.spyOn(ICSCalendarService.prototype, 'convertRosterToEvents');
+    const events = icsService.convertRostersToEvents([roster], { restConfig: config, restEvents: 'all' });
+    expect(convert).toHaveBeenCalledTimes(1);
+    convert.mockRestore();
+
+    const daysOff = icsService.convertRostersToEvents([roster], { restConfig: config, restEvents: 'all', eventTypes: ['daysoff'] });
+    expect(daysOff.map(e => e.title)).toEqual(['Day Off']);
+
+    // Rest is still measured between duties the feed leaves out
+    const restOnly = icsService.convertRostersToEvents([roster], { restConfig: config, restEvents: 'all', eventTypes: ['rest'] });
+    expect(restOnly.map(e => e.uid)).toEqual(restEvents(events).map(e => e.uid));
+  });
+
+  test('a moved release keeps the rest event UID', () => {
+    const later = { ...roster, entries: [roster.entries[0], { ...roster.entries[1], signOff: '1800' }] };
+    const before = restEvents(icsService.convertRostersToEvents([roster], { restConfig: config }));
+    const after = restEvents(icsService.convertRostersToEvents([later], { restConfig: config }));
+
+    expect(after[0].title).toBe('Short rest: 8:00 at SYD (min 10:00)');
+    expect(after[0].uid).toBe(before[0].uid);
+  });
+});
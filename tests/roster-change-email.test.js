@@ -0,0 +1,114 @@
+/**
+ * Tests for the HTML roster change email and its .ics attachment
+ */
+
+jest.mock('../src/services/outbound-email-service', () => ({
+  sendEmail: jest.fn(async () => ({ sent: true, messageId: 'test-message' }))
+}));
+jest.mock('../src/services/pilot-directory', () => ({
+  ...jest.requireActual('../src/services/pilot-directory'),
+  getEmailForStaffNo: jest.fn(() => 'pilot@example.com'),
+  getPayRateForStaffNo: jest.fn(() => 150)
+}));
+jest.mock('../src/services/roster-diff', () => {
+  const actual = jest.requireActual('../src/services/roster-diff');
+  return { ...actual, diffRosters: jest.fn(actual.diffRosters) };
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const QantasRosterParser = require('../src/parsers/qantas-roster-parser');
+const ICSCalendarService = require('../src/services/ics-calendar-service');
+const { sendEmail } = require('../src/services/outbound-email-service');
+const { diffRosters } = require('../src/services/roster-diff');
+const { notifyRosterChange, getChangedEvents } = require('../src/services/roster-change-notifier');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, '../examples/sample-webcis-roster.txt'), 'utf8');
+
+describe('roster change email', () => {
+  let env;
+  let previousRoster;
+  let roster;
+  let rosterText;
+
+  beforeAll(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-change-email-'));
+    env = {
+      ROSTER_ALARM_RULES_PATH: path.join(dir, 'alarm-rules.json'),
+      ROSTER_EVENT_TEMPLATES_PATH: path.join(dir, 'event-templates.json')
+    };
+
+    rosterText = SAMPLE
+      .replace('940/950', '940/951')
+      .replace('29Dec       950  ', '29Dec       951  ')
+      .replace('9:45  7:35', '9:45  8:10');
+    const parser = new QantasRosterParser();
+    previousRoster = parser.parse(SAMPLE);
+    roster = parser.parse(rosterText);
+  });
+
+  beforeEach(() => {
+    sendEmail.mockClear();
+    diffRosters.mockClear();
+  });
+
+  test('sends text and colour-coded HTML with pay impact and an .ics of the changed events', async () => {
+    const result = await notifyRosterChange({ rosterId: '000000', rosterText, roster, previousRoster, isNew: true }, env, { log: () => {} });
+    expect(result).toMatchObject({ notified: true, to: 'pilot@example.com' });
+    expect(diffRosters).toHaveBeenCalledTimes(1);
+
+    const [message] = sendEmail.mock.calls[0];
+    expect(message.text).toContain('Changes: 1 flight swapped');
+    expect(message.text).toContain('Pay impact: Credit 7:35 -> 8:10 (+0:35), +$87.50 at $150.00/hr');
+
+    expect(message.html).toContain('<table');
+    expect(message.html).toContain('background:#fff8e1;');
+    expect(message.html).toContain('29 Mon Dec');
+    expect(message.html).toContain('Flight swapped: QF950 -&gt; QF951 BNE-SYD (8001A1)');
+    expect(message.html).toContain('+$87.50 at $150.00/hr');
+
+    expect(message.attachments.map(a => a.filename)).toEqual(['roster-000000.txt', 'roster-000000-changes.ics']);
+    const ics = message.attachments[1].content;
+    const uids = Array.from(ics.matchAll(/^UID:(.+)\r$/gm), m => m[1]).sort();
+    expect(uids).toEqual([
+      '2025-12-29-duty-8001A1@roster-calendar',
+      '2025-12-29-flight-QF951-BNE-SYD@roster-calendar'
+    ]);
+    expect(ics).toContain('Duty Value: $1225.00 (at $150.00/hr)');
+  });
+
+  test('duplicate rosters get no .ics and the HTML states why', async () => {
+    await notifyRosterChange({ rosterId: '000000', rosterText: SAMPLE, roster: previousRoster, previousRoster, isNew: false }, env, { log: () => {} });
+
+    const [message] = sendEmail.mock.calls[0];
+    expect(message.attachments.map(a => a.filename)).toEqual(['roster-000000.txt']);
+    expect(message.html).toContain('Duplicate roster received (no changes from previous version).');
+    expect(message.html).not.toContain('<table');
+  });
+
+  test('a first roster attaches all of its events', async () => {
+    await notifyRosterChange({ rosterId: '000000', rosterText: SAMPLE, roster: previousRoster, previousRoster: null, isNew: true }, env, { log: () => {} });
+
+    const [message] = sendEmail.mock.calls[0];
+    const ics = message.attachments[1].content;
+    const uids = Array.from(ics.matchAll(/^UID:(.+)\r$/gm), m => m[1]);
+    expect(uids).toEqual(new ICSCalendarService().convertRostersToEvents([previousRoster]).map(e => e.uid));
+    expect(message.text).not.toContain('Pay impact');
+  });
+
+  test('changed events leave out rest and the short-rest lines a neighbouring duty adds', () => {
+    const makeRoster = signOff => ({
+      employee: { name: 'DOE J', staffNo: '000000', base: 'SYD' },
+      summary: { periodStart: { day: 14, month: 6, year: 2025 } },
+      entries: [
+        { day: 16, dutyType: 'RESERVE', dutyCode: 'R1', signOn: '0500', signOff },
+        { day: 17, dutyType: 'RESERVE', dutyCode: 'R2', signOn: '0200', signOff: '1000' }
+      ]
+    });
+    // Releasing at 1700 instead of 1200 makes the rest before R2 short
+    const events = getChangedEvents({ roster: makeRoster('1700'), previousRoster: makeRoster('1200'), staffNo: '000000' }, env);
+    expect(events.map(e => e.title)).toEqual(['Reserve Duty: R1']);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for roster parse diagnostics and POST /api/roster/validate
+ */
+
+jest.mock('../src/services/auth-service', () => ({
+  ...jest.requireActual('../src/services/auth-service'),
+  verifyCredentials: jest.fn(async (staffNo, password) => password === 'test-pass')
+}));
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const QantasRosterParser = require('../src/parsers/qantas-roster-parser');
+const rosterRoutes = require('../src/routes/roster-routes');
+const rosterStore = require('../src/services/roster-store');
+const { summarizeDiagnostics, formatDiagnosticsAsText } = require('../src/services/roster-diagnostics');
+const { buildBody } = require('../src/services/roster-change-notifier');
+
+const SAMPLE_PATH = path.join(__dirname, '../examples/roster-174423-bp-3695.txt');
+
+function withLines(text, afterLineStartingWith, extraLines) {
+  const lines = text.split('\n');
+  const idx = lines.findIndex(l => l.startsWith(afterLineStartingWith));
+  lines.splice(idx + 1, 0, ...extraLines);
+  return lines.join('\n');
+}
+
+describe('roster parse diagnostics', () => {
+  const sample = fs.readFileSync(SAMPLE_PATH, 'utf8');
+
+  test('a clean roster produces no diagnostics', () => {
+    const roster = new QantasRosterParser().parse(sample);
+    expect(roster.diagnostics).toEqual([]);
+  });
+
+  test('reports unrecognized roster table lines and unknown duty codes', () => {
+    const text = withLines(sample, '14 Mon', [
+      'garbled row that is not a roster entry',
+      '15 Tue  XYZ9                                                                AW01'
+    ]);
+    const roster = new QantasRosterParser().parse(text);
+    const lines = text.split('\n');
+
+    const unrecognized = roster.diagnostics.find(d => d.reason === 'Unrecognized roster line');
+    expect(unrecognized).toMatchObject({
+      section: 'roster',
+      severity: 'warning',
+      text: 'garbled row that is not a roster entry'
+    });
+    expect(lines[unrecognized.line - 1]).toBe('garbled row that is not a roster entry');
+
+    expect(roster.diagnostics.some(d => d.reason === 'Duty code XYZ9 not recognised; treated as a flight duty')).toBe(true);
+  });
+
+  test('reports unrecognized Pattern Details lines', () => {
+    const lines = sample.split('\n');
+    const rptIdx = lines.findIndex(l => /^\s+Rpt\s+\d{4}/.test(l));
+    lines.splice(rptIdx, 0, '15Jan     QF940 BNE 1750 PER 2012');
+    const roster = new QantasRosterParser().parse(lines.join('\n'));
+
+    expect(roster.diagnostics).toEqual([
+      expect.objectContaining({
+        line: rptIdx + 1,
+        section: 'pattern-details',
+        reason: 'Unrecognized Pattern Details line'
+      })
+    ]);
+  });
+
+  test('summarizes and formats diagnostics', () => {
+    const diagnostics = [
+      { line: 3, text: 'abc', section: 'roster', severity: 'warning', reason: 'Unrecognized roster line' },
+      { line: null, text: '', section: 'pattern-details', severity: 'error', reason: 'No anchor' }
+    ];
+
+    expect(summarizeDiagnostics(diagnostics)).toEqual({ total: 2, error: 1, warning: 1, info: 0 });
+    expect(summarizeDiagnostics({ diagnostics: [] }).total).toBe(0);
+
+    const text = formatDiagnosticsAsText(diagnostics);
+    expect(text).toContain('1 error, 1 warning');
+    expect(text).toContain('- [warning] line 3 (roster) Unrecognized roster line: abc');
+    expect(text).toContain('end of file');
+    expect(formatDiagnosticsAsText([])).toBe('No parse issues detected.');
+  });
+
+  test('roster change email lists diagnostics only when present', () => {
+    const clean = new QantasRosterParser().parse(sample);
+    expect(buildBody({ rosterId: '174423', roster: clean, previousRoster: null, isNew: true }))
+      .not.toContain('Parse diagnostics');
+
+    const noisy = new QantasRosterParser().parse(withLines(sample, '14 Mon', ['garbled row']));
+    const body = buildBody({ rosterId: '174423', roster: noisy, previousRoster: null, isNew: true });
+    expect(body).toContain('Parse diagnostics');
+    expect(body).toContain('garbled row');
+  });
+});
+
+describe('POST /api/roster/validate', () => {
+  let app;
+  const sample = fs.readFileSync(SAMPLE_PATH, 'utf8');
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/roster', rosterRoutes);
+  });
+
+  test('returns diagnostics for a text/plain body without storing the roster', async () => {
+    const before = rosterStore.listRosterIds().length;
+    const text = withLines(sample, '14 Mon', ['garbled row']);
+
+    const response = await request(app)
+      .post('/api/roster/validate')
+      .auth('174423', 'test-pass')
+      .set('Content-Type', 'text/plain')
+      .send(text);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      success: true,
+      format: 'qantas-sh',
+      bidPeriod: '3695',
+      diagnosticsSummary: { total: 1, warning: 1 }
+    });
+    expect(response.body.entriesCount).toBeGreaterThan(0);
+    expect(response.body.diagnostics[0].text).toBe('garbled row');
+    expect(rosterStore.listRosterIds().length).toBe(before);
+  });
+
+  test('accepts a multipart roster file', async () => {
+    const response = await request(app)
+      .post('/api/roster/validate')
+      .auth('174423', 'test-pass')
+      .attach('roster', Buffer.from(sample, 'utf8'), 'roster.txt');
+
+    expect(response.status).toBe(200);
+    expect(response.body.diagnosticsSummary.total).toBe(0);
+  });
+
+  test('requires authentication', async () => {
+    const anonymous = await request(app)
+      .post('/api/roster/validate')
+      .set('Content-Type', 'text/plain')
+      .send(sample);
+    expect(anonymous.status).toBe(401);
+
+    const wrongPassword = await request(app)
+      .post('/api/roster/validate')
+      .auth('174423', 'wrong')
+      .set('Content-Type', 'text/plain')
+      .send(sample);
+    expect(wrongPassword.status).toBe(401);
+  });
+
+  test('rejects an empty body', async () => {
+    const response = await request(app)
+      .post('/api/roster/validate')
+      .auth('174423', 'test-pass')
+      .set('Content-Type', 'text/plain')
+      .send('');
+
+    expect(response.status).toBe(400);
+  });
+});
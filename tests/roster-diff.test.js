@@ -2,7 +2,7 @@ const fs = require('fs');
 const path = require('path');
 
 const QantasRosterParser = require('../src/parsers/qantas-roster-parser');
-const { diffRosters, formatDiffAsText } = require('../src/services/roster-diff');
+const { diffRosters, formatDiffAsText, summarizeChanges } = require('../src/services/roster-diff');
 
 describe('roster-diff', () => {
   test('diffRosters reports changed days', () => {
@@ -34,3 +34,76 @@ describe('roster-diff', () => {
     expect(text).toContain('29 Mon');
   });
 });
+
+describe('semantic roster diff', () => {
+  const SAMPLE = fs.readFileSync(path.join(__dirname, '../examples/sample-webcis-roster.txt'), 'utf8');
+  const parse = (text) => new QantasRosterParser().parse(text);
+
+  function roster(entries, extra = {}) {
+    return {
+      employee: { staffNo: '000000', base: 'PER' },
+      summary: { periodStart: { year: 2025, month: 10, day: 10 } },
+      entries: entries.map(([day, dayOfWeek, dutyCode, dutyType, more]) => ({ day, dayOfWeek, date: `${day} ${dayOfWeek}`, dutyCode, dutyType, ...more })),
+      ...extra
+    };
+  }
+
+  test('keys days by full date so month rollovers do not collide', () => {
+    const prev = roster([[10, 'Mon', 'D/O', 'DAY_OFF'], [30, 'Sun', 'D/O', 'DAY_OFF'], [10, 'Wed', 'D/O', 'DAY_OFF']]);
+    const next = roster([[10, 'Mon', 'D/O', 'DAY_OFF'], [30, 'Sun', 'D/O', 'DAY_OFF'], [10, 'Wed', 'PLN', 'PERSONAL_LEAVE']]);
+
+    const diff = diffRosters(prev, next);
+    expect(diff.changed).toEqual([expect.objectContaining({ date: '10 Wed', isoDate: '2025-12-10', was: 'D/O', now: 'PLN' })]);
+    expect(diff.changes).toEqual([expect.objectContaining({ type: 'day-off-lost', isoDate: '2025-12-10', summary: 'Day off lost: D/O -> PLN' })]);
+    expect(formatDiffAsText(diff)).toBe('Changed:\n- 10 Wed Dec: Day off lost: D/O -> PLN');
+  });
+
+  test('classifies reserves converted to flights and moved sign-on times', () => {
+    const prev = roster([
+      [11, 'Tue', 'R5', 'RESERVE', { signOn: '0500', signOff: '1700', port: 'PER' }],
+      [12, 'Wed', 'SIM1', 'SIMULATOR', { signOn: '0800', signOff: '1200', port: 'PER' }]
+    ]);
+    const next = roster([
+      [11, 'Tue', '8026A4', 'FLIGHT', { service: 'QF940', signOn: '0615', signOff: '1500', port: 'PER' }],
+      [12, 'Wed', 'SIM1', 'SIMULATOR', { signOn: '0745', signOff: '1200', port: 'PER' }]
+    ]);
+
+    const diff = diffRosters(prev, next);
+    expect(diff.changes.map(c => c.type)).toEqual(['reserve-converted', 'report-time-moved']);
+    expect(diff.changes[0].summary).toBe('Reserve converted to flight: R5 0500-1700 PER -> 8026A4 QF940 0615-1500 PER');
+    expect(diff.changes[1]).toMatchObject({ dutyCode: 'SIM1', port: 'PER', was: '0800', now: '0745', deltaMinutes: -15 });
+    expect(diff.changes[1].summary).toBe('Report time moved: SIM1 PER 0800 -> 0745 (-0:15)');
+  });
+
+  test('compares Pattern Details legs and report times in local port time', () => {
+    const updated = SAMPLE
+      .replace('29Dec       950  BNE  1000', '29Dec       951  BNE  1030')
+      .replace('Rpt  0615 Rls  1600', 'Rpt  0645 Rls  1600');
+
+    const diff = diffRosters(parse(SAMPLE), parse(updated));
+    const byType = Object.fromEntries(diff.changes.map(c => [c.type, c]));
+    expect(Object.keys(byType).sort()).toEqual(['departure-time-moved', 'flight-swapped', 'report-time-moved']);
+    expect(byType['report-time-moved']).toMatchObject({ dutyCode: '8001A1', port: 'PER', deltaMinutes: 30 });
+    expect(byType['report-time-moved'].summary).toBe('Report time moved: 8001A1 PER 0615 -> 0645 (+0:30)');
+    expect(byType['flight-swapped'].summary).toBe('Flight swapped: QF950 -> QF951 BNE-SYD (8001A1)');
+    expect(byType['departure-time-moved']).toMatchObject({ flightNumber: 'QF951', port: 'BNE', deltaMinutes: 30 });
+    expect(summarizeChanges(diff)).toBe('1 report time moved, 1 flight swapped, 1 departure moved');
+  });
+
+  test('reports cancelled pairings and changed slip ports', () => {
+    const cancelled = SAMPLE.replace(/\n05Jan[\s\S]*8130 DATED 05Jan26\n/, '\n');
+    const cancelledDiff = diffRosters(parse(SAMPLE), parse(cancelled));
+    expect(cancelledDiff.changes).toEqual([expect.objectContaining({ type: 'pattern-cancelled', dutyCode: '8130', isoDate: '2026-01-05' })]);
+    expect(formatDiffAsText(cancelledDiff)).toBe('Removed:\n- 5 Mon Jan: Pattern cancelled: 8130 (5 Mon, 6 Tue)');
+
+    const slipBne = SAMPLE.replace('06Jan       112  PER  0700 BNE', '06Jan       112  BNE  0700 PER');
+    const slipSyd = slipBne
+      .replace('05Jan       111  PER  0700 BNE  0900  73H   2:00\n                 Rpt  0700 Rls  1200        BNE',
+        '05Jan       111  PER  0700 SYD  0900  73H   2:00\n                 Rpt  0700 Rls  1200        SYD')
+      .replace('06Jan       112  BNE  0700 PER', '06Jan       112  SYD  0700 PER');
+    const slipDiff = diffRosters(parse(slipBne), parse(slipSyd));
+    expect(slipDiff.changes.find(c => c.type === 'slip-port-changed')).toMatchObject({
+      dutyCode: '8130', was: 'BNE', now: 'SYD', summary: 'Slip port changed: 8130 BNE -> SYD'
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for the roster parser registry
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  detectRosterFormat,
+  parseRosterText,
+  listRosterFormats,
+  getRosterParser
+} = require('../src/parsers/roster-parser-registry');
+const ICSCalendarService = require('../src/services/ics-calendar-service');
+
+const LH_ROSTER = [
+  '                          QANTAS AIRWAYS LIMITED                    13Jan26 1559',
+  '                     LH Flight Crew Roster - Bid Period 3701',
+  '',
+  '',
+  '     Name    :  ROE A                                        Category:  S/O-A380',
+  '     Staff No:  000001                                       Base    :  SYD',
+  '',
+  'Date    Duty(Role)  Service                     S-On S-Of Duty  Credit Port Code',
+  '',
+  '--------------------------------------------------------------------------------',
+  '03 Tue  LA01A2(SO)  1                           1440 0615 17:35 15:10  LHR  AW01',
+  '06 Fri              2                           1905 0700 21:55 16:20       ',
+  '08 Sun  D/O                                                                 AW01',
+  '--------------------------------------------------------------------------------',
+  '',
+  'Available Date/Time this (next) BP       : 02Feb26 0000 (02Mar26 0000)',
+  '',
+  'Pattern Details',
+  '',
+  '03Feb         1  SYD  1610 LHR  0545+1  388  24:35',
+  '                 Rpt  1440 Rls  0615        LHR',
+  '06Feb         2  LHR  2035 SYD  0600+2  388  22:25',
+  '                 Rpt  1905 Rls  0700        SYD',
+  '                                                         LA01A2 DATED 03Feb26',
+  ''
+].join('\n');
+
+describe('roster-parser-registry', () => {
+  test('registers the SH, LH and WebCIS formats', () => {
+    expect(listRosterFormats()).toEqual(expect.arrayContaining(['qantas-sh', 'qantas-lh', 'qantas-webcis']));
+    expect(getRosterParser('qantas-lh')).not.toBeNull();
+    expect(getRosterParser('nope')).toBeNull();
+  });
+
+  test('detects SH, WebCIS and LH layouts', () => {
+    const sh = fs.readFileSync(path.join(__dirname, '../examples/roster-174423-bp-3695.txt'), 'utf8');
+    const webcis = fs.readFileSync(path.join(__dirname, '../examples/sample-webcis-roster.txt'), 'utf8');
+
+    expect(detectRosterFormat(sh)).toBe('qantas-sh');
+    expect(detectRosterFormat(webcis)).toBe('qantas-webcis');
+    expect(detectRosterFormat(LH_ROSTER)).toBe('qantas-lh');
+    expect(detectRosterFormat('hello world')).toBeNull();
+  });
+
+  test('SH rosters pasted without the ARMS page banners stay SH', () => {
+    const sh = fs.readFileSync(path.join(__dirname, '../examples/roster-174423-bp-3695.txt'), 'utf8');
+    const bannerless = sh.split('\n')
+      .filter(line => !line.includes('AIRCREW RESOURCE MANAGEMENT SYSTEM'))
+      .map(line => (/\brosterPatns\b/.test(line) ? 'Pattern Details' : line))
+      .join('\n');
+
+    expect(bannerless).toContain('Pattern Details');
+    expect(detectRosterFormat(bannerless)).toBe('qantas-sh');
+    expect(detectRosterFormat(bannerless.replace(/\n/g, '\r\n'))).toBe('qantas-sh');
+  });
+
+  test('records the format id on the parsed roster and falls back to SH', () => {
+    const sample = fs.readFileSync(path.join(__dirname, '../examples/sample-roster.txt'), 'utf8');
+    expect(parseRosterText(sample).format).toBe('qantas-sh');
+    expect(parseRosterText('QANTAS AIRWAYS LIMITED\nStaff No: 123').format).toBe('qantas-sh');
+  });
+
+  test('every parser emits the same roster shape', () => {
+    const webcis = fs.readFileSync(path.join(__dirname, '../examples/sample-webcis-roster.txt'), 'utf8');
+
+    for (const text of [webcis, LH_ROSTER]) {
+      const roster = parseRosterText(text);
+      expect(Object.keys(roster)).toEqual(
+        expect.arrayContaining(['employee', 'entries', 'flights', 'dutyPatterns', 'simulatorSessions', 'summary', 'diagnostics', 'format'])
+      );
+    }
+  });
+
+  test('WebCIS parser tolerates CRLF, tabs and non-breaking spaces', () => {
+    const webcis = fs.readFileSync(path.join(__dirname, '../examples/sample-webcis-roster.txt'), 'utf8');
+    const mangled = webcis.replace(/\n/g, '\r\n').replace('Name    :', 'Name\u00a0   :').replace('29Dec       940', '29Dec\t    940');
+
+    const clean = parseRosterText(webcis);
+    const roster = parseRosterText(mangled);
+
+    expect(roster.format).toBe('qantas-webcis');
+    expect(roster.employee.name).toBe('DOE J');
+    expect(roster.entries.length).toBe(clean.entries.length);
+    expect(roster.flights.length).toBe(clean.flights.length);
+  });
+
+  test('LH parser strips the role from duty codes and keeps arrival day offsets', () => {
+    const roster = parseRosterText(LH_ROSTER);
+
+    expect(roster.summary.bidPeriod).toBe('3701');
+    expect(roster.employee.base).toBe('SYD');
+
+    const trip = roster.entries.find(e => e.day === 3);
+    expect(trip.dutyCode).toBe('LA01A2');
+    expect(trip.role).toBe('SO');
+
+    // Continuation row carries the role-free duty code forward
+    expect(roster.entries.find(e => e.day === 6).dutyCode).toBe('LA01A2');
+
+    expect(roster.flights).toHaveLength(2);
+    expect(roster.flights[0]).toMatchObject({ flightNumber: 'QF1', arrivePort: 'LHR', arriveTime: '0545', arriveDayOffset: 1 });
+    expect(roster.flights[1]).toMatchObject({ flightNumber: 'QF2', arriveDayOffset: 2 });
+    expect(roster.dutyPatterns.map(p => p.dutyCode)).toEqual(['LA01A2', 'LA01A2']);
+  });
+
+  test('ICS flight-leg events honour the LH arrival day offset', () => {
+    const roster = parseRosterText(LH_ROSTER);
+    const icsService = new ICSCalendarService();
+
+    const qf2 = icsService.createEventFromFlightLeg(roster.flights[1], roster.employee);
+    // LHR 2035 (UTC+0) on 06Feb -> SYD 0600 (UTC+11) on 08Feb = 07Feb 19:00Z
+    expect(qf2.start).toEqual([2026, 2, 6, 20, 35]);
+    expect(qf2.end).toEqual([2026, 2, 7, 19, 0]);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for re-parsing stored roster text (roster-store.reparseAllRosters and POST /admin/rosters/reparse)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const SAMPLE_PATH = path.join(__dirname, '../examples/roster-174423-bp-3695.txt');
+
+describe('roster re-parse', () => {
+  let rosterStore;
+  let sample;
+
+  beforeEach(() => {
+    jest.resetModules();
+    rosterStore = require('../src/services/roster-store');
+    sample = fs.readFileSync(SAMPLE_PATH, 'utf8');
+  });
+
+  test('stores the raw text of every distinct revision', () => {
+    const { rosterId } = rosterStore.ingestRosterText(sample);
+    rosterStore.ingestRosterText(sample);
+    rosterStore.ingestRosterText(sample.replace('01Feb26 1904', '02Feb26 0800'));
+
+    const bucket = rosterStore.getRosterBucket(rosterId);
+    expect(bucket.revisions).toHaveLength(2);
+    expect(bucket.revisions[0]).toMatchObject({ text: sample });
+    expect(bucket.revisions[0].hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(bucket.rosters[0]._rosterHash).toBe(bucket.revisions[1].hash);
+  });
+
+  test('rebuilds stored rosters from raw text and reports the differences', () => {
+    const { rosterId } = rosterStore.ingestRosterText(sample);
+
+    // Simulate a roster stored by an older, buggier parser.
+    const stored = rosterStore.getRosterBucket(rosterId).rosters[0];
+    stored.entries = stored.entries.filter(e => e.day !== 15);
+    stored.flights = [];
+
+    const preview = rosterStore.reparseAllRosters({ dryRun: true });
+    expect(preview.dryRun).toBe(true);
+    expect(preview.changedPilots).toBe(1);
+    expect(rosterStore.getRosterBucket(rosterId).rosters[0].flights).toEqual([]);
+
+    const report = rosterStore.reparseAllRosters();
+    const pilot = report.pilots.find(p => p.rosterId === rosterId);
+    expect(pilot).toMatchObject({ changed: true, revisions: 1, legacyRosters: 0, skipped: false });
+
+    const period = pilot.periods.find(p => p.periodKey === 'bp-3695');
+    expect(period.status).toBe('changed');
+    expect(period.before.flights).toBe(0);
+    expect(period.after.flights).toBeGreaterThan(0);
+    expect(period.diff.added.map(a => a.date)).toContain('15 Tue');
+
+    const bucket = rosterStore.getRosterBucket(rosterId);
+    expect(bucket.rosters[0].flights.length).toBeGreaterThan(0);
+
+    // A second pass has nothing left to fix.
+    expect(rosterStore.reparseAllRosters().changedPilots).toBe(0);
+  });
+
+  test('keeps rosters that were stored without raw text', () => {
+    rosterStore._hydrateStore({
+      '999999': {
+        employee: { staffNo: '999999' },
+        rosters: [{ employee: { staffNo: '999999' }, entries: [], flights: [], dutyPatterns: [], summary: { bidPeriod: '3690' } }],
+        rosterHashes: ['abc']
+      }
+    });
+
+    const report = rosterStore.reparseAllRosters();
+    expect(report.pilots).toEqual([
+      expect.objectContaining({ rosterId: '999999', skipped: true, changed: false, revisions: 0 })
+    ]);
+    expect(rosterStore.getRosterBucket('999999').rosters).toHaveLength(1);
+  });
+
+  test('a revision that no longer parses keeps that pilot\'s rosters and reports an error', () => {
+    const other = sample.replace(/174423/g, '174424');
+    jest.doMock('../src/parsers/roster-parser-registry', () => {
+      const actual = jest.requireActual('../src/parsers/roster-parser-registry');
+      return {
+        ...actual,
+        parseRosterText: jest.fn(text => {
+          if (text.includes('BROKEN')) throw new Error('Unexpected line');
+          return actual.parseRosterText(text);
+        })
+      };
+    });
+    jest.resetModules();
+    rosterStore = require('../src/services/roster-store');
+
+    const broken = rosterStore.ingestRosterText(sample).rosterId;
+    const ok = rosterStore.ingestRosterText(other).rosterId;
+    const bucket = rosterStore.getRosterBucket(broken);
+    const storedRosters = bucket.rosters;
+    bucket.revisions[0].text += '\nBROKEN';
+    rosterStore.getRosterBucket(ok).rosters[0].flights = [];
+
+    const report = rosterStore.reparseAllRosters();
+    expect(report.failedPilots).toBe(1);
+    expect(report.pilots.find(p => p.rosterId === broken)).toMatchObject({
+      status: 'error',
+      changed: false,
+      error: expect.stringContaining('Unexpected line'),
+      periods: []
+    });
+    expect(rosterStore.getRosterBucket(broken).rosters).toBe(storedRosters);
+
+    // The other pilots are still re-parsed
+    expect(report.pilots.find(p => p.rosterId === ok)).toMatchObject({ status: 'changed', changed: true });
+    expect(rosterStore.getRosterBucket(ok).rosters[0].flights.length).toBeGreaterThan(0);
+    jest.dontMock('../src/parsers/roster-parser-registry');
+  });
+
+  test('POST /admin/rosters/reparse requires an admin and returns the report as JSON', async () => {
+    const authService = require('../src/services/auth-service');
+    jest.spyOn(authService, 'isAdmin').mockImplementation(staffNo => staffNo === '174423');
+    const adminRoutes = require('../src/routes/admin-routes');
+
+    rosterStore.ingestRosterText(sample);
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = { staffNo: req.get('X-Test-Staff') };
+      req.flash = () => {};
+      next();
+    });
+    app.use('/admin', adminRoutes);
+
+    const denied = await request(app)
+      .post('/admin/rosters/reparse')
+      .set('X-Test-Staff', '000001')
+      .set('Accept', 'application/json');
+    expect(denied.status).toBe(403);
+
+    const response = await request(app)
+      .post('/admin/rosters/reparse')
+      .set('X-Test-Staff', '174423')
+      .set('Accept', 'application/json')
+      .send({ dryRun: 'true' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, dryRun: true, changedPilots: 0 });
+    expect(response.body.pilots[0].rosterId).toBe('174423');
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for per-bid-period roster revision history
+ */
+
+jest.mock('../src/services/auth-service', () => ({
+  ...jest.requireActual('../src/services/auth-service'),
+  verifyCredentials: jest.fn(async (staffNo, password) => password === 'test-pass')
+}));
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const rosterStore = require('../src/services/roster-store');
+const rosterRoutes = require('../src/routes/roster-routes');
+
+const SAMPLE_PATH = path.join(__dirname, '../examples/roster-174423-bp-3695.txt');
+
+describe('roster revision history', () => {
+  const original = fs.readFileSync(SAMPLE_PATH, 'utf8');
+  // Later revision of the same bid period: 17 Thu personal leave becomes a day off.
+  const revised = original
+    .replace('01Feb26 1904', '02Feb26 0800')
+    .replace('17 Thu  PLN', '17 Thu  D/O');
+
+  let app;
+  let first;
+  let second;
+
+  beforeAll(() => {
+    rosterStore._hydrateStore({});
+    first = rosterStore.ingestRosterText(original, { source: 'inbox' });
+    second = rosterStore.ingestRosterText(revised, { source: 'upload' });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/roster', rosterRoutes);
+  });
+
+  function revisionIds() {
+    return rosterStore.listRevisions(first.rosterId).map(r => r.id);
+  }
+
+  test('keeps every revision with received time, source and hash', () => {
+    expect(second.updated).toBe(true);
+
+    const revisions = rosterStore.listRevisions(first.rosterId, { bidPeriod: '3695' });
+    expect(revisions).toHaveLength(2);
+    expect(revisions[0]).toMatchObject({ source: 'inbox', bidPeriod: '3695', issueTimestamp: '01Feb26 1904', active: false });
+    expect(revisions[1]).toMatchObject({ source: 'upload', issueTimestamp: '02Feb26 0800', active: true });
+    expect(revisions[0].id).toMatch(/^[0-9a-f]{64}$/);
+    expect(Date.parse(revisions[0].receivedAt)).not.toBeNaN();
+    expect(rosterStore.listRevisions(first.rosterId, { bidPeriod: '9999' })).toEqual([]);
+  });
+
+  test('API lists revisions for the authenticated pilot only', async () => {
+    const unauthenticated = await request(app).get('/api/roster/revisions');
+    expect(unauthenticated.status).toBe(401);
+
+    const response = await request(app)
+      .get('/api/roster/revisions?bidPeriod=3695')
+      .auth(first.rosterId, 'test-pass');
+
+    expect(response.status).toBe(200);
+    expect(response.body.revisions.map(r => r.id)).toEqual(revisionIds());
+    expect(response.body.revisions[0]).not.toHaveProperty('text');
+  });
+
+  test('API fetches a revision by hash prefix, as JSON or raw text', async () => {
+    const [oldId] = revisionIds();
+
+    const json = await request(app)
+      .get(`/api/roster/revisions/${oldId.slice(0, 12)}`)
+      .auth(first.rosterId, 'test-pass');
+    expect(json.status).toBe(200);
+    expect(json.body.revision.id).toBe(oldId);
+    expect(json.body.roster.entries.find(e => e.day === 17).dutyCode).toBe('PLN');
+
+    const text = await request(app)
+      .get(`/api/roster/revisions/${oldId}?format=text`)
+      .auth(first.rosterId, 'test-pass');
+    expect(text.headers['content-type']).toMatch(/text\/plain/);
+    expect(text.text).toBe(original);
+
+    const missing = await request(app)
+      .get('/api/roster/revisions/deadbeefdeadbeef')
+      .auth(first.rosterId, 'test-pass');
+    expect(missing.status).toBe(404);
+  });
+
+  test('API diffs two revisions', async () => {
+    const [oldId, newId] = revisionIds();
+
+    const response = await request(app)
+      .get(`/api/roster/revisions/${oldId}/diff/${newId}`)
+      .auth(first.rosterId, 'test-pass');
+
+    expect(response.status).toBe(200);
+    expect(response.body.diff.changed).toEqual([
+      expect.objectContaining({ date: '17 Thu', was: 'PLN AS02', now: 'D/O' })
+    ]);
+    expect(response.body.text).toContain('17 Thu');
+  });
+
+  test('rollback serves the older revision until a newer one arrives', async () => {
+    const [oldId] = revisionIds();
+
+    const response = await request(app)
+      .post(`/api/roster/revisions/${oldId}/rollback`)
+      .auth(first.rosterId, 'test-pass');
+
+    expect(response.status).toBe(200);
+    expect(response.body.revision).toMatchObject({ id: oldId, active: true });
+
+    const bucket = rosterStore.getRosterBucket(first.rosterId);
+    expect(bucket.rosters).toHaveLength(1);
+    expect(bucket.rosters[0].entries.find(e => e.day === 17).dutyCode).toBe('PLN');
+
+    // Re-parsing keeps the rolled-back revision active.
+    rosterStore.reparseAllRosters();
+    expect(rosterStore.listRevisions(first.rosterId)[0].active).toBe(true);
+
+    const third = rosterStore.ingestRosterText(revised.replace('02Feb26 0800', '03Feb26 0900'));
+    expect(third.updated).toBe(true);
+    expect(rosterStore.listRevisions(first.rosterId).map(r => r.active)).toEqual([false, false, true]);
+  });
+});
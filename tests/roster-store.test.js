@@ -178,5 +178,40 @@ describe('roster-store', () => {
     const bp3970Rosters = bucket.rosters.filter(r => r.summary.bidPeriod === '3970');
     expect(bp3970Rosters.length).toBe(1); // One version of BP 3970
   });
-});
 
+  test('ingestRosterText keeps the latest-issued revision of a bid period', () => {
+    jest.resetModules();
+    const rosterStore = require('../src/services/roster-store');
+    const fs = require('fs');
+    const path = require('path');
+
+    const originalText = fs.readFileSync(
+      path.join(__dirname, '../examples/sample-webcis-roster.txt'),
+      'utf8'
+    );
+    // sample-webcis-roster.txt is issued 31Jan26 1200
+    const laterText = originalText
+      .replace('31Jan26 1200', '02Feb26 0800')
+      .replace('940/950', '940/951');
+    const earlierText = originalText
+      .replace('31Jan26 1200', '30Jan26 0900')
+      .replace('940/950', '940/952');
+
+    rosterStore.ingestRosterText(originalText);
+    const later = rosterStore.ingestRosterText(laterText);
+    expect(later.updated).toBe(true);
+
+    // A revision issued before the stored one arrives late: it must not replace it.
+    const earlier = rosterStore.ingestRosterText(earlierText);
+    expect(earlier.isNew).toBe(false);
+    expect(earlier.superseded).toBe(true);
+    expect(earlier.previousRoster.summary.issueTimestamp).toBe('02Feb26 0800');
+
+    const bucket = rosterStore.getRosterBucket(later.rosterId);
+    expect(bucket.rosters).toHaveLength(1);
+    expect(bucket.rosters[0].summary.issueTimestamp).toBe('02Feb26 0800');
+    expect(bucket.rosters[0].entries[0].service).toContain('QF951');
+
+    expect(rosterStore.getRosterIssueKey(bucket.rosters[0])).toBe('202602020800');
+  });
+});
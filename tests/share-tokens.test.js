@@ -0,0 +1,141 @@
+/**
+ * Tests for calendar share tokens and the /api/roster/share/:token/calendar.ics route
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const shareTokens = require('../src/services/share-tokens');
+const rosterStore = require('../src/services/roster-store');
+const rosterRoutes = require('../src/routes/roster-routes');
+
+function tmpEnv() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'share-tokens-'));
+  return { ROSTER_SHARE_TOKENS_PATH: path.join(dir, 'share-tokens.json') };
+}
+
+describe('share-tokens', () => {
+  test('creates random tokens with scope, label and expiry per pilot', () => {
+    const env = tmpEnv();
+    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+    const family = shareTokens.createShareToken('174423', { scope: 'semipublic', label: ' Family ', expiresAt }, env);
+    const busy = shareTokens.createShareToken('174423', { scope: 'public' }, env);
+    shareTokens.createShareToken('000001', { scope: 'public' }, env);
+
+    expect(family).toMatchObject({ scope: 'semipublic', label: 'Family', expiresAt, expired: false });
+    expect(family.token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+    expect(busy.label).toBe('Public');
+    expect(shareTokens.listShareTokens('174423', env).map(l => l.token)).toEqual([family.token, busy.token]);
+    expect(shareTokens.resolveShareToken(family.token, env)).toEqual({ staffNo: '174423', scope: 'semipublic', label: 'Family' });
+  });
+
+  test('rejects unknown scopes and past or invalid expiry dates', () => {
+    const env = tmpEnv();
+    expect(() => shareTokens.createShareToken('174423', { scope: 'full' }, env))
+      .toThrow(expect.objectContaining({ code: 'SHARE_TOKEN_INVALID_SCOPE' }));
+    expect(() => shareTokens.createShareToken('174423', { scope: 'public', expiresAt: '2001-01-01' }, env))
+      .toThrow(expect.objectContaining({ code: 'SHARE_TOKEN_INVALID_EXPIRY' }));
+    expect(() => shareTokens.createShareToken('174423', { scope: 'public', expiresAt: 'soon' }, env))
+      .toThrow(expect.objectContaining({ code: 'SHARE_TOKEN_INVALID_EXPIRY' }));
+  });
+
+  test('rotating and revoking only works for the owner and invalidates the old token', () => {
+    const env = tmpEnv();
+    const link = shareTokens.createShareToken('174423', { scope: 'public', label: 'Crew room' }, env);
+
+    expect(() => shareTokens.rotateShareToken('000001', link.token, env))
+      .toThrow(expect.objectContaining({ code: 'SHARE_TOKEN_NOT_FOUND' }));
+
+    const rotated = shareTokens.rotateShareToken('174423', link.token, env);
+    expect(rotated).toMatchObject({ scope: 'public', label: 'Crew room' });
+    expect(rotated.token).not.toBe(link.token);
+    expect(shareTokens.resolveShareToken(link.token, env)).toBeNull();
+
+    expect(shareTokens.revokeShareToken('174423', rotated.token, env)).toBe(true);
+    expect(shareTokens.resolveShareToken(rotated.token, env)).toBeNull();
+    expect(shareTokens.listShareTokens('174423', env)).toEqual([]);
+  });
+
+  test('expired tokens no longer resolve', () => {
+    const env = tmpEnv();
+    const link = shareTokens.createShareToken('174423', { scope: 'public', expiresAt: new Date(Date.now() + 1000) }, env);
+
+    jest.useFakeTimers({ now: Date.now() + 5000 });
+    try {
+      expect(shareTokens.resolveShareToken(link.token, env)).toBeNull();
+      expect(shareTokens.listShareTokens('174423', env)[0].expired).toBe(true);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('GET /api/roster/share/:token/calendar.ics', () => {
+  const prevPath = process.env.ROSTER_SHARE_TOKENS_PATH;
+  let app;
+  let env;
+
+  beforeAll(() => {
+    env = tmpEnv();
+    process.env.ROSTER_SHARE_TOKENS_PATH = env.ROSTER_SHARE_TOKENS_PATH;
+
+    const sampleText = fs.readFileSync(path.join(__dirname, '../examples/sample-roster.txt'), 'utf-8');
+    rosterStore.ingestRosterText(sampleText);
+
+    app = express();
+    app.use('/api/roster', rosterRoutes);
+  });
+
+  afterAll(() => {
+    if (prevPath === undefined) delete process.env.ROSTER_SHARE_TOKENS_PATH;
+    else process.env.ROSTER_SHARE_TOKENS_PATH = prevPath;
+    delete process.env.ROSTER_STAFFNO_CALENDAR_ROUTES_ENABLED;
+  });
+
+  test('serves the calendar for the token scope without exposing the staff number', async () => {
+    const semi = shareTokens.createShareToken('000000', { scope: 'semipublic' }, env);
+    const busy = shareTokens.createShareToken('000000', { scope: 'public' }, env);
+
+    const semiResponse = await request(app).get(`/api/roster/share/${semi.token}/calendar.ics`);
+    expect(semiResponse.status).toBe(200);
+    expect(semiResponse.headers['content-type']).toContain('text/calendar');
+    expect(semiResponse.headers['content-disposition']).not.toContain('000000');
+    expect(semiResponse.text).toContain('BEGIN:VEVENT');
+    expect(semiResponse.text).not.toMatch(/Pay:/);
+
+    const busyResponse = await request(app).get(`/api/roster/share/${busy.token}/calendar.ics`);
+    expect(busyResponse.status).toBe(200);
+    expect(busyResponse.text).not.toContain('QF');
+  });
+
+  test('tz=local serves port-local TZID times; unknown tz values are rejected', async () => {
+    const semi = shareTokens.createShareToken('000000', { scope: 'semipublic' }, env);
+
+    const local = await request(app).get(`/api/roster/share/${semi.token}/calendar.ics?tz=local`);
+    expect(local.status).toBe(200);
+    expect(local.text).toMatch(/^DTSTART;TZID=[A-Za-z_/]+:\d{8}T\d{6}\r$/m);
+    expect(local.text).toContain('BEGIN:VTIMEZONE');
+
+    expect((await request(app).get(`/api/roster/share/${semi.token}/calendar.ics?tz=device`)).status).toBe(400);
+  });
+
+  test('returns 404 for unknown or revoked tokens', async () => {
+    const link = shareTokens.createShareToken('000000', { scope: 'public' }, env);
+    shareTokens.revokeShareToken('000000', link.token, env);
+
+    expect((await request(app).get(`/api/roster/share/${link.token}/calendar.ics`)).status).toBe(404);
+    expect((await request(app).get('/api/roster/share/not-a-token/calendar.ics')).status).toBe(404);
+  });
+
+  test('staff-number routes can be switched off', async () => {
+    expect((await request(app).get('/api/roster/000000/public/calendar.ics')).status).toBe(200);
+
+    process.env.ROSTER_STAFFNO_CALENDAR_ROUTES_ENABLED = 'false';
+    expect((await request(app).get('/api/roster/000000/public/calendar.ics')).status).toBe(404);
+    expect((await request(app).get('/api/roster/000000/semipublic/calendar.ics')).status).toBe(404);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for the storage layer (JSON backend; SQLite where node:sqlite is available)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storage = require('../src/services/storage');
+
+function hasNodeSqlite() {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function tmpFile(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-storage-'));
+  return path.join(dir, name);
+}
+
+function exerciseCollection(collection) {
+  expect(collection.get('174423')).toBeUndefined();
+  expect(collection.has('174423')).toBe(false);
+
+  collection.set('174423', { email: 'pilot@example.com' });
+  collection.set('000001', { email: 'admin@example.com' });
+  expect(collection.get('174423')).toEqual({ email: 'pilot@example.com' });
+
+  // Reads are copies; changes only stick through set().
+  collection.get('174423').email = 'changed@example.com';
+  expect(collection.get('174423').email).toBe('pilot@example.com');
+
+  expect(collection.keys().sort()).toEqual(['000001', '174423']);
+  expect(collection.delete('000001')).toBe(true);
+  expect(collection.delete('000001')).toBe(false);
+  expect(collection.toObject()).toEqual({ '174423': { email: 'pilot@example.com' } });
+
+  collection.replaceAll({ '999999': 42 });
+  expect(collection.entries()).toEqual([['999999', 42]]);
+}
+
+describe('storage', () => {
+  afterEach(() => {
+    storage.closeAll();
+  });
+
+  test('defaults to sqlite, and to JSON files under NODE_ENV=test', () => {
+    expect(storage.getStorageConfig({}).backend).toBe('sqlite');
+    expect(storage.getStorageConfig({ NODE_ENV: 'test' }).backend).toBe('json');
+    expect(storage.getStorageConfig({ NODE_ENV: 'test', ROSTER_STORAGE_BACKEND: 'SQLite' }).backend).toBe('sqlite');
+    expect(storage.getStorageConfig({ ROSTER_SQLITE_PATH: '/tmp/x.db' }).sqlitePath).toBe('/tmp/x.db');
+    expect(() => storage.getStorageConfig({ ROSTER_STORAGE_BACKEND: 'mongo' })).toThrow(
+      expect.objectContaining({ code: 'STORAGE_BACKEND_INVALID' })
+    );
+  });
+
+  test('an install with JSON files and no database stays on JSON until imported', () => {
+    const credentialsPath = tmpFile('credentials.json');
+    fs.writeFileSync(credentialsPath, JSON.stringify({ '174423': { hash: 'x' } }));
+    const sqlitePath = path.join(path.dirname(credentialsPath), 'roster.db');
+    const env = { ROSTER_CREDENTIALS_PATH: credentialsPath, ROSTER_SQLITE_PATH: sqlitePath };
+
+    expect(storage.getStorageConfig(env)).toMatchObject({ backend: 'json', legacyJsonFiles: [credentialsPath] });
+    // An explicit choice is kept (startup warns that the database is empty)
+    expect(storage.getStorageConfig({ ...env, ROSTER_STORAGE_BACKEND: 'sqlite' }).backend).toBe('sqlite');
+
+    // Once the database exists (after the importer ran) sqlite is the default again
+    storage.closeAll();
+    fs.writeFileSync(sqlitePath, '');
+    expect(storage.getStorageConfig(env)).toMatchObject({ backend: 'sqlite', legacyJsonFiles: [] });
+  });
+
+  test('JSON backend keeps one object file per collection', () => {
+    const jsonPath = tmpFile('pilot-email-map.json');
+    const collection = storage.openCollection('pilot-emails', { jsonPath, env: { ROSTER_STORAGE_BACKEND: 'json' } });
+
+    exerciseCollection(collection);
+    expect(JSON.parse(fs.readFileSync(jsonPath, 'utf8'))).toEqual({ '999999': 42 });
+    expect(fs.existsSync(`${jsonPath}.tmp`)).toBe(false);
+  });
+
+  test('JSON backend treats a corrupt file as empty', () => {
+    const jsonPath = tmpFile('credentials.json');
+    fs.writeFileSync(jsonPath, '{ not json', 'utf8');
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const collection = storage.openCollection('credentials', { jsonPath, env: { ROSTER_STORAGE_BACKEND: 'json' } });
+    expect(collection.entries()).toEqual([]);
+    warn.mockRestore();
+  });
+
+  test('JSON backend requires a file path', () => {
+    expect(() => storage.openCollection('sessions', { env: { ROSTER_STORAGE_BACKEND: 'json' } })).toThrow(
+      expect.objectContaining({ code: 'STORAGE_JSON_PATH_REQUIRED' })
+    );
+  });
+
+  (hasNodeSqlite() ? test : test.skip)('SQLite backend stores collections side by side in one database', () => {
+    const env = { ROSTER_STORAGE_BACKEND: 'sqlite', ROSTER_SQLITE_PATH: tmpFile('roster.db') };
+
+    exerciseCollection(storage.openCollection('pilot-emails', { env }));
+
+    const names = storage.openCollection('pilot-names', { env });
+    names.set('999999', { firstName: 'Jane', lastName: 'Pilot' });
+    expect(storage.openCollection('pilot-emails', { env }).get('999999')).toBe(42);
+
+    // A second connection (another process) sees the same records.
+    storage.closeAll();
+    expect(storage.openCollection('pilot-names', { env }).get('999999')).toEqual({ firstName: 'Jane', lastName: 'Pilot' });
+  });
+
+  test('services share the backend: pending approvals survive a module reload', async () => {
+    const env = { ROSTER_PENDING_APPROVALS_PATH: tmpFile('pending-approvals.json') };
+
+    jest.resetModules();
+    const authService = require('../src/services/auth-service');
+    jest.spyOn(authService, 'hasCredentials').mockReturnValue(false);
+    const pendingApprovals = require('../src/services/pending-approvals');
+
+    const { emailToken } = await pendingApprovals.createPendingApproval(
+      '123456', 'Jane', 'Pilot', 'jane@example.com', 'Password123', env
+    );
+    expect(pendingApprovals.verifyEmailToken(emailToken, env)).toMatchObject({ success: true, staffNo: '123456' });
+
+    jest.resetModules();
+    const reloaded = require('../src/services/pending-approvals');
+    expect(reloaded.getPending('123456', env)).toMatchObject({ email: 'jane@example.com', emailVerified: true });
+    expect(reloaded.rejectPending('123456', env)).toEqual({ success: true });
+    expect(reloaded.listPending(env)).toEqual([]);
+  });
+});
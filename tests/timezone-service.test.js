@@ -133,4 +133,37 @@ describe('TimezoneService', () => {
       expect(timezoneService.getTimezone(code)).toBe(mapping[code]);
     }
   });
+
+  test('buildVTimezone emits every offset change in the range', () => {
+    const sydney = timezoneService.buildVTimezone('Australia/Sydney', { fromYear: 2025, toYear: 2025 });
+    expect(sydney.startsWith('BEGIN:VTIMEZONE\r\nTZID:Australia/Sydney\r\n')).toBe(true);
+    // AEDT ends 6 Apr 2025 03:00 local, AEST ends 5 Oct 2025 02:00 local
+    expect(sydney).toContain('BEGIN:STANDARD\r\nDTSTART:20250406T030000\r\nTZOFFSETFROM:+1100\r\nTZOFFSETTO:+1000');
+    expect(sydney).toContain('BEGIN:DAYLIGHT\r\nDTSTART:20251005T020000\r\nTZOFFSETFROM:+1000\r\nTZOFFSETTO:+1100');
+    expect(sydney.endsWith('END:VTIMEZONE\r\n')).toBe(true);
+
+    const perth = timezoneService.buildVTimezone('Australia/Perth', { fromYear: 2025, toYear: 2026 });
+    expect(perth.match(/BEGIN:(STANDARD|DAYLIGHT)/g)).toEqual(['BEGIN:STANDARD']);
+    expect(perth).toContain('TZOFFSETTO:+0800');
+
+    expect(timezoneService.buildVTimezone('Not/AZone', { fromYear: 2025, toYear: 2025 })).toBeNull();
+  });
+
+  test('exposes airport name, city, country and coordinates', () => {
+    expect(timezoneService.getAirport('syd')).toEqual({
+      code: 'SYD',
+      name: 'Sydney Kingsford Smith',
+      city: 'Sydney',
+      region: 'New South Wales',
+      country: 'Australia',
+      timezone: 'Australia/Sydney',
+      latitude: -33.9399,
+      longitude: 151.1753
+    });
+    expect(timezoneService.getAirport('HND')).toMatchObject({ city: 'Tokyo', country: 'Japan' });
+    expect(timezoneService.getAirport('XXX')).toBeNull();
+
+    expect(timezoneService.formatAirportLocation('SYD')).toBe('Sydney Kingsford Smith (SYD)');
+    expect(timezoneService.formatAirportLocation('XXX')).toBe('XXX');
+  });
 });
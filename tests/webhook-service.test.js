@@ -0,0 +1,262 @@
+/**
+ * Tests for signed roster webhooks, delivered to a local HTTP stand-in
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const dns = require('dns');
+const crypto = require('crypto');
+
+const request = require('supertest');
+const express = require('express');
+
+const rosterStore = require('../src/services/roster-store');
+const webhooks = require('../src/services/webhook-service');
+const notificationPreferences = require('../src/services/notification-preferences');
+const dashboardRoutes = require('../src/routes/dashboard-routes');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, '../examples/sample-webcis-roster.txt'), 'utf8');
+const ENV_KEYS = [
+  'ROSTER_WEBHOOKS_PATH', 'ROSTER_WEBHOOK_DELIVERIES_PATH', 'ROSTER_WEBHOOK_ALLOW_PRIVATE_URLS',
+  'ROSTER_WEBHOOK_RETRY_BASE_MS', 'ROSTER_WEBHOOK_MAX_ATTEMPTS', 'ROSTER_NOTIFICATION_PREFERENCES_PATH'
+];
+
+async function waitFor(check, timeoutMs = 3000) {
+  const started = Date.now();
+  for (;;) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for webhook delivery');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('webhook-service', () => {
+  const saved = {};
+  let server;
+  let baseUrl;
+  let received;
+  let responses;
+
+  beforeAll(async () => {
+    for (const key of ENV_KEYS) saved[key] = process.env[key];
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body, json: JSON.parse(body) });
+        const status = responses.length > 0 ? responses.shift() : 200;
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(status === 200 ? 'ok' : 'try later');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    webhooks._cancelRetries();
+    await new Promise(resolve => server.close(resolve));
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  });
+
+  beforeEach(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    process.env.ROSTER_WEBHOOKS_PATH = path.join(dir, 'webhooks.json');
+    process.env.ROSTER_WEBHOOK_DELIVERIES_PATH = path.join(dir, 'webhook-deliveries.json');
+    process.env.ROSTER_WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    process.env.ROSTER_WEBHOOK_RETRY_BASE_MS = '20';
+    process.env.ROSTER_WEBHOOK_MAX_ATTEMPTS = '3';
+    process.env.ROSTER_NOTIFICATION_PREFERENCES_PATH = path.join(dir, 'notification-preferences.json');
+    received = [];
+    responses = [];
+    rosterStore._hydrateStore({});
+  });
+
+  test('validates URLs and events', () => {
+    const env = { ...process.env, ROSTER_WEBHOOK_ALLOW_PRIVATE_URLS: 'false' };
+    const create = (owner, webhook) => () => webhooks.createWebhook(owner, webhook, env);
+
+    expect(create('174423', { url: 'ftp://example.com/x', events: ['roster.changed'] }))
+      .toThrow(expect.objectContaining({ code: 'WEBHOOK_INVALID_URL' }));
+    expect(create('174423', { url: 'http://192.168.1.10/hook', events: ['roster.changed'] }))
+      .toThrow(expect.objectContaining({ code: 'WEBHOOK_PRIVATE_URL' }));
+    expect(create('174423', { url: 'https://example.com/hook', events: ['roster.deleted'] }))
+      .toThrow(expect.objectContaining({ code: 'WEBHOOK_INVALID_EVENTS' }));
+    expect(create('174423', { url: 'https://example.com/hook', events: ['ingest.failed'] }))
+      .toThrow(expect.objectContaining({ code: 'WEBHOOK_INVALID_EVENTS' }));
+
+    const global = create(null, { url: 'http://localhost:8123/hook', events: ['ingest.failed', 'roster.changed'] })();
+    expect(global).toMatchObject({ owner: null, events: ['roster.changed', 'ingest.failed'], secret: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect(webhooks.listWebhooks(null, env)).toEqual([expect.not.objectContaining({ secret: expect.anything() })]);
+    expect(webhooks.listWebhooks('174423', env)).toEqual([]);
+    expect(() => webhooks.deleteWebhook('174423', global.id, env)).toThrow(expect.objectContaining({ code: 'WEBHOOK_NOT_FOUND' }));
+  });
+
+  test('signs test deliveries with HMAC-SHA256 and logs them', async () => {
+    const webhook = webhooks.createWebhook('000000', { url: `${baseUrl}/hook`, events: ['roster.changed'] });
+
+    const delivery = await webhooks.sendTestEvent('000000', webhook.id);
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, responseStatus: 200 });
+
+    const [request] = received;
+    expect(request.headers['x-roster-event']).toBe('webhook.test');
+    expect(request.headers['x-roster-delivery']).toBe(delivery.id);
+    const expected = crypto.createHmac('sha256', webhook.secret)
+      .update(`${request.headers['x-roster-timestamp']}.${request.body}`).digest('hex');
+    expect(request.headers['x-roster-signature']).toBe(`sha256=${expected}`);
+    expect(request.json).toMatchObject({ id: delivery.id, event: 'webhook.test' });
+
+    expect(webhooks.listDeliveries('000000', webhook.id)).toEqual([delivery]);
+  });
+
+  test('delivers ingested, changed and duplicate rosters with the structured diff', async () => {
+    webhooks.createWebhook('000000', { url: `${baseUrl}/pilot`, events: ['roster.ingested', 'roster.changed', 'roster.duplicate'] });
+    webhooks.createWebhook('999999', { url: `${baseUrl}/other`, events: ['roster.ingested'] });
+
+    rosterStore.ingestRosterText(SAMPLE);
+    await waitFor(() => received.length === 1);
+    expect(received[0].json).toMatchObject({ event: 'roster.ingested', data: { staffNo: '000000', source: 'upload', updated: false } });
+
+    const revised = SAMPLE.replace('940/950', '940/951').replace('29Dec       950  ', '29Dec       951  ');
+    rosterStore.ingestRosterText(revised, { source: 'inbox' });
+    await waitFor(() => received.length === 3);
+    const changed = received.find(r => r.json.event === 'roster.changed');
+    expect(changed.json.data.summary).toBe('1 flight swapped');
+    expect(changed.json.data.diff.changes).toEqual([
+      expect.objectContaining({ type: 'flight-swapped', isoDate: '2025-12-29', was: 'QF950', now: 'QF951' })
+    ]);
+
+    rosterStore.ingestRosterText(revised);
+    await waitFor(() => received.length === 4);
+    expect(received[3].json.event).toBe('roster.duplicate');
+    expect(received.every(r => r.url === '/pilot')).toBe(true);
+  });
+
+  test('pilots can pause their own webhooks in their notification preferences', async () => {
+    webhooks.createWebhook('000000', { url: `${baseUrl}/pilot`, events: ['roster.ingested'] });
+    webhooks.createWebhook(null, { url: `${baseUrl}/global`, events: ['roster.ingested'] });
+    notificationPreferences.setNotificationPreferences('000000', { channels: 'email' });
+
+    const deliveries = await webhooks.dispatchEvent('roster.ingested', { staffNo: '000000' }, { staffNo: '000000' });
+    expect(deliveries).toHaveLength(1);
+    expect(received.map(r => r.url)).toEqual(['/global']);
+  });
+
+  test('retries failed deliveries with backoff and reports ingest failures to global webhooks', async () => {
+    const webhook = webhooks.createWebhook(null, { url: `${baseUrl}/global`, events: ['ingest.failed'] });
+    responses = [503];
+
+    expect(() => rosterStore.ingestRosterText(null)).toThrow();
+    await waitFor(() => received.length === 2);
+
+    expect(received.map(r => r.json.event)).toEqual(['ingest.failed', 'ingest.failed']);
+    expect(received[0].json.data.error.message).toEqual(expect.any(String));
+    const [delivery] = await waitFor(() => {
+      const log = webhooks.listDeliveries(null, webhook.id);
+      return log.length === 1 && log[0].status === 'delivered' ? log : null;
+    });
+    expect(delivery).toMatchObject({ attempts: 2, responseStatus: 200, error: null });
+  });
+
+  test('gives up after the maximum attempts', async () => {
+    const webhook = webhooks.createWebhook('000000', { url: `${baseUrl}/down`, events: ['roster.ingested'] });
+    responses = [500, 500, 500];
+
+    const first = await webhooks.sendTestEvent('000000', webhook.id);
+    // Only the status is logged, never the receiver's response body
+    expect(first).toMatchObject({ status: 'pending', attempts: 1, error: 'HTTP 500' });
+
+    const [delivery] = await waitFor(() => {
+      const log = webhooks.listDeliveries('000000', webhook.id);
+      return log[0].status === 'failed' ? log : null;
+    });
+    expect(delivery).toMatchObject({ attempts: 3, nextAttemptAt: null });
+    expect(received).toHaveLength(3);
+  });
+
+  test('pilot webhooks are refused at connect time when their name resolves to a private address', async () => {
+    const webhook = webhooks.createWebhook('000000', { url: `http://hooks.example.com:${server.address().port}/rebound`, events: ['roster.ingested'] });
+    const lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      if (options && options.all) callback(null, [{ address: '127.0.0.1', family: 4 }]);
+      else callback(null, '127.0.0.1', 4);
+    });
+    process.env.ROSTER_WEBHOOK_ALLOW_PRIVATE_URLS = 'false';
+
+    try {
+      const delivery = await webhooks.sendTestEvent('000000', webhook.id);
+      expect(delivery).toMatchObject({ status: 'failed', attempts: 1, responseStatus: null, nextAttemptAt: null });
+      expect(delivery.error).toContain('private network address (127.0.0.1)');
+      expect(received).toEqual([]);
+
+      // 100.64.0.0/10 (carrier-grade NAT) is private too
+      expect(() => webhooks.createWebhook('000000', { url: 'http://100.100.1.1/hook', events: ['roster.ingested'] }))
+        .toThrow(expect.objectContaining({ code: 'WEBHOOK_PRIVATE_URL' }));
+    } finally {
+      lookup.mockRestore();
+    }
+  });
+
+  test('resumes deliveries left pending by a restart', async () => {
+    const webhook = webhooks.createWebhook('000000', { url: `${baseUrl}/resumed`, events: ['roster.ingested'] });
+    process.env.ROSTER_WEBHOOK_RETRY_BASE_MS = '600000';
+    responses = [503];
+
+    const first = await webhooks.sendTestEvent('000000', webhook.id);
+    expect(first).toMatchObject({ status: 'pending', attempts: 1 });
+    // Restart: the in-memory retry is gone, the log entry and its payload are not
+    webhooks._cancelRetries();
+
+    const store = JSON.parse(fs.readFileSync(process.env.ROSTER_WEBHOOK_DELIVERIES_PATH, 'utf8'));
+    store.legacy = { ...store[first.id], id: 'legacy', payload: undefined };
+    fs.writeFileSync(process.env.ROSTER_WEBHOOK_DELIVERIES_PATH, JSON.stringify(store));
+
+    const notDue = await webhooks.resumePendingDeliveries({ now: new Date() });
+    expect(notDue).toEqual({ retried: 0, scheduled: 1, failed: 1 });
+    webhooks._cancelRetries();
+
+    const due = await webhooks.resumePendingDeliveries({ now: new Date(Date.now() + 3600000) });
+    expect(due).toEqual({ retried: 1, scheduled: 0, failed: 0 });
+    expect(received.map(r => r.json.id)).toEqual([first.id, first.id]);
+
+    const log = webhooks.listDeliveries('000000', webhook.id);
+    expect(log.find(d => d.id === first.id)).toMatchObject({ status: 'delivered', attempts: 2 });
+    expect(log.find(d => d.id === 'legacy')).toMatchObject({ status: 'failed', nextAttemptAt: null });
+    expect(log.every(d => d.payload === undefined)).toBe(true);
+  });
+
+  test('dashboard adds webhooks and sends tests', async () => {
+    const flashes = [];
+    const session = { staffNo: '000000' };
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.use((req, res, next) => {
+      req.session = session;
+      req.flash = (type, message) => flashes.push({ type, message });
+      next();
+    });
+    app.use('/', dashboardRoutes);
+
+    const added = await request(app).post('/dashboard/webhooks').type('form')
+      .send({ url: `${baseUrl}/dashboard`, events: 'roster.changed' });
+    expect(added.headers.location).toBe('/dashboard/webhooks');
+    expect(session.newWebhook).toEqual({ url: `${baseUrl}/dashboard`, secret: expect.any(String) });
+    const [webhook] = webhooks.listWebhooks('000000');
+    expect(webhook.events).toEqual(['roster.changed']);
+
+    await request(app).post(`/dashboard/webhooks/${webhook.id}/test`).type('form').send({});
+    expect(flashes).toEqual([{ type: 'success', message: 'Test delivered (HTTP 200)' }]);
+    expect(received[0].url).toBe('/dashboard');
+
+    await request(app).post('/dashboard/webhooks').type('form').send({ url: `${baseUrl}/x`, events: 'ingest.failed' });
+    expect(flashes[1]).toEqual({ type: 'error', message: 'ingest.failed is only available to global webhooks' });
+
+    await request(app).post(`/dashboard/webhooks/${webhook.id}/delete`).type('form').send({});
+    expect(webhooks.listWebhooks('000000')).toEqual([]);
+  });
+});
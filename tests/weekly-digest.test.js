@@ -0,0 +1,167 @@
+/**
+ * Tests for the per-pilot scheduler and the weekly upcoming duties digest
+ */
+
+jest.mock('../src/services/outbound-email-service', () => ({
+  sendEmail: jest.fn(async () => ({ sent: true, messageId: 'test-message' }))
+}));
+jest.mock('../src/services/pilot-directory', () => ({
+  ...jest.requireActual('../src/services/pilot-directory'),
+  getEmailForStaffNo: jest.fn(() => 'pilot@example.com'),
+  getPayRateForStaffNo: jest.fn(() => 150)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { sendEmail } = require('../src/services/outbound-email-service');
+const rosterStore = require('../src/services/roster-store');
+const notificationPreferences = require('../src/services/notification-preferences');
+const scheduler = require('../src/services/scheduler');
+const { WEEKLY_DIGEST_JOB } = require('../src/services/weekly-digest');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, '../examples/sample-webcis-roster.txt'), 'utf8');
+const quiet = { log: () => {}, warn: () => {} };
+
+// Sunday 28 Dec 2025, 18:30 in Perth (UTC+8)
+const SUNDAY_EVENING_PERTH = new Date('2025-12-28T10:30:00Z');
+
+describe('scheduler', () => {
+  let env;
+
+  beforeEach(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+    env = { ROSTER_SCHEDULER_STATE_PATH: path.join(dir, 'scheduler-runs.json') };
+  });
+
+  const createJob = (run = jest.fn(async () => ({ sent: true }))) => ({
+    name: 'test-job',
+    weekday: 7,
+    time: '18:00',
+    listTargets: () => [{ staffNo: '000000', timezone: 'Australia/Perth' }, { staffNo: '111111', timezone: 'Australia/Sydney' }],
+    run
+  });
+
+  test('finds the latest weekly slot in each timezone', () => {
+    const job = { weekday: 7, time: '18:00' };
+    expect(scheduler.getLatestSlot(job, 'Australia/Perth', SUNDAY_EVENING_PERTH).toUTC().toISO()).toBe('2025-12-28T10:00:00.000Z');
+    // 21:30 in Sydney (UTC+11 in summer) is past 18:00 too
+    expect(scheduler.getLatestSlot(job, 'Australia/Sydney', SUNDAY_EVENING_PERTH).toUTC().toISO()).toBe('2025-12-28T07:00:00.000Z');
+    // Sunday 17:59 in Perth: last week's slot
+    expect(scheduler.getLatestSlot(job, 'Australia/Perth', new Date('2025-12-28T09:59:00Z')).toUTC().toISO()).toBe('2025-12-21T10:00:00.000Z');
+  });
+
+  test('runs each pilot once per slot, remembering runs across restarts', async () => {
+    const job = createJob();
+
+    const runs = await scheduler.runDueJobs([job], { now: SUNDAY_EVENING_PERTH }, env, quiet);
+    expect(runs.map(run => [run.staffNo, run.status])).toEqual([['000000', 'done'], ['111111', 'done']]);
+    expect(job.run).toHaveBeenCalledWith(
+      expect.objectContaining({ staffNo: '000000', timezone: 'Australia/Perth', scheduledFor: '2025-12-28T10:00:00.000Z' }),
+      env,
+      quiet
+    );
+
+    // Same slot, fresh job object (as after a restart): state on disk prevents a second run
+    const restarted = createJob();
+    expect(await scheduler.runDueJobs([restarted], { now: new Date('2025-12-28T11:00:00Z') }, env, quiet)).toEqual([]);
+    expect(restarted.run).not.toHaveBeenCalled();
+    expect(scheduler.getLastRun('test-job', '000000', env)).toMatchObject({ status: 'done', result: { sent: true } });
+
+    // Next Sunday runs again
+    expect(await scheduler.runDueJobs([restarted], { now: new Date('2026-01-04T10:30:00Z') }, env, quiet)).toHaveLength(2);
+  });
+
+  test('skips slots older than the catch-up window and records failures', async () => {
+    const job = createJob(jest.fn(async () => { throw new Error('SMTP down'); }));
+
+    // Monday morning is more than 6 hours after Sunday 18:00
+    expect(await scheduler.runDueJobs([job], { now: new Date('2025-12-29T01:00:00Z') }, env, quiet)).toEqual([]);
+
+    const runs = await scheduler.runDueJobs([job], { now: SUNDAY_EVENING_PERTH }, env, quiet);
+    expect(runs[0]).toMatchObject({ status: 'failed', error: 'SMTP down' });
+    expect(scheduler.getLastRun('test-job', '000000', env)).toMatchObject({ status: 'failed', error: 'SMTP down', attempts: 1 });
+  });
+
+  test('retries failed and unsent slots with backoff within the catch-up window', async () => {
+    const minutesLater = minutes => new Date(SUNDAY_EVENING_PERTH.getTime() + minutes * 60_000);
+    const run = jest.fn()
+      .mockRejectedValueOnce(new Error('SMTP down'))
+      .mockResolvedValueOnce({ sent: false, reason: 'not-sent' })
+      .mockResolvedValue({ sent: true });
+    const job = { ...createJob(run), listTargets: () => [{ staffNo: '000000', timezone: 'Australia/Perth' }] };
+
+    expect((await scheduler.runDueJobs([job], { now: SUNDAY_EVENING_PERTH }, env, quiet))[0]).toMatchObject({ status: 'failed' });
+    // Not retried every minute: first retry after 5 minutes, then 10
+    expect(await scheduler.runDueJobs([job], { now: minutesLater(1) }, env, quiet)).toEqual([]);
+    expect((await scheduler.runDueJobs([job], { now: minutesLater(5) }, env, quiet))[0])
+      .toMatchObject({ status: 'failed', error: 'Not sent: not-sent' });
+    expect(await scheduler.runDueJobs([job], { now: minutesLater(14) }, env, quiet)).toEqual([]);
+    expect((await scheduler.runDueJobs([job], { now: minutesLater(15) }, env, quiet))[0]).toMatchObject({ status: 'done' });
+    expect(scheduler.getLastRun('test-job', '000000', env)).toMatchObject({ status: 'done', attempts: 3 });
+    expect(await scheduler.runDueJobs([job], { now: minutesLater(60) }, env, quiet)).toEqual([]);
+
+    // Reasons the job settles on are done; nothing is retried once the catch-up window is over
+    const settled = { ...job, name: 'settled-job', settledReasons: ['no-roster'], run: jest.fn(async () => ({ sent: false, reason: 'no-roster' })) };
+    expect((await scheduler.runDueJobs([settled], { now: SUNDAY_EVENING_PERTH }, env, quiet))[0]).toMatchObject({ status: 'done' });
+    const failing = { ...job, name: 'failing-job', run: jest.fn(async () => { throw new Error('SMTP down'); }) };
+    await scheduler.runDueJobs([failing], { now: minutesLater(350) }, env, quiet);
+    expect(await scheduler.runDueJobs([failing], { now: minutesLater(6 * 60 + 1) }, env, quiet)).toEqual([]);
+  });
+});
+
+describe('weekly digest', () => {
+  let env;
+
+  beforeEach(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weekly-digest-'));
+    env = {
+      ROSTER_SCHEDULER_STATE_PATH: path.join(dir, 'scheduler-runs.json'),
+      ROSTER_NOTIFICATION_PREFERENCES_PATH: path.join(dir, 'notification-preferences.json'),
+      ROSTER_EVENT_TEMPLATES_PATH: path.join(dir, 'event-templates.json')
+    };
+    rosterStore._hydrateStore({});
+    rosterStore.ingestRosterText(SAMPLE);
+    sendEmail.mockClear();
+  });
+
+  test('is opt-in', async () => {
+    expect(await scheduler.runDueJobs([WEEKLY_DIGEST_JOB], { now: SUNDAY_EVENING_PERTH }, env, quiet)).toEqual([]);
+
+    notificationPreferences.setNotificationPreferences('000000', { channels: 'webhooks', weeklyDigest: 'on' }, env);
+    expect(await scheduler.runDueJobs([WEEKLY_DIGEST_JOB], { now: SUNDAY_EVENING_PERTH }, env, quiet)).toEqual([]);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  test('emails the coming days of duties, flights, patterns, days off and credit on Sunday evening', async () => {
+    notificationPreferences.setNotificationPreferences('000000', { channels: 'email', weeklyDigest: 'on', digestDays: '14' }, env);
+
+    const runs = await scheduler.runDueJobs([WEEKLY_DIGEST_JOB], { now: SUNDAY_EVENING_PERTH }, env, quiet);
+    expect(runs).toEqual([expect.objectContaining({ job: 'weekly-digest', staffNo: '000000', status: 'done', result: expect.objectContaining({ sent: true }) })]);
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    const [message] = sendEmail.mock.calls[0];
+    expect(message.to).toBe('pilot@example.com');
+    expect(message.subject).toBe('Upcoming duties - DOE J - Mon 29 Dec to Sun 11 Jan');
+    expect(message.text).toContain('Upcoming duties, 14 days from Mon 29 Dec');
+    expect(message.text).toContain('Mon 29 Dec\n  Duty: 8001A1 0615-1600\n    QF940 PER-BNE 0615-0900');
+    expect(message.text).toContain('Wed 31 Dec\n  Available Day');
+    expect(message.text).toContain('- Pattern: 8130 (Mon 5 Jan - Tue 6 Jan): no slips');
+    expect(message.text).toContain('Total credit: 7:35 ($1137.50 at $150.00/hr)');
+    expect(message.html).toContain('QF940 PER-BNE 0615-0900');
+    expect(message.html).toContain('Total credit:</strong> 7:35');
+
+    // Already sent for this Sunday
+    expect(await scheduler.runDueJobs([WEEKLY_DIGEST_JOB], { now: new Date('2025-12-28T12:00:00Z') }, env, quiet)).toEqual([]);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  test('a digest caught up after midnight still starts on the Monday', async () => {
+    notificationPreferences.setNotificationPreferences('000000', { channels: 'email', weeklyDigest: 'on' }, env);
+
+    // 00:30 Monday in Perth, within a 12 hour catch-up window
+    await scheduler.runDueJobs([WEEKLY_DIGEST_JOB], { now: new Date('2025-12-28T16:30:00Z') }, { ...env, ROSTER_SCHEDULER_CATCH_UP_HOURS: '12' }, quiet);
+    expect(sendEmail.mock.calls[0][0].subject).toBe('Upcoming duties - DOE J - Mon 29 Dec to Sun 4 Jan');
+  });
+});